@@ -2,8 +2,18 @@
 pragma solidity ^0.8.17;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
 import "./ChronoAuction.sol";
+import "./SealedBidAuction.sol";
+import "./DutchAuction.sol";
+import "./MultiUnitAuction.sol";
+import "./deployers/SealedBidAuctionDeployer.sol";
+import "./deployers/DutchAuctionDeployer.sol";
+import "./deployers/MultiUnitAuctionDeployer.sol";
+import "./BidPayments.sol";
 import "./ParticipationToken.sol";
 
 error InvalidTokenAddress();
@@ -13,55 +23,567 @@ error BatchTooLarge();
 error TokenAlreadySupported();
 error TokenNotSupported();
 error StartIndexOutOfBounds();
+error InvalidBidIncrement();
+error InvalidExtensionPolicy();
+error InvalidLot();
+error NotAuctionOwner();
+error UnknownAuction();
+error UnsupportedAuctionType();
+error InvalidPriceSchedule();
+error InvalidUnits();
+error InvalidFeeConfig();
+error InvalidSplits();
+error InvalidStartTime();
+error InvalidBuyNowPrice();
+error InvalidSettlementBounty();
+error BountyPaymentFailed();
 
 contract AuctionFactory is Ownable {
+    enum AuctionType { English, SealedBid, Dutch, MultiUnit }
+    enum AuctionStatus { Active, Ended, Settled, Cancelled, Scheduled }
+
+    /**
+     * @dev Summary of an auction for listing pages. An English auction announced ahead of
+     * its start time is `Scheduled` until bidding opens. An auction is `Ended` once it stops
+     * taking bids (or reveals) but has not been settled yet. `endTime` is the end of
+     * bidding, or of the reveal phase for sealed-bid auctions. `highestBid` and `highestBidder`
+     * are the leading revealed bid for sealed-bid auctions, the sale for Dutch auctions
+     * and the highest unit price for multi-unit auctions.
+     */
+    struct AuctionInfo {
+        address auction;
+        AuctionType auctionType;
+        AuctionStatus status;
+        address creator;
+        address bidToken;
+        address beneficiary;
+        uint endTime;
+        uint highestBid;
+        address highestBidder;
+    }
+
     ParticipationToken public immutable rewardToken;
+    address public immutable auctionImplementation; // ChronoAuction that English auctions clone
     address[] public auctions;
     mapping(address => bool) public supportedBidTokens;
     mapping(address => address) public auctionOwner;
+    mapping(address => AuctionType) public auctionType;
+    mapping(address => address[]) private auctionsByCreator;
+    mapping(address => address[]) private auctionsByBidToken;
+    mapping(address => address[]) private auctionsByBidder;
     
     uint public minAuctionDuration = 1 hours;
     uint public maxAuctionDuration = 30 days;
+    uint public maxExtensionWindow = 1 hours;
+    uint public maxExtensionDuration = 1 hours;
+    uint public maxTotalExtension = 1 days;
     uint public constant MAX_BATCH_SIZE = 100;
+    uint public constant MAX_BID_INCREMENT_BPS = 5_000;
+    uint public constant MAX_PROTOCOL_FEE_BPS = 1_000;
+    uint public constant MAX_REFERRER_FEE_BPS = 500;
+    uint public constant MAX_SPLITS = 10;
+    uint public protocolFeeBps;
+    address public feeRecipient;
+    mapping(address => uint) public settlementBounties; // ETH escrowed by sellers for settling their auctions
+    address public constant NATIVE_TOKEN = BidPayments.NATIVE_TOKEN;
     bool public paused;
 
-    event AuctionCreated(address indexed auctionAddress, address indexed creator, address indexed bidToken, uint duration, address beneficiary);
+    event AuctionCreated(
+        address indexed auctionAddress,
+        address indexed creator,
+        address indexed bidToken,
+        uint duration,
+        address beneficiary,
+        LotEscrow.Lot lot
+    );
+    event SealedBidAuctionCreated(
+        address indexed auctionAddress,
+        address indexed creator,
+        address indexed bidToken,
+        uint commitDuration,
+        uint revealDuration,
+        address beneficiary,
+        SealedBidAuction.SealedBidConfig config
+    );
+    event DutchAuctionCreated(
+        address indexed auctionAddress,
+        address indexed creator,
+        address indexed bidToken,
+        uint duration,
+        address beneficiary,
+        DutchAuction.DutchConfig config
+    );
+    event MultiUnitAuctionCreated(
+        address indexed auctionAddress,
+        address indexed creator,
+        address indexed bidToken,
+        uint duration,
+        address beneficiary,
+        MultiUnitAuction.MultiUnitConfig config
+    );
     event BidTokenAdded(address indexed tokenAddress);
     event BidTokenRemoved(address indexed tokenAddress);
     event DurationLimitsUpdated(uint min, uint max);
+    event ExtensionLimitsUpdated(uint maxWindow, uint maxExtension, uint maxTotal);
     event PauseUpdated(bool paused);
+    event ProtocolFeeUpdated(uint feeBps, address indexed recipient);
+    event AuctionCancelled(address indexed auctionAddress, address indexed caller, bool emergency);
+    event AuctionBeneficiaryUpdated(address indexed auctionAddress, address indexed newBeneficiary);
+    event AuctionAllowlistUpdated(address indexed auctionAddress, bytes32 allowlistRoot, uint minParticipationBalance);
+    event AuctionsSettled(address indexed caller, uint settledCount, uint bounty);
+    event SettlementBountyFunded(address indexed auctionAddress, uint amount);
+    event SettlementBountyReclaimed(address indexed auctionAddress, uint amount);
 
-    constructor(address _rewardToken) Ownable(msg.sender) {
+    /**
+     * @param _rewardToken Participation token minted to bidders
+     * @param _auctionImplementation Deployed ChronoAuction that new English auctions clone
+     */
+    constructor(address _rewardToken, address _auctionImplementation) Ownable(msg.sender) {
         require(_rewardToken != address(0), "Invalid reward token");
         require(_rewardToken.code.length > 0, "Not a contract");
+        require(_auctionImplementation.code.length > 0, "Not a contract");
         rewardToken = ParticipationToken(_rewardToken);
+        auctionImplementation = _auctionImplementation;
     }
 
-    function createAuction(address _bidToken, uint _duration, address _beneficiary) 
+    /**
+     * @dev Deploys a new auction as a minimal proxy clone and registers it as a reward minter.
+     * If the config names a lot, it is pulled from the caller into the auction,
+     * so the caller must have approved this factory for the item beforehand.
+     * An allowlist root and/or minimum PP balance in the config make the auction private.
+     * @param _bidToken Supported ERC20 token used for bidding
+     * @param _duration Length of bidding in seconds, counted from the start time
+     * @param _beneficiary Address that receives the winning bid
+     * @param _config Reserve price, minimum bid increments, extension policy, start time and lot
+     * @return Address of the new auction
+     */
+    function createAuction(
+        address _bidToken,
+        uint _duration,
+        address _beneficiary,
+        ChronoAuction.AuctionConfig calldata _config
+    ) 
         external 
         whenNotPaused 
         returns (address) 
+    {
+        _validateAuction(_bidToken, _duration, _beneficiary, _config);
+        address auctionAddress = Clones.clone(auctionImplementation);
+        _initializeAuction(auctionAddress, _bidToken, _duration, _beneficiary, _config);
+        return auctionAddress;
+    }
+
+    /**
+     * @dev Same as createAuction, but deploys the clone with CREATE2 so that its address
+     * is known in advance. The salt is scoped to the caller, see predictAuctionAddress.
+     * @param _bidToken Supported ERC20 token used for bidding
+     * @param _duration Length of bidding in seconds, counted from the start time
+     * @param _beneficiary Address that receives the winning bid
+     * @param _config Reserve price, minimum bid increments, extension policy, start time and lot
+     * @param _salt Creator-chosen salt; each salt can be used once per creator
+     * @return Address of the new auction
+     */
+    function createAuctionDeterministic(
+        address _bidToken,
+        uint _duration,
+        address _beneficiary,
+        ChronoAuction.AuctionConfig calldata _config,
+        bytes32 _salt
+    )
+        external
+        whenNotPaused
+        returns (address)
+    {
+        _validateAuction(_bidToken, _duration, _beneficiary, _config);
+        address auctionAddress = Clones.cloneDeterministic(auctionImplementation, _creatorSalt(msg.sender, _salt));
+        _initializeAuction(auctionAddress, _bidToken, _duration, _beneficiary, _config);
+        return auctionAddress;
+    }
+
+    /**
+     * @dev Returns the address createAuctionDeterministic deploys to for a creator and salt
+     * @param _creator Address that will call createAuctionDeterministic
+     * @param _salt Salt the creator will pass
+     */
+    function predictAuctionAddress(address _creator, bytes32 _salt) external view returns (address) {
+        return Clones.predictDeterministicAddress(auctionImplementation, _creatorSalt(_creator, _salt));
+    }
+
+    function _creatorSalt(address _creator, bytes32 _salt) internal pure returns (bytes32) {
+        return keccak256(abi.encode(_creator, _salt));
+    }
+
+    function _validateAuction(
+        address _bidToken,
+        uint _duration,
+        address _beneficiary,
+        ChronoAuction.AuctionConfig calldata _config
+    ) internal view {
+        if (!supportedBidTokens[_bidToken]) revert InvalidTokenAddress();
+        if (_duration < minAuctionDuration || _duration > maxAuctionDuration) revert InvalidDuration();
+        if (_config.startTime != 0 && _config.startTime < block.timestamp) revert InvalidStartTime();
+        if (_beneficiary == address(0)) revert InvalidTokenAddress();
+        if (_config.minBidIncrementBps > MAX_BID_INCREMENT_BPS) revert InvalidBidIncrement();
+        if (_config.buyNowPrice != 0 && _config.buyNowPrice <= _config.reservePrice) revert InvalidBuyNowPrice();
+        if (
+            _config.extensionWindow > maxExtensionWindow ||
+            _config.extensionDuration > maxExtensionDuration ||
+            _config.maxTotalExtension > maxTotalExtension ||
+            (_config.extensionWindow > 0 && _config.extensionDuration == 0)
+        ) revert InvalidExtensionPolicy();
+        if (_config.earlyAccessPeriod >= _duration) revert InvalidDuration();
+        if (_config.referrerFeeBps > MAX_REFERRER_FEE_BPS) revert InvalidFeeConfig();
+        _validateSplits(_config.splits);
+        _validateLot(_config.lot);
+    }
+
+    function _initializeAuction(
+        address _auction,
+        address _bidToken,
+        uint _duration,
+        address _beneficiary,
+        ChronoAuction.AuctionConfig calldata _config
+    ) internal {
+        ChronoAuction(_auction).initialize(
+            _bidToken,
+            _duration,
+            address(rewardToken),
+            _beneficiary,
+            msg.sender,
+            ChronoAuction.Share(feeRecipient, protocolFeeBps),
+            _config
+        );
+        _registerAuction(_auction, AuctionType.English, _bidToken);
+        _depositLot(_config.lot, _auction);
+
+        emit AuctionCreated(_auction, msg.sender, _bidToken, _duration, _beneficiary, _config.lot);
+    }
+
+    /**
+     * @dev Deploys a new sealed-bid (commit-reveal) auction and registers it as a reward minter.
+     * The commit and reveal phases together must fit the factory duration limits.
+     * If the config names a lot, it is pulled from the caller into the auction,
+     * so the caller must have approved this factory for the item beforehand.
+     * @param _bidToken Supported ERC20 token used for deposits
+     * @param _commitDuration Length of the commit phase in seconds
+     * @param _revealDuration Length of the reveal phase in seconds
+     * @param _beneficiary Address that receives the winning price
+     * @param _config Reserve price, pricing rule, unrevealed-bid policy and lot
+     * @return Address of the new auction
+     */
+    function createSealedBidAuction(
+        address _bidToken,
+        uint _commitDuration,
+        uint _revealDuration,
+        address _beneficiary,
+        SealedBidAuction.SealedBidConfig calldata _config
+    )
+        external
+        whenNotPaused
+        returns (address)
+    {
+        if (!supportedBidTokens[_bidToken]) revert InvalidTokenAddress();
+        uint totalDuration = _commitDuration + _revealDuration;
+        if (_commitDuration == 0 || _revealDuration == 0) revert InvalidDuration();
+        if (totalDuration < minAuctionDuration || totalDuration > maxAuctionDuration) revert InvalidDuration();
+        if (_beneficiary == address(0)) revert InvalidTokenAddress();
+        _validateLot(_config.lot);
+
+        address auctionAddress = SealedBidAuctionDeployer.deploy(
+            _bidToken,
+            _commitDuration,
+            _revealDuration,
+            address(rewardToken),
+            _beneficiary,
+            msg.sender,
+            _config
+        );
+        _registerAuction(auctionAddress, AuctionType.SealedBid, _bidToken);
+        _depositLot(_config.lot, auctionAddress);
+
+        emit SealedBidAuctionCreated(
+            auctionAddress,
+            msg.sender,
+            _bidToken,
+            _commitDuration,
+            _revealDuration,
+            _beneficiary,
+            _config
+        );
+        return auctionAddress;
+    }
+
+    /**
+     * @dev Deploys a new descending-price (Dutch) auction and registers it as a reward minter.
+     * If the config names a lot, it is pulled from the caller into the auction,
+     * so the caller must have approved this factory for the item beforehand.
+     * @param _bidToken Supported ERC20 token used for payment
+     * @param _duration Time in seconds for the price to fall from start to floor
+     * @param _beneficiary Address that receives the sale price
+     * @param _config Start price, floor price, decay schedule and lot
+     * @return Address of the new auction
+     */
+    function createDutchAuction(
+        address _bidToken,
+        uint _duration,
+        address _beneficiary,
+        DutchAuction.DutchConfig calldata _config
+    )
+        external
+        whenNotPaused
+        returns (address)
     {
         if (!supportedBidTokens[_bidToken]) revert InvalidTokenAddress();
         if (_duration < minAuctionDuration || _duration > maxAuctionDuration) revert InvalidDuration();
         if (_beneficiary == address(0)) revert InvalidTokenAddress();
+        if (_config.startPrice <= _config.floorPrice) revert InvalidPriceSchedule();
+        if (
+            _config.decay == DutchAuction.DecayType.Stepped &&
+            (_config.stepDuration == 0 || _config.stepDuration > _duration)
+        ) revert InvalidPriceSchedule();
+        _validateLot(_config.lot);
 
-        ChronoAuction newAuction = new ChronoAuction(
+        address auctionAddress = DutchAuctionDeployer.deploy(
             _bidToken,
             _duration,
             address(rewardToken),
-            _beneficiary
+            _beneficiary,
+            msg.sender,
+            _config
         );
+        _registerAuction(auctionAddress, AuctionType.Dutch, _bidToken);
+        _depositLot(_config.lot, auctionAddress);
 
-        address auctionAddress = address(newAuction);
-        rewardToken.addAllowedAuction(auctionAddress);
-        auctions.push(auctionAddress);
-        auctionOwner[auctionAddress] = msg.sender;
+        emit DutchAuctionCreated(auctionAddress, msg.sender, _bidToken, _duration, _beneficiary, _config);
+        return auctionAddress;
+    }
 
-        emit AuctionCreated(auctionAddress, msg.sender, _bidToken, _duration, _beneficiary);
+    /**
+     * @dev Deploys a new multi-unit uniform-price auction and registers it as a reward minter.
+     * If the config names an ERC1155 unit token, `totalUnits` of it are pulled from the caller
+     * into the auction, so the caller must have approved this factory beforehand.
+     * @param _bidToken Supported ERC20 token used for bidding
+     * @param _duration Auction duration in seconds
+     * @param _beneficiary Address that receives the proceeds
+     * @param _config Unit supply, reserve price and optional ERC1155 unit token
+     * @return Address of the new auction
+     */
+    function createMultiUnitAuction(
+        address _bidToken,
+        uint _duration,
+        address _beneficiary,
+        MultiUnitAuction.MultiUnitConfig calldata _config
+    )
+        external
+        whenNotPaused
+        returns (address)
+    {
+        if (!supportedBidTokens[_bidToken]) revert InvalidTokenAddress();
+        if (_duration < minAuctionDuration || _duration > maxAuctionDuration) revert InvalidDuration();
+        if (_beneficiary == address(0)) revert InvalidTokenAddress();
+        if (_config.totalUnits == 0) revert InvalidUnits();
+        if (_config.unitToken != address(0) && _config.unitToken.code.length == 0) revert InvalidUnits();
+
+        address auctionAddress = MultiUnitAuctionDeployer.deploy(
+            _bidToken,
+            _duration,
+            address(rewardToken),
+            _beneficiary,
+            msg.sender,
+            _config
+        );
+        _registerAuction(auctionAddress, AuctionType.MultiUnit, _bidToken);
+
+        if (_config.unitToken != address(0)) {
+            IERC1155(_config.unitToken).safeTransferFrom(
+                msg.sender,
+                auctionAddress,
+                _config.unitTokenId,
+                _config.totalUnits,
+                ""
+            );
+        }
+
+        emit MultiUnitAuctionCreated(auctionAddress, msg.sender, _bidToken, _duration, _beneficiary, _config);
         return auctionAddress;
     }
 
+    /**
+     * @dev Lists a bidder under the calling auction. Auctions created here call it on a
+     * bidder's first bid, commitment or purchase, which backs getAuctionsByBidder.
+     * @param _bidder Address of the bidder
+     */
+    function recordBidder(address _bidder) external {
+        if (auctionOwner[msg.sender] == address(0)) revert UnknownAuction();
+        auctionsByBidder[_bidder].push(msg.sender);
+    }
+
+    function _registerAuction(address _auction, AuctionType _type, address _bidToken) internal {
+        rewardToken.addAllowedAuction(_auction);
+        auctions.push(_auction);
+        auctionOwner[_auction] = msg.sender;
+        auctionType[_auction] = _type;
+        auctionsByCreator[msg.sender].push(_auction);
+        auctionsByBidToken[_bidToken].push(_auction);
+    }
+
+    function _validateSplits(ChronoAuction.Share[] calldata _splits) internal pure {
+        if (_splits.length > MAX_SPLITS) revert InvalidSplits();
+        uint total;
+        for (uint i = 0; i < _splits.length; i++) {
+            if (_splits[i].recipient == address(0)) revert InvalidSplits();
+            total += _splits[i].bps;
+        }
+        if (total > 10_000) revert InvalidSplits();
+    }
+
+    function _validateLot(LotEscrow.Lot calldata _lot) internal view {
+        if (_lot.kind == LotEscrow.LotKind.None) {
+            if (_lot.token != address(0)) revert InvalidLot();
+            return;
+        }
+        if (_lot.token.code.length == 0) revert InvalidLot();
+        if (_lot.kind == LotEscrow.LotKind.ERC721 && _lot.amount != 1) revert InvalidLot();
+        if (_lot.kind == LotEscrow.LotKind.ERC1155 && _lot.amount == 0) revert InvalidLot();
+    }
+
+    function _depositLot(LotEscrow.Lot calldata _lot, address _auction) internal {
+        if (_lot.kind == LotEscrow.LotKind.ERC721) {
+            IERC721(_lot.token).safeTransferFrom(msg.sender, _auction, _lot.tokenId);
+        } else if (_lot.kind == LotEscrow.LotKind.ERC1155) {
+            IERC1155(_lot.token).safeTransferFrom(msg.sender, _auction, _lot.tokenId, _lot.amount, "");
+        }
+    }
+
+    /**
+     * @dev Cancels an auction. The creator is bound by the auction's cancellation rules;
+     * the factory owner can always cancel an unsettled auction as an emergency override.
+     * @param _auction Address of an auction created by this factory
+     */
+    function cancelAuction(address _auction) external {
+        address creator = auctionOwner[_auction];
+        if (creator == address(0)) revert UnknownAuction();
+        if (auctionType[_auction] != AuctionType.English) revert UnsupportedAuctionType();
+
+        bool emergency;
+        if (msg.sender != creator) {
+            if (msg.sender != owner()) revert NotAuctionOwner();
+            emergency = true;
+        }
+
+        ChronoAuction(_auction).cancel(emergency);
+        emit AuctionCancelled(_auction, msg.sender, emergency);
+    }
+
+    /**
+     * @dev Lets the creator of an auction change its beneficiary before the first bid
+     * @param _auction Address of an auction created by this factory
+     * @param _beneficiary New address that will receive the winning bid
+     */
+    function setAuctionBeneficiary(address _auction, address _beneficiary) external {
+        if (auctionOwner[_auction] == address(0)) revert UnknownAuction();
+        if (auctionType[_auction] != AuctionType.English) revert UnsupportedAuctionType();
+        if (auctionOwner[_auction] != msg.sender) revert NotAuctionOwner();
+        if (_beneficiary == address(0)) revert InvalidTokenAddress();
+
+        ChronoAuction(_auction).setBeneficiary(_beneficiary);
+        emit AuctionBeneficiaryUpdated(_auction, _beneficiary);
+    }
+
+    /**
+     * @dev Lets the creator of an auction change who may bid in it, for example to
+     * add or remove addresses from its allowlist
+     * @param _auction Address of an auction created by this factory
+     * @param _allowlistRoot Merkle root of allowed bidders, 0 for none
+     * @param _minParticipationBalance PP balance that admits a bidder, 0 for none
+     */
+    function setAuctionAllowlist(
+        address _auction,
+        bytes32 _allowlistRoot,
+        uint _minParticipationBalance
+    ) external {
+        if (auctionOwner[_auction] == address(0)) revert UnknownAuction();
+        if (auctionType[_auction] != AuctionType.English) revert UnsupportedAuctionType();
+        if (auctionOwner[_auction] != msg.sender) revert NotAuctionOwner();
+
+        ChronoAuction(_auction).setAllowlist(_allowlistRoot, _minParticipationBalance);
+        emit AuctionAllowlistUpdated(_auction, _allowlistRoot, _minParticipationBalance);
+    }
+
+    /**
+     * @dev Settles every English auction in the list that can be settled, so that anyone
+     * can release ended auctions in bulk. Auctions that are unknown, of another type,
+     * still running, cancelled, already settled or have nothing to settle are skipped
+     * rather than reverting the batch. The caller earns the settlement bounty that the
+     * sellers of the settled auctions escrowed, so settling one's own auctions only
+     * returns one's own ETH.
+     * @param _auctions Addresses of auctions created by this factory
+     * @return settledCount Number of auctions settled
+     */
+    function settleAuctions(address[] calldata _auctions) external returns (uint settledCount) {
+        if (_auctions.length > MAX_BATCH_SIZE) revert BatchTooLarge();
+        uint bounty;
+        for (uint i = 0; i < _auctions.length; i++) {
+            address auction = _auctions[i];
+            if (auctionOwner[auction] == address(0) || auctionType[auction] != AuctionType.English) continue;
+            try ChronoAuction(auction).withdraw() {
+                settledCount++;
+                bounty += settlementBounties[auction];
+                settlementBounties[auction] = 0;
+            } catch {}
+        }
+
+        if (bounty > 0) {
+            (bool success, ) = msg.sender.call{value: bounty}("");
+            if (!success) revert BountyPaymentFailed();
+        }
+        emit AuctionsSettled(msg.sender, settledCount, bounty);
+    }
+
+    /**
+     * @dev Escrows ETH that is paid to whoever settles the auction through settleAuctions.
+     * Only the auction's creator can fund it, and only while it can still be settled.
+     * @param _auction Address of an English auction created by the caller
+     */
+    function fundSettlementBounty(address _auction) external payable {
+        if (auctionOwner[_auction] == address(0)) revert UnknownAuction();
+        if (auctionType[_auction] != AuctionType.English) revert UnsupportedAuctionType();
+        if (auctionOwner[_auction] != msg.sender) revert NotAuctionOwner();
+        if (msg.value == 0 || _isFinal(_auction)) revert InvalidSettlementBounty();
+
+        settlementBounties[_auction] += msg.value;
+        emit SettlementBountyFunded(_auction, msg.value);
+    }
+
+    /**
+     * @dev Returns an unpaid settlement bounty to the auction's creator once the auction
+     * was cancelled, settled without going through settleAuctions, or ended with no bids
+     * and no lot, which leaves nothing to settle
+     * @param _auction Address of an English auction created by the caller
+     */
+    function reclaimSettlementBounty(address _auction) external {
+        if (auctionOwner[_auction] == address(0)) revert UnknownAuction();
+        if (auctionType[_auction] != AuctionType.English) revert UnsupportedAuctionType();
+        if (auctionOwner[_auction] != msg.sender) revert NotAuctionOwner();
+        uint amount = settlementBounties[_auction];
+        if (amount == 0 || !_isFinal(_auction)) revert InvalidSettlementBounty();
+
+        settlementBounties[_auction] = 0;
+        (bool success, ) = msg.sender.call{value: amount}("");
+        if (!success) revert BountyPaymentFailed();
+        emit SettlementBountyReclaimed(_auction, amount);
+    }
+
+    function _isFinal(address _auction) internal view returns (bool) {
+        ChronoAuction auction = ChronoAuction(_auction);
+        if (auction.settled() || auction.cancelled()) return true;
+        // Bidding stops at endTime, and an auction without bids or a lot can never be settled
+        (LotEscrow.LotKind kind, , , ) = auction.lot();
+        return block.timestamp >= auction.endTime()
+            && auction.highestBidder() == address(0)
+            && kind == LotEscrow.LotKind.None;
+    }
+
     function setDurationLimits(uint _min, uint _max) external onlyOwner {
         if (_min >= _max) revert InvalidDuration();
         minAuctionDuration = _min;
@@ -69,6 +591,47 @@ contract AuctionFactory is Ownable {
         emit DurationLimitsUpdated(_min, _max);
     }
 
+    /**
+     * @dev Sets the upper bounds for per-auction anti-sniping extension policies
+     * @param _maxWindow Longest allowed extension window
+     * @param _maxExtension Longest allowed single extension
+     * @param _maxTotal Longest allowed total extension beyond the original end time
+     */
+    function setExtensionLimits(uint _maxWindow, uint _maxExtension, uint _maxTotal) external onlyOwner {
+        if (_maxWindow > 0 && _maxExtension == 0) revert InvalidExtensionPolicy();
+        maxExtensionWindow = _maxWindow;
+        maxExtensionDuration = _maxExtension;
+        maxTotalExtension = _maxTotal;
+        emit ExtensionLimitsUpdated(_maxWindow, _maxExtension, _maxTotal);
+    }
+
+    /**
+     * @dev Sets the protocol fee taken from future English auction settlements.
+     * Auctions keep the fee that applied when they were created.
+     * @param _feeBps Fee in basis points, at most MAX_PROTOCOL_FEE_BPS
+     * @param _recipient Address that receives the fee
+     */
+    function setProtocolFee(uint _feeBps, address _recipient) external onlyOwner {
+        if (_feeBps > MAX_PROTOCOL_FEE_BPS) revert InvalidFeeConfig();
+        if (_feeBps > 0 && _recipient == address(0)) revert InvalidFeeConfig();
+        protocolFeeBps = _feeBps;
+        feeRecipient = _recipient;
+        emit ProtocolFeeUpdated(_feeBps, _recipient);
+    }
+
+    /**
+     * @dev Sets how the participation token rewards bidders in an auction
+     * @param _auction Address of the auction
+     * @param _schedule Reward schedule, see ParticipationToken.RewardSchedule
+     */
+    function setRewardSchedule(
+        address _auction,
+        ParticipationToken.RewardSchedule calldata _schedule
+    ) external onlyOwner {
+        if (auctionOwner[_auction] == address(0)) revert UnknownAuction();
+        rewardToken.setRewardSchedule(_auction, _schedule);
+    }
+
     function emergencyPause(bool _pause) external onlyOwner {
         paused = _pause;
         emit PauseUpdated(_pause);
@@ -82,20 +645,24 @@ contract AuctionFactory is Ownable {
     // Add these missing functions:
 
     /**
-     * @dev Adds a token to the list of supported bid tokens
+     * @dev Adds a token to the list of supported bid tokens.
+     * Pass `ChronoAuction.NATIVE_TOKEN` to allow auctions that take bids in ETH.
      * @param _tokenAddress Address of the ERC20 token to add
      */
     function addSupportedBidToken(address _tokenAddress) external onlyOwner {
         if (_tokenAddress == address(0)) revert InvalidTokenAddress();
-        if (_tokenAddress.code.length == 0) revert InvalidTokenAddress();
         if (supportedBidTokens[_tokenAddress]) revert TokenAlreadySupported();
-        
-        // Basic ERC20 check - try to call totalSupply
-        try IERC20(_tokenAddress).totalSupply() {
-            // Success - it's likely an ERC20
-        } catch {
-            // Failed to call totalSupply - not an ERC20
-            revert InvalidTokenAddress();
+
+        if (_tokenAddress != NATIVE_TOKEN) {
+            if (_tokenAddress.code.length == 0) revert InvalidTokenAddress();
+
+            // Basic ERC20 check - try to call totalSupply
+            try IERC20(_tokenAddress).totalSupply() {
+                // Success - it's likely an ERC20
+            } catch {
+                // Failed to call totalSupply - not an ERC20
+                revert InvalidTokenAddress();
+            }
         }
         
         supportedBidTokens[_tokenAddress] = true;
@@ -144,4 +711,196 @@ contract AuctionFactory is Ownable {
         
         return result;
     }
-}
\ No newline at end of file
+
+    /**
+     * @dev Returns the summary of a single auction
+     * @param _auction Address of the auction
+     */
+    function getAuctionInfo(address _auction) external view returns (AuctionInfo memory) {
+        if (auctionOwner[_auction] == address(0)) revert UnknownAuction();
+        return _auctionInfo(_auction);
+    }
+
+    /**
+     * @dev Returns summaries of auctions within a specified range
+     * @param _start Starting index
+     * @param _count Number of auctions to return
+     */
+    function getAuctionInfos(uint _start, uint _count) external view returns (AuctionInfo[] memory) {
+        return _infoPage(auctions, _start, _count);
+    }
+
+    /**
+     * @dev Returns the number of auctions created by an address
+     * @param _creator Address of the creator
+     */
+    function getAuctionCountByCreator(address _creator) external view returns (uint) {
+        return auctionsByCreator[_creator].length;
+    }
+
+    /**
+     * @dev Returns summaries of a creator's auctions within a specified range
+     * @param _creator Address of the creator
+     * @param _start Starting index in the creator's auctions
+     * @param _count Number of auctions to return
+     */
+    function getAuctionsByCreator(
+        address _creator,
+        uint _start,
+        uint _count
+    ) external view returns (AuctionInfo[] memory) {
+        return _infoPage(auctionsByCreator[_creator], _start, _count);
+    }
+
+    /**
+     * @dev Returns the number of auctions taking bids in a token
+     * @param _bidToken Bid token, or NATIVE_TOKEN
+     */
+    function getAuctionCountByBidToken(address _bidToken) external view returns (uint) {
+        return auctionsByBidToken[_bidToken].length;
+    }
+
+    /**
+     * @dev Returns summaries of the auctions taking bids in a token within a specified range
+     * @param _bidToken Bid token, or NATIVE_TOKEN
+     * @param _start Starting index in the token's auctions
+     * @param _count Number of auctions to return
+     */
+    function getAuctionsByBidToken(
+        address _bidToken,
+        uint _start,
+        uint _count
+    ) external view returns (AuctionInfo[] memory) {
+        return _infoPage(auctionsByBidToken[_bidToken], _start, _count);
+    }
+
+    /**
+     * @dev Scans auctions `_start` to `_start + _count` and returns those with a status.
+     * Status changes with time, so it is not indexed; page through all auctions to find every match.
+     * @param _status Status to match
+     * @param _start Starting index of the scan
+     * @param _count Number of auctions to scan
+     */
+    function getAuctionsByStatus(
+        AuctionStatus _status,
+        uint _start,
+        uint _count
+    ) external view returns (AuctionInfo[] memory) {
+        AuctionInfo[] memory page = _infoPage(auctions, _start, _count);
+        AuctionInfo[] memory matches = new AuctionInfo[](page.length);
+        uint found;
+        for (uint i = 0; i < page.length; i++) {
+            if (page[i].status == _status) matches[found++] = page[i];
+        }
+        return _truncate(matches, found);
+    }
+
+    /**
+     * @dev Returns the number of auctions an address has bid, committed or bought in
+     * @param _bidder Address of the bidder
+     */
+    function getAuctionCountByBidder(address _bidder) external view returns (uint) {
+        return auctionsByBidder[_bidder].length;
+    }
+
+    /**
+     * @dev Returns summaries of the auctions a bidder took part in within a specified range,
+     * in the order of the bidder's first bid in each
+     * @param _bidder Address of the bidder
+     * @param _start Starting index in the bidder's auctions
+     * @param _count Number of auctions to return
+     */
+    function getAuctionsByBidder(
+        address _bidder,
+        uint _start,
+        uint _count
+    ) external view returns (AuctionInfo[] memory) {
+        return _infoPage(auctionsByBidder[_bidder], _start, _count);
+    }
+
+    function _infoPage(
+        address[] storage _list,
+        uint _start,
+        uint _count
+    ) internal view returns (AuctionInfo[] memory result) {
+        if (_count > MAX_BATCH_SIZE) revert BatchTooLarge();
+        if (_start >= _list.length) revert StartIndexOutOfBounds();
+        if (_start + _count > _list.length) {
+            _count = _list.length - _start;
+        }
+
+        result = new AuctionInfo[](_count);
+        for (uint i = 0; i < _count; i++) {
+            result[i] = _auctionInfo(_list[_start + i]);
+        }
+    }
+
+    function _truncate(AuctionInfo[] memory _infos, uint _length) internal pure returns (AuctionInfo[] memory result) {
+        result = new AuctionInfo[](_length);
+        for (uint i = 0; i < _length; i++) {
+            result[i] = _infos[i];
+        }
+    }
+
+    function _auctionInfo(address _auction) internal view returns (AuctionInfo memory info) {
+        info.auction = _auction;
+        info.auctionType = auctionType[_auction];
+        info.creator = auctionOwner[_auction];
+
+        bool settled;
+        bool ended;
+        if (info.auctionType == AuctionType.English) {
+            ChronoAuction auction = ChronoAuction(_auction);
+            info.bidToken = address(auction.bidToken());
+            info.beneficiary = auction.beneficiary();
+            info.endTime = auction.endTime();
+            info.highestBid = auction.highestBid();
+            info.highestBidder = auction.highestBidder();
+            settled = auction.settled();
+            ended = block.timestamp >= info.endTime;
+            if (auction.cancelled()) {
+                info.status = AuctionStatus.Cancelled;
+                return info;
+            }
+            if (block.timestamp < auction.startTime()) {
+                info.status = AuctionStatus.Scheduled;
+                return info;
+            }
+        } else if (info.auctionType == AuctionType.SealedBid) {
+            SealedBidAuction auction = SealedBidAuction(_auction);
+            info.bidToken = address(auction.bidToken());
+            info.beneficiary = auction.beneficiary();
+            info.endTime = auction.revealEndTime();
+            info.highestBid = auction.highestBid();
+            info.highestBidder = auction.highestBidder();
+            settled = auction.settled();
+            ended = block.timestamp >= info.endTime;
+        } else if (info.auctionType == AuctionType.Dutch) {
+            DutchAuction auction = DutchAuction(_auction);
+            info.bidToken = address(auction.bidToken());
+            info.beneficiary = auction.beneficiary();
+            info.endTime = auction.endTime();
+            info.highestBid = auction.finalPrice();
+            info.highestBidder = auction.winner();
+            settled = auction.settled();
+            ended = block.timestamp > info.endTime;
+        } else {
+            MultiUnitAuction auction = MultiUnitAuction(_auction);
+            info.bidToken = address(auction.bidToken());
+            info.beneficiary = auction.beneficiary();
+            info.endTime = auction.endTime();
+            (, , , uint topBidId, , ) = auction.bids(0);
+            if (topBidId != 0) {
+                (info.highestBidder, , info.highestBid, , , ) = auction.bids(topBidId);
+            }
+            settled = auction.settled();
+            ended = block.timestamp >= info.endTime;
+        }
+
+        if (settled) {
+            info.status = AuctionStatus.Settled;
+        } else if (ended) {
+            info.status = AuctionStatus.Ended;
+        }
+    }
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title BidPayments
+ * @dev Bid token handling shared by every auction type. An auction's bid token is either
+ * an ERC20 token or `NATIVE_TOKEN`, which stands for native ETH.
+ */
+library BidPayments {
+    address internal constant NATIVE_TOKEN = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
+
+    /**
+     * @dev Sends bid tokens or ETH out of the auction, returning whether it succeeded.
+     * A token that reverts still reverts the caller.
+     */
+    function pay(IERC20 token, address to, uint amount) internal returns (bool) {
+        if (address(token) == NATIVE_TOKEN) {
+            (bool success, ) = to.call{value: amount}("");
+            return success;
+        }
+        return token.transfer(to, amount);
+    }
+
+    /**
+     * @dev Like `pay`, but also returns false when the token reverts, for payouts
+     * that must not be able to block the caller.
+     */
+    function tryPay(IERC20 token, address to, uint amount) internal returns (bool) {
+        if (address(token) == NATIVE_TOKEN) return pay(token, to, amount);
+        try token.transfer(to, amount) returns (bool transferred) {
+            return transferred;
+        } catch {
+            return false;
+        }
+    }
+}
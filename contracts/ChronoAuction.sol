@@ -1,99 +1,589 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.17;
 
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "./AuctionFactory.sol";
+import "./BidPayments.sol";
+import "./LotEscrow.sol";
 import "./ParticipationToken.sol";
 
 /**
  * @title ChronoAuction
  * @dev An auction contract that extends bidding time when bids are placed close to the end.
- * Participants receive participation tokens for bidding.
+ * Participants receive participation tokens for bidding. An optional ERC721 or ERC1155
+ * lot is held in escrow and delivered to the winner on settlement.
+ * Bids are made in an ERC20 token, or in native ETH when `bidToken` is `NATIVE_TOKEN`.
+ * ERC20 bids can also be approved with an EIP-2612 permit, or signed off-chain as EIP-712
+ * messages and submitted by a relayer.
+ * Private auctions only take bids from addresses on a Merkle allowlist, from holders of
+ * enough participation points, or from either.
+ * The factory deploys auctions as EIP-1167 clones of a single implementation, so each
+ * auction is set up with `initialize` rather than a constructor.
  */
-contract ChronoAuction is ReentrancyGuard {
-    // Immutable state variables that cannot be changed after deployment
-    IERC20 public immutable bidToken;              // ERC20 token used for bidding
-    ParticipationToken public immutable rewardToken; // Token rewarded to bidders
-    address public immutable beneficiary;           // Address that receives the highest bid
+contract ChronoAuction is Initializable, LotEscrow, EIP712, Nonces {
+    uint public constant MAX_BPS = 10_000;
+    bytes32 public constant SIGNED_BID_TYPEHASH =
+        keccak256("SignedBid(address auction,address bidder,uint256 amount,uint256 nonce,uint256 deadline)");
+    uint public constant MAX_SPLITS = 10;
+    uint public constant MAX_PAGE_SIZE = 100;
+    using BidPayments for IERC20;
+
+    address public constant NATIVE_TOKEN = BidPayments.NATIVE_TOKEN;
+
+    error AuctionNotStarted(uint startTime);
+
+    /**
+     * @dev A recipient and its share of the winning bid, in basis points
+     */
+    struct Share {
+        address recipient;
+        uint bps;
+    }
+
+    /**
+     * @dev A bid as placed. Its index in the history is its sequence number.
+     */
+    struct BidRecord {
+        address bidder;
+        uint64 timestamp;
+        bool extended;                              // Whether the bid pushed back the end time
+        uint amount;
+    }
+
+    /**
+     * @dev Per-auction settings chosen by the seller at creation time.
+     * Bidding opens at `startTime`, or straight away if it is 0, and runs for the
+     * auction duration from then on, so auctions can be announced ahead of time.
+     * A bid must beat the current highest bid by the larger of the absolute
+     * and the basis-point increment (and by at least 1 wei). Bids below the
+     * reserve are accepted, but the lot is not sold unless the reserve is met.
+     * A bid placed within `extensionWindow` of the end pushes the end back by
+     * `extensionDuration`, but never past the original end plus `maxTotalExtension`.
+     * With `cancellableWithBids` the seller may still cancel once bids exist,
+     * refunding the current leader in full.
+     * A bid of at least `buyNowPrice` (0 for none) wins outright: bidding closes at once and
+     * the auction can be settled straight away. With `buyNowUntilFirstBid` the buy-now
+     * price is withdrawn as soon as a regular bid is placed.
+     * For the first `earlyAccessPeriod` seconds only stakers whose participation token
+     * perks include early access may bid, see ParticipationToken.perksOf.
+     * A non-zero `allowlistRoot` and/or `minParticipationBalance` make the auction private:
+     * a bidder must then prove membership of the allowlist or hold at least that many
+     * participation points. Leaves are `keccak256(bytes.concat(keccak256(abi.encode(bidder))))`.
+     * On settlement the referrer of the winning bid, if any, is credited `referrerFeeBps`
+     * of it, claimable through withdrawRefund. What is left after fees goes to `splits` by their shares, and the rest,
+     * including rounding dust, to the beneficiary.
+     */
+    struct AuctionConfig {
+        uint reservePrice;
+        uint minBidIncrement;
+        uint minBidIncrementBps;
+        uint extensionWindow;
+        uint extensionDuration;
+        uint maxTotalExtension;
+        bool cancellableWithBids;
+        uint buyNowPrice;
+        bool buyNowUntilFirstBid;
+        uint startTime;
+        uint earlyAccessPeriod;
+        bytes32 allowlistRoot;
+        uint minParticipationBalance;
+        uint referrerFeeBps;
+        Share[] splits;
+        Lot lot;
+    }
+
+    // Settings fixed by initialize
+    IERC20 public bidToken;                        // ERC20 token used for bidding, or NATIVE_TOKEN
+    bool public nativeBidding;                      // True when bids are paid in ETH
+    ParticipationToken public rewardToken;           // Token rewarded to bidders
+    address public factory;                         // Initializer allowed to apply seller controls
+    address public seller;                          // Address that gets the lot back if unsold
+    uint public reservePrice;                       // Lowest winning bid that settles the sale
+    uint public minBidIncrement;                    // Absolute minimum raise over the highest bid
+    uint public minBidIncrementBps;                 // Relative minimum raise, in basis points
+    uint public extensionWindow;                    // Time before the end in which bids extend it
+    uint public extensionDuration;                  // Time added to the end per extension
+    uint public startTime;                          // When bidding opens
+    uint public publicStartTime;                    // When bidding opens to everyone
+    uint public originalEndTime;                    // End time before any extensions
+    uint public maxEndTime;                         // Hard cap on the extended end time
+    bool public cancellableWithBids;                // Whether the seller may cancel after bids
+    bool public buyNowUntilFirstBid;                // Whether a regular bid removes the buy-now price
+    address public feeRecipient;                    // Receives the protocol fee
+    uint public protocolFeeBps;                     // Protocol fee on the winning bid
+    uint public referrerFeeBps;                     // Referrer fee on the winning bid
     
     // Auction state
+    uint public buyNowPrice;                        // Bid that wins outright, 0 if none
+    bool public boughtNow;                          // Whether the auction closed on a buy-now bid
+    bytes32 public allowlistRoot;                   // Merkle root of allowed bidders, 0 if none
+    uint public minParticipationBalance;            // PP balance that admits a bidder, 0 if none
+    address public beneficiary;                     // Address that receives the highest bid
     uint public endTime;                           
     uint public highestBid;                        
     address public highestBidder;                  
+    address public highestBidReferrer;
     bool public settled = false;                
+    bool public cancelled;
+    uint public extensionCount;
+    mapping(address => uint) public pendingReturns; // Refunds and failed payouts awaiting withdrawRefund
+    mapping(address => uint) public bidCount;       // Number of bids placed by each address
+    uint public uniqueBidderCount;
+    BidRecord[] private bidHistory;
+    Share[] private splits;
 
     // Events for easier tracking of auction activity
     event BidPlaced(address indexed bidder, uint amount);
     event AuctionExtended(uint newEndTime);
-    event AuctionSettled(address winner, uint amount);
+    event BoughtNow(address indexed buyer, uint amount);
+    event BuyNowPriceRemoved();
+    event AuctionSettled(
+        address winner,
+        uint amount,
+        uint protocolFee,
+        uint referrerFee,
+        uint sellerProceeds
+    );
+    event ReserveNotMet(address highestBidder, uint amount);
+    event RefundCredited(address indexed bidder, uint amount);
+    event RefundClaimed(address indexed bidder, uint amount);
+    event AuctionCancelled(address indexed refundedBidder, uint refundAmount, bool emergency);
+    event BeneficiaryUpdated(address indexed previousBeneficiary, address indexed newBeneficiary);
+    event AllowlistUpdated(bytes32 allowlistRoot, uint minParticipationBalance);
+
+    modifier onlyFactory() {
+        require(msg.sender == factory, "Only factory");
+        _;
+    }
+
+    /**
+     * @dev Locks the implementation so that only clones can be initialized
+     */
+    constructor() EIP712("ChronoAuction", "1") {
+        _disableInitializers();
+    }
 
     /**
-     * @dev Sets up the auction with the specified parameters
-     * @param _bidToken Address of the ERC20 token used for bidding
-     * @param _duration Duration of the auction in seconds
+     * @dev Sets up the auction with the specified parameters. The caller becomes
+     * the `factory` through which seller controls and cancellation are applied.
+     * @param _bidToken Address of the ERC20 token used for bidding, or NATIVE_TOKEN for ETH
+     * @param _duration Duration of bidding in seconds, counted from the start time
      * @param _rewardToken Address of the participation token
      * @param _beneficiary Address that will receive the highest bid
+     * @param _seller Address that receives the lot back if it is not sold
+     * @param _protocolFee Protocol fee recipient and rate, set by the deployer
+     * @param _config Reserve price, minimum bid increments, extension policy, cancellation,
+     * buy-now price, start time, early access, bidder gating, referrer fee, revenue splits and lot
      */
-    constructor(
+    function initialize(
         address _bidToken, 
         uint _duration, 
         address _rewardToken,
-        address _beneficiary
-    ) {
+        address _beneficiary,
+        address _seller,
+        Share calldata _protocolFee,
+        AuctionConfig calldata _config
+    ) external initializer {
         require(_beneficiary != address(0), "Invalid beneficiary");
+        require(_seller != address(0), "Invalid seller");
+        require(_config.minBidIncrementBps <= MAX_BPS, "Invalid increment");
+        require(_config.extensionWindow == 0 || _config.extensionDuration > 0, "Invalid extension");
+        require(_config.startTime == 0 || _config.startTime >= block.timestamp, "Invalid start");
+        require(_config.earlyAccessPeriod < _duration, "Invalid early access");
+        require(_config.buyNowPrice == 0 || _config.buyNowPrice > _config.reservePrice, "Invalid buy now");
+        require(_protocolFee.bps == 0 || _protocolFee.recipient != address(0), "Invalid fee");
+        require(_protocolFee.bps + _config.referrerFeeBps <= MAX_BPS, "Invalid fee");
+        require(_config.splits.length <= MAX_SPLITS, "Invalid splits");
+        uint splitTotal;
+        for (uint i = 0; i < _config.splits.length; i++) {
+            require(_config.splits[i].recipient != address(0), "Invalid splits");
+            splitTotal += _config.splits[i].bps;
+            splits.push(_config.splits[i]);
+        }
+        require(splitTotal <= MAX_BPS, "Invalid splits");
         bidToken = IERC20(_bidToken);
+        nativeBidding = _bidToken == NATIVE_TOKEN;
         rewardToken = ParticipationToken(_rewardToken);
-        endTime = block.timestamp + _duration;
+        startTime = _config.startTime == 0 ? block.timestamp : _config.startTime;
+        publicStartTime = startTime + _config.earlyAccessPeriod;
+        endTime = startTime + _duration;
         beneficiary = _beneficiary;
+        factory = msg.sender;
+        seller = _seller;
+        reservePrice = _config.reservePrice;
+        minBidIncrement = _config.minBidIncrement;
+        minBidIncrementBps = _config.minBidIncrementBps;
+        extensionWindow = _config.extensionWindow;
+        extensionDuration = _config.extensionDuration;
+        originalEndTime = endTime;
+        maxEndTime = endTime + _config.maxTotalExtension;
+        cancellableWithBids = _config.cancellableWithBids;
+        buyNowPrice = _config.buyNowPrice;
+        buyNowUntilFirstBid = _config.buyNowUntilFirstBid;
+        feeRecipient = _protocolFee.recipient;
+        protocolFeeBps = _protocolFee.bps;
+        referrerFeeBps = _config.referrerFeeBps;
+        allowlistRoot = _config.allowlistRoot;
+        minParticipationBalance = _config.minParticipationBalance;
+        _setLot(_config.lot);
+    }
+
+    /**
+     * @dev Returns the lowest amount the next bid must reach to be accepted
+     */
+    function minNextBid() public view returns (uint) {
+        uint increment = (highestBid * minBidIncrementBps) / MAX_BPS;
+        if (minBidIncrement > increment) increment = minBidIncrement;
+        if (increment == 0) increment = 1;
+        return highestBid + increment;
+    }
+
+    /**
+     * @dev Returns the lowest amount a bidder's next bid must reach, after the minimum
+     * increment discount from their staking perks
+     * @param bidder Address of the bidder
+     */
+    function minNextBidFor(address bidder) public view returns (uint) {
+        uint discountBps = rewardToken.perksOf(bidder).incrementDiscountBps;
+        uint increment = minNextBid() - highestBid;
+        increment -= (increment * discountBps) / MAX_BPS;
+        if (increment == 0) increment = 1;
+        return highestBid + increment;
+    }
+
+    /**
+     * @dev Returns true once the highest bid has reached the reserve price
+     */
+    function reserveMet() public view returns (bool) {
+        return highestBidder != address(0) && highestBid >= reservePrice;
+    }
+
+    /**
+     * @dev Returns whether an address may bid. Open auctions admit everyone; private ones
+     * admit allowlisted addresses with a valid proof and holders of enough participation points.
+     * @param bidder Address of the bidder
+     * @param proof Merkle proof of the bidder's allowlist entry, empty if not needed
+     */
+    function isEligible(address bidder, bytes32[] memory proof) public view returns (bool) {
+        if (allowlistRoot == bytes32(0) && minParticipationBalance == 0) return true;
+        if (allowlistRoot != bytes32(0)) {
+            bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(bidder))));
+            if (MerkleProof.verify(proof, allowlistRoot, leaf)) return true;
+        }
+        return minParticipationBalance > 0 && rewardToken.balanceOf(bidder) >= minParticipationBalance;
+    }
+
+    /**
+     * @dev Returns the revenue split recipients and their shares
+     */
+    function getSplits() external view returns (Share[] memory) {
+        return splits;
+    }
+
+    /**
+     * @dev Returns the number of bids placed
+     */
+    function getBidHistoryLength() external view returns (uint) {
+        return bidHistory.length;
+    }
+
+    /**
+     * @dev Returns bids in the order they were placed
+     * @param start Sequence number of the first bid to return
+     * @param count Number of bids to return, at most MAX_PAGE_SIZE
+     */
+    function getBidHistory(uint start, uint count) external view returns (BidRecord[] memory page) {
+        require(count <= MAX_PAGE_SIZE, "Page too large");
+        require(start < bidHistory.length, "Start out of bounds");
+        if (start + count > bidHistory.length) {
+            count = bidHistory.length - start;
+        }
+
+        page = new BidRecord[](count);
+        for (uint i = 0; i < count; i++) {
+            page[i] = bidHistory[start + i];
+        }
+    }
+
+    /**
+     * @dev Place a bid in the auction. For ETH auctions `msg.value` must equal `amount`.
+     * @param amount Amount of bid tokens to bid
+     */
+    function bid(uint amount) external payable nonReentrant {
+        _bid(msg.sender, amount, address(0), new bytes32[](0));
+    }
+
+    /**
+     * @dev Place a bid in a private auction as an allowlisted address
+     * @param amount Amount of bid tokens to bid
+     * @param proof Merkle proof of the caller's allowlist entry
+     */
+    function bidWithProof(uint amount, bytes32[] calldata proof) external payable nonReentrant {
+        _bid(msg.sender, amount, address(0), proof);
+    }
+
+    /**
+     * @dev Place a bid crediting a referrer, who earns the referrer fee if this bid wins
+     * @param amount Amount of bid tokens to bid
+     * @param referrer Address that referred the bidder
+     */
+    function bidWithReferrer(uint amount, address referrer) external payable nonReentrant {
+        require(referrer != msg.sender, "Invalid referrer");
+        _bid(msg.sender, amount, referrer, new bytes32[](0));
     }
 
     /**
-     * @dev Place a bid in the auction
+     * @dev Approve the bid amount with an EIP-2612 permit and bid in one transaction.
+     * A permit that fails, for example because it was front-run, is ignored if the
+     * allowance is already in place.
      * @param amount Amount of bid tokens to bid
+     * @param deadline Permit expiry
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
      */
-    function bid(uint amount) external nonReentrant {
+    function bidWithPermit(
+        uint amount,
+        uint deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        require(!nativeBidding, "Permit unsupported");
+        try IERC20Permit(address(bidToken)).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        _bid(msg.sender, amount, address(0), new bytes32[](0));
+    }
+
+    /**
+     * @dev Submit a bid signed off-chain by `bidder`. Anyone may relay it; the tokens are
+     * pulled from the bidder, who must have approved this auction. Each signature carries
+     * the bidder's next nonce for this auction, so it can only be used once.
+     * @param bidder Address that signed the bid
+     * @param amount Amount of bid tokens to bid
+     * @param nonce Bidder's current nonce, see `nonces`
+     * @param deadline Time after which the signature is no longer valid
+     * @param signature EIP-712 signature over SignedBid
+     */
+    function bidWithSignature(
+        address bidder,
+        uint amount,
+        uint nonce,
+        uint deadline,
+        bytes calldata signature
+    ) external nonReentrant {
+        require(!nativeBidding, "Signed bids unsupported");
+        require(block.timestamp <= deadline, "Signature expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(SIGNED_BID_TYPEHASH, address(this), bidder, amount, nonce, deadline)
+        );
+        require(ECDSA.recover(_hashTypedDataV4(structHash), signature) == bidder, "Invalid signature");
+        require(nonce == _useNonce(bidder), "Invalid nonce");
+
+        _bid(bidder, amount, address(0), new bytes32[](0));
+    }
+
+    function _bid(address bidder, uint amount, address referrer, bytes32[] memory proof) internal {
         // Check if auction is still active
+        require(!cancelled, "Auction cancelled");
+        if (block.timestamp < startTime) revert AuctionNotStarted(startTime);
         require(block.timestamp < endTime, "Auction ended");
-        require(amount > highestBid, "Bid too low");
+        if (block.timestamp < publicStartTime) {
+            require(
+                publicStartTime - block.timestamp <= rewardToken.perksOf(bidder).earlyAccess,
+                "Not open yet"
+            );
+        }
+        require(isEligible(bidder, proof), "Not allowlisted");
+        require(amount >= minNextBidFor(bidder), "Bid too low");
         
-        // Refund the previous highest bidder
+        // Credit the previous highest bidder; they pull the refund with withdrawRefund
         if (highestBidder != address(0)) {
-            require(bidToken.transfer(highestBidder, highestBid), "Refund failed");
+            _creditRefund(highestBidder, highestBid);
         }
         
         // Transfer tokens from bidder to the contract
-        require(bidToken.transferFrom(msg.sender, address(this), amount), "Transfer failed");
+        if (nativeBidding) {
+            require(msg.value == amount, "Incorrect value");
+        } else {
+            require(msg.value == 0, "Unexpected value");
+            require(bidToken.transferFrom(bidder, address(this), amount), "Transfer failed");
+        }
         
         // Update auction state
+        uint increase = amount - highestBid;
         highestBid = amount;
-        highestBidder = msg.sender;
+        highestBidder = bidder;
+        highestBidReferrer = referrer;
+        if (bidCount[bidder]++ == 0) {
+            uniqueBidderCount++;
+            // Clones initialized outside a factory have nowhere to list their bidders
+            if (factory.code.length > 0) AuctionFactory(factory).recordBidder(bidder);
+        }
         
-        // Extend auction if bid is placed in the last 5 minutes
-        if (endTime - block.timestamp < 5 minutes) {
-            endTime += 5 minutes;
+        // A buy-now bid closes bidding; otherwise extend the auction if the bid is
+        // placed within the extension window, up to the cap
+        bool buyNow = buyNowPrice > 0 && amount >= buyNowPrice;
+        bool extended = !buyNow && endTime - block.timestamp < extensionWindow && endTime < maxEndTime;
+        if (buyNow) {
+            boughtNow = true;
+            endTime = block.timestamp;
+            emit BoughtNow(bidder, amount);
+        } else if (buyNowPrice > 0 && buyNowUntilFirstBid) {
+            buyNowPrice = 0;
+            emit BuyNowPriceRemoved();
+        }
+        if (extended) {
+            uint newEndTime = endTime + extensionDuration;
+            endTime = newEndTime > maxEndTime ? maxEndTime : newEndTime;
+            extensionCount++;
             emit AuctionExtended(endTime);
         }
+        bidHistory.push(BidRecord(bidder, uint64(block.timestamp), extended, amount));
         
-        // Reward bidder with participation token
-        rewardToken.mint(msg.sender);
+        // Reward bidder with participation tokens under the auction's schedule
+        rewardToken.rewardBid(bidder, amount, increase, extended);
         
-        emit BidPlaced(msg.sender, amount);
+        emit BidPlaced(bidder, amount);
     }
 
     /**
-     * @dev Settle the auction and transfer the highest bid to the beneficiary
-     * Can only be called after the auction has ended
+     * @dev Claim the bid tokens credited to the caller after being outbid, or from a
+     * settlement payout that could not be sent
+     */
+    function withdrawRefund() external nonReentrant {
+        uint amount = pendingReturns[msg.sender];
+        require(amount > 0, "Nothing to refund");
+
+        pendingReturns[msg.sender] = 0;
+        require(bidToken.pay(msg.sender, amount), "Refund failed");
+
+        emit RefundClaimed(msg.sender, amount);
+    }
+
+    /**
+     * @dev Settle the auction: the highest bid goes to the beneficiary and the lot to the winner.
+     * If the reserve price was not met the highest bid is credited back and the lot returned
+     * to the seller. An auction with a lot and no bids settles by returning the lot.
+     * Can only be called after the auction has ended, or once a buy-now bid has closed it
      */
     function withdraw() external nonReentrant {
-        require(block.timestamp > endTime, "Auction ongoing");
+        require(!cancelled, "Auction cancelled");
+        require(block.timestamp > endTime || boughtNow, "Auction ongoing");
         require(!settled, "Already settled");
-        require(highestBidder != address(0), "No bids placed");
+        require(highestBidder != address(0) || lot.kind != LotKind.None, "No bids placed");
         
         settled = true;
+
+        if (highestBidder == address(0)) {
+            _transferLot(seller);
+            return;
+        }
+
+        if (highestBid < reservePrice) {
+            _creditRefund(highestBidder, highestBid);
+            _transferLot(seller);
+            emit ReserveNotMet(highestBidder, highestBid);
+            return;
+        }
         
-        // Transfer highest bid to the beneficiary
-        require(bidToken.transfer(beneficiary, highestBid), "Withdraw failed");
+        // Pay fees and splits, then the rest of the highest bid to the beneficiary
+        uint protocolFee = (highestBid * protocolFeeBps) / MAX_BPS;
+        uint referrerFee;
+        if (highestBidReferrer != address(0)) {
+            referrerFee = (highestBid * referrerFeeBps) / MAX_BPS;
+        }
+        uint sellerProceeds = highestBid - protocolFee - referrerFee;
+
+        _payOrCredit(feeRecipient, protocolFee);
+        // The referrer is the bidder's choice, so its fee is only ever credited
+        if (referrerFee > 0) _creditRefund(highestBidReferrer, referrerFee);
+
+        uint remaining = sellerProceeds;
+        for (uint i = 0; i < splits.length; i++) {
+            uint share = (sellerProceeds * splits[i].bps) / MAX_BPS;
+            remaining -= share;
+            _payOrCredit(splits[i].recipient, share);
+        }
+        _payOrCredit(beneficiary, remaining);
+        _transferLot(highestBidder);
+        rewardToken.rewardWinner(highestBidder);
         
-        emit AuctionSettled(highestBidder, highestBid);
+        emit AuctionSettled(highestBidder, highestBid, protocolFee, referrerFee, sellerProceeds);
+    }
+
+    /**
+     * @dev Cancel the auction and return the lot to the seller. The current leader,
+     * if any, is credited a full refund claimable through withdrawRefund.
+     * Sellers may cancel before the first bid, or later while bidding is open if
+     * `cancellableWithBids` is set. An emergency cancel skips both checks and can
+     * be used at any point before settlement.
+     * @param emergency True when the factory owner is overriding the seller rules
+     */
+    function cancel(bool emergency) external onlyFactory nonReentrant {
+        require(!cancelled, "Auction cancelled");
+        require(!settled, "Already settled");
+        if (!emergency) {
+            require(block.timestamp < endTime, "Auction ended");
+            require(highestBidder == address(0) || cancellableWithBids, "Bids placed");
+        }
+
+        cancelled = true;
+        address refundedBidder = highestBidder;
+        uint refundAmount = highestBid;
+        if (refundedBidder != address(0)) {
+            _creditRefund(refundedBidder, refundAmount);
+        }
+        _transferLot(seller);
+
+        emit AuctionCancelled(refundedBidder, refundAmount, emergency);
+    }
+
+    /**
+     * @dev Change the address that receives the winning bid. Only possible before any bids.
+     * @param newBeneficiary Address that will receive the highest bid
+     */
+    function setBeneficiary(address newBeneficiary) external onlyFactory {
+        require(newBeneficiary != address(0), "Invalid beneficiary");
+        require(!cancelled, "Auction cancelled");
+        require(highestBidder == address(0), "Bids placed");
+
+        emit BeneficiaryUpdated(beneficiary, newBeneficiary);
+        beneficiary = newBeneficiary;
+    }
+
+    /**
+     * @dev Replace the bidder gating. Removing an address from the allowlist takes effect
+     * for its next bid; a bid it already placed stands.
+     * @param newAllowlistRoot Merkle root of allowed bidders, 0 for none
+     * @param newMinParticipationBalance PP balance that admits a bidder, 0 for none
+     */
+    function setAllowlist(bytes32 newAllowlistRoot, uint newMinParticipationBalance) external onlyFactory {
+        require(!cancelled, "Auction cancelled");
+        require(!settled, "Already settled");
+
+        allowlistRoot = newAllowlistRoot;
+        minParticipationBalance = newMinParticipationBalance;
+        emit AllowlistUpdated(newAllowlistRoot, newMinParticipationBalance);
+    }
+
+    /**
+     * @dev Pays out part of the winning bid. If the transfer fails the amount is credited
+     * to the recipient for withdrawRefund instead, so no recipient can block settlement.
+     */
+    function _payOrCredit(address to, uint amount) internal {
+        if (amount == 0) return;
+        if (!bidToken.tryPay(to, amount)) _creditRefund(to, amount);
+    }
+
+    function _creditRefund(address bidder, uint amount) internal {
+        pendingReturns[bidder] += amount;
+        emit RefundCredited(bidder, amount);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,169 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./AuctionFactory.sol";
+import "./BidPayments.sol";
+import "./LotEscrow.sol";
+import "./ParticipationToken.sol";
+
+/**
+ * @title DutchAuction
+ * @dev A descending-price auction. The price falls from `startPrice` to `floorPrice` over the
+ * auction, either continuously or in equal steps. The first buyer at the current price wins
+ * and the sale settles in the same transaction, handing the buyer the escrowed lot if there is
+ * one. The buyer receives a participation token. A lot nobody buys goes back to the seller.
+ */
+contract DutchAuction is LotEscrow {
+    using BidPayments for IERC20;
+
+    address public constant NATIVE_TOKEN = BidPayments.NATIVE_TOKEN;
+
+    enum DecayType { Linear, Stepped }
+
+    /**
+     * @dev Price schedule chosen by the seller at creation time. For stepped decay the
+     * price drops once every `stepDuration` seconds; it is ignored for linear decay.
+     * The optional `lot` is the item for sale.
+     */
+    struct DutchConfig {
+        uint startPrice;
+        uint floorPrice;
+        DecayType decay;
+        uint stepDuration;
+        Lot lot;
+    }
+
+    // Immutable state variables that cannot be changed after deployment
+    IERC20 public immutable bidToken;              // ERC20 token used for payment, or NATIVE_TOKEN
+    bool public immutable nativeBidding;            // True when the price is paid in ETH
+    ParticipationToken public immutable rewardToken; // Token rewarded to the buyer
+    address public immutable beneficiary;           // Address that receives the sale price
+    address public immutable seller;                // Address that gets the lot back if unsold
+    address public immutable factory;               // Deployer that lists the buyer
+    uint public immutable startTime;
+    uint public immutable endTime;                  // Time at which the price reaches the floor
+    uint public immutable startPrice;
+    uint public immutable floorPrice;
+    DecayType public immutable decay;
+    uint public immutable stepDuration;
+
+    // Auction state
+    address public winner;
+    uint public finalPrice;
+    bool public settled;
+
+    event AuctionSettled(address winner, uint amount);
+
+    /**
+     * @dev Sets up the auction with the specified parameters. The caller becomes the
+     * `factory` that lists the auction's bidders.
+     * @param _bidToken Address of the ERC20 token used for payment, or NATIVE_TOKEN for ETH
+     * @param _duration Time in seconds for the price to fall from start to floor
+     * @param _rewardToken Address of the participation token
+     * @param _beneficiary Address that will receive the sale price
+     * @param _seller Address that receives the lot back if it is not sold
+     * @param _config Start price, floor price, decay schedule and lot
+     */
+    constructor(
+        address _bidToken,
+        uint _duration,
+        address _rewardToken,
+        address _beneficiary,
+        address _seller,
+        DutchConfig memory _config
+    ) {
+        require(_beneficiary != address(0), "Invalid beneficiary");
+        require(_seller != address(0), "Invalid seller");
+        require(_duration > 0, "Invalid duration");
+        require(_config.startPrice > _config.floorPrice, "Invalid price schedule");
+        require(
+            _config.decay == DecayType.Linear ||
+                (_config.stepDuration > 0 && _config.stepDuration <= _duration),
+            "Invalid price schedule"
+        );
+        bidToken = IERC20(_bidToken);
+        nativeBidding = _bidToken == NATIVE_TOKEN;
+        rewardToken = ParticipationToken(_rewardToken);
+        beneficiary = _beneficiary;
+        seller = _seller;
+        factory = msg.sender;
+        startTime = block.timestamp;
+        endTime = block.timestamp + _duration;
+        startPrice = _config.startPrice;
+        floorPrice = _config.floorPrice;
+        decay = _config.decay;
+        stepDuration = _config.stepDuration;
+        _setLot(_config.lot);
+    }
+
+    /**
+     * @dev Returns the price a buyer pays right now
+     */
+    function currentPrice() public view returns (uint) {
+        if (block.timestamp >= endTime) return floorPrice;
+
+        uint duration = endTime - startTime;
+        uint elapsed = block.timestamp - startTime;
+        if (decay == DecayType.Stepped) {
+            // Drop in equal steps so that the floor is reached on the last step
+            uint steps = duration / stepDuration;
+            uint stepsTaken = elapsed / stepDuration;
+            if (stepsTaken >= steps) return floorPrice;
+            return startPrice - ((startPrice - floorPrice) * stepsTaken) / steps;
+        }
+        return startPrice - ((startPrice - floorPrice) * elapsed) / duration;
+    }
+
+    /**
+     * @dev Buy at the current price, ending the auction. The price is paid straight to
+     * the beneficiary and the lot, if any, goes to the buyer. For ETH auctions send at least the current price; any excess is returned.
+     * @param maxPrice Highest price the buyer accepts
+     */
+    function buy(uint maxPrice) external payable nonReentrant {
+        require(!settled, "Already settled");
+        require(block.timestamp <= endTime, "Auction ended");
+
+        uint price = currentPrice();
+        require(price <= maxPrice, "Price too high");
+
+        winner = msg.sender;
+        finalPrice = price;
+        settled = true;
+
+        if (nativeBidding) {
+            require(msg.value >= price, "Incorrect value");
+            require(bidToken.pay(beneficiary, price), "Payment failed");
+            if (msg.value > price) {
+                require(bidToken.pay(msg.sender, msg.value - price), "Refund failed");
+            }
+        } else {
+            require(msg.value == 0, "Unexpected value");
+            require(bidToken.transferFrom(msg.sender, beneficiary, price), "Transfer failed");
+        }
+
+        // Auctions deployed outside a factory have nowhere to list their buyer
+        if (factory.code.length > 0) AuctionFactory(factory).recordBidder(msg.sender);
+
+        // Reward buyer with participation tokens; the buyer is also the winner
+        rewardToken.rewardBid(msg.sender, price, price, false);
+        rewardToken.rewardWinner(msg.sender);
+        _transferLot(msg.sender);
+
+        emit AuctionSettled(msg.sender, price);
+    }
+
+    /**
+     * @dev Close an auction nobody bought, returning the lot to the seller.
+     * Can only be called after the auction has ended.
+     */
+    function settle() external nonReentrant {
+        require(block.timestamp > endTime, "Auction ongoing");
+        require(!settled, "Already settled");
+
+        settled = true;
+        _transferLot(seller);
+
+        emit AuctionSettled(address(0), 0);
+    }
+}
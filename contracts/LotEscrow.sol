@@ -0,0 +1,80 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC721/utils/ERC721Holder.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
+
+/**
+ * @title LotEscrow
+ * @dev Holds the optional ERC721 or ERC1155 lot an auction sells. The factory deposits the
+ * lot once the auction exists; the auction hands it to the winner, or back to the seller
+ * when nothing is sold.
+ */
+abstract contract LotEscrow is ReentrancyGuard, ERC721Holder, ERC1155Holder {
+    enum LotKind { None, ERC721, ERC1155 }
+
+    /**
+     * @dev Item sold by the auction. For ERC721 lots `amount` is always 1.
+     */
+    struct Lot {
+        LotKind kind;
+        address token;
+        uint tokenId;
+        uint amount;
+    }
+
+    Lot public lot;
+    address public lotClaimant;                     // Holder of an ERC1155 lot it could not receive
+
+    event LotTransferred(address indexed to, address indexed token, uint tokenId, uint amount);
+    event LotHeld(address indexed claimant, address indexed token, uint tokenId, uint amount);
+
+    /**
+     * @dev Send an ERC1155 lot that was held because its recipient could not receive it
+     * @param to Address to deliver the lot to
+     */
+    function claimLot(address to) external nonReentrant {
+        require(msg.sender == lotClaimant, "Nothing to claim");
+        lotClaimant = address(0);
+
+        Lot memory item = lot;
+        IERC1155(item.token).safeTransferFrom(address(this), to, item.tokenId, item.amount, "");
+        emit LotTransferred(to, item.token, item.tokenId, item.amount);
+    }
+
+    function _setLot(Lot memory _lot) internal {
+        require(
+            _lot.kind == LotKind.None
+                ? _lot.token == address(0)
+                : _lot.token != address(0) && _lot.amount > 0,
+            "Invalid lot"
+        );
+        lot = _lot;
+        if (_lot.kind == LotKind.ERC721) lot.amount = 1;
+    }
+
+    /**
+     * @dev Moves the escrowed lot out of the auction, if there is one. An ERC1155 lot the
+     * recipient rejects is held for it to collect with claimLot, so the auction still closes.
+     */
+    function _transferLot(address to) internal {
+        Lot memory item = lot;
+        if (item.kind == LotKind.None) return;
+
+        if (item.kind == LotKind.ERC721) {
+            IERC721(item.token).transferFrom(address(this), to, item.tokenId);
+        } else {
+            try IERC1155(item.token).safeTransferFrom(address(this), to, item.tokenId, item.amount, "") {
+            } catch {
+                lotClaimant = to;
+                emit LotHeld(to, item.token, item.tokenId, item.amount);
+                return;
+            }
+        }
+
+        emit LotTransferred(to, item.token, item.tokenId, item.amount);
+    }
+}
@@ -0,0 +1,271 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
+import "./AuctionFactory.sol";
+import "./BidPayments.sol";
+import "./ParticipationToken.sol";
+
+/**
+ * @title MultiUnitAuction
+ * @dev Sells `totalUnits` identical units at a uniform clearing price. Bidders deposit
+ * quantity * unitPrice; bids are kept in a list sorted by unit price (ties by arrival) and
+ * filled from the top once bidding ends. Every winner pays the unit price of the lowest
+ * filled bid and claims the difference back. Settlement walks the list in bounded batches
+ * so auctions with hundreds of bids can always be settled.
+ * Units are either tracked on-chain only, or backed by an escrowed ERC1155 token.
+ */
+contract MultiUnitAuction is ReentrancyGuard, ERC1155Holder {
+    using BidPayments for IERC20;
+
+    address public constant NATIVE_TOKEN = BidPayments.NATIVE_TOKEN;
+
+    /**
+     * @dev Settings chosen by the seller at creation time. When `unitToken` is set,
+     * `totalUnits` of ERC1155 id `unitTokenId` are held by the auction and delivered on claim.
+     */
+    struct MultiUnitConfig {
+        uint totalUnits;
+        uint reservePrice;
+        address unitToken;
+        uint unitTokenId;
+    }
+
+    struct Bid {
+        address bidder;
+        uint quantity;
+        uint unitPrice;
+        uint next;
+        uint allocated;
+        bool claimed;
+    }
+
+    // Immutable state variables that cannot be changed after deployment
+    IERC20 public immutable bidToken;              // ERC20 token used for bidding, or NATIVE_TOKEN
+    bool public immutable nativeBidding;            // True when bids are paid in ETH
+    ParticipationToken public immutable rewardToken; // Token rewarded to bidders
+    address public immutable beneficiary;           // Address that receives the proceeds
+    address public immutable seller;                // Address that gets unsold units back
+    address public immutable factory;               // Deployer that lists the bidders
+    uint public immutable endTime;
+    uint public immutable totalUnits;
+    uint public immutable reservePrice;             // Lowest accepted unit price
+    address public immutable unitToken;             // Optional ERC1155 backing the units
+    uint public immutable unitTokenId;
+
+    // Auction state. bids[0] is the head of the sorted list and never a real bid.
+    Bid[] public bids;
+    mapping(address => uint[]) private bidIdsByBidder;
+    uint public settlementCursor;                   // Last bid processed by settle
+    uint public remainingUnits;
+    uint public unitsSold;
+    uint public clearingPrice;
+    uint public unclaimedProceeds;                  // Proceeds the beneficiary could not be sent
+    bool public settled;
+
+    event BidPlaced(uint indexed bidId, address indexed bidder, uint quantity, uint unitPrice);
+    event AuctionSettled(uint clearingPrice, uint unitsSold);
+    event AllocationClaimed(uint indexed bidId, address indexed bidder, uint units, uint refund);
+    event ProceedsCredited(address indexed beneficiary, uint amount);
+    event ProceedsWithdrawn(address indexed to, uint amount);
+
+    /**
+     * @dev Sets up the auction with the specified parameters. The caller becomes the
+     * `factory` that lists the auction's bidders.
+     * @param _bidToken Address of the ERC20 token used for bidding, or NATIVE_TOKEN for ETH
+     * @param _duration Duration of the auction in seconds
+     * @param _rewardToken Address of the participation token
+     * @param _beneficiary Address that will receive the proceeds
+     * @param _seller Address that receives unsold ERC1155 units
+     * @param _config Unit supply, reserve price and optional ERC1155 unit token
+     */
+    constructor(
+        address _bidToken,
+        uint _duration,
+        address _rewardToken,
+        address _beneficiary,
+        address _seller,
+        MultiUnitConfig memory _config
+    ) {
+        require(_beneficiary != address(0), "Invalid beneficiary");
+        require(_seller != address(0), "Invalid seller");
+        require(_config.totalUnits > 0, "Invalid units");
+        bidToken = IERC20(_bidToken);
+        nativeBidding = _bidToken == NATIVE_TOKEN;
+        rewardToken = ParticipationToken(_rewardToken);
+        beneficiary = _beneficiary;
+        seller = _seller;
+        factory = msg.sender;
+        endTime = block.timestamp + _duration;
+        totalUnits = _config.totalUnits;
+        reservePrice = _config.reservePrice;
+        unitToken = _config.unitToken;
+        unitTokenId = _config.unitTokenId;
+        remainingUnits = _config.totalUnits;
+
+        bids.push(Bid(address(0), 0, type(uint).max, 0, 0, true));
+    }
+
+    /**
+     * @dev Returns the number of bids placed
+     */
+    function getBidCount() external view returns (uint) {
+        return bids.length - 1;
+    }
+
+    /**
+     * @dev Returns the IDs of all bids placed by a bidder
+     * @param bidder Address of the bidder
+     */
+    function getBidIds(address bidder) external view returns (uint[] memory) {
+        return bidIdsByBidder[bidder];
+    }
+
+    /**
+     * @dev Returns the bid after which a new bid at `unitPrice` belongs. Pass it as the
+     * hint to `bid` so insertion does not have to walk the list on-chain.
+     * @param unitPrice Unit price of the new bid
+     */
+    function findInsertPosition(uint unitPrice) external view returns (uint prev) {
+        while (bids[prev].next != 0 && bids[bids[prev].next].unitPrice >= unitPrice) {
+            prev = bids[prev].next;
+        }
+    }
+
+    /**
+     * @dev Place a bid for `quantity` units at `unitPrice` each. The full amount is deposited;
+     * for ETH auctions `msg.value` must equal quantity * unitPrice.
+     * @param quantity Number of units wanted
+     * @param unitPrice Highest price paid per unit
+     * @param hint Bid at or above this price to start searching from, see findInsertPosition
+     * @return bidId ID of the new bid
+     */
+    function bid(uint quantity, uint unitPrice, uint hint) external payable nonReentrant returns (uint bidId) {
+        require(block.timestamp < endTime, "Auction ended");
+        require(quantity > 0 && quantity <= totalUnits, "Invalid quantity");
+        require(unitPrice > 0 && unitPrice >= reservePrice, "Bid too low");
+        require(hint < bids.length && bids[hint].unitPrice >= unitPrice, "Invalid hint");
+
+        uint deposit = quantity * unitPrice;
+        if (nativeBidding) {
+            require(msg.value == deposit, "Incorrect value");
+        } else {
+            require(msg.value == 0, "Unexpected value");
+            require(bidToken.transferFrom(msg.sender, address(this), deposit), "Transfer failed");
+        }
+
+        // Equal prices keep arrival order, so walk past them
+        uint prev = hint;
+        while (bids[prev].next != 0 && bids[bids[prev].next].unitPrice >= unitPrice) {
+            prev = bids[prev].next;
+        }
+
+        bidId = bids.length;
+        bids.push(Bid(msg.sender, quantity, unitPrice, bids[prev].next, 0, false));
+        bids[prev].next = bidId;
+        bidIdsByBidder[msg.sender].push(bidId);
+
+        // Auctions deployed outside a factory have nowhere to list their bidders
+        if (bidIdsByBidder[msg.sender].length == 1 && factory.code.length > 0) {
+            AuctionFactory(factory).recordBidder(msg.sender);
+        }
+
+        // Reward bidder with participation token
+        rewardToken.rewardBid(msg.sender, deposit, deposit, false);
+
+        emit BidPlaced(bidId, msg.sender, quantity, unitPrice);
+    }
+
+    /**
+     * @dev Fill bids from the highest price down, processing at most `maxBids` bids.
+     * Call repeatedly until `settled` is true. The final call pays the proceeds to the
+     * beneficiary and returns unsold ERC1155 units to the seller. Proceeds the beneficiary
+     * cannot receive are kept for withdrawProceeds, so bidders can always claim.
+     * @param maxBids Maximum number of bids to process in this call
+     */
+    function settle(uint maxBids) external nonReentrant {
+        require(block.timestamp > endTime, "Auction ongoing");
+        require(!settled, "Already settled");
+        require(maxBids > 0, "Invalid batch");
+
+        uint cursor = settlementCursor;
+        uint remaining = remainingUnits;
+        uint price = clearingPrice;
+        for (uint i = 0; i < maxBids && remaining > 0; i++) {
+            uint nextId = bids[cursor].next;
+            if (nextId == 0) break;
+
+            Bid storage entry = bids[nextId];
+            uint fill = entry.quantity < remaining ? entry.quantity : remaining;
+            entry.allocated = fill;
+            remaining -= fill;
+            price = entry.unitPrice;
+            cursor = nextId;
+        }
+
+        settlementCursor = cursor;
+        remainingUnits = remaining;
+        clearingPrice = price;
+
+        if (remaining > 0 && bids[cursor].next != 0) return;
+
+        settled = true;
+        unitsSold = totalUnits - remaining;
+
+        uint proceeds = unitsSold * price;
+        if (proceeds > 0 && !bidToken.tryPay(beneficiary, proceeds)) {
+            unclaimedProceeds = proceeds;
+            emit ProceedsCredited(beneficiary, proceeds);
+        }
+        if (unitToken != address(0) && remaining > 0) {
+            IERC1155(unitToken).safeTransferFrom(address(this), seller, unitTokenId, remaining, "");
+        }
+
+        emit AuctionSettled(price, unitsSold);
+    }
+
+    /**
+     * @dev Send the beneficiary proceeds that could not be paid on settlement
+     * @param to Address to send the proceeds to
+     */
+    function withdrawProceeds(address to) external nonReentrant {
+        require(msg.sender == beneficiary, "Not beneficiary");
+        uint amount = unclaimedProceeds;
+        require(amount > 0, "Nothing to withdraw");
+
+        unclaimedProceeds = 0;
+        require(bidToken.pay(to, amount), "Withdraw failed");
+
+        emit ProceedsWithdrawn(to, amount);
+    }
+
+    /**
+     * @dev Claim the units allocated to a bid and the refund of its unused deposit.
+     * Losing bids get their full deposit back.
+     * @param bidId ID of the caller's bid
+     */
+    function claim(uint bidId) external nonReentrant {
+        require(settled, "Not settled");
+        require(bidId > 0 && bidId < bids.length, "Invalid bid");
+
+        Bid storage entry = bids[bidId];
+        require(entry.bidder == msg.sender, "Not bidder");
+        require(!entry.claimed, "Already claimed");
+
+        entry.claimed = true;
+        uint units = entry.allocated;
+        uint refund = entry.quantity * entry.unitPrice - units * clearingPrice;
+
+        if (refund > 0) {
+            require(bidToken.pay(msg.sender, refund), "Refund failed");
+        }
+        if (unitToken != address(0) && units > 0) {
+            IERC1155(unitToken).safeTransferFrom(address(this), msg.sender, unitTokenId, units, "");
+        }
+
+        emit AllocationClaimed(bidId, msg.sender, units, refund);
+    }
+}
@@ -2,24 +2,268 @@
 pragma solidity ^0.8.17;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 
 /**
  * @title ParticipationToken
- * @dev Simple ERC20 for rewarding bidders
+ * @dev ERC20 for rewarding bidders. Each auction has a reward schedule, which defaults
+ * to 1 PP per bid when the auction is allowed to mint.
+ * Access is role based: the admin manages roles, registrars (auction factories) add and
+ * remove minting auctions and set reward schedules, and minters are the auctions themselves.
+ * Moving to a new factory only takes granting it REGISTRAR_ROLE and revoking the old one.
+ * Rewards stop at the supply cap rather than reverting, so bidding keeps working.
+ * In soulbound mode points cannot move between wallets but can still be burned. Holders
+ * can stake points to unlock perks in auctions; staked points cannot be moved or burned
+ * until the lock ends.
  */
-contract ParticipationToken is ERC20, Ownable { 
-    mapping(address => bool) public allowedAuctions; 
+contract ParticipationToken is ERC20, AccessControl {
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
 
-    constructor() ERC20("Participation Points", "PP") Ownable(msg.sender){}
+    enum RewardBasis { Flat, BidAmount, BidIncrease }
 
-    function addAllowedAuction(address auction) external onlyOwner {
-        allowedAuctions[auction] = true; 
+    /**
+     * @dev How an auction rewards its bidders. Every bid earns `baseReward`, plus
+     * `rate` PP per 1e18 units of the bid amount or of the raise over the previous
+     * highest bid, plus `extensionBonus` if it extended the auction. Bid rewards per
+     * bidder per auction stop at `capPerBidder` (0 for no cap). The winner receives
+     * `winnerBonus` once, on settlement.
+     */
+    struct RewardSchedule {
+        RewardBasis basis;
+        uint baseReward;
+        uint rate;
+        uint capPerBidder;
+        uint extensionBonus;
+        uint winnerBonus;
     }
 
-    function mint(address to) external {
-        require(allowedAuctions[msg.sender], "Only approved auctions"); 
-        _mint(to, 1 * 10**decimals()); // 1 PP per bid
+    /**
+     * @dev Perks for stakers of at least `minStake`. `earlyAccess` is how long before an
+     * auction opens to the public the staker may bid; `incrementDiscountBps` reduces the
+     * minimum bid increment they must beat the highest bid by.
+     */
+    struct PerkTier {
+        uint minStake;
+        uint earlyAccess;
+        uint incrementDiscountBps;
+    }
+
+    uint public immutable supplyCap;
+    bool public soulbound;
+    uint public stakeLockDuration = 7 days;
+    PerkTier[] private perkTiers;                   // Sorted by minStake, ascending
+    mapping(address => uint) public stakedBalance;
+    mapping(address => uint) public stakeUnlockTime;
+    mapping(address => RewardSchedule) public rewardSchedules;
+    mapping(address => mapping(address => uint)) public rewardsEarned; // auction => bidder => PP from bids
+
+    event RewardScheduleUpdated(address indexed auction, RewardSchedule schedule);
+    event SoulboundUpdated(bool soulbound);
+    event StakeLockDurationUpdated(uint duration);
+    event PerkTiersUpdated(PerkTier[] tiers);
+    event Staked(address indexed account, uint amount, uint unlockTime);
+    event Unstaked(address indexed account, uint amount);
+
+    /**
+     * @dev The deployer becomes admin and registrar
+     * @param _supplyCap Maximum total supply of PP
+     */
+    constructor(uint _supplyCap) ERC20("Participation Points", "PP") {
+        require(_supplyCap > 0, "Invalid cap");
+        supplyCap = _supplyCap;
+        _setRoleAdmin(MINTER_ROLE, REGISTRAR_ROLE);
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(REGISTRAR_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Returns whether an auction may mint rewards
+     * @param auction Address of the auction
+     */
+    function allowedAuctions(address auction) external view returns (bool) {
+        return hasRole(MINTER_ROLE, auction);
+    }
+
+    /**
+     * @dev Lets an auction mint rewards under the default schedule of 1 PP per bid
+     * @param auction Address of the auction
+     */
+    function addAllowedAuction(address auction) external onlyRole(REGISTRAR_ROLE) {
+        _grantRole(MINTER_ROLE, auction);
+        _setRewardSchedule(auction, RewardSchedule(RewardBasis.Flat, 1 * 10**decimals(), 0, 0, 0, 0));
+    }
+
+    /**
+     * @dev Stops an auction from minting rewards. Bids in it still succeed, unrewarded.
+     * @param auction Address of the auction
+     */
+    function removeAllowedAuction(address auction) external onlyRole(REGISTRAR_ROLE) {
+        _revokeRole(MINTER_ROLE, auction);
+    }
+
+    /**
+     * @dev Replaces the reward schedule of an auction
+     * @param auction Address of the auction
+     * @param schedule New reward schedule
+     */
+    function setRewardSchedule(
+        address auction,
+        RewardSchedule calldata schedule
+    ) external onlyRole(REGISTRAR_ROLE) {
+        require(hasRole(MINTER_ROLE, auction), "Unknown auction");
+        require(schedule.basis != RewardBasis.Flat || schedule.rate == 0, "Invalid schedule");
+        _setRewardSchedule(auction, schedule);
+    }
+
+    /**
+     * @dev Rewards a bid under the calling auction's schedule, up to the bidder's cap.
+     * Callers that are not allowed auctions get nothing, so revoking an auction never
+     * blocks its bids or settlement.
+     * @param bidder Address that placed the bid
+     * @param amount Size of the bid
+     * @param increase Raise over the previous highest bid
+     * @param extended Whether the bid extended the auction
+     * @return reward Amount of PP minted
+     */
+    function rewardBid(
+        address bidder,
+        uint amount,
+        uint increase,
+        bool extended
+    ) external returns (uint reward) {
+        if (!hasRole(MINTER_ROLE, msg.sender)) return 0;
+        RewardSchedule storage schedule = rewardSchedules[msg.sender];
+        reward = schedule.baseReward;
+        if (schedule.basis == RewardBasis.BidAmount) {
+            reward += (amount * schedule.rate) / 1e18;
+        } else if (schedule.basis == RewardBasis.BidIncrease) {
+            reward += (increase * schedule.rate) / 1e18;
+        }
+        if (extended) reward += schedule.extensionBonus;
+
+        uint earned = rewardsEarned[msg.sender][bidder];
+        if (schedule.capPerBidder > 0 && earned + reward > schedule.capPerBidder) {
+            reward = schedule.capPerBidder > earned ? schedule.capPerBidder - earned : 0;
+        }
+        reward = _capped(reward);
+        if (reward == 0) return 0;
+
+        rewardsEarned[msg.sender][bidder] = earned + reward;
+        _mint(bidder, reward);
+    }
+
+    /**
+     * @dev Mints the calling auction's winner bonus, if any. Does nothing for callers that
+     * are not allowed auctions.
+     * @param winner Address that won the auction
+     */
+    function rewardWinner(address winner) external {
+        if (!hasRole(MINTER_ROLE, msg.sender)) return;
+        uint bonus = _capped(rewardSchedules[msg.sender].winnerBonus);
+        if (bonus > 0) _mint(winner, bonus);
+    }
+
+    function _capped(uint amount) internal view returns (uint) {
+        uint remaining = supplyCap - totalSupply();
+        return amount < remaining ? amount : remaining;
     }
-}
 
+    function _setRewardSchedule(address auction, RewardSchedule memory schedule) internal {
+        rewardSchedules[auction] = schedule;
+        emit RewardScheduleUpdated(auction, schedule);
+    }
+
+    /**
+     * @dev Turns soulbound mode on or off. While on, points can only be minted and burned.
+     * @param _soulbound Whether points are non-transferable
+     */
+    function setSoulbound(bool _soulbound) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        soulbound = _soulbound;
+        emit SoulboundUpdated(_soulbound);
+    }
+
+    /**
+     * @dev Sets how long new stakes stay locked
+     * @param duration Lock duration in seconds
+     */
+    function setStakeLockDuration(uint duration) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        stakeLockDuration = duration;
+        emit StakeLockDurationUpdated(duration);
+    }
+
+    /**
+     * @dev Replaces the staking perk tiers
+     * @param tiers Tiers sorted by strictly increasing `minStake`
+     */
+    function setPerkTiers(PerkTier[] calldata tiers) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        delete perkTiers;
+        for (uint i = 0; i < tiers.length; i++) {
+            require(tiers[i].minStake > 0 && tiers[i].incrementDiscountBps <= 10_000, "Invalid tier");
+            require(i == 0 || tiers[i].minStake > tiers[i - 1].minStake, "Tiers not sorted");
+            perkTiers.push(tiers[i]);
+        }
+        emit PerkTiersUpdated(tiers);
+    }
+
+    /**
+     * @dev Returns the staking perk tiers
+     */
+    function getPerkTiers() external view returns (PerkTier[] memory) {
+        return perkTiers;
+    }
+
+    /**
+     * @dev Returns the perks of the highest tier an account's stake reaches
+     * @param account Address of the holder
+     */
+    function perksOf(address account) external view returns (PerkTier memory perks) {
+        uint staked = stakedBalance[account];
+        for (uint i = perkTiers.length; i > 0; i--) {
+            if (staked >= perkTiers[i - 1].minStake) return perkTiers[i - 1];
+        }
+    }
+
+    /**
+     * @dev Locks points to earn perks. Adding to a stake restarts its lock.
+     * @param amount Amount of points to stake
+     */
+    function stake(uint amount) external {
+        require(amount > 0, "Invalid amount");
+        require(balanceOf(msg.sender) - stakedBalance[msg.sender] >= amount, "Insufficient balance");
+        stakedBalance[msg.sender] += amount;
+        stakeUnlockTime[msg.sender] = block.timestamp + stakeLockDuration;
+        emit Staked(msg.sender, amount, stakeUnlockTime[msg.sender]);
+    }
+
+    /**
+     * @dev Releases staked points once the lock has ended
+     * @param amount Amount of points to unstake
+     */
+    function unstake(uint amount) external {
+        require(amount > 0 && amount <= stakedBalance[msg.sender], "Invalid amount");
+        require(block.timestamp >= stakeUnlockTime[msg.sender], "Stake locked");
+        stakedBalance[msg.sender] -= amount;
+        emit Unstaked(msg.sender, amount);
+    }
+
+    /**
+     * @dev Burns unstaked points of the caller
+     * @param amount Amount of points to burn
+     */
+    function burn(uint amount) external {
+        _burn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Blocks transfers in soulbound mode and keeps staked points in place
+     */
+    function _update(address from, address to, uint value) internal override {
+        if (from != address(0)) {
+            require(to == address(0) || !soulbound, "Soulbound");
+            uint staked = stakedBalance[from];
+            if (staked > 0) require(balanceOf(from) - staked >= value, "Points staked");
+        }
+        super._update(from, to, value);
+    }
+}
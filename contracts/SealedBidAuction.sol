@@ -0,0 +1,267 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./AuctionFactory.sol";
+import "./BidPayments.sol";
+import "./LotEscrow.sol";
+import "./ParticipationToken.sol";
+
+/**
+ * @title SealedBidAuction
+ * @dev A commit-reveal auction. Bidders commit a hash of their bid together with a deposit
+ * that must cover it, then reveal during the reveal phase. The highest revealed bid wins and
+ * pays either its own bid (first-price) or the second-highest bid (Vickrey, second-price).
+ * Participants receive participation tokens when they reveal. An optional escrowed lot goes
+ * to the winner on settlement, or back to the seller if no revealed bid met the reserve.
+ */
+contract SealedBidAuction is LotEscrow {
+    using BidPayments for IERC20;
+
+    address public constant NATIVE_TOKEN = BidPayments.NATIVE_TOKEN;
+
+    enum PricingRule { FirstPrice, SecondPrice }
+    enum UnrevealedPolicy { Refund, Slash }
+
+    /**
+     * @dev Settings chosen by the seller at creation time. Revealed bids below the
+     * reserve cannot win. Deposits of bidders who never reveal are either refunded
+     * or slashed to the beneficiary. The optional `lot` is the item for sale.
+     */
+    struct SealedBidConfig {
+        uint reservePrice;
+        PricingRule pricing;
+        UnrevealedPolicy unrevealedPolicy;
+        Lot lot;
+    }
+
+    struct Commitment {
+        bytes32 hash;
+        uint deposit;
+        bool revealed;
+        bool withdrawn;
+    }
+
+    // Immutable state variables that cannot be changed after deployment
+    IERC20 public immutable bidToken;              // ERC20 token used for bidding, or NATIVE_TOKEN
+    bool public immutable nativeBidding;            // True when deposits are paid in ETH
+    ParticipationToken public immutable rewardToken; // Token rewarded to bidders on reveal
+    address public immutable beneficiary;           // Address that receives the winning price
+    address public immutable seller;                // Address that gets the lot back if unsold
+    address public immutable factory;               // Deployer that lists the bidders
+    uint public immutable commitEndTime;            // End of the commit phase
+    uint public immutable revealEndTime;            // End of the reveal phase
+    uint public immutable reservePrice;             // Lowest bid that can win
+    PricingRule public immutable pricing;
+    UnrevealedPolicy public immutable unrevealedPolicy;
+
+    // Auction state
+    mapping(address => Commitment) public commitments;
+    address public highestBidder;
+    uint public highestBid;
+    uint public secondHighestBid;
+    uint public totalDeposits;
+    uint public revealedDeposits;
+    uint public unclaimedProceeds;                  // Payout the beneficiary could not be sent
+    bool public settled;
+
+    event BidCommitted(address indexed bidder, uint deposit);
+    event BidRevealed(address indexed bidder, uint amount);
+    event AuctionSettled(address winner, uint price);
+    event DepositWithdrawn(address indexed bidder, uint amount);
+    event ProceedsCredited(address indexed beneficiary, uint amount);
+    event ProceedsWithdrawn(address indexed to, uint amount);
+
+    /**
+     * @dev Sets up the auction with the specified parameters. The caller becomes the
+     * `factory` that lists the auction's bidders.
+     * @param _bidToken Address of the ERC20 token used for deposits, or NATIVE_TOKEN for ETH
+     * @param _commitDuration Length of the commit phase in seconds
+     * @param _revealDuration Length of the reveal phase in seconds
+     * @param _rewardToken Address of the participation token
+     * @param _beneficiary Address that will receive the winning price
+     * @param _seller Address that receives the lot back if it is not sold
+     * @param _config Reserve price, pricing rule, unrevealed-bid policy and lot
+     */
+    constructor(
+        address _bidToken,
+        uint _commitDuration,
+        uint _revealDuration,
+        address _rewardToken,
+        address _beneficiary,
+        address _seller,
+        SealedBidConfig memory _config
+    ) {
+        require(_beneficiary != address(0), "Invalid beneficiary");
+        require(_seller != address(0), "Invalid seller");
+        require(_commitDuration > 0 && _revealDuration > 0, "Invalid duration");
+        bidToken = IERC20(_bidToken);
+        nativeBidding = _bidToken == NATIVE_TOKEN;
+        rewardToken = ParticipationToken(_rewardToken);
+        beneficiary = _beneficiary;
+        seller = _seller;
+        factory = msg.sender;
+        commitEndTime = block.timestamp + _commitDuration;
+        revealEndTime = commitEndTime + _revealDuration;
+        reservePrice = _config.reservePrice;
+        pricing = _config.pricing;
+        unrevealedPolicy = _config.unrevealedPolicy;
+        _setLot(_config.lot);
+    }
+
+    /**
+     * @dev Computes the commitment a bidder must submit for a given bid.
+     * Binding the auction and bidder prevents commitments being copied elsewhere.
+     * @param bidder Address that will reveal the bid
+     * @param amount Bid amount
+     * @param salt Secret chosen by the bidder
+     */
+    function computeCommitment(address bidder, uint amount, bytes32 salt) public view returns (bytes32) {
+        return keccak256(abi.encode(address(this), bidder, amount, salt));
+    }
+
+    /**
+     * @dev Commit a sealed bid. The deposit must be at least the bid that will be
+     * revealed; a larger deposit hides the real amount.
+     * @param commitment Hash from computeCommitment
+     * @param deposit Amount of bid tokens to lock. For ETH auctions `msg.value` must equal it.
+     */
+    function commit(bytes32 commitment, uint deposit) external payable nonReentrant {
+        require(block.timestamp < commitEndTime, "Commit phase over");
+        require(commitment != bytes32(0), "Invalid commitment");
+        require(deposit > 0, "Deposit required");
+        require(commitments[msg.sender].hash == bytes32(0), "Already committed");
+
+        if (nativeBidding) {
+            require(msg.value == deposit, "Incorrect value");
+        } else {
+            require(msg.value == 0, "Unexpected value");
+            require(bidToken.transferFrom(msg.sender, address(this), deposit), "Transfer failed");
+        }
+
+        commitments[msg.sender] = Commitment(commitment, deposit, false, false);
+        totalDeposits += deposit;
+
+        // Auctions deployed outside a factory have nowhere to list their bidders
+        if (factory.code.length > 0) AuctionFactory(factory).recordBidder(msg.sender);
+
+        emit BidCommitted(msg.sender, deposit);
+    }
+
+    /**
+     * @dev Reveal a committed bid during the reveal phase
+     * @param amount Bid amount used in the commitment
+     * @param salt Secret used in the commitment
+     */
+    function reveal(uint amount, bytes32 salt) external nonReentrant {
+        require(block.timestamp >= commitEndTime, "Reveal not started");
+        require(block.timestamp < revealEndTime, "Reveal phase over");
+
+        Commitment storage entry = commitments[msg.sender];
+        require(entry.hash != bytes32(0), "No commitment");
+        require(!entry.revealed, "Already revealed");
+        require(entry.hash == computeCommitment(msg.sender, amount, salt), "Invalid reveal");
+        require(amount <= entry.deposit, "Deposit too low");
+
+        entry.revealed = true;
+        revealedDeposits += entry.deposit;
+
+        // Ties go to whoever revealed first
+        if (amount >= reservePrice) {
+            if (amount > highestBid || highestBidder == address(0)) {
+                secondHighestBid = highestBid;
+                highestBid = amount;
+                highestBidder = msg.sender;
+            } else if (amount > secondHighestBid) {
+                secondHighestBid = amount;
+            }
+        }
+
+        // Reward bidder with participation token
+        rewardToken.rewardBid(msg.sender, amount, amount, false);
+
+        emit BidRevealed(msg.sender, amount);
+    }
+
+    /**
+     * @dev Returns the price the winner pays once reveals are final
+     */
+    function clearingPrice() public view returns (uint) {
+        if (highestBidder == address(0)) return 0;
+        if (pricing == PricingRule.FirstPrice) return highestBid;
+        return secondHighestBid > reservePrice ? secondHighestBid : reservePrice;
+    }
+
+    /**
+     * @dev Returns the amount a bidder can withdraw after the reveal phase
+     * @param bidder Address of the bidder
+     */
+    function refundableDeposit(address bidder) public view returns (uint) {
+        Commitment memory entry = commitments[bidder];
+        if (entry.withdrawn) return 0;
+        if (bidder == highestBidder) return entry.deposit - clearingPrice();
+        if (!entry.revealed && unrevealedPolicy == UnrevealedPolicy.Slash) return 0;
+        return entry.deposit;
+    }
+
+    /**
+     * @dev Settle the auction: the winning price, plus any slashed deposits, goes to the beneficiary
+     * and the lot to the winner. Without a winner the lot goes back to the seller. A payout the
+     * beneficiary cannot receive is kept for withdrawProceeds, so settlement still goes through.
+     * Can only be called after the reveal phase has ended
+     */
+    function settle() external nonReentrant {
+        require(block.timestamp >= revealEndTime, "Auction ongoing");
+        require(!settled, "Already settled");
+
+        settled = true;
+
+        uint payout = clearingPrice();
+        if (unrevealedPolicy == UnrevealedPolicy.Slash) {
+            payout += totalDeposits - revealedDeposits;
+        }
+        if (payout > 0 && !bidToken.tryPay(beneficiary, payout)) {
+            unclaimedProceeds = payout;
+            emit ProceedsCredited(beneficiary, payout);
+        }
+        if (highestBidder != address(0)) {
+            rewardToken.rewardWinner(highestBidder);
+            _transferLot(highestBidder);
+        } else {
+            _transferLot(seller);
+        }
+
+        emit AuctionSettled(highestBidder, clearingPrice());
+    }
+
+    /**
+     * @dev Send the beneficiary a payout that could not be paid on settlement
+     * @param to Address to send the payout to
+     */
+    function withdrawProceeds(address to) external nonReentrant {
+        require(msg.sender == beneficiary, "Not beneficiary");
+        uint amount = unclaimedProceeds;
+        require(amount > 0, "Nothing to withdraw");
+
+        unclaimedProceeds = 0;
+        require(bidToken.pay(to, amount), "Withdraw failed");
+
+        emit ProceedsWithdrawn(to, amount);
+    }
+
+    /**
+     * @dev Withdraw the caller's deposit once reveals are final. Losers and refunded
+     * non-revealers get their full deposit back; the winner gets the excess over the price.
+     */
+    function withdrawDeposit() external nonReentrant {
+        require(block.timestamp >= revealEndTime, "Auction ongoing");
+
+        uint amount = refundableDeposit(msg.sender);
+        require(amount > 0, "Nothing to withdraw");
+
+        commitments[msg.sender].withdrawn = true;
+        require(bidToken.pay(msg.sender, amount), "Refund failed");
+
+        emit DepositWithdrawn(msg.sender, amount);
+    }
+}
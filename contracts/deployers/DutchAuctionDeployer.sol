@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../DutchAuction.sol";
+
+/**
+ * @title DutchAuctionDeployer
+ * @dev Holds the DutchAuction creation code outside AuctionFactory to keep the factory
+ * under the contract size limit. Called via delegatecall, so the factory is the deployer.
+ */
+library DutchAuctionDeployer {
+    function deploy(
+        address _bidToken,
+        uint _duration,
+        address _rewardToken,
+        address _beneficiary,
+        address _seller,
+        DutchAuction.DutchConfig calldata _config
+    ) external returns (address) {
+        return address(new DutchAuction(
+            _bidToken,
+            _duration,
+            _rewardToken,
+            _beneficiary,
+            _seller,
+            _config
+        ));
+    }
+}
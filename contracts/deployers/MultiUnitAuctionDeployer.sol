@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../MultiUnitAuction.sol";
+
+/**
+ * @title MultiUnitAuctionDeployer
+ * @dev Holds the MultiUnitAuction creation code outside AuctionFactory to keep the factory
+ * under the contract size limit. Called via delegatecall, so the factory is the deployer.
+ */
+library MultiUnitAuctionDeployer {
+    function deploy(
+        address _bidToken,
+        uint _duration,
+        address _rewardToken,
+        address _beneficiary,
+        address _seller,
+        MultiUnitAuction.MultiUnitConfig calldata _config
+    ) external returns (address) {
+        return address(new MultiUnitAuction(
+            _bidToken,
+            _duration,
+            _rewardToken,
+            _beneficiary,
+            _seller,
+            _config
+        ));
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../SealedBidAuction.sol";
+
+/**
+ * @title SealedBidAuctionDeployer
+ * @dev Holds the SealedBidAuction creation code outside AuctionFactory to keep the factory
+ * under the contract size limit. Called via delegatecall, so the factory is the deployer.
+ */
+library SealedBidAuctionDeployer {
+    function deploy(
+        address _bidToken,
+        uint _commitDuration,
+        uint _revealDuration,
+        address _rewardToken,
+        address _beneficiary,
+        address _seller,
+        SealedBidAuction.SealedBidConfig calldata _config
+    ) external returns (address) {
+        return address(new SealedBidAuction(
+            _bidToken,
+            _commitDuration,
+            _revealDuration,
+            _rewardToken,
+            _beneficiary,
+            _seller,
+            _config
+        ));
+    }
+}
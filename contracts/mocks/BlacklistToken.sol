@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title BlacklistToken
+ * @dev Mock token that blocks transfers to and from blacklisted addresses,
+ * like the freeze lists on some stablecoins
+ */
+contract BlacklistToken is ERC20 {
+    mapping(address => bool) public blacklisted;
+
+    constructor() ERC20("Blacklist Token", "BLK") {}
+
+    /**
+     * @dev Mints tokens to an address
+     * @param to Address to mint tokens to
+     * @param amount Amount of tokens to mint
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Adds or removes an address from the blacklist
+     */
+    function setBlacklisted(address account, bool value) external {
+        blacklisted[account] = value;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        require(!blacklisted[from] && !blacklisted[to], "Blacklisted");
+        super._update(from, to, value);
+    }
+}
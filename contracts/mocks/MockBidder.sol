@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../ChronoAuction.sol";
+
+/**
+ * @title MockBidder
+ * @dev Contract bidder without token receiver hooks or a receive function
+ */
+contract MockBidder {
+    /**
+     * @dev Approves the auction and bids with tokens held by this contract
+     * @param auction Auction to bid in
+     * @param amount Size of the bid
+     */
+    function bid(ChronoAuction auction, uint amount) external {
+        IERC20(address(auction.bidToken())).approve(address(auction), amount);
+        auction.bid(amount);
+    }
+
+    /**
+     * @dev Collects a lot held for this contract
+     * @param auction Auction holding the lot
+     * @param to Address to deliver the lot to
+     */
+    function claimLot(ChronoAuction auction, address to) external {
+        auction.claimLot(to);
+    }
+}
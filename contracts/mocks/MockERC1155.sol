@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+/**
+ * @title MockERC1155
+ * @dev ERC1155 token for testing auction lots
+ */
+contract MockERC1155 is ERC1155 {
+    constructor() ERC1155("") {}
+
+    /**
+     * @dev Mints tokens to an address
+     * @param to Address to mint tokens to
+     * @param id ID of the token to mint
+     * @param amount Amount of tokens to mint
+     */
+    function mint(address to, uint256 id, uint256 amount) external {
+        _mint(to, id, amount, "");
+    }
+}
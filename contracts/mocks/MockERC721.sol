@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+/**
+ * @title MockERC721
+ * @dev ERC721 token for testing auction lots
+ */
+contract MockERC721 is ERC721 {
+    constructor(string memory name, string memory symbol) ERC721(name, symbol) {}
+
+    /**
+     * @dev Mints a token to an address
+     * @param to Address to mint the token to
+     * @param tokenId ID of the token to mint
+     */
+    function mint(address to, uint256 tokenId) external {
+        _mint(to, tokenId);
+    }
+}
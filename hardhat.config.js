@@ -1,11 +1,36 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/deploy");
+require("./tasks/admin");
+require("./tasks/auction");
+require("./tasks/sdk");
+
+// Remote networks read their RPC URL and deployer key from the environment
+const accounts = process.env.DEPLOYER_PRIVATE_KEY ? [process.env.DEPLOYER_PRIVATE_KEY] : [];
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      // OpenZeppelin's ERC721/ERC1155 utilities use mcopy, which needs Cancun
+      evmVersion: "cancun",
+      // The factory embeds the auction creation code, keep it under the 24KB limit
+      optimizer: {
+        enabled: true,
+        runs: 200
+      }
+    }
+  },
+  // Deploy settings for each network are in config/<network>.json
   networks: {
-    //local dev network here
-  }, 
+    localhost: {
+      url: "http://127.0.0.1:8545"
+    },
+    sepolia: {
+      url: process.env.SEPOLIA_RPC_URL || "https://rpc.sepolia.org",
+      accounts
+    }
+  },
   paths: {
     sources: "./contracts",
     tests: "./test",
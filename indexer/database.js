@@ -0,0 +1,430 @@
+// SQLite store of indexed auctions. Amounts are uint256, so they are kept as decimal
+// strings and added up with BigInt rather than in SQL.
+const Database = require("better-sqlite3");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS checkpoint (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS auctions (
+    address TEXT PRIMARY KEY,
+    creator TEXT NOT NULL,
+    bid_token TEXT NOT NULL,
+    beneficiary TEXT NOT NULL,
+    start_time INTEGER NOT NULL,
+    end_time INTEGER NOT NULL,
+    lot_kind INTEGER NOT NULL,
+    lot_token TEXT NOT NULL,
+    lot_token_id TEXT NOT NULL,
+    lot_amount TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS auctions_by_creator ON auctions (creator);
+  CREATE TABLE IF NOT EXISTS bids (
+    auction TEXT NOT NULL,
+    bidder TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS bids_by_auction ON bids (auction, block_number, log_index);
+  CREATE INDEX IF NOT EXISTS bids_by_bidder ON bids (bidder, block_number, log_index);
+  CREATE TABLE IF NOT EXISTS extensions (
+    auction TEXT NOT NULL,
+    new_end_time INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS extensions_by_auction ON extensions (auction);
+  CREATE TABLE IF NOT EXISTS buyouts (
+    auction TEXT PRIMARY KEY,
+    buyer TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS beneficiary_updates (
+    auction TEXT NOT NULL,
+    beneficiary TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS beneficiary_updates_by_auction ON beneficiary_updates (auction);
+  CREATE TABLE IF NOT EXISTS settlements (
+    auction TEXT PRIMARY KEY,
+    winner TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    protocol_fee TEXT NOT NULL,
+    referrer_fee TEXT NOT NULL,
+    seller_proceeds TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS settlements_by_winner ON settlements (winner);
+  CREATE TABLE IF NOT EXISTS closures (
+    auction TEXT PRIMARY KEY,
+    outcome TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS rewards (
+    account TEXT NOT NULL,
+    auction TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS rewards_by_account ON rewards (account);
+`;
+
+// Tables whose rows are dropped when the blocks they came from are reorganized away
+const BLOCK_TABLES = [
+  "blocks", "auctions", "bids", "extensions", "buyouts", "beneficiary_updates", "settlements", "closures", "rewards"
+];
+
+// How an auction ended without a sale; see addClosure
+const CLOSURE_OUTCOMES = ["Cancelled", "ReserveNotMet", "NoBids"];
+
+// Current state of an auction: its latest bid leads, as every bid must beat the last.
+// A buy-now bid ends the auction in its block; otherwise the latest extension sets the end.
+const AUCTION_QUERY = `
+  SELECT a.*,
+    COALESCE(
+      (SELECT k.timestamp FROM buyouts o JOIN blocks k ON k.number = o.block_number WHERE o.auction = a.address),
+      MAX(a.end_time, COALESCE((SELECT MAX(new_end_time) FROM extensions e WHERE e.auction = a.address), 0))
+    ) AS current_end_time,
+    COALESCE(
+      (SELECT beneficiary FROM beneficiary_updates u WHERE u.auction = a.address
+        ORDER BY block_number DESC, log_index DESC LIMIT 1),
+      a.beneficiary
+    ) AS current_beneficiary,
+    EXISTS (SELECT 1 FROM buyouts o WHERE o.auction = a.address) AS bought_now,
+    (SELECT COUNT(*) FROM bids b WHERE b.auction = a.address) AS bid_count,
+    (SELECT COUNT(DISTINCT bidder) FROM bids b WHERE b.auction = a.address) AS bidder_count,
+    (SELECT amount FROM bids b WHERE b.auction = a.address ORDER BY block_number DESC, log_index DESC LIMIT 1)
+      AS highest_bid,
+    (SELECT bidder FROM bids b WHERE b.auction = a.address ORDER BY block_number DESC, log_index DESC LIMIT 1)
+      AS highest_bidder,
+    s.winner, s.amount AS settled_amount, s.block_number AS settled_block, c.outcome
+  FROM auctions a LEFT JOIN settlements s ON s.auction = a.address LEFT JOIN closures c ON c.auction = a.address
+`;
+
+function sum(amounts) {
+  return amounts.reduce((total, amount) => total + BigInt(amount), 0n).toString();
+}
+
+// Status as the factory reports it, at the time of the last indexed block
+function auctionStatus(row, now) {
+  if (row.outcome === "Cancelled") return "Cancelled";
+  if (row.settled_block !== null || row.outcome) return "Settled";
+  if (now < row.start_time) return "Scheduled";
+  return now < row.current_end_time ? "Active" : "Ended";
+}
+
+function formatAuction(row, now) {
+  return {
+    address: row.address,
+    creator: row.creator,
+    bidToken: row.bid_token,
+    beneficiary: row.current_beneficiary,
+    startTime: row.start_time,
+    endTime: row.current_end_time,
+    lot: { kind: row.lot_kind, token: row.lot_token, tokenId: row.lot_token_id, amount: row.lot_amount },
+    bidCount: row.bid_count,
+    bidderCount: row.bidder_count,
+    highestBid: row.highest_bid || "0",
+    highestBidder: row.highest_bidder || null,
+    boughtNow: row.bought_now === 1,
+    status: auctionStatus(row, now),
+    outcome: row.settled_block !== null ? "Sold" : row.outcome || null,
+    settled: row.settled_block !== null || (row.outcome !== null && row.outcome !== "Cancelled"),
+    winner: row.winner || null,
+    createdAtBlock: row.block_number,
+    transactionHash: row.transaction_hash
+  };
+}
+
+function formatBid(row) {
+  return {
+    auction: row.auction,
+    bidder: row.bidder,
+    amount: row.amount,
+    blockNumber: row.block_number,
+    timestamp: row.timestamp,
+    transactionHash: row.transaction_hash,
+    logIndex: row.log_index
+  };
+}
+
+class AuctionDatabase {
+  /**
+   * @param {string} file Path of the SQLite database, or ":memory:"
+   */
+  constructor(file) {
+    this.db = new Database(file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * Runs `fn` in a transaction, so a block range is stored completely or not at all
+   * @param {function} fn Writes to run
+   */
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  getCheckpoint() {
+    const row = this.db.prepare("SELECT block_number, block_hash FROM checkpoint WHERE id = 1").get();
+    return row ? { blockNumber: row.block_number, blockHash: row.block_hash } : null;
+  }
+
+  setCheckpoint(blockNumber, blockHash) {
+    this.db.prepare(
+      "INSERT INTO checkpoint (id, block_number, block_hash) VALUES (1, ?, ?) " +
+      "ON CONFLICT (id) DO UPDATE SET block_number = excluded.block_number, block_hash = excluded.block_hash"
+    ).run(blockNumber, blockHash);
+  }
+
+  /**
+   * Returns the stored blocks at or below a height, newest first, to search for a fork point
+   * @param {number} blockNumber Highest block to return
+   */
+  getBlocksBelow(blockNumber) {
+    return this.db.prepare("SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC")
+      .all(blockNumber);
+  }
+
+  /**
+   * Forgets everything indexed after a block, after a reorg replaced the blocks above it
+   * @param {object|null} checkpoint Last block that is still valid, or null to start over
+   */
+  rollback(checkpoint) {
+    this.transaction(() => {
+      const after = checkpoint ? checkpoint.blockNumber : -1;
+      for (const table of BLOCK_TABLES) {
+        const column = table === "blocks" ? "number" : "block_number";
+        this.db.prepare(`DELETE FROM ${table} WHERE ${column} > ?`).run(after);
+      }
+      if (checkpoint) this.setCheckpoint(checkpoint.blockNumber, checkpoint.blockHash);
+      else this.db.prepare("DELETE FROM checkpoint").run();
+    });
+  }
+
+  addBlock(block) {
+    this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)")
+      .run(block.number, block.hash, block.timestamp);
+  }
+
+  addAuction(auction) {
+    this.db.prepare(
+      "INSERT OR REPLACE INTO auctions (address, creator, bid_token, beneficiary, start_time, end_time, " +
+      "lot_kind, lot_token, lot_token_id, lot_amount, block_number, transaction_hash) " +
+      "VALUES (@address, @creator, @bidToken, @beneficiary, @startTime, @endTime, " +
+      "@lotKind, @lotToken, @lotTokenId, @lotAmount, @blockNumber, @transactionHash)"
+    ).run(auction);
+  }
+
+  addBid(bid) {
+    this.db.prepare(
+      "INSERT OR REPLACE INTO bids (auction, bidder, amount, block_number, transaction_hash, log_index) " +
+      "VALUES (@auction, @bidder, @amount, @blockNumber, @transactionHash, @logIndex)"
+    ).run(bid);
+  }
+
+  addExtension(extension) {
+    this.db.prepare(
+      "INSERT OR REPLACE INTO extensions (auction, new_end_time, block_number, transaction_hash, log_index) " +
+      "VALUES (@auction, @newEndTime, @blockNumber, @transactionHash, @logIndex)"
+    ).run(extension);
+  }
+
+  addBuyout(buyout) {
+    this.db.prepare(
+      "INSERT OR REPLACE INTO buyouts (auction, buyer, amount, block_number, transaction_hash) " +
+      "VALUES (@auction, @buyer, @amount, @blockNumber, @transactionHash)"
+    ).run(buyout);
+  }
+
+  addBeneficiaryUpdate(update) {
+    this.db.prepare(
+      "INSERT OR REPLACE INTO beneficiary_updates (auction, beneficiary, block_number, transaction_hash, log_index) " +
+      "VALUES (@auction, @beneficiary, @blockNumber, @transactionHash, @logIndex)"
+    ).run(update);
+  }
+
+  addSettlement(settlement) {
+    this.db.prepare(
+      "INSERT OR REPLACE INTO settlements (auction, winner, amount, protocol_fee, referrer_fee, seller_proceeds, " +
+      "block_number, transaction_hash) VALUES (@auction, @winner, @amount, @protocolFee, @referrerFee, " +
+      "@sellerProceeds, @blockNumber, @transactionHash)"
+    ).run(settlement);
+  }
+
+  /**
+   * Records an auction that closed without a sale: `Cancelled`, settled with the highest
+   * bid below the reserve (`ReserveNotMet`), or settled without bids (`NoBids`)
+   * @param {object} closure `auction`, `outcome`, `blockNumber` and `transactionHash`
+   */
+  addClosure(closure) {
+    if (!CLOSURE_OUTCOMES.includes(closure.outcome)) throw new Error(`Unknown outcome ${closure.outcome}`);
+    this.db.prepare(
+      "INSERT OR REPLACE INTO closures (auction, outcome, block_number, transaction_hash) " +
+      "VALUES (@auction, @outcome, @blockNumber, @transactionHash)"
+    ).run(closure);
+  }
+
+  /**
+   * Returns whether an auction is neither settled nor cancelled and has no bids
+   * @param {string} address Auction address
+   */
+  isOpenWithoutBids(address) {
+    return this.db.prepare(
+      "SELECT 1 WHERE NOT EXISTS (SELECT 1 FROM bids WHERE auction = ?) " +
+      "AND NOT EXISTS (SELECT 1 FROM settlements WHERE auction = ?) " +
+      "AND NOT EXISTS (SELECT 1 FROM closures WHERE auction = ?)"
+    ).get(address, address, address) !== undefined;
+  }
+
+  addReward(reward) {
+    this.db.prepare(
+      "INSERT OR REPLACE INTO rewards (account, auction, amount, block_number, transaction_hash, log_index) " +
+      "VALUES (@account, @auction, @amount, @blockNumber, @transactionHash, @logIndex)"
+    ).run(reward);
+  }
+
+  isAuction(address) {
+    return this.db.prepare("SELECT 1 FROM auctions WHERE address = ?").get(address) !== undefined;
+  }
+
+  // Timestamp of the checkpoint block, which auction statuses are reported at
+  getChainTime() {
+    const row = this.db.prepare(
+      "SELECT k.timestamp FROM checkpoint c JOIN blocks k ON k.number = c.block_number WHERE c.id = 1"
+    ).get();
+    return row ? row.timestamp : 0;
+  }
+
+  getAuctionAddresses() {
+    return this.db.prepare("SELECT address FROM auctions ORDER BY block_number, address").all()
+      .map((row) => row.address);
+  }
+
+  /**
+   * Lists auctions, newest first
+   * @param {object} [filter] Optional `creator` or `bidder`, with `limit` and `offset`
+   */
+  getAuctions({ creator, bidder, limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (creator) {
+      conditions.push("a.creator = ?");
+      params.push(creator);
+    }
+    if (bidder) {
+      conditions.push("a.address IN (SELECT auction FROM bids WHERE bidder = ?)");
+      params.push(bidder);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    return this.db.prepare(`${AUCTION_QUERY} ${where} ORDER BY a.block_number DESC, a.address LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset)
+      .map((row) => formatAuction(row, this.getChainTime()));
+  }
+
+  /**
+   * Returns an auction with its extensions and settlement, or null if it is not indexed
+   * @param {string} address Auction address
+   */
+  getAuction(address) {
+    const row = this.db.prepare(`${AUCTION_QUERY} WHERE a.address = ?`).get(address);
+    if (!row) return null;
+    const settlement = this.db.prepare("SELECT * FROM settlements WHERE auction = ?").get(address);
+    return {
+      ...formatAuction(row, this.getChainTime()),
+      extensions: this.db.prepare(
+        "SELECT new_end_time, block_number, transaction_hash FROM extensions WHERE auction = ? " +
+        "ORDER BY block_number, log_index"
+      ).all(address).map((extension) => ({
+        newEndTime: extension.new_end_time,
+        blockNumber: extension.block_number,
+        transactionHash: extension.transaction_hash
+      })),
+      settlement: settlement ? {
+        winner: settlement.winner,
+        amount: settlement.amount,
+        protocolFee: settlement.protocol_fee,
+        referrerFee: settlement.referrer_fee,
+        sellerProceeds: settlement.seller_proceeds,
+        blockNumber: settlement.block_number,
+        transactionHash: settlement.transaction_hash
+      } : null,
+      ppRewarded: sum(this.db.prepare("SELECT amount FROM rewards WHERE auction = ?").all(address)
+        .map((reward) => reward.amount))
+    };
+  }
+
+  /**
+   * Returns bids in the order they were placed
+   * @param {object} filter `auction` or `bidder`, with `limit` and `offset`
+   */
+  getBids({ auction, bidder, limit = 100, offset = 0 }) {
+    const [column, value] = auction ? ["auction", auction] : ["bidder", bidder];
+    return this.db.prepare(
+      `SELECT b.*, k.timestamp FROM bids b JOIN blocks k ON k.number = b.block_number WHERE b.${column} = ? ` +
+      "ORDER BY b.block_number, b.log_index LIMIT ? OFFSET ?"
+    ).all(value, limit, offset).map(formatBid);
+  }
+
+  /**
+   * Returns a user's bidding totals, per bid token, and the PP they earned in auctions
+   * @param {string} address User address
+   */
+  getUserStats(address) {
+    const bids = this.db.prepare(
+      "SELECT b.auction, b.amount, a.bid_token FROM bids b JOIN auctions a ON a.address = b.auction WHERE b.bidder = ?"
+    ).all(address);
+    const won = this.db.prepare(
+      "SELECT s.amount, a.bid_token FROM settlements s JOIN auctions a ON a.address = s.auction WHERE s.winner = ?"
+    ).all(address);
+
+    const byToken = (rows) => {
+      const totals = {};
+      for (const row of rows) {
+        totals[row.bid_token] = (BigInt(totals[row.bid_token] || 0) + BigInt(row.amount)).toString();
+      }
+      return totals;
+    };
+    return {
+      address,
+      bidCount: bids.length,
+      auctionsBidOn: new Set(bids.map((row) => row.auction)).size,
+      auctionsWon: won.length,
+      bidVolume: byToken(bids),
+      totalWon: byToken(won),
+      ppEarned: sum(this.db.prepare("SELECT amount FROM rewards WHERE account = ?").all(address)
+        .map((reward) => reward.amount))
+    };
+  }
+}
+
+module.exports = { AuctionDatabase };
@@ -0,0 +1,70 @@
+// Indexes the factory's auctions into SQLite and serves them over HTTP.
+//
+//   node indexer --rpc http://127.0.0.1:8545 --deployments deployments/localhost.json
+//
+// The factory and the block to start from are read from the deploy task's record, unless
+// --factory and --start-block are given. Indexing resumes from the database's checkpoint.
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { JsonRpcProvider } = require("ethers");
+const { AuctionDatabase } = require("./database");
+const { AuctionIndexer } = require("./indexer");
+const { createServer } = require("./server");
+
+const OPTIONS = {
+  rpc: { type: "string", default: "http://127.0.0.1:8545" },
+  deployments: { type: "string", default: "deployments/localhost.json" },
+  factory: { type: "string" },
+  "start-block": { type: "string" },
+  db: { type: "string", default: "indexer.db" },
+  port: { type: "string", default: "8787" },
+  confirmations: { type: "string", default: "0" },
+  "batch-size": { type: "string", default: "2000" },
+  interval: { type: "string", default: "2000" }
+};
+
+function readFactory(file) {
+  if (!fs.existsSync(file)) throw new Error(`No deployments at ${file}; pass --factory or run the deploy task`);
+  const entry = JSON.parse(fs.readFileSync(file, "utf8")).contracts.AuctionFactory;
+  if (!entry) throw new Error(`No AuctionFactory in ${file}`);
+  return { factory: entry.address, startBlock: entry.blockNumber };
+}
+
+function main() {
+  const { values } = parseArgs({ options: OPTIONS });
+  const deployed = values.factory ? { factory: values.factory, startBlock: 0 } : readFactory(values.deployments);
+  const startBlock = values["start-block"] !== undefined ? Number(values["start-block"]) : deployed.startBlock;
+
+  const db = new AuctionDatabase(values.db);
+  const indexer = new AuctionIndexer({
+    provider: new JsonRpcProvider(values.rpc),
+    db,
+    factory: deployed.factory,
+    startBlock,
+    confirmations: Number(values.confirmations),
+    batchSize: Number(values["batch-size"])
+  });
+  indexer.start(Number(values.interval));
+  const server = createServer(db).listen(Number(values.port), () => {
+    console.log(`Indexing ${deployed.factory} into ${values.db}, API on http://127.0.0.1:${server.address().port}`);
+  });
+
+  process.on("SIGINT", () => {
+    indexer.stop();
+    server.close(() => {
+      db.close();
+      process.exit(0);
+    });
+  });
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { AuctionDatabase, AuctionIndexer, createServer };
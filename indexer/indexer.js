@@ -0,0 +1,274 @@
+// Follows the factory's English auctions on chain and stores their activity.
+//
+// Each pass indexes the blocks after the checkpoint in batches. A batch is stored in one
+// database transaction together with the new checkpoint, so an interrupted indexer resumes
+// where it stopped. Before a pass, the checkpoint's hash is compared with the chain; if a
+// reorg replaced it, the indexer rolls back to the newest stored block still on the chain.
+const { Interface, ZeroAddress, getAddress, zeroPadValue } = require("ethers");
+const { abis } = require("../sdk");
+
+const factoryInterface = new Interface(abis.AuctionFactory);
+const auctionInterface = new Interface(abis.ChronoAuction);
+const tokenInterface = new Interface(abis.ParticipationToken);
+
+const AUCTION_CREATED = factoryInterface.getEvent("AuctionCreated").topicHash;
+const AUCTION_EVENTS = [
+  "BidPlaced", "AuctionExtended", "BoughtNow", "BeneficiaryUpdated", "AuctionSettled", "ReserveNotMet",
+  "AuctionCancelled", "LotTransferred", "LotHeld"
+]
+  .map((name) => auctionInterface.getEvent(name).topicHash);
+const TRANSFER = tokenInterface.getEvent("Transfer").topicHash;
+const MAX_ADDRESSES_PER_QUERY = 500;
+const MAX_ATTEMPTS = 3;
+
+class AuctionIndexer {
+  /**
+   * @param {object} options
+   * @param {Provider} options.provider Provider of the chain to index
+   * @param {AuctionDatabase} options.db Database to store the auctions in
+   * @param {string} options.factory Address of the AuctionFactory
+   * @param {number} [options.startBlock] Block the factory was deployed in
+   * @param {number} [options.confirmations] Blocks to stay behind the head
+   * @param {number} [options.batchSize] Blocks indexed per database transaction
+   */
+  constructor({ provider, db, factory, startBlock = 0, confirmations = 0, batchSize = 2000 }) {
+    this.provider = provider;
+    this.db = db;
+    this.factory = getAddress(factory);
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.rewardToken = null;
+    this.timer = null;
+  }
+
+  /**
+   * Indexes every confirmed block after the checkpoint
+   * @return {Promise<object|null>} The new checkpoint
+   */
+  async sync() {
+    if (!this.rewardToken) {
+      const [rewardToken] = factoryInterface.decodeFunctionResult(
+        "rewardToken",
+        await this.provider.call({ to: this.factory, data: factoryInterface.encodeFunctionData("rewardToken") })
+      );
+      this.rewardToken = rewardToken;
+    }
+
+    const target = (await this.provider.getBlockNumber()) - this.confirmations;
+    for (let attempt = 1; ; attempt++) {
+      const checkpoint = await this.checkChain();
+      let from = checkpoint ? checkpoint.blockNumber + 1 : this.startBlock;
+      let consistent = true;
+      while (consistent && from <= target) {
+        const to = Math.min(target, from + this.batchSize - 1);
+        consistent = await this.indexRange(from, to);
+        from = to + 1;
+      }
+      if (consistent) return this.db.getCheckpoint();
+      if (attempt === MAX_ATTEMPTS) throw new Error("Chain kept reorganizing while indexing");
+    }
+  }
+
+  /**
+   * Rolls back to the newest stored block that is still on the chain, if the
+   * checkpoint was reorganized away
+   * @return {Promise<object|null>} The checkpoint to continue from
+   */
+  async checkChain() {
+    const checkpoint = this.db.getCheckpoint();
+    if (!checkpoint || (await this.isCanonical(checkpoint.blockNumber, checkpoint.blockHash))) {
+      return checkpoint;
+    }
+
+    let forkPoint = null;
+    for (const block of this.db.getBlocksBelow(checkpoint.blockNumber - 1)) {
+      if (await this.isCanonical(block.number, block.hash)) {
+        forkPoint = { blockNumber: block.number, blockHash: block.hash };
+        break;
+      }
+    }
+    this.db.rollback(forkPoint);
+    return forkPoint;
+  }
+
+  async isCanonical(blockNumber, blockHash) {
+    const block = await this.provider.getBlock(blockNumber);
+    return block !== null && block.hash === blockHash;
+  }
+
+  /**
+   * Stores the auction activity of a range of blocks and moves the checkpoint to its end
+   * @param {number} from First block
+   * @param {number} to Last block
+   * @return {Promise<boolean>} False if the chain changed under the range, which is then not stored
+   */
+  async indexRange(from, to) {
+    const last = await this.provider.getBlock(to);
+    const created = await this.provider.getLogs({
+      address: this.factory,
+      topics: [AUCTION_CREATED],
+      fromBlock: from,
+      toBlock: to
+    });
+    const auctions = [
+      ...this.db.getAuctionAddresses(),
+      ...created.map((log) => factoryInterface.parseLog(log).args.auctionAddress)
+    ];
+    const activity = [];
+    for (let i = 0; i < auctions.length; i += MAX_ADDRESSES_PER_QUERY) {
+      activity.push(...(await this.provider.getLogs({
+        address: auctions.slice(i, i + MAX_ADDRESSES_PER_QUERY),
+        topics: [AUCTION_EVENTS],
+        fromBlock: from,
+        toBlock: to
+      })));
+    }
+    const mints = await this.provider.getLogs({
+      address: this.rewardToken,
+      topics: [TRANSFER, zeroPadValue(ZeroAddress, 32)],
+      fromBlock: from,
+      toBlock: to
+    });
+
+    // The logs belong to the chain that ends in `last` only if it is still there, and
+    // that chain continues from the checkpoint only if the block before the range is
+    // the checkpoint
+    const checkpoint = this.db.getCheckpoint();
+    if (!(await this.isCanonical(to, last.hash))) return false;
+    if (checkpoint && !(await this.isCanonical(checkpoint.blockNumber, checkpoint.blockHash))) return false;
+
+    // The last block is kept too, so a later rollback can stop close to the fork
+    const blocks = new Map([[to, last]]);
+    for (const log of [...created, ...activity, ...mints]) {
+      if (!blocks.has(log.blockNumber)) blocks.set(log.blockNumber, await this.provider.getBlock(log.blockNumber));
+    }
+    const details = new Map();
+    for (const log of created) {
+      const { auctionAddress } = factoryInterface.parseLog(log).args;
+      details.set(auctionAddress, await this.readAuction(auctionAddress));
+    }
+
+    this.db.transaction(() => {
+      for (const block of blocks.values()) this.db.addBlock(block);
+      const auctionByPosition = new Map();
+      for (const log of sortLogs([...created, ...activity])) {
+        const auction = this.storeLog(log, details);
+        auctionByPosition.set(`${log.blockNumber}:${log.index}`, auction);
+      }
+      // Auctions emit BidPlaced and AuctionSettled right after minting the points earned
+      // with them, so a mint belongs to the auction that logged next. Matching by position
+      // keeps the mints of a batch settlement with their own auctions.
+      for (const log of mints) {
+        const auction = auctionByPosition.get(`${log.blockNumber}:${log.index + 1}`);
+        if (!auction) continue;
+        const { to: account, value } = tokenInterface.parseLog(log).args;
+        this.db.addReward({
+          account,
+          auction,
+          amount: value.toString(),
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+          logIndex: log.index
+        });
+      }
+      this.db.setCheckpoint(to, last.hash);
+    });
+    return true;
+  }
+
+  // Start time and original end time, which AuctionCreated does not carry
+  async readAuction(address) {
+    const read = async (name) => {
+      const data = await this.provider.call({ to: address, data: auctionInterface.encodeFunctionData(name) });
+      return Number(auctionInterface.decodeFunctionResult(name, data)[0]);
+    };
+    return { startTime: await read("startTime"), endTime: await read("originalEndTime") };
+  }
+
+  // Stores a log and returns the auction it concerns
+  storeLog(log, details) {
+    const position = { blockNumber: log.blockNumber, transactionHash: log.transactionHash, logIndex: log.index };
+    if (log.address === this.factory) {
+      const { auctionAddress, creator, bidToken, beneficiary, lot } = factoryInterface.parseLog(log).args;
+      this.db.addAuction({
+        address: auctionAddress,
+        creator,
+        bidToken,
+        beneficiary,
+        ...details.get(auctionAddress),
+        lotKind: Number(lot.kind),
+        lotToken: lot.token,
+        lotTokenId: lot.tokenId.toString(),
+        lotAmount: lot.amount.toString(),
+        ...position
+      });
+      return auctionAddress;
+    }
+
+    const { name, args } = auctionInterface.parseLog(log);
+    const auction = log.address;
+    if (name === "BidPlaced") {
+      this.db.addBid({ auction, bidder: args.bidder, amount: args.amount.toString(), ...position });
+    } else if (name === "AuctionExtended") {
+      this.db.addExtension({ auction, newEndTime: Number(args.newEndTime), ...position });
+    } else if (name === "BoughtNow") {
+      this.db.addBuyout({
+        auction, buyer: args.buyer, amount: args.amount.toString(), blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash
+      });
+    } else if (name === "BeneficiaryUpdated") {
+      this.db.addBeneficiaryUpdate({ auction, beneficiary: args.newBeneficiary, ...position });
+    } else if (name === "AuctionCancelled" || name === "ReserveNotMet") {
+      const outcome = name === "AuctionCancelled" ? "Cancelled" : "ReserveNotMet";
+      this.db.addClosure({ auction, outcome, blockNumber: log.blockNumber, transactionHash: log.transactionHash });
+    } else if (name === "LotTransferred" || name === "LotHeld") {
+      // Settling without bids only moves the lot back. Cancelling does so too, but then
+      // AuctionCancelled follows and replaces the closure.
+      if (this.db.isOpenWithoutBids(auction)) {
+        this.db.addClosure({
+          auction, outcome: "NoBids", blockNumber: log.blockNumber, transactionHash: log.transactionHash
+        });
+      }
+    } else {
+      this.db.addSettlement({
+        auction,
+        winner: args.winner,
+        amount: args.amount.toString(),
+        protocolFee: args.protocolFee.toString(),
+        referrerFee: args.referrerFee.toString(),
+        sellerProceeds: args.sellerProceeds.toString(),
+        ...position
+      });
+    }
+    return auction;
+  }
+
+  /**
+   * Keeps indexing new blocks until stopped. Failed passes are reported and retried.
+   * @param {number} [interval] Milliseconds between passes
+   * @param {function} [onError] Receives errors of failed passes
+   */
+  start(interval = 2000, onError = console.error) {
+    const poll = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        onError(error);
+      }
+      if (this.timer) this.timer = setTimeout(poll, interval);
+    };
+    this.timer = setTimeout(poll, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+function sortLogs(logs) {
+  return logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+}
+
+module.exports = { AuctionIndexer };
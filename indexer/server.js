@@ -0,0 +1,90 @@
+// Read-only HTTP/JSON API over the indexed auctions.
+//
+//   GET /status                       Checkpoint and number of auctions
+//   GET /auctions?creator=&bidder=    Auctions, newest first, with their status and outcome
+//   GET /auctions/:address            An auction with its extensions, settlement and PP rewarded
+//   GET /auctions/:address/bids       Bid history of an auction
+//   GET /users/:address               Bidding totals and PP earned by a user
+//   GET /users/:address/bids          Bids placed by a user
+//
+// Lists take `limit` (at most 1000) and `offset`. Amounts are decimal strings in the
+// smallest unit of the bid token.
+const http = require("http");
+const { getAddress } = require("ethers");
+
+const MAX_LIMIT = 1000;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function address(value, name) {
+  try {
+    return getAddress(value);
+  } catch (e) {
+    throw new HttpError(400, `Invalid ${name} address ${value}`);
+  }
+}
+
+function page(query) {
+  const limit = Number(query.get("limit") || 100);
+  const offset = Number(query.get("offset") || 0);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) throw new HttpError(400, "offset must not be negative");
+  return { limit, offset };
+}
+
+const ROUTES = [
+  [/^\/status$/, (db) => ({
+    checkpoint: db.getCheckpoint(),
+    auctions: db.getAuctionAddresses().length
+  })],
+  [/^\/auctions$/, (db, query) => db.getAuctions({
+    creator: query.get("creator") && address(query.get("creator"), "creator"),
+    bidder: query.get("bidder") && address(query.get("bidder"), "bidder"),
+    ...page(query)
+  })],
+  [/^\/auctions\/([^/]+)$/, (db, query, [auction]) => {
+    const found = db.getAuction(address(auction, "auction"));
+    if (!found) throw new HttpError(404, `Auction ${auction} is not indexed`);
+    return found;
+  }],
+  [/^\/auctions\/([^/]+)\/bids$/, (db, query, [auction]) =>
+    db.getBids({ auction: address(auction, "auction"), ...page(query) })],
+  [/^\/users\/([^/]+)$/, (db, query, [user]) => db.getUserStats(address(user, "user"))],
+  [/^\/users\/([^/]+)\/bids$/, (db, query, [user]) =>
+    db.getBids({ bidder: address(user, "user"), ...page(query) })]
+];
+
+/**
+ * Creates the API server. Call `listen` on it to start serving.
+ * @param {AuctionDatabase} db Indexed auctions
+ * @return {http.Server}
+ */
+function createServer(db) {
+  return http.createServer((req, res) => {
+    let status = 200;
+    let body;
+    try {
+      const url = new URL(req.url, "http://localhost");
+      if (req.method !== "GET") throw new HttpError(405, "Only GET is supported");
+      const route = ROUTES.find(([pattern]) => pattern.test(url.pathname));
+      if (!route) throw new HttpError(404, `No route for ${url.pathname}`);
+      const [pattern, handler] = route;
+      body = handler(db, url.searchParams, url.pathname.match(pattern).slice(1));
+    } catch (error) {
+      status = error instanceof HttpError ? error.status : 500;
+      body = { error: error instanceof HttpError ? error.message : "Internal error" };
+      if (status === 500) console.error(error);
+    }
+    res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+    res.end(JSON.stringify(body));
+  });
+}
+
+module.exports = { createServer };
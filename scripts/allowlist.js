@@ -0,0 +1,111 @@
+// Builds the Merkle allowlist of a private ChronoAuction from a CSV of addresses.
+//
+//   node scripts/allowlist.js bidders.csv > allowlist.json
+//
+// The output holds the root to pass as `allowlistRoot` and a proof per address for
+// `bidWithProof`. Leaves and pair hashing match OpenZeppelin's MerkleProof. The tree
+// layout differs from @openzeppelin/merkle-tree's StandardMerkleTree, so the two can
+// give different roots for the same addresses.
+const fs = require("fs");
+const { AbiCoder, concat, getAddress, isAddress, keccak256 } = require("ethers");
+
+const coder = AbiCoder.defaultAbiCoder();
+
+/**
+ * Reads addresses from CSV text: the first column of each row, skipping blank lines,
+ * `#` comments and a header row. Duplicates are dropped.
+ * @param {string} csv
+ * @returns {string[]} Checksummed addresses
+ */
+function parseAddressCsv(csv) {
+  const addresses = new Set();
+  let firstRow = true;
+  csv.split(/\r?\n/).forEach((row, index) => {
+    const value = row.split(",")[0].trim().replace(/^"|"$/g, "");
+    if (value === "" || value.startsWith("#")) return;
+    const isHeader = firstRow && !isAddress(value);
+    firstRow = false;
+    if (isHeader) return;
+    if (!isAddress(value)) throw new Error(`Invalid address on line ${index + 1}: ${value}`);
+    addresses.add(getAddress(value));
+  });
+  return [...addresses];
+}
+
+/**
+ * Hashes an allowlist entry the way ChronoAuction.isEligible does
+ * @param {string} address
+ */
+function allowlistLeaf(address) {
+  return keccak256(keccak256(coder.encode(["address"], [address])));
+}
+
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b) ? keccak256(concat([a, b])) : keccak256(concat([b, a]));
+}
+
+/**
+ * Builds the allowlist tree
+ * @param {string[]} addresses
+ * @returns {{ root: string, proofs: Object<string, string[]>, getProof: function(string): string[] }}
+ */
+function buildAllowlist(addresses) {
+  if (addresses.length === 0) throw new Error("Allowlist is empty");
+
+  const leaves = [...new Set(addresses.map((address) => getAddress(address)))]
+    .map((address) => ({ address, leaf: allowlistLeaf(address) }))
+    .sort((a, b) => (BigInt(a.leaf) < BigInt(b.leaf) ? -1 : 1));
+
+  // layers[0] are the leaves; an odd node out is carried up unchanged
+  const layers = [leaves.map(({ leaf }) => leaf)];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  const proofs = {};
+  leaves.forEach(({ address }, leafIndex) => {
+    const proof = [];
+    let index = leafIndex;
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index ^ 1;
+      if (sibling < layer.length) proof.push(layer[sibling]);
+      index >>= 1;
+    }
+    proofs[address] = proof;
+  });
+
+  return {
+    root: layers[layers.length - 1][0],
+    proofs,
+    getProof(address) {
+      const proof = proofs[getAddress(address)];
+      if (!proof) throw new Error(`${address} is not on the allowlist`);
+      return proof;
+    }
+  };
+}
+
+/**
+ * Builds the allowlist tree from a CSV file
+ * @param {string} path
+ */
+function loadAllowlist(path) {
+  return buildAllowlist(parseAddressCsv(fs.readFileSync(path, "utf8")));
+}
+
+if (require.main === module) {
+  const [path] = process.argv.slice(2);
+  if (!path) {
+    console.error("Usage: node scripts/allowlist.js <addresses.csv>");
+    process.exit(1);
+  }
+  const { root, proofs } = loadAllowlist(path);
+  console.log(JSON.stringify({ root, proofs }, null, 2));
+}
+
+module.exports = { parseAddressCsv, allowlistLeaf, buildAllowlist, loadAllowlist };
@@ -0,0 +1,169 @@
+// Settles ended English auctions through the factory's settleAuctions, so that funds
+// and lots are released without waiting for a bidder or the seller to do it.
+//
+//   KEEPER_PRIVATE_KEY=0x... node scripts/keeper.js --rpc http://127.0.0.1:8545 \
+//     --deployments deployments/localhost.json [--once]
+//
+// Each pass pages through getAuctionInfos, checks which ended auctions would settle
+// and sends them in batches. Auctions before the first one still open are final and
+// are not scanned again.
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { Contract, JsonRpcProvider, Wallet, getAddress } = require("ethers");
+const { abis, AUCTION_TYPES, AUCTION_STATUSES } = require("../sdk");
+
+const FINAL_STATUSES = ["Settled", "Cancelled"];
+
+// Whether a failed call reverted on-chain, rather than failing to reach the node. Reverts
+// carry their data, even when it is empty or from a contract outside the SDK.
+function isRevert(error) {
+  return error.code === "CALL_EXCEPTION" || (typeof error.data === "string" && error.data.startsWith("0x"));
+}
+
+class AuctionKeeper {
+  /**
+   * @param {object} options
+   * @param {string} options.factory Address of the AuctionFactory
+   * @param {Signer} options.signer Account that sends the settlements and earns the bounties
+   * @param {number} [options.pageSize] Auctions read per getAuctionInfos call, at most 100
+   * @param {number} [options.batchSize] Auctions settled per transaction, at most 100
+   */
+  constructor({ factory, signer, pageSize = 100, batchSize = 20 }) {
+    this.factory = new Contract(getAddress(factory), abis.AuctionFactory, signer);
+    this.signer = signer;
+    this.pageSize = pageSize;
+    this.batchSize = batchSize;
+    this.firstOpen = 0; // Index of the oldest auction that is not settled or cancelled
+    this.timer = null;
+  }
+
+  /**
+   * Finds the English auctions that have ended and would settle now
+   * @return {Promise<string[]>} Their addresses
+   */
+  async findSettleable() {
+    const count = Number(await this.factory.getAuctionCount());
+    const candidates = [];
+    let firstOpen = null;
+    for (let start = this.firstOpen; start < count; start += this.pageSize) {
+      const infos = await this.factory.getAuctionInfos(start, this.pageSize);
+      infos.forEach((info, i) => {
+        const status = AUCTION_STATUSES[Number(info.status)];
+        if (firstOpen === null && !FINAL_STATUSES.includes(status)) firstOpen = start + i;
+        if (AUCTION_TYPES[Number(info.auctionType)] === "English" && status === "Ended") {
+          candidates.push(info.auction);
+        }
+      });
+    }
+    this.firstOpen = firstOpen === null ? count : firstOpen;
+
+    // Leave out auctions whose settlement reverts, such as ended auctions without bids or
+    // a lot, so that one of them cannot hold up the others
+    const settleable = [];
+    for (const address of candidates) {
+      const auction = new Contract(address, abis.ChronoAuction, this.signer);
+      try {
+        await auction.withdraw.staticCall();
+        settleable.push(address);
+      } catch (error) {
+        if (!isRevert(error)) throw error;
+      }
+    }
+    return settleable;
+  }
+
+  /**
+   * Settles every auction that can be settled
+   * @return {Promise<object>} Settled auctions, bounties earned and transaction hashes
+   */
+  async settleEnded() {
+    const auctions = await this.findSettleable();
+    const result = { settled: [], bounty: 0n, transactions: [] };
+    for (let i = 0; i < auctions.length; i += this.batchSize) {
+      const batch = auctions.slice(i, i + this.batchSize);
+      const receipt = await (await this.factory.settleAuctions(batch)).wait();
+      const event = receipt.logs
+        .filter((log) => log.address === this.factory.target)
+        .map((log) => this.factory.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "AuctionsSettled");
+      result.bounty += event.args.bounty;
+      result.transactions.push(receipt.hash);
+      // Report the auctions of the batch that are settled now
+      for (const address of batch) {
+        if (await new Contract(address, abis.ChronoAuction, this.signer).settled()) result.settled.push(address);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Keeps settling ended auctions until stopped. Failed passes are reported and retried.
+   * @param {number} [interval] Milliseconds between passes
+   * @param {function} [onResult] Receives the result of each pass
+   * @param {function} [onError] Receives errors of failed passes
+   */
+  start(interval = 60000, onResult = () => {}, onError = console.error) {
+    const poll = async () => {
+      try {
+        onResult(await this.settleEnded());
+      } catch (error) {
+        onError(error);
+      }
+      if (this.timer) this.timer = setTimeout(poll, interval);
+    };
+    this.timer = setTimeout(poll, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+function report({ settled, bounty, transactions }) {
+  if (settled.length === 0) return;
+  console.log(`Settled ${settled.join(", ")} for a bounty of ${bounty} wei in ${transactions.join(", ")}`);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      rpc: { type: "string", default: "http://127.0.0.1:8545" },
+      deployments: { type: "string", default: "deployments/localhost.json" },
+      factory: { type: "string" },
+      interval: { type: "string", default: "60000" },
+      "batch-size": { type: "string", default: "20" },
+      once: { type: "boolean", default: false }
+    }
+  });
+  if (!process.env.KEEPER_PRIVATE_KEY) throw new Error("Set KEEPER_PRIVATE_KEY to the keeper account's key");
+  let factory = values.factory;
+  if (!factory) {
+    if (!fs.existsSync(values.deployments)) {
+      throw new Error(`No deployments at ${values.deployments}; pass --factory or run the deploy task`);
+    }
+    factory = JSON.parse(fs.readFileSync(values.deployments, "utf8")).contracts.AuctionFactory.address;
+  }
+
+  const signer = new Wallet(process.env.KEEPER_PRIVATE_KEY, new JsonRpcProvider(values.rpc));
+  const keeper = new AuctionKeeper({ factory, signer, batchSize: Number(values["batch-size"]) });
+  if (values.once) {
+    report(await keeper.settleEnded());
+    return;
+  }
+  console.log(`Keeping ${factory} as ${signer.address}`);
+  keeper.start(Number(values.interval), report);
+  process.on("SIGINT", () => {
+    keeper.stop();
+    process.exit(0);
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { AuctionKeeper };
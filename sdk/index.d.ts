@@ -0,0 +1,120 @@
+import type {
+  AddressLike,
+  BigNumberish,
+  BytesLike,
+  ContractRunner,
+  ContractTransactionReceipt,
+  EventLog
+} from "ethers";
+import type {
+  AuctionConfigInput,
+  AuctionFactoryContract,
+  ChronoAuctionContract,
+  ChronoAuctionEvents,
+  ContractErrorName,
+  ContractErrors
+} from "./types/contracts";
+
+export * from "./types/contracts";
+
+export declare const abis: {
+  AuctionFactory: string[];
+  ChronoAuction: string[];
+  ParticipationToken: string[];
+};
+
+export declare const NATIVE_TOKEN: string;
+export declare const AUCTION_TYPES: readonly ["English", "SealedBid", "Dutch", "MultiUnit"];
+export declare const AUCTION_STATUSES: readonly ["Active", "Ended", "Settled", "Cancelled", "Scheduled"];
+export declare const DEFAULT_AUCTION_CONFIG: Readonly<AuctionConfigInput>;
+
+export type AuctionType = (typeof AUCTION_TYPES)[number];
+export type AuctionStatus = (typeof AUCTION_STATUSES)[number];
+
+export interface CreateAuctionParams extends Partial<AuctionConfigInput> {
+  bidToken: AddressLike;
+  duration: BigNumberish;
+  /** Defaults to the signer */
+  beneficiary?: AddressLike;
+}
+
+export interface CreatedAuction {
+  auction: string;
+  receipt: ContractTransactionReceipt;
+}
+
+export interface BidOptions {
+  /** Merkle proof of the bidder's allowlist entry, for private auctions */
+  proof?: BytesLike[];
+  referrer?: AddressLike;
+}
+
+export interface AuctionSummary {
+  address: string;
+  type: AuctionType;
+  status: AuctionStatus;
+  creator: string;
+  bidToken: string;
+  beneficiary: string;
+  endTime: bigint;
+  highestBid: bigint;
+  highestBidder: string;
+}
+
+export interface EnglishAuctionState extends AuctionSummary {
+  type: "English";
+  startTime: bigint;
+  reservePrice: bigint;
+  reserveMet: boolean;
+  minNextBid: bigint;
+  buyNowPrice: bigint;
+  bidCount: bigint;
+  uniqueBidders: bigint;
+  extensionCount: bigint;
+  settled: boolean;
+  cancelled: boolean;
+}
+
+export type AuctionState = EnglishAuctionState | (AuctionSummary & { type: Exclude<AuctionType, "English"> });
+
+export type AuctionEvent<N extends keyof ChronoAuctionEvents> = ChronoAuctionEvents[N] & {
+  auction: string;
+  log: EventLog;
+};
+
+export type Unsubscribe = () => Promise<void>;
+
+/**
+ * A revert decoded into the contract error that caused it. `errorName` is "Error"
+ * for `require` failures, with the revert string in `args.reason`.
+ */
+export declare class AuctionError<N extends ContractErrorName = ContractErrorName> extends Error {
+  readonly errorName: N;
+  readonly args: ContractErrors[N];
+  readonly data: string;
+  is<M extends ContractErrorName>(errorName: M): this is AuctionError<M>;
+}
+
+/** Any decoded error, narrowed by checking `errorName` */
+export type DecodedError = { [N in ContractErrorName]: AuctionError<N> }[ContractErrorName];
+
+export declare function decodeError(error: unknown): DecodedError | null;
+
+/**
+ * Client for an AuctionFactory and the English auctions it creates. Reverts are
+ * thrown as AuctionErrors.
+ */
+export declare class ChronoAuctionClient {
+  constructor(factoryAddress: string, runner: ContractRunner);
+  readonly runner: ContractRunner;
+  readonly factory: AuctionFactoryContract;
+  connect(runner: ContractRunner): ChronoAuctionClient;
+  auction(address: string): ChronoAuctionContract;
+  createAuction(params: CreateAuctionParams): Promise<CreatedAuction>;
+  placeBid(auction: string, amount: BigNumberish, options?: BidOptions): Promise<ContractTransactionReceipt>;
+  settle(auction: string): Promise<ContractTransactionReceipt>;
+  getAuctionState(auction: string): Promise<AuctionState>;
+  onBidPlaced(auction: string, listener: (event: AuctionEvent<"BidPlaced">) => void): Unsubscribe;
+  onAuctionExtended(auction: string, listener: (event: AuctionEvent<"AuctionExtended">) => void): Unsubscribe;
+  onAuctionSettled(auction: string, listener: (event: AuctionEvent<"AuctionSettled">) => void): Unsubscribe;
+}
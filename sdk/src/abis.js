@@ -0,0 +1,259 @@
+// Generated by `npx hardhat sdk:generate` from the contract artifacts. Do not edit.
+
+module.exports = {
+  AuctionFactory: [
+    "constructor(address _rewardToken, address _auctionImplementation)",
+    "error AuctionCreationPaused()",
+    "error BatchTooLarge()",
+    "error BountyPaymentFailed()",
+    "error FailedDeployment()",
+    "error InsufficientBalance(uint256 balance, uint256 needed)",
+    "error InvalidBidIncrement()",
+    "error InvalidBuyNowPrice()",
+    "error InvalidDuration()",
+    "error InvalidExtensionPolicy()",
+    "error InvalidFeeConfig()",
+    "error InvalidLot()",
+    "error InvalidPriceSchedule()",
+    "error InvalidSettlementBounty()",
+    "error InvalidSplits()",
+    "error InvalidStartTime()",
+    "error InvalidTokenAddress()",
+    "error InvalidUnits()",
+    "error NotAuctionOwner()",
+    "error OwnableInvalidOwner(address owner)",
+    "error OwnableUnauthorizedAccount(address account)",
+    "error StartIndexOutOfBounds()",
+    "error TokenAlreadySupported()",
+    "error TokenNotSupported()",
+    "error UnknownAuction()",
+    "error UnsupportedAuctionType()",
+    "event AuctionAllowlistUpdated(address indexed auctionAddress, bytes32 allowlistRoot, uint256 minParticipationBalance)",
+    "event AuctionBeneficiaryUpdated(address indexed auctionAddress, address indexed newBeneficiary)",
+    "event AuctionCancelled(address indexed auctionAddress, address indexed caller, bool emergency)",
+    "event AuctionCreated(address indexed auctionAddress, address indexed creator, address indexed bidToken, uint256 duration, address beneficiary, (uint8 kind, address token, uint256 tokenId, uint256 amount) lot)",
+    "event AuctionsSettled(address indexed caller, uint256 settledCount, uint256 bounty)",
+    "event BidTokenAdded(address indexed tokenAddress)",
+    "event BidTokenRemoved(address indexed tokenAddress)",
+    "event DurationLimitsUpdated(uint256 min, uint256 max)",
+    "event DutchAuctionCreated(address indexed auctionAddress, address indexed creator, address indexed bidToken, uint256 duration, address beneficiary, (uint256 startPrice, uint256 floorPrice, uint8 decay, uint256 stepDuration, (uint8 kind, address token, uint256 tokenId, uint256 amount) lot) config)",
+    "event ExtensionLimitsUpdated(uint256 maxWindow, uint256 maxExtension, uint256 maxTotal)",
+    "event MultiUnitAuctionCreated(address indexed auctionAddress, address indexed creator, address indexed bidToken, uint256 duration, address beneficiary, (uint256 totalUnits, uint256 reservePrice, address unitToken, uint256 unitTokenId) config)",
+    "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+    "event PauseUpdated(bool paused)",
+    "event ProtocolFeeUpdated(uint256 feeBps, address indexed recipient)",
+    "event SealedBidAuctionCreated(address indexed auctionAddress, address indexed creator, address indexed bidToken, uint256 commitDuration, uint256 revealDuration, address beneficiary, (uint256 reservePrice, uint8 pricing, uint8 unrevealedPolicy, (uint8 kind, address token, uint256 tokenId, uint256 amount) lot) config)",
+    "event SettlementBountyFunded(address indexed auctionAddress, uint256 amount)",
+    "event SettlementBountyReclaimed(address indexed auctionAddress, uint256 amount)",
+    "function MAX_BATCH_SIZE() view returns (uint256)",
+    "function MAX_BID_INCREMENT_BPS() view returns (uint256)",
+    "function MAX_PROTOCOL_FEE_BPS() view returns (uint256)",
+    "function MAX_REFERRER_FEE_BPS() view returns (uint256)",
+    "function MAX_SPLITS() view returns (uint256)",
+    "function NATIVE_TOKEN() view returns (address)",
+    "function addSupportedBidToken(address _tokenAddress)",
+    "function auctionImplementation() view returns (address)",
+    "function auctionOwner(address) view returns (address)",
+    "function auctionType(address) view returns (uint8)",
+    "function auctions(uint256) view returns (address)",
+    "function cancelAuction(address _auction)",
+    "function createAuction(address _bidToken, uint256 _duration, address _beneficiary, (uint256 reservePrice, uint256 minBidIncrement, uint256 minBidIncrementBps, uint256 extensionWindow, uint256 extensionDuration, uint256 maxTotalExtension, bool cancellableWithBids, uint256 buyNowPrice, bool buyNowUntilFirstBid, uint256 startTime, uint256 earlyAccessPeriod, bytes32 allowlistRoot, uint256 minParticipationBalance, uint256 referrerFeeBps, (address recipient, uint256 bps)[] splits, (uint8 kind, address token, uint256 tokenId, uint256 amount) lot) _config) returns (address)",
+    "function createAuctionDeterministic(address _bidToken, uint256 _duration, address _beneficiary, (uint256 reservePrice, uint256 minBidIncrement, uint256 minBidIncrementBps, uint256 extensionWindow, uint256 extensionDuration, uint256 maxTotalExtension, bool cancellableWithBids, uint256 buyNowPrice, bool buyNowUntilFirstBid, uint256 startTime, uint256 earlyAccessPeriod, bytes32 allowlistRoot, uint256 minParticipationBalance, uint256 referrerFeeBps, (address recipient, uint256 bps)[] splits, (uint8 kind, address token, uint256 tokenId, uint256 amount) lot) _config, bytes32 _salt) returns (address)",
+    "function createDutchAuction(address _bidToken, uint256 _duration, address _beneficiary, (uint256 startPrice, uint256 floorPrice, uint8 decay, uint256 stepDuration, (uint8 kind, address token, uint256 tokenId, uint256 amount) lot) _config) returns (address)",
+    "function createMultiUnitAuction(address _bidToken, uint256 _duration, address _beneficiary, (uint256 totalUnits, uint256 reservePrice, address unitToken, uint256 unitTokenId) _config) returns (address)",
+    "function createSealedBidAuction(address _bidToken, uint256 _commitDuration, uint256 _revealDuration, address _beneficiary, (uint256 reservePrice, uint8 pricing, uint8 unrevealedPolicy, (uint8 kind, address token, uint256 tokenId, uint256 amount) lot) _config) returns (address)",
+    "function emergencyPause(bool _pause)",
+    "function feeRecipient() view returns (address)",
+    "function fundSettlementBounty(address _auction) payable",
+    "function getAuctionCount() view returns (uint256)",
+    "function getAuctionCountByBidToken(address _bidToken) view returns (uint256)",
+    "function getAuctionCountByBidder(address _bidder) view returns (uint256)",
+    "function getAuctionCountByCreator(address _creator) view returns (uint256)",
+    "function getAuctionInfo(address _auction) view returns ((address auction, uint8 auctionType, uint8 status, address creator, address bidToken, address beneficiary, uint256 endTime, uint256 highestBid, address highestBidder))",
+    "function getAuctionInfos(uint256 _start, uint256 _count) view returns ((address auction, uint8 auctionType, uint8 status, address creator, address bidToken, address beneficiary, uint256 endTime, uint256 highestBid, address highestBidder)[])",
+    "function getAuctions(uint256 _start, uint256 _count) view returns (address[])",
+    "function getAuctionsByBidToken(address _bidToken, uint256 _start, uint256 _count) view returns ((address auction, uint8 auctionType, uint8 status, address creator, address bidToken, address beneficiary, uint256 endTime, uint256 highestBid, address highestBidder)[])",
+    "function getAuctionsByBidder(address _bidder, uint256 _start, uint256 _count) view returns ((address auction, uint8 auctionType, uint8 status, address creator, address bidToken, address beneficiary, uint256 endTime, uint256 highestBid, address highestBidder)[])",
+    "function getAuctionsByCreator(address _creator, uint256 _start, uint256 _count) view returns ((address auction, uint8 auctionType, uint8 status, address creator, address bidToken, address beneficiary, uint256 endTime, uint256 highestBid, address highestBidder)[])",
+    "function getAuctionsByStatus(uint8 _status, uint256 _start, uint256 _count) view returns ((address auction, uint8 auctionType, uint8 status, address creator, address bidToken, address beneficiary, uint256 endTime, uint256 highestBid, address highestBidder)[])",
+    "function maxAuctionDuration() view returns (uint256)",
+    "function maxExtensionDuration() view returns (uint256)",
+    "function maxExtensionWindow() view returns (uint256)",
+    "function maxTotalExtension() view returns (uint256)",
+    "function minAuctionDuration() view returns (uint256)",
+    "function owner() view returns (address)",
+    "function paused() view returns (bool)",
+    "function predictAuctionAddress(address _creator, bytes32 _salt) view returns (address)",
+    "function protocolFeeBps() view returns (uint256)",
+    "function reclaimSettlementBounty(address _auction)",
+    "function recordBidder(address _bidder)",
+    "function removeSupportedBidToken(address _tokenAddress)",
+    "function renounceOwnership()",
+    "function rewardToken() view returns (address)",
+    "function setAuctionAllowlist(address _auction, bytes32 _allowlistRoot, uint256 _minParticipationBalance)",
+    "function setAuctionBeneficiary(address _auction, address _beneficiary)",
+    "function setDurationLimits(uint256 _min, uint256 _max)",
+    "function setExtensionLimits(uint256 _maxWindow, uint256 _maxExtension, uint256 _maxTotal)",
+    "function setProtocolFee(uint256 _feeBps, address _recipient)",
+    "function setRewardSchedule(address _auction, (uint8 basis, uint256 baseReward, uint256 rate, uint256 capPerBidder, uint256 extensionBonus, uint256 winnerBonus) _schedule)",
+    "function settleAuctions(address[] _auctions) returns (uint256 settledCount)",
+    "function settlementBounties(address) view returns (uint256)",
+    "function supportedBidTokens(address) view returns (bool)",
+    "function transferOwnership(address newOwner)"
+  ],
+  ChronoAuction: [
+    "constructor()",
+    "error AuctionNotStarted(uint256 startTime)",
+    "error ECDSAInvalidSignature()",
+    "error ECDSAInvalidSignatureLength(uint256 length)",
+    "error ECDSAInvalidSignatureS(bytes32 s)",
+    "error InvalidAccountNonce(address account, uint256 currentNonce)",
+    "error InvalidInitialization()",
+    "error InvalidShortString()",
+    "error NotInitializing()",
+    "error ReentrancyGuardReentrantCall()",
+    "error StringTooLong(string str)",
+    "event AllowlistUpdated(bytes32 allowlistRoot, uint256 minParticipationBalance)",
+    "event AuctionCancelled(address indexed refundedBidder, uint256 refundAmount, bool emergency)",
+    "event AuctionExtended(uint256 newEndTime)",
+    "event AuctionSettled(address winner, uint256 amount, uint256 protocolFee, uint256 referrerFee, uint256 sellerProceeds)",
+    "event BeneficiaryUpdated(address indexed previousBeneficiary, address indexed newBeneficiary)",
+    "event BidPlaced(address indexed bidder, uint256 amount)",
+    "event BoughtNow(address indexed buyer, uint256 amount)",
+    "event BuyNowPriceRemoved()",
+    "event EIP712DomainChanged()",
+    "event Initialized(uint64 version)",
+    "event LotHeld(address indexed claimant, address indexed token, uint256 tokenId, uint256 amount)",
+    "event LotTransferred(address indexed to, address indexed token, uint256 tokenId, uint256 amount)",
+    "event RefundClaimed(address indexed bidder, uint256 amount)",
+    "event RefundCredited(address indexed bidder, uint256 amount)",
+    "event ReserveNotMet(address highestBidder, uint256 amount)",
+    "function MAX_BPS() view returns (uint256)",
+    "function MAX_PAGE_SIZE() view returns (uint256)",
+    "function MAX_SPLITS() view returns (uint256)",
+    "function NATIVE_TOKEN() view returns (address)",
+    "function SIGNED_BID_TYPEHASH() view returns (bytes32)",
+    "function allowlistRoot() view returns (bytes32)",
+    "function beneficiary() view returns (address)",
+    "function bid(uint256 amount) payable",
+    "function bidCount(address) view returns (uint256)",
+    "function bidToken() view returns (address)",
+    "function bidWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+    "function bidWithProof(uint256 amount, bytes32[] proof) payable",
+    "function bidWithReferrer(uint256 amount, address referrer) payable",
+    "function bidWithSignature(address bidder, uint256 amount, uint256 nonce, uint256 deadline, bytes signature)",
+    "function boughtNow() view returns (bool)",
+    "function buyNowPrice() view returns (uint256)",
+    "function buyNowUntilFirstBid() view returns (bool)",
+    "function cancel(bool emergency)",
+    "function cancellableWithBids() view returns (bool)",
+    "function cancelled() view returns (bool)",
+    "function claimLot(address to)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+    "function endTime() view returns (uint256)",
+    "function extensionCount() view returns (uint256)",
+    "function extensionDuration() view returns (uint256)",
+    "function extensionWindow() view returns (uint256)",
+    "function factory() view returns (address)",
+    "function feeRecipient() view returns (address)",
+    "function getBidHistory(uint256 start, uint256 count) view returns ((address bidder, uint64 timestamp, bool extended, uint256 amount)[] page)",
+    "function getBidHistoryLength() view returns (uint256)",
+    "function getSplits() view returns ((address recipient, uint256 bps)[])",
+    "function highestBid() view returns (uint256)",
+    "function highestBidReferrer() view returns (address)",
+    "function highestBidder() view returns (address)",
+    "function initialize(address _bidToken, uint256 _duration, address _rewardToken, address _beneficiary, address _seller, (address recipient, uint256 bps) _protocolFee, (uint256 reservePrice, uint256 minBidIncrement, uint256 minBidIncrementBps, uint256 extensionWindow, uint256 extensionDuration, uint256 maxTotalExtension, bool cancellableWithBids, uint256 buyNowPrice, bool buyNowUntilFirstBid, uint256 startTime, uint256 earlyAccessPeriod, bytes32 allowlistRoot, uint256 minParticipationBalance, uint256 referrerFeeBps, (address recipient, uint256 bps)[] splits, (uint8 kind, address token, uint256 tokenId, uint256 amount) lot) _config)",
+    "function isEligible(address bidder, bytes32[] proof) view returns (bool)",
+    "function lot() view returns (uint8 kind, address token, uint256 tokenId, uint256 amount)",
+    "function lotClaimant() view returns (address)",
+    "function maxEndTime() view returns (uint256)",
+    "function minBidIncrement() view returns (uint256)",
+    "function minBidIncrementBps() view returns (uint256)",
+    "function minNextBid() view returns (uint256)",
+    "function minNextBidFor(address bidder) view returns (uint256)",
+    "function minParticipationBalance() view returns (uint256)",
+    "function nativeBidding() view returns (bool)",
+    "function nonces(address owner) view returns (uint256)",
+    "function onERC1155BatchReceived(address, address, uint256[], uint256[], bytes) returns (bytes4)",
+    "function onERC1155Received(address, address, uint256, uint256, bytes) returns (bytes4)",
+    "function onERC721Received(address, address, uint256, bytes) returns (bytes4)",
+    "function originalEndTime() view returns (uint256)",
+    "function pendingReturns(address) view returns (uint256)",
+    "function protocolFeeBps() view returns (uint256)",
+    "function publicStartTime() view returns (uint256)",
+    "function referrerFeeBps() view returns (uint256)",
+    "function reserveMet() view returns (bool)",
+    "function reservePrice() view returns (uint256)",
+    "function rewardToken() view returns (address)",
+    "function seller() view returns (address)",
+    "function setAllowlist(bytes32 newAllowlistRoot, uint256 newMinParticipationBalance)",
+    "function setBeneficiary(address newBeneficiary)",
+    "function settled() view returns (bool)",
+    "function startTime() view returns (uint256)",
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+    "function uniqueBidderCount() view returns (uint256)",
+    "function withdraw()",
+    "function withdrawRefund()"
+  ],
+  ParticipationToken: [
+    "constructor(uint256 _supplyCap)",
+    "error AccessControlBadConfirmation()",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+    "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+    "error ERC20InvalidApprover(address approver)",
+    "error ERC20InvalidReceiver(address receiver)",
+    "error ERC20InvalidSender(address sender)",
+    "error ERC20InvalidSpender(address spender)",
+    "event Approval(address indexed owner, address indexed spender, uint256 value)",
+    "event PerkTiersUpdated((uint256 minStake, uint256 earlyAccess, uint256 incrementDiscountBps)[] tiers)",
+    "event RewardScheduleUpdated(address indexed auction, (uint8 basis, uint256 baseReward, uint256 rate, uint256 capPerBidder, uint256 extensionBonus, uint256 winnerBonus) schedule)",
+    "event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole)",
+    "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event SoulboundUpdated(bool soulbound)",
+    "event StakeLockDurationUpdated(uint256 duration)",
+    "event Staked(address indexed account, uint256 amount, uint256 unlockTime)",
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event Unstaked(address indexed account, uint256 amount)",
+    "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+    "function MINTER_ROLE() view returns (bytes32)",
+    "function REGISTRAR_ROLE() view returns (bytes32)",
+    "function addAllowedAuction(address auction)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function allowedAuctions(address auction) view returns (bool)",
+    "function approve(address spender, uint256 value) returns (bool)",
+    "function balanceOf(address account) view returns (uint256)",
+    "function burn(uint256 amount)",
+    "function decimals() view returns (uint8)",
+    "function getPerkTiers() view returns ((uint256 minStake, uint256 earlyAccess, uint256 incrementDiscountBps)[])",
+    "function getRoleAdmin(bytes32 role) view returns (bytes32)",
+    "function grantRole(bytes32 role, address account)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "function name() view returns (string)",
+    "function perksOf(address account) view returns ((uint256 minStake, uint256 earlyAccess, uint256 incrementDiscountBps) perks)",
+    "function removeAllowedAuction(address auction)",
+    "function renounceRole(bytes32 role, address callerConfirmation)",
+    "function revokeRole(bytes32 role, address account)",
+    "function rewardBid(address bidder, uint256 amount, uint256 increase, bool extended) returns (uint256 reward)",
+    "function rewardSchedules(address) view returns (uint8 basis, uint256 baseReward, uint256 rate, uint256 capPerBidder, uint256 extensionBonus, uint256 winnerBonus)",
+    "function rewardWinner(address winner)",
+    "function rewardsEarned(address, address) view returns (uint256)",
+    "function setPerkTiers((uint256 minStake, uint256 earlyAccess, uint256 incrementDiscountBps)[] tiers)",
+    "function setRewardSchedule(address auction, (uint8 basis, uint256 baseReward, uint256 rate, uint256 capPerBidder, uint256 extensionBonus, uint256 winnerBonus) schedule)",
+    "function setSoulbound(bool _soulbound)",
+    "function setStakeLockDuration(uint256 duration)",
+    "function soulbound() view returns (bool)",
+    "function stake(uint256 amount)",
+    "function stakeLockDuration() view returns (uint256)",
+    "function stakeUnlockTime(address) view returns (uint256)",
+    "function stakedBalance(address) view returns (uint256)",
+    "function supplyCap() view returns (uint256)",
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+    "function symbol() view returns (string)",
+    "function totalSupply() view returns (uint256)",
+    "function transfer(address to, uint256 value) returns (bool)",
+    "function transferFrom(address from, address to, uint256 value) returns (bool)",
+    "function unstake(uint256 amount)"
+  ]
+};
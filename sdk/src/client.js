@@ -0,0 +1,245 @@
+const { Contract, ZeroAddress, ZeroHash, getAddress } = require("ethers");
+const abis = require("./abis");
+const { decodeError } = require("./errors");
+
+// Bid token address that stands for native ETH, as in BidPayments.NATIVE_TOKEN
+const NATIVE_TOKEN = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+const AUCTION_TYPES = ["English", "SealedBid", "Dutch", "MultiUnit"];
+const AUCTION_STATUSES = ["Active", "Ended", "Settled", "Cancelled", "Scheduled"];
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+// English auction settings used for anything createAuction is not given
+const DEFAULT_AUCTION_CONFIG = Object.freeze({
+  reservePrice: 0n,
+  minBidIncrement: 0n,
+  minBidIncrementBps: 0n,
+  extensionWindow: 300n,
+  extensionDuration: 300n,
+  maxTotalExtension: 86400n,
+  cancellableWithBids: false,
+  buyNowPrice: 0n,
+  buyNowUntilFirstBid: false,
+  startTime: 0n,
+  earlyAccessPeriod: 0n,
+  allowlistRoot: ZeroHash,
+  minParticipationBalance: 0n,
+  referrerFeeBps: 0n,
+  splits: Object.freeze([]),
+  lot: Object.freeze({ kind: 0, token: ZeroAddress, tokenId: 0n, amount: 0n })
+});
+
+// Rethrows reverts as AuctionErrors
+async function decodeReverts(action) {
+  try {
+    return await action();
+  } catch (error) {
+    throw decodeError(error) || error;
+  }
+}
+
+/**
+ * Client for an AuctionFactory and the English auctions it creates. Works with any
+ * ethers v6 runner: a signer to send transactions, or a provider for reads and events.
+ */
+class ChronoAuctionClient {
+  /**
+   * @param {string} factoryAddress Address of the AuctionFactory
+   * @param {ContractRunner} runner Signer or provider
+   */
+  constructor(factoryAddress, runner) {
+    this.runner = runner;
+    this.factory = new Contract(factoryAddress, abis.AuctionFactory, runner);
+  }
+
+  /**
+   * Returns a client for the same factory that uses another runner
+   * @param {ContractRunner} runner Signer or provider
+   */
+  connect(runner) {
+    return new ChronoAuctionClient(this.factory.target, runner);
+  }
+
+  /**
+   * Returns an English auction contract, connected to the client's runner
+   * @param {string} address Auction address
+   */
+  auction(address) {
+    return new Contract(address, abis.ChronoAuction, this.runner);
+  }
+
+  signer() {
+    if (!this.runner || typeof this.runner.sendTransaction !== "function") {
+      throw new Error("A signer is needed to send transactions");
+    }
+    return this.runner;
+  }
+
+  /**
+   * Creates an English auction. Config fields that are left out take their
+   * DEFAULT_AUCTION_CONFIG values, and the beneficiary defaults to the signer.
+   * @param {object} params bidToken, duration, beneficiary and any AuctionConfig fields
+   * @return {Promise<object>} Address of the new auction and the transaction receipt
+   */
+  async createAuction({ bidToken, duration, beneficiary, ...config }) {
+    const signer = this.signer();
+    return decodeReverts(async () => {
+      const tx = await this.factory.createAuction(
+        bidToken,
+        duration,
+        beneficiary || (await signer.getAddress()),
+        { ...DEFAULT_AUCTION_CONFIG, ...config }
+      );
+      const receipt = await tx.wait();
+      const factory = getAddress(await this.factory.getAddress());
+      const created = receipt.logs
+        .filter((log) => getAddress(log.address) === factory)
+        .map((log) => this.factory.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "AuctionCreated");
+      if (!created) throw new Error(`No AuctionCreated event in transaction ${receipt.hash}`);
+      return { auction: created.args.auctionAddress, receipt };
+    });
+  }
+
+  /**
+   * Bids on an English auction. ETH bids are sent as value; for ERC20 bids the
+   * auction is approved for the amount first unless the allowance already covers it.
+   * @param {string} auction Auction address
+   * @param {BigNumberish} amount Bid in the smallest unit of the bid token
+   * @param {object} [options] `proof` for private auctions, or a `referrer`
+   * @return {Promise<ContractTransactionReceipt>} Receipt of the bid
+   */
+  async placeBid(auction, amount, { proof, referrer } = {}) {
+    const signer = this.signer();
+    if (proof && referrer) throw new Error("A bid cannot carry both an allowlist proof and a referrer");
+    return decodeReverts(async () => {
+      const info = await this.factory.getAuctionInfo(auction);
+      const type = AUCTION_TYPES[Number(info.auctionType)];
+      if (type !== "English") throw new Error(`placeBid supports English auctions, not ${type}`);
+
+      const overrides = {};
+      if (info.bidToken === NATIVE_TOKEN) {
+        overrides.value = amount;
+      } else {
+        const token = new Contract(info.bidToken, ERC20_ABI, signer);
+        if ((await token.allowance(await signer.getAddress(), info.auction)) < BigInt(amount)) {
+          await (await token.approve(info.auction, amount)).wait();
+        }
+      }
+
+      const contract = this.auction(info.auction);
+      let tx;
+      if (proof) tx = await contract.bidWithProof(amount, proof, overrides);
+      else if (referrer) tx = await contract.bidWithReferrer(amount, referrer, overrides);
+      else tx = await contract.bid(amount, overrides);
+      return tx.wait();
+    });
+  }
+
+  /**
+   * Settles an English auction that has ended, paying out the winning bid and the lot
+   * @param {string} auction Auction address
+   * @return {Promise<ContractTransactionReceipt>} Receipt of the settlement
+   */
+  async settle(auction) {
+    this.signer();
+    return decodeReverts(async () => (await this.auction(auction).withdraw()).wait());
+  }
+
+  /**
+   * Reads the state of an auction. English auctions also report their pricing and bidding activity.
+   * @param {string} auction Auction address
+   */
+  async getAuctionState(auction) {
+    return decodeReverts(async () => {
+      const info = await this.factory.getAuctionInfo(auction);
+      const state = {
+        address: info.auction,
+        type: AUCTION_TYPES[Number(info.auctionType)],
+        status: AUCTION_STATUSES[Number(info.status)],
+        creator: info.creator,
+        bidToken: info.bidToken,
+        beneficiary: info.beneficiary,
+        endTime: info.endTime,
+        highestBid: info.highestBid,
+        highestBidder: info.highestBidder
+      };
+      if (state.type !== "English") return state;
+
+      const contract = this.auction(info.auction);
+      const [
+        startTime, reservePrice, reserveMet, minNextBid, buyNowPrice,
+        bidCount, uniqueBidders, extensionCount, settled, cancelled
+      ] = await Promise.all([
+        contract.startTime(),
+        contract.reservePrice(),
+        contract.reserveMet(),
+        contract.minNextBid(),
+        contract.buyNowPrice(),
+        contract.getBidHistoryLength(),
+        contract.uniqueBidderCount(),
+        contract.extensionCount(),
+        contract.settled(),
+        contract.cancelled()
+      ]);
+      return {
+        ...state,
+        startTime, reservePrice, reserveMet, minNextBid, buyNowPrice,
+        bidCount, uniqueBidders, extensionCount, settled, cancelled
+      };
+    });
+  }
+
+  /**
+   * Calls `listener` for each bid on an auction
+   * @param {string} auction Auction address
+   * @param {function} listener Receives the event arguments, the auction and the log
+   * @return {function} Stops the subscription
+   */
+  onBidPlaced(auction, listener) {
+    return this.subscribe(auction, "BidPlaced", listener);
+  }
+
+  /**
+   * Calls `listener` each time a late bid extends an auction
+   * @param {string} auction Auction address
+   * @param {function} listener Receives the event arguments, the auction and the log
+   * @return {function} Stops the subscription
+   */
+  onAuctionExtended(auction, listener) {
+    return this.subscribe(auction, "AuctionExtended", listener);
+  }
+
+  /**
+   * Calls `listener` when an auction is settled
+   * @param {string} auction Auction address
+   * @param {function} listener Receives the event arguments, the auction and the log
+   * @return {function} Stops the subscription
+   */
+  onAuctionSettled(auction, listener) {
+    return this.subscribe(auction, "AuctionSettled", listener);
+  }
+
+  subscribe(auction, eventName, listener) {
+    const contract = this.auction(auction);
+    const handler = (...args) => {
+      const payload = args[args.length - 1];
+      listener({ ...payload.args.toObject(), auction: contract.target, log: payload.log });
+    };
+    const subscribed = contract.on(eventName, handler);
+    return async () => {
+      await subscribed;
+      await contract.off(eventName, handler);
+    };
+  }
+}
+
+module.exports = {
+  NATIVE_TOKEN,
+  AUCTION_TYPES,
+  AUCTION_STATUSES,
+  DEFAULT_AUCTION_CONFIG,
+  ChronoAuctionClient
+};
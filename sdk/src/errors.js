@@ -0,0 +1,108 @@
+// Decoding of contract reverts into typed, readable errors
+const { AbiCoder, Interface, dataSlice } = require("ethers");
+const abis = require("./abis");
+
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string), used by require
+
+// Custom errors of the factory and the contracts it deploys
+const ERROR_MESSAGES = {
+  InvalidTokenAddress: () => "Token or address is invalid, or the token is not supported for bidding",
+  InvalidDuration: () => "Duration is outside the factory's duration limits",
+  AuctionCreationPaused: () => "Auction creation is paused",
+  BatchTooLarge: () => "Page size is larger than the factory's MAX_BATCH_SIZE of 100",
+  TokenAlreadySupported: () => "Token is already supported",
+  TokenNotSupported: () => "Token is not supported",
+  StartIndexOutOfBounds: () => "Start index is past the last auction",
+  InvalidBidIncrement: () => "Minimum bid increment is above the factory's limit",
+  InvalidExtensionPolicy: () => "Extension window, duration or cap is outside the factory's limits",
+  InvalidLot: () => "Lot is invalid",
+  NotAuctionOwner: () => "Only the auction's creator can do this",
+  UnknownAuction: () => "Address is not an auction created by this factory",
+  UnsupportedAuctionType: () => "Not supported for this type of auction",
+  InvalidPriceSchedule: () => "Price schedule is invalid",
+  InvalidUnits: () => "Unit count is invalid",
+  InvalidFeeConfig: () => "Fee is above its cap or has no recipient",
+  InvalidSplits: () => "Revenue splits are invalid",
+  InvalidStartTime: () => "Start time is in the past",
+  InvalidBuyNowPrice: () => "Buy-now price must be above the reserve price",
+  InvalidSettlementBounty: () =>
+    "Settlement bounty is empty, or the auction is settled or cancelled when funding it or still open when reclaiming it",
+  BountyPaymentFailed: () => "Recipient did not accept the ETH",
+  AuctionNotStarted: ({ startTime }) =>
+    `Auction has not started yet; bidding opens at ${new Date(Number(startTime) * 1000).toISOString()}`,
+  OwnableUnauthorizedAccount: ({ account }) => `${account} is not the factory owner`,
+  AccessControlUnauthorizedAccount: ({ account, neededRole }) => `${account} is missing role ${neededRole}`,
+  ERC20InsufficientBalance: ({ sender, balance, needed }) =>
+    `${sender} has a balance of ${balance}, ${needed} is needed`,
+  ERC20InsufficientAllowance: ({ spender, allowance, needed }) =>
+    `Allowance of ${spender} is ${allowance}, ${needed} is needed`
+};
+
+// Errors of all SDK contracts in one interface; some are declared by more than one
+const errorInterface = new Interface([
+  ...new Set(Object.values(abis).flat().filter((fragment) => fragment.startsWith("error ")))
+]);
+
+/**
+ * A revert decoded into the contract error that caused it. `errorName` is "Error"
+ * for `require` failures, with the revert string in `args.reason`.
+ */
+class AuctionError extends Error {
+  constructor(errorName, args, message, data, cause) {
+    super(message, { cause });
+    this.name = "AuctionError";
+    this.errorName = errorName;
+    this.args = args;
+    this.data = data;
+  }
+
+  /**
+   * Whether this is the given contract error
+   * @param {string} errorName Name of the error, e.g. "InvalidDuration"
+   */
+  is(errorName) {
+    return this.errorName === errorName;
+  }
+}
+
+function findRevertData(error) {
+  for (let e = error; e; e = e.error || e.cause || (e.info && e.info.error)) {
+    if (typeof e.data === "string" && e.data.startsWith("0x")) return e.data;
+    if (e.data && typeof e.data.data === "string") return e.data.data;
+  }
+  return null;
+}
+
+/**
+ * Decodes the revert behind a failed call or transaction
+ * @param {Error} error Error thrown by ethers or the provider
+ * @return {AuctionError|null} The decoded error, or null if it is not a known revert
+ */
+function decodeError(error) {
+  if (error instanceof AuctionError) return error;
+  const data = findRevertData(error);
+  if (!data || data === "0x") return null;
+
+  if (data.startsWith(ERROR_STRING_SELECTOR)) {
+    const [reason] = AbiCoder.defaultAbiCoder().decode(["string"], dataSlice(data, 4));
+    return new AuctionError("Error", { reason }, reason, data, error);
+  }
+
+  let parsed;
+  try {
+    parsed = errorInterface.parseError(data);
+  } catch (e) {
+    return null;
+  }
+  if (!parsed) return null;
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name || `arg${i}`] = parsed.args[i];
+  });
+  const message = ERROR_MESSAGES[parsed.name]
+    ? `${ERROR_MESSAGES[parsed.name](args)} (${parsed.name})`
+    : `${parsed.name}(${parsed.args.join(", ")})`;
+  return new AuctionError(parsed.name, args, message, data, error);
+}
+
+module.exports = { AuctionError, decodeError };
@@ -0,0 +1,22 @@
+// JavaScript SDK for the auction factory and its English auctions. Depends only on
+// ethers, so it runs in Node and in browser bundles alike.
+const abis = require("./abis");
+const { AuctionError, decodeError } = require("./errors");
+const {
+  NATIVE_TOKEN,
+  AUCTION_TYPES,
+  AUCTION_STATUSES,
+  DEFAULT_AUCTION_CONFIG,
+  ChronoAuctionClient
+} = require("./client");
+
+module.exports = {
+  abis,
+  NATIVE_TOKEN,
+  AUCTION_TYPES,
+  AUCTION_STATUSES,
+  DEFAULT_AUCTION_CONFIG,
+  ChronoAuctionClient,
+  AuctionError,
+  decodeError
+};
@@ -0,0 +1,55 @@
+// Compiled by test/sdk.test.js to check the typings; never run.
+import { JsonRpcProvider, Wallet } from "ethers";
+import { AuctionError, ChronoAuctionClient, NATIVE_TOKEN, decodeError } from "..";
+import type { AuctionInfo, BidRecord } from "..";
+
+async function usage(): Promise<void> {
+  const signer = Wallet.createRandom(new JsonRpcProvider());
+  const client = new ChronoAuctionClient("0x0000000000000000000000000000000000000001", signer);
+
+  const { auction } = await client.createAuction({ bidToken: NATIVE_TOKEN, duration: 3600, reservePrice: 10n });
+  // @ts-expect-error bidToken and duration are required
+  await client.createAuction({ reservePrice: 10n });
+
+  await client.placeBid(auction, 10n, { proof: ["0x00"] });
+  await client.settle(auction);
+
+  const state = await client.getAuctionState(auction);
+  if (state.type === "English") {
+    const reserveMet: boolean = state.reserveMet;
+  } else {
+    // @ts-expect-error only English auctions report a reserve
+    state.reservePrice;
+  }
+
+  const info: AuctionInfo = await client.factory.getAuctionInfo(auction);
+  const status: bigint = info.status;
+  const history: BidRecord[] = await client.auction(auction).getBidHistory(0, 10);
+  const amount: bigint = history[0].amount;
+  // @ts-expect-error bid takes an amount
+  await client.auction(auction).bid();
+
+  const unsubscribe = client.onBidPlaced(auction, ({ bidder, amount, log }) => {
+    const who: string = bidder;
+    const value: bigint = amount;
+    const block: number = log.blockNumber;
+  });
+  await unsubscribe();
+  client.onAuctionExtended(auction, ({ newEndTime }) => newEndTime + 1n);
+  // @ts-expect-error AuctionSettled has no bidder
+  client.onAuctionSettled(auction, ({ bidder }) => bidder);
+
+  try {
+    await client.placeBid(auction, 1n);
+  } catch (error) {
+    const decoded = decodeError(error);
+    if (decoded && decoded.errorName === "AuctionNotStarted") {
+      const startTime: bigint = decoded.args.startTime;
+    }
+    if (error instanceof AuctionError && error.is("ERC20InsufficientBalance")) {
+      const needed: bigint = error.args.needed;
+    }
+    // @ts-expect-error not an error of these contracts
+    decoded?.is("NoSuchError");
+  }
+}
@@ -0,0 +1,454 @@
+// Generated by `npx hardhat sdk:generate` from the contract artifacts. Do not edit.
+
+import type {
+  AddressLike,
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  ContractTransactionResponse,
+  Overrides
+} from "ethers";
+
+export interface AuctionConfigInput {
+  reservePrice: BigNumberish;
+  minBidIncrement: BigNumberish;
+  minBidIncrementBps: BigNumberish;
+  extensionWindow: BigNumberish;
+  extensionDuration: BigNumberish;
+  maxTotalExtension: BigNumberish;
+  cancellableWithBids: boolean;
+  buyNowPrice: BigNumberish;
+  buyNowUntilFirstBid: boolean;
+  startTime: BigNumberish;
+  earlyAccessPeriod: BigNumberish;
+  allowlistRoot: BytesLike;
+  minParticipationBalance: BigNumberish;
+  referrerFeeBps: BigNumberish;
+  splits: ShareInput[];
+  lot: LotInput;
+}
+
+export interface AuctionConfig {
+  reservePrice: bigint;
+  minBidIncrement: bigint;
+  minBidIncrementBps: bigint;
+  extensionWindow: bigint;
+  extensionDuration: bigint;
+  maxTotalExtension: bigint;
+  cancellableWithBids: boolean;
+  buyNowPrice: bigint;
+  buyNowUntilFirstBid: boolean;
+  startTime: bigint;
+  earlyAccessPeriod: bigint;
+  allowlistRoot: string;
+  minParticipationBalance: bigint;
+  referrerFeeBps: bigint;
+  splits: Share[];
+  lot: Lot;
+}
+
+export interface AuctionInfoInput {
+  auction: AddressLike;
+  auctionType: BigNumberish;
+  status: BigNumberish;
+  creator: AddressLike;
+  bidToken: AddressLike;
+  beneficiary: AddressLike;
+  endTime: BigNumberish;
+  highestBid: BigNumberish;
+  highestBidder: AddressLike;
+}
+
+export interface AuctionInfo {
+  auction: string;
+  auctionType: bigint;
+  status: bigint;
+  creator: string;
+  bidToken: string;
+  beneficiary: string;
+  endTime: bigint;
+  highestBid: bigint;
+  highestBidder: string;
+}
+
+export interface BidRecordInput {
+  bidder: AddressLike;
+  timestamp: BigNumberish;
+  extended: boolean;
+  amount: BigNumberish;
+}
+
+export interface BidRecord {
+  bidder: string;
+  timestamp: bigint;
+  extended: boolean;
+  amount: bigint;
+}
+
+export interface DutchConfigInput {
+  startPrice: BigNumberish;
+  floorPrice: BigNumberish;
+  decay: BigNumberish;
+  stepDuration: BigNumberish;
+  lot: LotInput;
+}
+
+export interface DutchConfig {
+  startPrice: bigint;
+  floorPrice: bigint;
+  decay: bigint;
+  stepDuration: bigint;
+  lot: Lot;
+}
+
+export interface LotInput {
+  kind: BigNumberish;
+  token: AddressLike;
+  tokenId: BigNumberish;
+  amount: BigNumberish;
+}
+
+export interface Lot {
+  kind: bigint;
+  token: string;
+  tokenId: bigint;
+  amount: bigint;
+}
+
+export interface MultiUnitConfigInput {
+  totalUnits: BigNumberish;
+  reservePrice: BigNumberish;
+  unitToken: AddressLike;
+  unitTokenId: BigNumberish;
+}
+
+export interface MultiUnitConfig {
+  totalUnits: bigint;
+  reservePrice: bigint;
+  unitToken: string;
+  unitTokenId: bigint;
+}
+
+export interface PerkTierInput {
+  minStake: BigNumberish;
+  earlyAccess: BigNumberish;
+  incrementDiscountBps: BigNumberish;
+}
+
+export interface PerkTier {
+  minStake: bigint;
+  earlyAccess: bigint;
+  incrementDiscountBps: bigint;
+}
+
+export interface RewardScheduleInput {
+  basis: BigNumberish;
+  baseReward: BigNumberish;
+  rate: BigNumberish;
+  capPerBidder: BigNumberish;
+  extensionBonus: BigNumberish;
+  winnerBonus: BigNumberish;
+}
+
+export interface RewardSchedule {
+  basis: bigint;
+  baseReward: bigint;
+  rate: bigint;
+  capPerBidder: bigint;
+  extensionBonus: bigint;
+  winnerBonus: bigint;
+}
+
+export interface SealedBidConfigInput {
+  reservePrice: BigNumberish;
+  pricing: BigNumberish;
+  unrevealedPolicy: BigNumberish;
+  lot: LotInput;
+}
+
+export interface SealedBidConfig {
+  reservePrice: bigint;
+  pricing: bigint;
+  unrevealedPolicy: bigint;
+  lot: Lot;
+}
+
+export interface ShareInput {
+  recipient: AddressLike;
+  bps: BigNumberish;
+}
+
+export interface Share {
+  recipient: string;
+  bps: bigint;
+}
+
+export interface AuctionFactoryContract extends BaseContract {
+  MAX_BATCH_SIZE(overrides?: Overrides): Promise<bigint>;
+  MAX_BID_INCREMENT_BPS(overrides?: Overrides): Promise<bigint>;
+  MAX_PROTOCOL_FEE_BPS(overrides?: Overrides): Promise<bigint>;
+  MAX_REFERRER_FEE_BPS(overrides?: Overrides): Promise<bigint>;
+  MAX_SPLITS(overrides?: Overrides): Promise<bigint>;
+  NATIVE_TOKEN(overrides?: Overrides): Promise<string>;
+  addSupportedBidToken(tokenAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  auctionImplementation(overrides?: Overrides): Promise<string>;
+  auctionOwner(arg0: AddressLike, overrides?: Overrides): Promise<string>;
+  auctionType(arg0: AddressLike, overrides?: Overrides): Promise<bigint>;
+  auctions(arg0: BigNumberish, overrides?: Overrides): Promise<string>;
+  cancelAuction(auction: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  createAuction(bidToken: AddressLike, duration: BigNumberish, beneficiary: AddressLike, config: AuctionConfigInput, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  createAuctionDeterministic(bidToken: AddressLike, duration: BigNumberish, beneficiary: AddressLike, config: AuctionConfigInput, salt: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  createDutchAuction(bidToken: AddressLike, duration: BigNumberish, beneficiary: AddressLike, config: DutchConfigInput, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  createMultiUnitAuction(bidToken: AddressLike, duration: BigNumberish, beneficiary: AddressLike, config: MultiUnitConfigInput, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  createSealedBidAuction(bidToken: AddressLike, commitDuration: BigNumberish, revealDuration: BigNumberish, beneficiary: AddressLike, config: SealedBidConfigInput, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  emergencyPause(pause: boolean, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  feeRecipient(overrides?: Overrides): Promise<string>;
+  fundSettlementBounty(auction: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  getAuctionCount(overrides?: Overrides): Promise<bigint>;
+  getAuctionCountByBidToken(bidToken: AddressLike, overrides?: Overrides): Promise<bigint>;
+  getAuctionCountByBidder(bidder: AddressLike, overrides?: Overrides): Promise<bigint>;
+  getAuctionCountByCreator(creator: AddressLike, overrides?: Overrides): Promise<bigint>;
+  getAuctionInfo(auction: AddressLike, overrides?: Overrides): Promise<AuctionInfo>;
+  getAuctionInfos(start: BigNumberish, count: BigNumberish, overrides?: Overrides): Promise<AuctionInfo[]>;
+  getAuctions(start: BigNumberish, count: BigNumberish, overrides?: Overrides): Promise<string[]>;
+  getAuctionsByBidToken(bidToken: AddressLike, start: BigNumberish, count: BigNumberish, overrides?: Overrides): Promise<AuctionInfo[]>;
+  getAuctionsByBidder(bidder: AddressLike, start: BigNumberish, count: BigNumberish, overrides?: Overrides): Promise<AuctionInfo[]>;
+  getAuctionsByCreator(creator: AddressLike, start: BigNumberish, count: BigNumberish, overrides?: Overrides): Promise<AuctionInfo[]>;
+  getAuctionsByStatus(status: BigNumberish, start: BigNumberish, count: BigNumberish, overrides?: Overrides): Promise<AuctionInfo[]>;
+  maxAuctionDuration(overrides?: Overrides): Promise<bigint>;
+  maxExtensionDuration(overrides?: Overrides): Promise<bigint>;
+  maxExtensionWindow(overrides?: Overrides): Promise<bigint>;
+  maxTotalExtension(overrides?: Overrides): Promise<bigint>;
+  minAuctionDuration(overrides?: Overrides): Promise<bigint>;
+  owner(overrides?: Overrides): Promise<string>;
+  paused(overrides?: Overrides): Promise<boolean>;
+  predictAuctionAddress(creator: AddressLike, salt: BytesLike, overrides?: Overrides): Promise<string>;
+  protocolFeeBps(overrides?: Overrides): Promise<bigint>;
+  reclaimSettlementBounty(auction: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  recordBidder(bidder: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  removeSupportedBidToken(tokenAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  renounceOwnership(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  rewardToken(overrides?: Overrides): Promise<string>;
+  setAuctionAllowlist(auction: AddressLike, allowlistRoot: BytesLike, minParticipationBalance: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setAuctionBeneficiary(auction: AddressLike, beneficiary: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setDurationLimits(min: BigNumberish, max: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setExtensionLimits(maxWindow: BigNumberish, maxExtension: BigNumberish, maxTotal: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setProtocolFee(feeBps: BigNumberish, recipient: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setRewardSchedule(auction: AddressLike, schedule: RewardScheduleInput, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  settleAuctions(auctions: AddressLike[], overrides?: Overrides): Promise<ContractTransactionResponse>;
+  settlementBounties(arg0: AddressLike, overrides?: Overrides): Promise<bigint>;
+  supportedBidTokens(arg0: AddressLike, overrides?: Overrides): Promise<boolean>;
+  transferOwnership(newOwner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+}
+
+export interface AuctionFactoryEvents {
+  AuctionAllowlistUpdated: { auctionAddress: string; allowlistRoot: string; minParticipationBalance: bigint };
+  AuctionBeneficiaryUpdated: { auctionAddress: string; newBeneficiary: string };
+  AuctionCancelled: { auctionAddress: string; caller: string; emergency: boolean };
+  AuctionCreated: { auctionAddress: string; creator: string; bidToken: string; duration: bigint; beneficiary: string; lot: Lot };
+  AuctionsSettled: { caller: string; settledCount: bigint; bounty: bigint };
+  BidTokenAdded: { tokenAddress: string };
+  BidTokenRemoved: { tokenAddress: string };
+  DurationLimitsUpdated: { min: bigint; max: bigint };
+  DutchAuctionCreated: { auctionAddress: string; creator: string; bidToken: string; duration: bigint; beneficiary: string; config: DutchConfig };
+  ExtensionLimitsUpdated: { maxWindow: bigint; maxExtension: bigint; maxTotal: bigint };
+  MultiUnitAuctionCreated: { auctionAddress: string; creator: string; bidToken: string; duration: bigint; beneficiary: string; config: MultiUnitConfig };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  PauseUpdated: { paused: boolean };
+  ProtocolFeeUpdated: { feeBps: bigint; recipient: string };
+  SealedBidAuctionCreated: { auctionAddress: string; creator: string; bidToken: string; commitDuration: bigint; revealDuration: bigint; beneficiary: string; config: SealedBidConfig };
+  SettlementBountyFunded: { auctionAddress: string; amount: bigint };
+  SettlementBountyReclaimed: { auctionAddress: string; amount: bigint };
+}
+
+export interface ChronoAuctionContract extends BaseContract {
+  MAX_BPS(overrides?: Overrides): Promise<bigint>;
+  MAX_PAGE_SIZE(overrides?: Overrides): Promise<bigint>;
+  MAX_SPLITS(overrides?: Overrides): Promise<bigint>;
+  NATIVE_TOKEN(overrides?: Overrides): Promise<string>;
+  SIGNED_BID_TYPEHASH(overrides?: Overrides): Promise<string>;
+  allowlistRoot(overrides?: Overrides): Promise<string>;
+  beneficiary(overrides?: Overrides): Promise<string>;
+  bid(amount: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  bidCount(arg0: AddressLike, overrides?: Overrides): Promise<bigint>;
+  bidToken(overrides?: Overrides): Promise<string>;
+  bidWithPermit(amount: BigNumberish, deadline: BigNumberish, v: BigNumberish, r: BytesLike, s: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  bidWithProof(amount: BigNumberish, proof: BytesLike[], overrides?: Overrides): Promise<ContractTransactionResponse>;
+  bidWithReferrer(amount: BigNumberish, referrer: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  bidWithSignature(bidder: AddressLike, amount: BigNumberish, nonce: BigNumberish, deadline: BigNumberish, signature: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  boughtNow(overrides?: Overrides): Promise<boolean>;
+  buyNowPrice(overrides?: Overrides): Promise<bigint>;
+  buyNowUntilFirstBid(overrides?: Overrides): Promise<boolean>;
+  cancel(emergency: boolean, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  cancellableWithBids(overrides?: Overrides): Promise<boolean>;
+  cancelled(overrides?: Overrides): Promise<boolean>;
+  claimLot(to: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  eip712Domain(overrides?: Overrides): Promise<[fields: string, name: string, version: string, chainId: bigint, verifyingContract: string, salt: string, extensions: bigint[]] & { fields: string; name: string; version: string; chainId: bigint; verifyingContract: string; salt: string; extensions: bigint[] }>;
+  endTime(overrides?: Overrides): Promise<bigint>;
+  extensionCount(overrides?: Overrides): Promise<bigint>;
+  extensionDuration(overrides?: Overrides): Promise<bigint>;
+  extensionWindow(overrides?: Overrides): Promise<bigint>;
+  factory(overrides?: Overrides): Promise<string>;
+  feeRecipient(overrides?: Overrides): Promise<string>;
+  getBidHistory(start: BigNumberish, count: BigNumberish, overrides?: Overrides): Promise<BidRecord[]>;
+  getBidHistoryLength(overrides?: Overrides): Promise<bigint>;
+  getSplits(overrides?: Overrides): Promise<Share[]>;
+  highestBid(overrides?: Overrides): Promise<bigint>;
+  highestBidReferrer(overrides?: Overrides): Promise<string>;
+  highestBidder(overrides?: Overrides): Promise<string>;
+  initialize(bidToken: AddressLike, duration: BigNumberish, rewardToken: AddressLike, beneficiary: AddressLike, seller: AddressLike, protocolFee: ShareInput, config: AuctionConfigInput, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  isEligible(bidder: AddressLike, proof: BytesLike[], overrides?: Overrides): Promise<boolean>;
+  lot(overrides?: Overrides): Promise<[kind: bigint, token: string, tokenId: bigint, amount: bigint] & { kind: bigint; token: string; tokenId: bigint; amount: bigint }>;
+  lotClaimant(overrides?: Overrides): Promise<string>;
+  maxEndTime(overrides?: Overrides): Promise<bigint>;
+  minBidIncrement(overrides?: Overrides): Promise<bigint>;
+  minBidIncrementBps(overrides?: Overrides): Promise<bigint>;
+  minNextBid(overrides?: Overrides): Promise<bigint>;
+  minNextBidFor(bidder: AddressLike, overrides?: Overrides): Promise<bigint>;
+  minParticipationBalance(overrides?: Overrides): Promise<bigint>;
+  nativeBidding(overrides?: Overrides): Promise<boolean>;
+  nonces(owner: AddressLike, overrides?: Overrides): Promise<bigint>;
+  onERC1155BatchReceived(arg0: AddressLike, arg1: AddressLike, arg2: BigNumberish[], arg3: BigNumberish[], arg4: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  onERC1155Received(arg0: AddressLike, arg1: AddressLike, arg2: BigNumberish, arg3: BigNumberish, arg4: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  onERC721Received(arg0: AddressLike, arg1: AddressLike, arg2: BigNumberish, arg3: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  originalEndTime(overrides?: Overrides): Promise<bigint>;
+  pendingReturns(arg0: AddressLike, overrides?: Overrides): Promise<bigint>;
+  protocolFeeBps(overrides?: Overrides): Promise<bigint>;
+  publicStartTime(overrides?: Overrides): Promise<bigint>;
+  referrerFeeBps(overrides?: Overrides): Promise<bigint>;
+  reserveMet(overrides?: Overrides): Promise<boolean>;
+  reservePrice(overrides?: Overrides): Promise<bigint>;
+  rewardToken(overrides?: Overrides): Promise<string>;
+  seller(overrides?: Overrides): Promise<string>;
+  setAllowlist(newAllowlistRoot: BytesLike, newMinParticipationBalance: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setBeneficiary(newBeneficiary: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  settled(overrides?: Overrides): Promise<boolean>;
+  startTime(overrides?: Overrides): Promise<bigint>;
+  supportsInterface(interfaceId: BytesLike, overrides?: Overrides): Promise<boolean>;
+  uniqueBidderCount(overrides?: Overrides): Promise<bigint>;
+  withdraw(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  withdrawRefund(overrides?: Overrides): Promise<ContractTransactionResponse>;
+}
+
+export interface ChronoAuctionEvents {
+  AllowlistUpdated: { allowlistRoot: string; minParticipationBalance: bigint };
+  AuctionCancelled: { refundedBidder: string; refundAmount: bigint; emergency: boolean };
+  AuctionExtended: { newEndTime: bigint };
+  AuctionSettled: { winner: string; amount: bigint; protocolFee: bigint; referrerFee: bigint; sellerProceeds: bigint };
+  BeneficiaryUpdated: { previousBeneficiary: string; newBeneficiary: string };
+  BidPlaced: { bidder: string; amount: bigint };
+  BoughtNow: { buyer: string; amount: bigint };
+  BuyNowPriceRemoved: {};
+  EIP712DomainChanged: {};
+  Initialized: { version: bigint };
+  LotHeld: { claimant: string; token: string; tokenId: bigint; amount: bigint };
+  LotTransferred: { to: string; token: string; tokenId: bigint; amount: bigint };
+  RefundClaimed: { bidder: string; amount: bigint };
+  RefundCredited: { bidder: string; amount: bigint };
+  ReserveNotMet: { highestBidder: string; amount: bigint };
+}
+
+export interface ParticipationTokenContract extends BaseContract {
+  DEFAULT_ADMIN_ROLE(overrides?: Overrides): Promise<string>;
+  MINTER_ROLE(overrides?: Overrides): Promise<string>;
+  REGISTRAR_ROLE(overrides?: Overrides): Promise<string>;
+  addAllowedAuction(auction: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  allowance(owner: AddressLike, spender: AddressLike, overrides?: Overrides): Promise<bigint>;
+  allowedAuctions(auction: AddressLike, overrides?: Overrides): Promise<boolean>;
+  approve(spender: AddressLike, value: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  balanceOf(account: AddressLike, overrides?: Overrides): Promise<bigint>;
+  burn(amount: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  decimals(overrides?: Overrides): Promise<bigint>;
+  getPerkTiers(overrides?: Overrides): Promise<PerkTier[]>;
+  getRoleAdmin(role: BytesLike, overrides?: Overrides): Promise<string>;
+  grantRole(role: BytesLike, account: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  hasRole(role: BytesLike, account: AddressLike, overrides?: Overrides): Promise<boolean>;
+  name(overrides?: Overrides): Promise<string>;
+  perksOf(account: AddressLike, overrides?: Overrides): Promise<PerkTier>;
+  removeAllowedAuction(auction: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  renounceRole(role: BytesLike, callerConfirmation: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  revokeRole(role: BytesLike, account: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  rewardBid(bidder: AddressLike, amount: BigNumberish, increase: BigNumberish, extended: boolean, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  rewardSchedules(arg0: AddressLike, overrides?: Overrides): Promise<[basis: bigint, baseReward: bigint, rate: bigint, capPerBidder: bigint, extensionBonus: bigint, winnerBonus: bigint] & { basis: bigint; baseReward: bigint; rate: bigint; capPerBidder: bigint; extensionBonus: bigint; winnerBonus: bigint }>;
+  rewardWinner(winner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  rewardsEarned(arg0: AddressLike, arg1: AddressLike, overrides?: Overrides): Promise<bigint>;
+  setPerkTiers(tiers: PerkTierInput[], overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setRewardSchedule(auction: AddressLike, schedule: RewardScheduleInput, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setSoulbound(soulbound: boolean, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setStakeLockDuration(duration: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  soulbound(overrides?: Overrides): Promise<boolean>;
+  stake(amount: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  stakeLockDuration(overrides?: Overrides): Promise<bigint>;
+  stakeUnlockTime(arg0: AddressLike, overrides?: Overrides): Promise<bigint>;
+  stakedBalance(arg0: AddressLike, overrides?: Overrides): Promise<bigint>;
+  supplyCap(overrides?: Overrides): Promise<bigint>;
+  supportsInterface(interfaceId: BytesLike, overrides?: Overrides): Promise<boolean>;
+  symbol(overrides?: Overrides): Promise<string>;
+  totalSupply(overrides?: Overrides): Promise<bigint>;
+  transfer(to: AddressLike, value: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  transferFrom(from: AddressLike, to: AddressLike, value: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  unstake(amount: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+}
+
+export interface ParticipationTokenEvents {
+  Approval: { owner: string; spender: string; value: bigint };
+  PerkTiersUpdated: { tiers: PerkTier[] };
+  RewardScheduleUpdated: { auction: string; schedule: RewardSchedule };
+  RoleAdminChanged: { role: string; previousAdminRole: string; newAdminRole: string };
+  RoleGranted: { role: string; account: string; sender: string };
+  RoleRevoked: { role: string; account: string; sender: string };
+  SoulboundUpdated: { soulbound: boolean };
+  StakeLockDurationUpdated: { duration: bigint };
+  Staked: { account: string; amount: bigint; unlockTime: bigint };
+  Transfer: { from: string; to: string; value: bigint };
+  Unstaked: { account: string; amount: bigint };
+}
+
+export interface ContractErrors {
+  Error: { reason: string };
+  AccessControlBadConfirmation: {};
+  AccessControlUnauthorizedAccount: { account: string; neededRole: string };
+  AuctionCreationPaused: {};
+  AuctionNotStarted: { startTime: bigint };
+  BatchTooLarge: {};
+  BountyPaymentFailed: {};
+  ECDSAInvalidSignature: {};
+  ECDSAInvalidSignatureLength: { length: bigint };
+  ECDSAInvalidSignatureS: { s: string };
+  ERC20InsufficientAllowance: { spender: string; allowance: bigint; needed: bigint };
+  ERC20InsufficientBalance: { sender: string; balance: bigint; needed: bigint };
+  ERC20InvalidApprover: { approver: string };
+  ERC20InvalidReceiver: { receiver: string };
+  ERC20InvalidSender: { sender: string };
+  ERC20InvalidSpender: { spender: string };
+  FailedDeployment: {};
+  InsufficientBalance: { balance: bigint; needed: bigint };
+  InvalidAccountNonce: { account: string; currentNonce: bigint };
+  InvalidBidIncrement: {};
+  InvalidBuyNowPrice: {};
+  InvalidDuration: {};
+  InvalidExtensionPolicy: {};
+  InvalidFeeConfig: {};
+  InvalidInitialization: {};
+  InvalidLot: {};
+  InvalidPriceSchedule: {};
+  InvalidSettlementBounty: {};
+  InvalidShortString: {};
+  InvalidSplits: {};
+  InvalidStartTime: {};
+  InvalidTokenAddress: {};
+  InvalidUnits: {};
+  NotAuctionOwner: {};
+  NotInitializing: {};
+  OwnableInvalidOwner: { owner: string };
+  OwnableUnauthorizedAccount: { account: string };
+  ReentrancyGuardReentrantCall: {};
+  StartIndexOutOfBounds: {};
+  StringTooLong: { str: string };
+  TokenAlreadySupported: {};
+  TokenNotSupported: {};
+  UnknownAuction: {};
+  UnsupportedAuctionType: {};
+}
+
+export type ContractErrorName = keyof ContractErrors;
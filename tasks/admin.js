@@ -0,0 +1,72 @@
+const { task, types } = require("hardhat/config");
+const { NATIVE_TOKEN, getDeployedFactory } = require("./deployments");
+const { withReadableErrors } = require("./cli");
+
+// Factory owner tasks. Each acts on the AuctionFactory recorded by the deploy task
+// and does nothing if the factory is already in the requested state.
+
+function adminTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("deployments", "Deployments file, defaults to deployments/<network>.json", undefined, types.string);
+}
+
+function resolveToken(hre, token) {
+  if (token === "native") return NATIVE_TOKEN;
+  if (!hre.ethers.isAddress(token)) throw new Error(`Invalid token address ${token}`);
+  return hre.ethers.getAddress(token);
+}
+
+async function setPaused(hre, deployments, paused) {
+  const factory = await getDeployedFactory(hre, deployments);
+  if ((await factory.paused()) === paused) {
+    console.log(`AuctionFactory is already ${paused ? "paused" : "unpaused"}`);
+    return;
+  }
+  await (await factory.emergencyPause(paused)).wait();
+  console.log(`AuctionFactory ${paused ? "paused" : "unpaused"}`);
+}
+
+adminTask("admin:pause", "Pauses auction creation")
+  .setAction(withReadableErrors(async ({ deployments }, hre) => setPaused(hre, deployments, true)));
+
+adminTask("admin:unpause", "Resumes auction creation")
+  .setAction(withReadableErrors(async ({ deployments }, hre) => setPaused(hre, deployments, false)));
+
+adminTask("admin:duration-limits", "Sets the minimum and maximum auction duration")
+  .addParam("min", "Minimum duration in seconds", undefined, types.int)
+  .addParam("max", "Maximum duration in seconds", undefined, types.int)
+  .setAction(withReadableErrors(async ({ deployments, min, max }, hre) => {
+    const factory = await getDeployedFactory(hre, deployments);
+    if ((await factory.minAuctionDuration()) === BigInt(min) && (await factory.maxAuctionDuration()) === BigInt(max)) {
+      console.log("Duration limits are already set");
+      return;
+    }
+    await (await factory.setDurationLimits(min, max)).wait();
+    console.log(`Duration limits set to ${min}-${max}s`);
+  }));
+
+adminTask("admin:add-bid-token", "Allows a token for bidding")
+  .addParam("token", "Token address, or \"native\" for ETH")
+  .setAction(withReadableErrors(async ({ deployments, token }, hre) => {
+    const factory = await getDeployedFactory(hre, deployments);
+    const address = resolveToken(hre, token);
+    if (await factory.supportedBidTokens(address)) {
+      console.log(`${address} is already supported`);
+      return;
+    }
+    await (await factory.addSupportedBidToken(address)).wait();
+    console.log(`Added bid token ${address}`);
+  }));
+
+adminTask("admin:remove-bid-token", "Stops a token from being used in new auctions")
+  .addParam("token", "Token address, or \"native\" for ETH")
+  .setAction(withReadableErrors(async ({ deployments, token }, hre) => {
+    const factory = await getDeployedFactory(hre, deployments);
+    const address = resolveToken(hre, token);
+    if (!(await factory.supportedBidTokens(address))) {
+      console.log(`${address} is not supported`);
+      return;
+    }
+    await (await factory.removeSupportedBidToken(address)).wait();
+    console.log(`Removed bid token ${address}`);
+  }));
@@ -0,0 +1,231 @@
+const { task, types } = require("hardhat/config");
+const { NATIVE_TOKEN, getDeployedFactory } = require("./deployments");
+const { AUCTION_TYPES, AUCTION_STATUSES, withReadableErrors, formatTime, printResult } = require("./cli");
+const { loadAllowlist } = require("../scripts/allowlist");
+
+// Tasks for running auctions from the command line. They act on the AuctionFactory
+// recorded by the deploy task; amounts are given in whole tokens, e.g. "1.5".
+
+function auctionTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("deployments", "Deployments file, defaults to deployments/<network>.json", undefined, types.string)
+    .addFlag("json", "Print JSON instead of a table");
+}
+
+async function getSigner(hre, from) {
+  return from ? hre.ethers.getSigner(from) : (await hre.ethers.getSigners())[0];
+}
+
+// Decimals and symbol of a bid token, so amounts can be parsed and shown in whole tokens
+async function describeToken(hre, address) {
+  if (address === NATIVE_TOKEN) return { address, symbol: "ETH", decimals: 18n };
+  const token = await hre.ethers.getContractAt("IERC20Metadata", address);
+  return { address, symbol: await token.symbol(), decimals: await token.decimals() };
+}
+
+async function getAuction(hre, factory, address) {
+  if (!hre.ethers.isAddress(address)) throw new Error(`Invalid auction address ${address}`);
+  const info = await factory.getAuctionInfo(address);
+  return { info, type: AUCTION_TYPES[Number(info.auctionType)] };
+}
+
+async function summarize(hre, info) {
+  const { formatUnits } = hre.ethers;
+  const token = await describeToken(hre, info.bidToken);
+  return {
+    auction: info.auction,
+    type: AUCTION_TYPES[Number(info.auctionType)],
+    status: AUCTION_STATUSES[Number(info.status)],
+    creator: info.creator,
+    bidToken: token.symbol,
+    highestBid: `${formatUnits(info.highestBid, token.decimals)} ${token.symbol}`,
+    highestBidder: info.highestBidder,
+    endTime: formatTime(info.endTime)
+  };
+}
+
+auctionTask("auction:create", "Creates an English auction")
+  .addParam("token", "Bid token address, or \"native\" for ETH")
+  .addParam("duration", "Bidding period in seconds", undefined, types.int)
+  .addOptionalParam("beneficiary", "Receives the winning bid, defaults to the creator")
+  .addOptionalParam("reserve", "Reserve price", "0")
+  .addOptionalParam("minIncrement", "Minimum raise over the highest bid", "0")
+  .addOptionalParam("minIncrementBps", "Minimum raise in basis points", 0, types.int)
+  .addOptionalParam("buyNow", "Buy-now price, 0 for none", "0")
+  .addOptionalParam("startTime", "Unix time bidding opens, 0 for now", 0, types.int)
+  .addOptionalParam("extensionWindow", "Seconds before the end in which bids extend it", 300, types.int)
+  .addOptionalParam("extensionDuration", "Seconds added per extension", 300, types.int)
+  .addOptionalParam("maxTotalExtension", "Cap on all extensions in seconds", 86400, types.int)
+  .addOptionalParam("allowlist", "CSV of the addresses allowed to bid, for private auctions")
+  .addOptionalParam("from", "Account to create the auction from")
+  .setAction(withReadableErrors(async (args, hre) => {
+    const { ethers } = hre;
+    const factory = await getDeployedFactory(hre, args.deployments);
+    const signer = await getSigner(hre, args.from);
+    const bidToken = args.token === "native" ? NATIVE_TOKEN : args.token;
+    if (!ethers.isAddress(bidToken)) throw new Error(`Invalid token address ${args.token}`);
+    if (!(await factory.supportedBidTokens(bidToken))) throw new Error(`${args.token} is not a supported bid token`);
+    const { decimals } = await describeToken(hre, ethers.getAddress(bidToken));
+
+    const config = {
+      reservePrice: ethers.parseUnits(args.reserve, decimals),
+      minBidIncrement: ethers.parseUnits(args.minIncrement, decimals),
+      minBidIncrementBps: args.minIncrementBps,
+      extensionWindow: args.extensionWindow,
+      extensionDuration: args.extensionDuration,
+      maxTotalExtension: args.maxTotalExtension,
+      cancellableWithBids: false,
+      buyNowPrice: ethers.parseUnits(args.buyNow, decimals),
+      buyNowUntilFirstBid: false,
+      startTime: args.startTime,
+      earlyAccessPeriod: 0,
+      allowlistRoot: args.allowlist ? loadAllowlist(args.allowlist).root : ethers.ZeroHash,
+      minParticipationBalance: 0,
+      referrerFeeBps: 0,
+      splits: [],
+      lot: { kind: 0, token: ethers.ZeroAddress, tokenId: 0, amount: 0 }
+    };
+    const tx = await factory.connect(signer).createAuction(
+      bidToken,
+      args.duration,
+      args.beneficiary || signer.address,
+      config
+    );
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map((log) => factory.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "AuctionCreated");
+
+    const result = await summarize(hre, await factory.getAuctionInfo(event.args.auctionAddress));
+    printResult(result, args.json);
+    return result;
+  }));
+
+auctionTask("auction:bid", "Bids on an English auction, approving the bid token first if needed")
+  .addParam("auction", "Auction address")
+  .addParam("amount", "Bid amount")
+  .addOptionalParam("allowlist", "CSV allowlist to prove membership of, for private auctions")
+  .addOptionalParam("from", "Account to bid from")
+  .setAction(withReadableErrors(async (args, hre) => {
+    const { ethers } = hre;
+    const factory = await getDeployedFactory(hre, args.deployments);
+    const { info, type } = await getAuction(hre, factory, args.auction);
+    if (type !== "English") throw new Error(`auction:bid supports English auctions, not ${type}`);
+
+    const signer = await getSigner(hre, args.from);
+    const auction = await ethers.getContractAt("ChronoAuction", info.auction, signer);
+    const token = await describeToken(hre, info.bidToken);
+    const amount = ethers.parseUnits(args.amount, token.decimals);
+
+    const overrides = {};
+    if (token.address === NATIVE_TOKEN) {
+      overrides.value = amount;
+    } else {
+      const erc20 = await ethers.getContractAt("IERC20", token.address, signer);
+      if ((await erc20.allowance(signer.address, info.auction)) < amount) {
+        await (await erc20.approve(info.auction, amount)).wait();
+      }
+    }
+
+    const tx = args.allowlist
+      ? await auction.bidWithProof(amount, loadAllowlist(args.allowlist).getProof(signer.address), overrides)
+      : await auction.bid(amount, overrides);
+    const receipt = await tx.wait();
+
+    const result = {
+      ...(await summarize(hre, await factory.getAuctionInfo(info.auction))),
+      transactionHash: receipt.hash
+    };
+    printResult(result, args.json);
+    return result;
+  }));
+
+auctionTask("auction:status", "Shows the state of an auction")
+  .addParam("auction", "Auction address")
+  .setAction(withReadableErrors(async (args, hre) => {
+    const { ethers } = hre;
+    const factory = await getDeployedFactory(hre, args.deployments);
+    const { info, type } = await getAuction(hre, factory, args.auction);
+    const result = await summarize(hre, info);
+
+    if (type === "English") {
+      const auction = await ethers.getContractAt("ChronoAuction", info.auction);
+      const { decimals, symbol } = await describeToken(hre, info.bidToken);
+      const amount = (value) => `${ethers.formatUnits(value, decimals)} ${symbol}`;
+      Object.assign(result, {
+        startTime: formatTime(await auction.startTime()),
+        reservePrice: amount(await auction.reservePrice()),
+        reserveMet: await auction.reserveMet(),
+        minNextBid: amount(await auction.minNextBid()),
+        buyNowPrice: amount(await auction.buyNowPrice()),
+        bids: await auction.getBidHistoryLength(),
+        uniqueBidders: await auction.uniqueBidderCount(),
+        extensions: await auction.extensionCount()
+      });
+    }
+    printResult(result, args.json);
+    return result;
+  }));
+
+auctionTask("auction:settle", "Settles an auction that has ended")
+  .addParam("auction", "Auction address")
+  .addOptionalParam("batch", "Bids processed per multi-unit settlement transaction", 50, types.int)
+  .addOptionalParam("from", "Account to settle from")
+  .setAction(withReadableErrors(async (args, hre) => {
+    const { ethers } = hre;
+    const factory = await getDeployedFactory(hre, args.deployments);
+    const { info, type } = await getAuction(hre, factory, args.auction);
+    const signer = await getSigner(hre, args.from);
+
+    const transactions = [];
+    if (type === "English") {
+      const auction = await ethers.getContractAt("ChronoAuction", info.auction, signer);
+      transactions.push((await (await auction.withdraw()).wait()).hash);
+    } else if (type === "SealedBid") {
+      const auction = await ethers.getContractAt("SealedBidAuction", info.auction, signer);
+      transactions.push((await (await auction.settle()).wait()).hash);
+    } else if (type === "MultiUnit") {
+      const auction = await ethers.getContractAt("MultiUnitAuction", info.auction, signer);
+      do {
+        transactions.push((await (await auction.settle(args.batch)).wait()).hash);
+      } while (!(await auction.settled()));
+    } else {
+      throw new Error("Dutch auctions settle when they are bought");
+    }
+
+    const result = await summarize(hre, await factory.getAuctionInfo(info.auction));
+    printResult({ ...result, transactions: transactions.join(", ") }, args.json);
+    return { ...result, transactions };
+  }));
+
+auctionTask("auction:list", "Lists the auctions created by the factory")
+  .addOptionalParam("start", "Index of the first auction", 0, types.int)
+  .addOptionalParam("limit", "Maximum number of auctions to list, 0 for all", 0, types.int)
+  .addOptionalParam("pageSize", "Auctions fetched per call to getAuctions", 100, types.int)
+  .addOptionalParam("status", `Only list auctions with this status: ${AUCTION_STATUSES.join(", ")}`)
+  .setAction(withReadableErrors(async (args, hre) => {
+    const factory = await getDeployedFactory(hre, args.deployments);
+    if (args.status && !AUCTION_STATUSES.includes(args.status)) {
+      throw new Error(`Unknown status ${args.status}; use one of ${AUCTION_STATUSES.join(", ")}`);
+    }
+
+    const count = Number(await factory.getAuctionCount());
+    const end = args.limit > 0 ? Math.min(count, args.start + args.limit) : count;
+    const addresses = [];
+    if (count > 0) {
+      // Past the end, getAuctions reverts with StartIndexOutOfBounds, which is reported
+      let start = args.start;
+      do {
+        addresses.push(...(await factory.getAuctions(start, args.pageSize)));
+        start += args.pageSize;
+      } while (start < end);
+    }
+
+    const rows = [];
+    for (const address of addresses.slice(0, end - args.start)) {
+      const row = await summarize(hre, await factory.getAuctionInfo(address));
+      if (!args.status || row.status === args.status) rows.push(row);
+    }
+    printResult(rows, args.json);
+    return rows;
+  }));
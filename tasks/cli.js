@@ -0,0 +1,61 @@
+// Shared helpers for the CLI tasks: readable revert messages and output formatting.
+const { HardhatPluginError } = require("hardhat/plugins");
+const { AUCTION_TYPES, AUCTION_STATUSES, decodeError } = require("../sdk");
+
+const PLUGIN_NAME = "chrono-auction";
+
+/**
+ * Turns a failed call or transaction into a readable message
+ * @param {Error} error Error thrown by ethers or the Hardhat provider
+ */
+function describeError(error) {
+  const decoded = decodeError(error);
+  return decoded ? decoded.message : error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * Wraps a task action so that reverts are reported as readable messages
+ * @param {function} action Task action
+ */
+function withReadableErrors(action) {
+  return async (args, hre) => {
+    try {
+      return await action(args, hre);
+    } catch (error) {
+      if (error instanceof HardhatPluginError) throw error;
+      throw new HardhatPluginError(PLUGIN_NAME, describeError(error), error);
+    }
+  };
+}
+
+function formatTime(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+/**
+ * Prints a task result, as JSON or as a table
+ * @param {object|object[]} result Rows, or a single record
+ * @param {boolean} json Whether to print JSON
+ */
+function printResult(result, json) {
+  if (json) {
+    console.log(JSON.stringify(result, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+  } else if (Array.isArray(result)) {
+    if (result.length === 0) console.log("No auctions");
+    else console.table(result);
+  } else {
+    const width = Math.max(...Object.keys(result).map((key) => key.length));
+    for (const [key, value] of Object.entries(result)) {
+      console.log(`${key.padEnd(width)}  ${value}`);
+    }
+  }
+}
+
+module.exports = {
+  AUCTION_TYPES,
+  AUCTION_STATUSES,
+  describeError,
+  withReadableErrors,
+  formatTime,
+  printResult
+};
@@ -0,0 +1,134 @@
+const { task, types } = require("hardhat/config");
+const {
+  defaultConfigPath,
+  defaultDeploymentsPath,
+  loadNetworkConfig,
+  readDeployments,
+  writeDeployments
+} = require("./deployments");
+
+const DEPLOYER_LIBRARIES = ["SealedBidAuctionDeployer", "DutchAuctionDeployer", "MultiUnitAuctionDeployer"];
+
+task("deploy", "Deploys and wires up the participation token, auction implementation and factory")
+  .addOptionalParam("deployConfig", "Deploy config, defaults to config/<network>.json", undefined, types.string)
+  .addOptionalParam("deployments", "Deployments file, defaults to deployments/<network>.json", undefined, types.string)
+  .addFlag("quiet", "Do not log each step")
+  .setAction(async ({ deployConfig, deployments: deploymentsFile, quiet }, hre) => {
+    const { ethers } = hre;
+    const log = quiet ? () => {} : console.log;
+    const config = loadNetworkConfig(hre, deployConfig || defaultConfigPath(hre));
+    const file = deploymentsFile || defaultDeploymentsPath(hre);
+    const [deployer] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const deployments = {
+      network: hre.network.name,
+      chainId: Number(chainId),
+      contracts: readDeployments(file).contracts
+    };
+
+    // Reuses a recorded contract if it is still on chain and was deployed with the same
+    // arguments and libraries, so reruns only deploy what is missing or has changed
+    async function deployOrReuse(name, args = [], libraries = {}) {
+      const recordedArgs = args.map(String);
+      const entry = deployments.contracts[name];
+      if (
+        entry &&
+        JSON.stringify(entry.args) === JSON.stringify(recordedArgs) &&
+        JSON.stringify(entry.libraries || {}) === JSON.stringify(libraries) &&
+        (await ethers.provider.getCode(entry.address)) !== "0x"
+      ) {
+        log(`Reusing ${name} at ${entry.address}`);
+        return ethers.getContractAt(name, entry.address);
+      }
+
+      const factory = await ethers.getContractFactory(name, { libraries });
+      const contract = await factory.deploy(...args);
+      await contract.waitForDeployment();
+      const receipt = await contract.deploymentTransaction().wait();
+      deployments.contracts[name] = {
+        address: await contract.getAddress(),
+        args: recordedArgs,
+        ...(Object.keys(libraries).length > 0 && { libraries }),
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      };
+      writeDeployments(file, deployments);
+      log(`Deployed ${name} at ${deployments.contracts[name].address}`);
+      return contract;
+    }
+
+    const rewardToken = await deployOrReuse("ParticipationToken", [config.supplyCap]);
+    const implementation = await deployOrReuse("ChronoAuction");
+    const libraries = {};
+    for (const name of DEPLOYER_LIBRARIES) {
+      libraries[name] = await (await deployOrReuse(name)).getAddress();
+    }
+    const factory = await deployOrReuse(
+      "AuctionFactory",
+      [await rewardToken.getAddress(), await implementation.getAddress()],
+      libraries
+    );
+    const factoryAddress = await factory.getAddress();
+
+    async function send(description, txPromise) {
+      const tx = await txPromise;
+      await tx.wait();
+      log(description);
+    }
+
+    async function requireFactoryOwner(step) {
+      const owner = await factory.owner();
+      if (owner !== deployer.address) {
+        throw new Error(`Cannot ${step}: AuctionFactory is owned by ${owner}, not ${deployer.address}`);
+      }
+    }
+
+    // Let the factory register its auctions as reward minters
+    const REGISTRAR_ROLE = await rewardToken.REGISTRAR_ROLE();
+    if (!(await rewardToken.hasRole(REGISTRAR_ROLE, factoryAddress))) {
+      await send("Granted REGISTRAR_ROLE to AuctionFactory", rewardToken.grantRole(REGISTRAR_ROLE, factoryAddress));
+    }
+
+    for (const token of config.bidTokens) {
+      if (!(await factory.supportedBidTokens(token))) {
+        await requireFactoryOwner(`add bid token ${token}`);
+        await send(`Added bid token ${token}`, factory.addSupportedBidToken(token));
+      }
+    }
+
+    if (config.durationLimits) {
+      const { min, max } = config.durationLimits;
+      if ((await factory.minAuctionDuration()) !== min || (await factory.maxAuctionDuration()) !== max) {
+        await requireFactoryOwner("set duration limits");
+        await send(`Set duration limits to ${min}-${max}s`, factory.setDurationLimits(min, max));
+      }
+    }
+
+    if (config.protocolFee) {
+      const { bps, recipient } = config.protocolFee;
+      if ((await factory.protocolFeeBps()) !== bps || (await factory.feeRecipient()) !== recipient) {
+        await requireFactoryOwner("set the protocol fee");
+        await send(`Set protocol fee to ${bps} bps`, factory.setProtocolFee(bps, recipient));
+      }
+    }
+
+    // Hand the factory and the token over to the admin last, as the deployer loses its rights
+    if (config.admin && config.admin !== deployer.address) {
+      if ((await factory.owner()) !== config.admin) {
+        await requireFactoryOwner("transfer ownership");
+        await send(`Transferred AuctionFactory to ${config.admin}`, factory.transferOwnership(config.admin));
+      }
+      const DEFAULT_ADMIN_ROLE = await rewardToken.DEFAULT_ADMIN_ROLE();
+      if (!(await rewardToken.hasRole(DEFAULT_ADMIN_ROLE, config.admin))) {
+        await send(`Granted token admin role to ${config.admin}`, rewardToken.grantRole(DEFAULT_ADMIN_ROLE, config.admin));
+      }
+      for (const role of [REGISTRAR_ROLE, DEFAULT_ADMIN_ROLE]) {
+        if (await rewardToken.hasRole(role, deployer.address)) {
+          await send(`Renounced deployer role ${role}`, rewardToken.renounceRole(role, deployer.address));
+        }
+      }
+    }
+
+    return deployments;
+  });
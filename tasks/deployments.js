@@ -0,0 +1,94 @@
+// Per-network deploy settings and the record of deployed contracts.
+//
+// Settings live in config/<network>.json; deployed addresses are written to
+// deployments/<network>.json so that reruns reuse them.
+const fs = require("fs");
+const path = require("path");
+const { NATIVE_TOKEN } = require("../sdk");
+
+function defaultConfigPath(hre) {
+  return path.join(hre.config.paths.root, "config", `${hre.network.name}.json`);
+}
+
+function defaultDeploymentsPath(hre) {
+  return path.join(hre.config.paths.root, "deployments", `${hre.network.name}.json`);
+}
+
+/**
+ * Reads and checks the deploy settings of a network.
+ *
+ * {
+ *   "supplyCap": "1000000",                       // PP, in whole tokens
+ *   "bidTokens": ["native", "0x..."],             // "native" is ETH
+ *   "durationLimits": { "min": 3600, "max": 2592000 },
+ *   "protocolFee": { "bps": 0, "recipient": null },
+ *   "admin": null                                 // Optional owner to hand over to
+ * }
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} file Path of the JSON settings
+ */
+function loadNetworkConfig(hre, file) {
+  const { ethers } = hre;
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deploy config for network ${hre.network.name} at ${file}`);
+  }
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const address = (value, field) => {
+    if (!ethers.isAddress(value)) throw new Error(`${file}: invalid ${field} ${value}`);
+    return ethers.getAddress(value);
+  };
+
+  if (raw.supplyCap === undefined) throw new Error(`${file}: supplyCap is required`);
+  return {
+    supplyCap: ethers.parseEther(String(raw.supplyCap)),
+    bidTokens: (raw.bidTokens || []).map((token) =>
+      token === "native" ? NATIVE_TOKEN : address(token, "bid token")
+    ),
+    durationLimits: raw.durationLimits && {
+      min: BigInt(raw.durationLimits.min),
+      max: BigInt(raw.durationLimits.max)
+    },
+    protocolFee: raw.protocolFee && {
+      bps: BigInt(raw.protocolFee.bps),
+      recipient: address(raw.protocolFee.recipient || ethers.ZeroAddress, "protocol fee recipient")
+    },
+    admin: raw.admin ? address(raw.admin, "admin") : null
+  };
+}
+
+/**
+ * Returns the recorded deployments of a network, or an empty record
+ * @param {string} file Path of the deployments file
+ */
+function readDeployments(file) {
+  if (!fs.existsSync(file)) return { contracts: {} };
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeDeployments(file, deployments) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(deployments, null, 2) + "\n");
+}
+
+/**
+ * Returns the recorded AuctionFactory, connected to the first signer
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} [file] Path of the deployments file
+ */
+async function getDeployedFactory(hre, file = defaultDeploymentsPath(hre)) {
+  const entry = readDeployments(file).contracts.AuctionFactory;
+  if (!entry || (await hre.ethers.provider.getCode(entry.address)) === "0x") {
+    throw new Error(`No AuctionFactory deployed on ${hre.network.name}; run the deploy task first`);
+  }
+  return hre.ethers.getContractAt("AuctionFactory", entry.address);
+}
+
+module.exports = {
+  NATIVE_TOKEN,
+  defaultConfigPath,
+  defaultDeploymentsPath,
+  loadNetworkConfig,
+  readDeployments,
+  writeDeployments,
+  getDeployedFactory
+};
@@ -0,0 +1,181 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { Interface } = require("ethers");
+
+// Generates the SDK's ABIs and TypeScript typings from the compiled artifacts, so the
+// SDK never drifts from the contracts. Run after changing a contract's interface.
+
+const SDK_CONTRACTS = ["AuctionFactory", "ChronoAuction", "ParticipationToken"];
+const HEADER = "// Generated by `npx hardhat sdk:generate` from the contract artifacts. Do not edit.";
+
+// Last part of a qualified struct name, e.g. "struct ChronoAuction.Lot" -> "Lot"
+function structName(param) {
+  return param.internalType.replace(/^struct /, "").replace(/\[\d*\]$/, "").split(".").pop();
+}
+
+// Argument name for a method signature, without the leading underscore of the Solidity source
+function paramName(param, index, used) {
+  let name = param.name.replace(/^_+/, "") || `arg${index}`;
+  if (used.has(name)) name = param.name || `arg${index}`;
+  used.add(name);
+  return name;
+}
+
+function objectType(fields) {
+  return fields.length > 0 ? `{ ${fields.join("; ")} }` : "{}";
+}
+
+class TypingsBuilder {
+  constructor() {
+    this.structs = new Map(); // name -> { input, output } declarations
+  }
+
+  // TypeScript type of an ABI parameter, as accepted by ethers (input) or returned by it (output)
+  type(param, input) {
+    const array = param.type.match(/^(.*)\[\d*\]$/);
+    if (array) {
+      const element = { ...param, type: array[1], internalType: param.internalType.replace(/\[\d*\]$/, "") };
+      return `${this.type(element, input)}[]`;
+    }
+    if (param.type === "tuple") {
+      const name = this.struct(param);
+      return input ? `${name}Input` : name;
+    }
+    if (/^u?int\d*$/.test(param.type)) return input ? "BigNumberish" : "bigint";
+    if (param.type === "address") return input ? "AddressLike" : "string";
+    if (param.type === "bool") return "boolean";
+    if (/^bytes\d*$/.test(param.type)) return input ? "BytesLike" : "string";
+    return "string";
+  }
+
+  struct(param) {
+    const name = structName(param);
+    const fields = (input) => param.components
+      .map((component) => `  ${component.name}: ${this.type(component, input)};`)
+      .join("\n");
+    const declaration = {
+      input: `export interface ${name}Input {\n${fields(true)}\n}`,
+      output: `export interface ${name} {\n${fields(false)}\n}`
+    };
+    const existing = this.structs.get(name);
+    if (existing && existing.output !== declaration.output) {
+      throw new Error(`Struct ${name} is declared differently by two contracts`);
+    }
+    this.structs.set(name, declaration);
+    return name;
+  }
+
+  // Named values as ethers returns them, e.g. event and error arguments
+  fields(params) {
+    return params.map((param, i) => `${param.name || `arg${i}`}: ${this.type(param, false)}`);
+  }
+
+  method(fragment) {
+    const used = new Set();
+    const args = fragment.inputs.map((param, i) => `${paramName(param, i, used)}: ${this.type(param, true)}`);
+    args.push("overrides?: Overrides");
+
+    let returns;
+    if (fragment.stateMutability !== "view" && fragment.stateMutability !== "pure") {
+      returns = "ContractTransactionResponse";
+    } else if (fragment.outputs.length === 0) {
+      returns = "void";
+    } else if (fragment.outputs.length === 1) {
+      returns = this.type(fragment.outputs[0], false);
+    } else {
+      const fields = this.fields(fragment.outputs);
+      returns = `[${fields.join(", ")}] & ${objectType(fields)}`;
+    }
+    return `  ${fragment.name}(${args.join(", ")}): Promise<${returns}>;`;
+  }
+
+  contract(name, abi) {
+    const methods = abi.filter((item) => item.type === "function").map((fragment) => this.method(fragment));
+    const events = abi
+      .filter((item) => item.type === "event")
+      .map((event) => `  ${event.name}: ${objectType(this.fields(event.inputs))};`);
+    return [
+      `export interface ${name}Contract extends BaseContract {\n${methods.join("\n")}\n}`,
+      `export interface ${name}Events {\n${events.join("\n")}\n}`
+    ];
+  }
+
+  errors(abis) {
+    const errors = new Map();
+    for (const abi of abis) {
+      for (const error of abi.filter((item) => item.type === "error")) {
+        const fields = `  ${error.name}: ${objectType(this.fields(error.inputs))};`;
+        if (errors.has(error.name) && errors.get(error.name) !== fields) {
+          throw new Error(`Error ${error.name} is declared differently by two contracts`);
+        }
+        errors.set(error.name, fields);
+      }
+    }
+    const sorted = [...errors.keys()].sort().map((name) => errors.get(name));
+    return `export interface ContractErrors {\n  Error: { reason: string };\n${sorted.join("\n")}\n}`;
+  }
+}
+
+/**
+ * Builds the generated SDK files from the artifacts
+ * @param {object} hre Hardhat runtime environment
+ * @return {object} Contents by path relative to the repository root
+ */
+async function buildSdkFiles(hre) {
+  const abis = {};
+  for (const name of SDK_CONTRACTS) {
+    abis[name] = (await hre.artifacts.readArtifact(name)).abi;
+  }
+
+  // Human-readable ABIs keep the bundle small and are all ethers needs at runtime
+  const readable = SDK_CONTRACTS.map((name) => {
+    const fragments = new Interface(abis[name]).format().map((fragment) => `    ${JSON.stringify(fragment)}`);
+    return `  ${name}: [\n${fragments.join(",\n")}\n  ]`;
+  });
+
+  const builder = new TypingsBuilder();
+  const contracts = SDK_CONTRACTS.flatMap((name) => builder.contract(name, abis[name]));
+  const errors = builder.errors(Object.values(abis));
+  const structs = [...builder.structs.keys()].sort().flatMap((name) => {
+    const { input, output } = builder.structs.get(name);
+    return [input, output];
+  });
+
+  return {
+    "sdk/src/abis.js": `${HEADER}\n\nmodule.exports = {\n${readable.join(",\n")}\n};\n`,
+    "sdk/types/contracts.d.ts": [
+      HEADER,
+      "import type {\n  AddressLike,\n  BaseContract,\n  BigNumberish,\n  BytesLike,\n" +
+        "  ContractTransactionResponse,\n  Overrides\n} from \"ethers\";",
+      ...structs,
+      ...contracts,
+      errors,
+      "export type ContractErrorName = keyof ContractErrors;"
+    ].join("\n\n") + "\n"
+  };
+}
+
+task("sdk:generate", "Regenerates the SDK's ABIs and TypeScript typings from the artifacts")
+  .addFlag("check", "Fail instead of writing if the generated files are out of date")
+  .setAction(async ({ check }, hre) => {
+    await hre.run("compile", { quiet: true });
+    const files = await buildSdkFiles(hre);
+    const stale = [];
+    for (const [file, content] of Object.entries(files)) {
+      const target = path.join(hre.config.paths.root, file);
+      if (fs.existsSync(target) && fs.readFileSync(target, "utf8") === content) continue;
+      stale.push(file);
+      if (!check) {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content);
+        console.log(`Wrote ${file}`);
+      }
+    }
+    if (check && stale.length > 0) {
+      throw new Error(`Out of date, run sdk:generate: ${stale.join(", ")}`);
+    }
+    return stale;
+  });
+
+module.exports = { buildSdkFiles };
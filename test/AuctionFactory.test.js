@@ -1,26 +1,66 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { NATIVE_TOKEN } = require("../sdk");
+const { buildAllowlist } = require("../scripts/allowlist");
 
 describe("AuctionFactory Contract", function () {
+  const DEFAULT_CONFIG = {
+    reservePrice: 0n,
+    minBidIncrement: 0n,
+    minBidIncrementBps: 0n,
+    extensionWindow: 300n,
+    extensionDuration: 300n,
+    maxTotalExtension: 86400n,
+    cancellableWithBids: false,
+    buyNowPrice: 0n,
+    buyNowUntilFirstBid: false,
+    startTime: 0n,
+    earlyAccessPeriod: 0n,
+    allowlistRoot: ethers.ZeroHash,
+    minParticipationBalance: 0n,
+    referrerFeeBps: 0n,
+    splits: [],
+    lot: { kind: 0, token: ethers.ZeroAddress, tokenId: 0n, amount: 0n }
+  };
+
   async function deployContractsFixture() {
     const [owner, user1, user2, beneficiary] = await ethers.getSigners();
 
     // Deploy reward token
     const ParticipationToken = await ethers.getContractFactory("ParticipationToken");
-    const rewardToken = await ParticipationToken.deploy();
+    const rewardToken = await ParticipationToken.deploy(ethers.parseEther("1000000"));
     
     // Deploy mock tokens
     const MockERC20 = await ethers.getContractFactory("MockERC20");
     const mockToken1 = await MockERC20.deploy("Mock Token 1", "MT1");
     const mockToken2 = await MockERC20.deploy("Mock Token 2", "MT2");
     
-    // Deploy factory
-    const AuctionFactory = await ethers.getContractFactory("AuctionFactory");
-    const factory = await AuctionFactory.deploy(await rewardToken.getAddress());
+    // Deploy the implementation that English auctions are cloned from
+    const ChronoAuction = await ethers.getContractFactory("ChronoAuction");
+    const auctionImplementation = await ChronoAuction.deploy();
+
+    // Deploy factory, linking the libraries that deploy the other auction types
+    const SealedBidAuctionDeployer = await ethers.getContractFactory("SealedBidAuctionDeployer");
+    const sealedBidDeployer = await SealedBidAuctionDeployer.deploy();
+    const DutchAuctionDeployer = await ethers.getContractFactory("DutchAuctionDeployer");
+    const dutchDeployer = await DutchAuctionDeployer.deploy();
+    const MultiUnitAuctionDeployer = await ethers.getContractFactory("MultiUnitAuctionDeployer");
+    const multiUnitDeployer = await MultiUnitAuctionDeployer.deploy();
+    const AuctionFactory = await ethers.getContractFactory("AuctionFactory", {
+      libraries: {
+        SealedBidAuctionDeployer: await sealedBidDeployer.getAddress(),
+        DutchAuctionDeployer: await dutchDeployer.getAddress(),
+        MultiUnitAuctionDeployer: await multiUnitDeployer.getAddress()
+      }
+    });
+    const factory = await AuctionFactory.deploy(
+      await rewardToken.getAddress(),
+      await auctionImplementation.getAddress()
+    );
     
-    // Transfer reward token ownership to factory
-    await rewardToken.transferOwnership(await factory.getAddress());
+    // Let the factory register auctions as reward minters
+    await rewardToken.grantRole(await rewardToken.REGISTRAR_ROLE(), await factory.getAddress());
     
     // Add supported token
     await factory.addSupportedBidToken(await mockToken1.getAddress());
@@ -31,7 +71,7 @@ describe("AuctionFactory Contract", function () {
     await mockToken2.mint(user1.address, ethers.parseEther("1000"));
     
     return { 
-      factory, rewardToken, mockToken1, mockToken2, 
+      factory, AuctionFactory, rewardToken, mockToken1, mockToken2, auctionImplementation,
       owner, user1, user2, beneficiary 
     };
   }
@@ -43,9 +83,137 @@ describe("AuctionFactory Contract", function () {
   describe("Deployment & Setup", function () {
     it("Should initialize with correct parameters", async function () {
       expect(await this.factory.rewardToken()).to.equal(await this.rewardToken.getAddress());
-      expect(await this.rewardToken.owner()).to.equal(await this.factory.getAddress());
+      expect(await this.rewardToken.hasRole(await this.rewardToken.REGISTRAR_ROLE(), await this.factory.getAddress()))
+        .to.equal(true);
       expect(await this.factory.minAuctionDuration()).to.equal(3600n); // 1 hour
       expect(await this.factory.maxAuctionDuration()).to.equal(2592000n); // 30 days
+      expect(await this.factory.auctionImplementation())
+        .to.equal(await this.auctionImplementation.getAddress());
+    });
+  });
+
+  describe("Factory Migration", function () {
+    it("Should hand reward registration to a new factory without losing balances", async function () {
+      const token = await this.mockToken1.getAddress();
+      const oldAuctionAddr = await this.factory.createAuction.staticCall(token, 3600n, this.beneficiary.address, DEFAULT_CONFIG);
+      await this.factory.createAuction(token, 3600n, this.beneficiary.address, DEFAULT_CONFIG);
+      const oldAuction = await ethers.getContractAt("ChronoAuction", oldAuctionAddr);
+      await this.mockToken1.connect(this.user1).approve(oldAuctionAddr, ethers.parseEther("1"));
+      await oldAuction.connect(this.user1).bid(ethers.parseEther("1"));
+
+      const newFactory = await this.AuctionFactory.deploy(
+        await this.rewardToken.getAddress(),
+        await this.auctionImplementation.getAddress()
+      );
+      const REGISTRAR_ROLE = await this.rewardToken.REGISTRAR_ROLE();
+      await this.rewardToken.grantRole(REGISTRAR_ROLE, await newFactory.getAddress());
+      await this.rewardToken.revokeRole(REGISTRAR_ROLE, await this.factory.getAddress());
+      await newFactory.addSupportedBidToken(token);
+
+      await expect(this.factory.createAuction(token, 3600n, this.beneficiary.address, DEFAULT_CONFIG))
+        .to.be.revertedWithCustomError(this.rewardToken, "AccessControlUnauthorizedAccount");
+      const newAuctionAddr = await newFactory.createAuction.staticCall(token, 3600n, this.beneficiary.address, DEFAULT_CONFIG);
+      await newFactory.createAuction(token, 3600n, this.beneficiary.address, DEFAULT_CONFIG);
+      const newAuction = await ethers.getContractAt("ChronoAuction", newAuctionAddr);
+      await this.mockToken1.connect(this.user1).approve(newAuctionAddr, ethers.parseEther("1"));
+      await newAuction.connect(this.user1).bid(ethers.parseEther("1"));
+
+      expect(await this.rewardToken.balanceOf(this.user1.address)).to.equal(ethers.parseEther("2"));
+    });
+  });
+
+  describe("Clone Deployment", function () {
+    const SALT = ethers.id("first-auction");
+
+    it("Should deploy auctions as minimal proxies of the implementation", async function () {
+      const auctionAddr = await this.factory.createAuction.staticCall(
+        await this.mockToken1.getAddress(), 3600n, this.beneficiary.address, DEFAULT_CONFIG
+      );
+      await this.factory.createAuction(
+        await this.mockToken1.getAddress(), 3600n, this.beneficiary.address, DEFAULT_CONFIG
+      );
+
+      const code = await ethers.provider.getCode(auctionAddr);
+      const implementation = (await this.auctionImplementation.getAddress()).slice(2).toLowerCase();
+      expect(code).to.equal(`0x363d3d373d3d3d363d73${implementation}5af43d82803e903d91602b57fd5bf3`);
+
+      const auction = await ethers.getContractAt("ChronoAuction", auctionAddr);
+      expect(await auction.factory()).to.equal(await this.factory.getAddress());
+      expect(await auction.seller()).to.equal(this.owner.address);
+      await expect(auction.initialize(
+        await this.mockToken1.getAddress(),
+        3600n,
+        await this.rewardToken.getAddress(),
+        this.user1.address,
+        this.user1.address,
+        { recipient: ethers.ZeroAddress, bps: 0n },
+        DEFAULT_CONFIG
+      )).to.be.revertedWithCustomError(auction, "InvalidInitialization");
+    });
+
+    it("Should deploy to the predicted CREATE2 address", async function () {
+      const predicted = await this.factory.predictAuctionAddress(this.user1.address, SALT);
+
+      await expect(this.factory.connect(this.user1).createAuctionDeterministic(
+        await this.mockToken1.getAddress(), 3600n, this.beneficiary.address, DEFAULT_CONFIG, SALT
+      ))
+        .to.emit(this.factory, "AuctionCreated")
+        .withArgs(predicted, this.user1.address, await this.mockToken1.getAddress(), 3600n,
+          this.beneficiary.address, Object.values(DEFAULT_CONFIG.lot));
+
+      expect(await this.factory.auctionOwner(predicted)).to.equal(this.user1.address);
+      const auction = await ethers.getContractAt("ChronoAuction", predicted);
+      expect(await auction.seller()).to.equal(this.user1.address);
+    });
+
+    it("Should scope salts to the creator", async function () {
+      const token = await this.mockToken1.getAddress();
+      const forUser1 = await this.factory.predictAuctionAddress(this.user1.address, SALT);
+      const forUser2 = await this.factory.predictAuctionAddress(this.user2.address, SALT);
+      expect(forUser1).to.not.equal(forUser2);
+
+      await this.factory.connect(this.user1).createAuctionDeterministic(
+        token, 3600n, this.beneficiary.address, DEFAULT_CONFIG, SALT
+      );
+      await expect(this.factory.connect(this.user1).createAuctionDeterministic(
+        token, 3600n, this.beneficiary.address, DEFAULT_CONFIG, SALT
+      )).to.be.revertedWithCustomError(this.factory, "FailedDeployment");
+
+      // Another creator's salt cannot collide with the first auction
+      await this.factory.connect(this.user2).createAuctionDeterministic(
+        token, 3600n, this.beneficiary.address, DEFAULT_CONFIG, SALT
+      );
+      expect(await ethers.provider.getCode(forUser2)).to.not.equal("0x");
+    });
+
+    it("Should reject an implementation without code", async function () {
+      // The deployer libraries are never called here, so any address links
+      const unusedLibrary = this.user2.address;
+      const AuctionFactory = await ethers.getContractFactory("AuctionFactory", {
+        libraries: {
+          SealedBidAuctionDeployer: unusedLibrary,
+          DutchAuctionDeployer: unusedLibrary,
+          MultiUnitAuctionDeployer: unusedLibrary
+        }
+      });
+      await expect(AuctionFactory.deploy(await this.rewardToken.getAddress(), this.user1.address))
+        .to.be.revertedWith("Not a contract");
+    });
+
+    it("Should cost far less gas than deploying a full auction", async function () {
+      // Creating an auction used to deploy all of ChronoAuction's code; the clone path
+      // pays for a 45 byte proxy plus the same initialization and registration
+      const ChronoAuction = await ethers.getContractFactory("ChronoAuction");
+      const fullAuction = await ChronoAuction.deploy();
+      const deploymentGas = (await fullAuction.deploymentTransaction().wait()).gasUsed;
+
+      const creation = await this.factory.createAuction(
+        await this.mockToken1.getAddress(), 3600n, this.beneficiary.address, DEFAULT_CONFIG
+      );
+      const cloneGas = (await creation.wait()).gasUsed;
+
+      console.log(`      Full deployment: ${deploymentGas} gas, clone creation: ${cloneGas} gas`);
+      expect(cloneGas * 3n).to.be.lessThan(deploymentGas);
     });
   });
 
@@ -87,6 +255,43 @@ describe("AuctionFactory Contract", function () {
     });
   });
 
+  describe("Native ETH Auctions", function () {
+
+    it("Should only create ETH auctions once native bidding is supported", async function () {
+      expect(await this.factory.NATIVE_TOKEN()).to.equal(NATIVE_TOKEN);
+      await expect(this.factory.createAuction(
+        NATIVE_TOKEN,
+        3600n,
+        this.beneficiary.address,
+        DEFAULT_CONFIG
+      )).to.be.revertedWithCustomError(this.factory, "InvalidTokenAddress");
+
+      await expect(this.factory.addSupportedBidToken(NATIVE_TOKEN))
+        .to.emit(this.factory, "BidTokenAdded")
+        .withArgs(NATIVE_TOKEN);
+
+      const tx = await this.factory.createAuction(
+        NATIVE_TOKEN,
+        3600n,
+        this.beneficiary.address,
+        DEFAULT_CONFIG
+      );
+      const receipt = await tx.wait();
+      const auctionAddr = receipt.logs.find(log => 
+        log.fragment && log.fragment.name === "AuctionCreated"
+      ).args[0];
+      const auction = await ethers.getContractAt("ChronoAuction", auctionAddr);
+
+      const bidAmount = ethers.parseEther("1");
+      await auction.connect(this.user1).bid(bidAmount, { value: bidAmount });
+      expect(await this.rewardToken.balanceOf(this.user1.address)).to.equal(ethers.parseEther("1"));
+
+      await time.increase(3601);
+      await expect(auction.withdraw())
+        .to.changeEtherBalance(this.beneficiary, bidAmount);
+    });
+  });
+
   describe("Duration Limits", function () {
     it("Should update and enforce duration limits", async function () {
       const newMin = 7200n; // 2 hours
@@ -101,15 +306,122 @@ describe("AuctionFactory Contract", function () {
       await expect(this.factory.createAuction(
         await this.mockToken1.getAddress(),
         newMin - 1n,
-        this.beneficiary.address
+        this.beneficiary.address,
+        DEFAULT_CONFIG
       )).to.be.revertedWithCustomError(this.factory, "InvalidDuration");
 
       await expect(this.factory.createAuction(
         await this.mockToken1.getAddress(),
         newMax + 1n,
-        this.beneficiary.address
+        this.beneficiary.address,
+        DEFAULT_CONFIG
+      )).to.be.revertedWithCustomError(this.factory, "InvalidDuration");
+    });
+  });
+
+  describe("Scheduled Auctions", function () {
+    const SCHEDULED = 4n;
+
+    it("Should announce an auction ahead of its start", async function () {
+      const startTime = BigInt(await time.latest()) + 86400n;
+      const tx = await this.factory.connect(this.user1).createAuction(
+        await this.mockToken1.getAddress(),
+        3600n,
+        this.beneficiary.address,
+        { ...DEFAULT_CONFIG, startTime }
+      );
+      const receipt = await tx.wait();
+      const auctionAddr = receipt.logs.find(log =>
+        log.fragment && log.fragment.name === "AuctionCreated"
+      ).args[0];
+      const auction = await ethers.getContractAt("ChronoAuction", auctionAddr);
+
+      expect(await auction.startTime()).to.equal(startTime);
+      expect(await auction.endTime()).to.equal(startTime + 3600n);
+      let info = await this.factory.getAuctionInfo(auctionAddr);
+      expect(info.status).to.equal(SCHEDULED);
+      expect(info.endTime).to.equal(startTime + 3600n);
+      expect(await this.factory.getAuctionsByStatus(SCHEDULED, 0n, 10n)).to.have.lengthOf(1);
+
+      await this.mockToken1.connect(this.user2).approve(auctionAddr, ethers.parseEther("1"));
+      await expect(auction.connect(this.user2).bid(ethers.parseEther("1")))
+        .to.be.revertedWithCustomError(auction, "AuctionNotStarted")
+        .withArgs(startTime);
+
+      await time.increaseTo(startTime);
+      info = await this.factory.getAuctionInfo(auctionAddr);
+      expect(info.status).to.equal(0n); // Active
+      await auction.connect(this.user2).bid(ethers.parseEther("1"));
+    });
+
+    it("Should apply the duration limits to the active period only", async function () {
+      const startTime = BigInt(await time.latest()) + 60n * 86400n;
+      await expect(this.factory.createAuction(
+        await this.mockToken1.getAddress(),
+        await this.factory.maxAuctionDuration(),
+        this.beneficiary.address,
+        { ...DEFAULT_CONFIG, startTime }
+      )).to.emit(this.factory, "AuctionCreated");
+
+      await expect(this.factory.createAuction(
+        await this.mockToken1.getAddress(),
+        (await this.factory.maxAuctionDuration()) + 1n,
+        this.beneficiary.address,
+        { ...DEFAULT_CONFIG, startTime }
       )).to.be.revertedWithCustomError(this.factory, "InvalidDuration");
     });
+
+    it("Should reject start times in the past", async function () {
+      await expect(this.factory.createAuction(
+        await this.mockToken1.getAddress(),
+        3600n,
+        this.beneficiary.address,
+        { ...DEFAULT_CONFIG, startTime: BigInt(await time.latest()) - 1n }
+      )).to.be.revertedWithCustomError(this.factory, "InvalidStartTime");
+    });
+  });
+
+  describe("Extension Limits", function () {
+    it("Should update extension limits", async function () {
+      await expect(this.factory.setExtensionLimits(600n, 300n, 3600n))
+        .to.emit(this.factory, "ExtensionLimitsUpdated")
+        .withArgs(600n, 300n, 3600n);
+
+      expect(await this.factory.maxExtensionWindow()).to.equal(600n);
+      expect(await this.factory.maxExtensionDuration()).to.equal(300n);
+      expect(await this.factory.maxTotalExtension()).to.equal(3600n);
+
+      await expect(this.factory.connect(this.user1).setExtensionLimits(600n, 300n, 3600n))
+        .to.be.revertedWithCustomError(this.factory, "OwnableUnauthorizedAccount");
+      await expect(this.factory.setExtensionLimits(600n, 0n, 3600n))
+        .to.be.revertedWithCustomError(this.factory, "InvalidExtensionPolicy");
+    });
+
+    it("Should enforce extension limits on creation", async function () {
+      await this.factory.setExtensionLimits(600n, 300n, 3600n);
+      const token = await this.mockToken1.getAddress();
+
+      for (const policy of [
+        { extensionWindow: 601n },
+        { extensionDuration: 301n },
+        { maxTotalExtension: 3601n },
+        { extensionWindow: 60n, extensionDuration: 0n }
+      ]) {
+        await expect(this.factory.createAuction(
+          token,
+          86400n,
+          this.beneficiary.address,
+          { ...DEFAULT_CONFIG, ...policy }
+        )).to.be.revertedWithCustomError(this.factory, "InvalidExtensionPolicy");
+      }
+
+      await expect(this.factory.createAuction(
+        token,
+        86400n,
+        this.beneficiary.address,
+        { ...DEFAULT_CONFIG, extensionWindow: 600n, extensionDuration: 300n, maxTotalExtension: 3600n }
+      )).to.not.be.reverted;
+    });
   });
 
   describe("Auction Creation", function () {
@@ -121,7 +433,8 @@ describe("AuctionFactory Contract", function () {
         await this.factory.connect(this.user1).createAuction(
           await this.mockToken1.getAddress(),
           86400n, // 1 day
-          this.user1.address
+          this.user1.address,
+          DEFAULT_CONFIG
         );
       }
       
@@ -146,22 +459,59 @@ describe("AuctionFactory Contract", function () {
       await expect(this.factory.createAuction(
         await this.mockToken2.getAddress(),
         86400n,
-        this.beneficiary.address
+        this.beneficiary.address,
+        DEFAULT_CONFIG
       )).to.be.revertedWithCustomError(this.factory, "InvalidTokenAddress");
 
       // Invalid beneficiary
       await expect(this.factory.createAuction(
         await this.mockToken1.getAddress(),
         86400n,
-        ethers.ZeroAddress
+        ethers.ZeroAddress,
+        DEFAULT_CONFIG
       )).to.be.revertedWithCustomError(this.factory, "InvalidTokenAddress");
     });
     
+    it("Should create auctions with reserve price and increments", async function () {
+      const config = {
+        ...DEFAULT_CONFIG,
+        reservePrice: ethers.parseEther("5"),
+        minBidIncrement: ethers.parseEther("0.5"),
+        minBidIncrementBps: 250n
+      };
+      const tx = await this.factory.createAuction(
+        await this.mockToken1.getAddress(),
+        86400n,
+        this.beneficiary.address,
+        config
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => 
+        log.fragment && log.fragment.name === "AuctionCreated"
+      );
+      const auction = await ethers.getContractAt("ChronoAuction", event.args[0]);
+
+      expect(await auction.reservePrice()).to.equal(config.reservePrice);
+      expect(await auction.minBidIncrement()).to.equal(config.minBidIncrement);
+      expect(await auction.minBidIncrementBps()).to.equal(config.minBidIncrementBps);
+    });
+
+    it("Should reject excessive basis-point increments", async function () {
+      const maxBps = await this.factory.MAX_BID_INCREMENT_BPS();
+      await expect(this.factory.createAuction(
+        await this.mockToken1.getAddress(),
+        86400n,
+        this.beneficiary.address,
+        { ...DEFAULT_CONFIG, minBidIncrementBps: maxBps + 1n }
+      )).to.be.revertedWithCustomError(this.factory, "InvalidBidIncrement");
+    });
+    
     it("Should track auction creators correctly", async function() {
       const tx = await this.factory.connect(this.user1).createAuction(
         await this.mockToken1.getAddress(),
         86400n,
-        this.user1.address
+        this.user1.address,
+        DEFAULT_CONFIG
       );
       const receipt = await tx.wait();
       const event = receipt.logs.find(log => 
@@ -171,6 +521,894 @@ describe("AuctionFactory Contract", function () {
       
       expect(await this.factory.auctionOwner(auctionAddr)).to.equal(this.user1.address);
     });
+
+    it("Should require the buy-now price to be above the reserve", async function () {
+      const reservePrice = ethers.parseEther("2");
+      await expect(this.factory.createAuction(
+        await this.mockToken1.getAddress(),
+        3600n,
+        this.beneficiary.address,
+        { ...DEFAULT_CONFIG, reservePrice, buyNowPrice: reservePrice }
+      )).to.be.revertedWithCustomError(this.factory, "InvalidBuyNowPrice");
+
+      await expect(this.factory.createAuction(
+        await this.mockToken1.getAddress(),
+        3600n,
+        this.beneficiary.address,
+        { ...DEFAULT_CONFIG, reservePrice, buyNowPrice: reservePrice + 1n }
+      )).to.emit(this.factory, "AuctionCreated");
+    });
+  });
+
+  describe("Lots", function () {
+    const LOT_ERC721 = 1;
+    const LOT_ERC1155 = 2;
+
+    async function deployLotTokensFixture() {
+      const base = await deployContractsFixture();
+      const MockERC721 = await ethers.getContractFactory("MockERC721");
+      const nft = await MockERC721.deploy("Lot NFT", "LOT");
+      await nft.mint(base.user1.address, 1n);
+
+      const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+      const multiToken = await MockERC1155.deploy();
+      await multiToken.mint(base.user1.address, 3n, 5n);
+
+      return { ...base, nft, multiToken };
+    }
+
+    beforeEach(async function () {
+      Object.assign(this, await loadFixture(deployLotTokensFixture));
+    });
+
+    it("Should escrow an ERC721 lot and include it in AuctionCreated", async function () {
+      const nftAddr = await this.nft.getAddress();
+      await this.nft.connect(this.user1).approve(await this.factory.getAddress(), 1n);
+
+      const tx = await this.factory.connect(this.user1).createAuction(
+        await this.mockToken1.getAddress(),
+        3600n,
+        this.beneficiary.address,
+        { ...DEFAULT_CONFIG, lot: { kind: LOT_ERC721, token: nftAddr, tokenId: 1n, amount: 1n } }
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => 
+        log.fragment && log.fragment.name === "AuctionCreated"
+      );
+      const auctionAddr = event.args[0];
+
+      expect(event.args.lot.kind).to.equal(BigInt(LOT_ERC721));
+      expect(event.args.lot.token).to.equal(nftAddr);
+      expect(event.args.lot.tokenId).to.equal(1n);
+      expect(await this.nft.ownerOf(1n)).to.equal(auctionAddr);
+
+      // Winner receives the item
+      const auction = await ethers.getContractAt("ChronoAuction", auctionAddr);
+      expect(await auction.seller()).to.equal(this.user1.address);
+      await this.mockToken1.connect(this.user2).approve(auctionAddr, ethers.parseEther("1"));
+      await auction.connect(this.user2).bid(ethers.parseEther("1"));
+      await time.increase(3601);
+      await auction.withdraw();
+      expect(await this.nft.ownerOf(1n)).to.equal(this.user2.address);
+    });
+
+    it("Should escrow an ERC1155 lot and return it to the creator if unsold", async function () {
+      await this.multiToken.connect(this.user1).setApprovalForAll(await this.factory.getAddress(), true);
+
+      const tx = await this.factory.connect(this.user1).createAuction(
+        await this.mockToken1.getAddress(),
+        3600n,
+        this.beneficiary.address,
+        { ...DEFAULT_CONFIG, lot: { kind: LOT_ERC1155, token: await this.multiToken.getAddress(), tokenId: 3n, amount: 2n } }
+      );
+      const receipt = await tx.wait();
+      const auctionAddr = receipt.logs.find(log => 
+        log.fragment && log.fragment.name === "AuctionCreated"
+      ).args[0];
+      expect(await this.multiToken.balanceOf(auctionAddr, 3n)).to.equal(2n);
+      expect(await this.multiToken.balanceOf(this.user1.address, 3n)).to.equal(3n);
+
+      const auction = await ethers.getContractAt("ChronoAuction", auctionAddr);
+      await time.increase(3601);
+      await auction.withdraw();
+      expect(await this.multiToken.balanceOf(this.user1.address, 3n)).to.equal(5n);
+    });
+
+    it("Should reject invalid lots", async function () {
+      const token = await this.mockToken1.getAddress();
+      const nftAddr = await this.nft.getAddress();
+
+      for (const lot of [
+        { kind: 0, token: nftAddr, tokenId: 0n, amount: 0n },
+        { kind: LOT_ERC721, token: this.user2.address, tokenId: 1n, amount: 1n },
+        { kind: LOT_ERC721, token: nftAddr, tokenId: 1n, amount: 2n },
+        { kind: LOT_ERC1155, token: await this.multiToken.getAddress(), tokenId: 3n, amount: 0n }
+      ]) {
+        await expect(this.factory.connect(this.user1).createAuction(
+          token,
+          3600n,
+          this.beneficiary.address,
+          { ...DEFAULT_CONFIG, lot }
+        )).to.be.revertedWithCustomError(this.factory, "InvalidLot");
+      }
+    });
+
+    it("Should revert when the factory is not approved for the lot", async function () {
+      await expect(this.factory.connect(this.user1).createAuction(
+        await this.mockToken1.getAddress(),
+        3600n,
+        this.beneficiary.address,
+        { ...DEFAULT_CONFIG, lot: { kind: LOT_ERC721, token: await this.nft.getAddress(), tokenId: 1n, amount: 1n } }
+      )).to.be.revertedWithCustomError(this.nft, "ERC721InsufficientApproval");
+    });
+
+    it("Should escrow the lot of a Dutch auction and deliver it to the buyer", async function () {
+      const token = await this.mockToken1.getAddress();
+      const lot = { kind: LOT_ERC721, token: await this.nft.getAddress(), tokenId: 1n, amount: 1n };
+      const config = { startPrice: ethers.parseEther("10"), floorPrice: ethers.parseEther("2"), decay: 0, stepDuration: 0n };
+      await expect(this.factory.connect(this.user1).createDutchAuction(
+        token, 3600n, this.beneficiary.address, { ...config, lot: { ...lot, amount: 2n } }
+      )).to.be.revertedWithCustomError(this.factory, "InvalidLot");
+
+      await this.nft.connect(this.user1).approve(await this.factory.getAddress(), 1n);
+      const tx = await this.factory.connect(this.user1).createDutchAuction(
+        token, 3600n, this.beneficiary.address, { ...config, lot }
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log =>
+        log.fragment && log.fragment.name === "DutchAuctionCreated"
+      );
+      const auctionAddr = event.args[0];
+      expect(event.args.config.lot.token).to.equal(lot.token);
+      expect(await this.nft.ownerOf(1n)).to.equal(auctionAddr);
+
+      const auction = await ethers.getContractAt("DutchAuction", auctionAddr);
+      expect(await auction.seller()).to.equal(this.user1.address);
+      await this.mockToken1.connect(this.user2).approve(auctionAddr, config.startPrice);
+      await auction.connect(this.user2).buy(config.startPrice);
+      expect(await this.nft.ownerOf(1n)).to.equal(this.user2.address);
+    });
+
+    it("Should escrow the lot of a sealed-bid auction and return it if unsold", async function () {
+      const token = await this.mockToken1.getAddress();
+      const lot = { kind: LOT_ERC1155, token: await this.multiToken.getAddress(), tokenId: 3n, amount: 2n };
+      const config = { reservePrice: 0n, pricing: 0, unrevealedPolicy: 0 };
+      await expect(this.factory.connect(this.user1).createSealedBidAuction(
+        token, 3600n, 1800n, this.beneficiary.address, { ...config, lot: { ...lot, amount: 0n } }
+      )).to.be.revertedWithCustomError(this.factory, "InvalidLot");
+
+      await this.multiToken.connect(this.user1).setApprovalForAll(await this.factory.getAddress(), true);
+      const tx = await this.factory.connect(this.user1).createSealedBidAuction(
+        token, 3600n, 1800n, this.beneficiary.address, { ...config, lot }
+      );
+      const receipt = await tx.wait();
+      const auctionAddr = receipt.logs.find(log =>
+        log.fragment && log.fragment.name === "SealedBidAuctionCreated"
+      ).args[0];
+      expect(await this.multiToken.balanceOf(auctionAddr, 3n)).to.equal(2n);
+
+      const auction = await ethers.getContractAt("SealedBidAuction", auctionAddr);
+      await time.increaseTo(await auction.revealEndTime());
+      await auction.settle();
+      expect(await this.multiToken.balanceOf(this.user1.address, 3n)).to.equal(5n);
+    });
+  });
+
+  describe("Seller Controls", function () {
+    async function createAuctionAs(ctx, signer, config = {}) {
+      const tx = await ctx.factory.connect(signer).createAuction(
+        await ctx.mockToken1.getAddress(),
+        3600n,
+        ctx.beneficiary.address,
+        { ...DEFAULT_CONFIG, ...config }
+      );
+      const receipt = await tx.wait();
+      const auctionAddr = receipt.logs.find(log => 
+        log.fragment && log.fragment.name === "AuctionCreated"
+      ).args[0];
+      return ethers.getContractAt("ChronoAuction", auctionAddr);
+    }
+
+    it("Should let the creator cancel before the first bid", async function () {
+      const auction = await createAuctionAs(this, this.user1);
+      const auctionAddr = await auction.getAddress();
+
+      await expect(this.factory.connect(this.user2).cancelAuction(auctionAddr))
+        .to.be.revertedWithCustomError(this.factory, "NotAuctionOwner");
+
+      await expect(this.factory.connect(this.user1).cancelAuction(auctionAddr))
+        .to.emit(this.factory, "AuctionCancelled")
+        .withArgs(auctionAddr, this.user1.address, false)
+        .and.to.emit(auction, "AuctionCancelled");
+      expect(await auction.cancelled()).to.equal(true);
+    });
+
+    it("Should respect the cancellation rule once bids exist", async function () {
+      const locked = await createAuctionAs(this, this.user1);
+      const lockedAddr = await locked.getAddress();
+      await this.mockToken1.connect(this.user2).approve(lockedAddr, ethers.parseEther("1"));
+      await locked.connect(this.user2).bid(ethers.parseEther("1"));
+      await expect(this.factory.connect(this.user1).cancelAuction(lockedAddr))
+        .to.be.revertedWith("Bids placed");
+
+      const cancellable = await createAuctionAs(this, this.user1, { cancellableWithBids: true });
+      const cancellableAddr = await cancellable.getAddress();
+      await this.mockToken1.connect(this.user2).approve(cancellableAddr, ethers.parseEther("1"));
+      await cancellable.connect(this.user2).bid(ethers.parseEther("1"));
+      await this.factory.connect(this.user1).cancelAuction(cancellableAddr);
+      expect(await cancellable.pendingReturns(this.user2.address)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should let the factory owner cancel as an emergency override", async function () {
+      const auction = await createAuctionAs(this, this.user1);
+      const auctionAddr = await auction.getAddress();
+      await this.mockToken1.connect(this.user2).approve(auctionAddr, ethers.parseEther("1"));
+      await auction.connect(this.user2).bid(ethers.parseEther("1"));
+
+      await expect(this.factory.cancelAuction(auctionAddr))
+        .to.emit(this.factory, "AuctionCancelled")
+        .withArgs(auctionAddr, this.owner.address, true);
+      expect(await auction.pendingReturns(this.user2.address)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should reject controls on unknown auctions", async function () {
+      await expect(this.factory.cancelAuction(this.user2.address))
+        .to.be.revertedWithCustomError(this.factory, "UnknownAuction");
+      await expect(this.factory.setAuctionBeneficiary(this.user2.address, this.user2.address))
+        .to.be.revertedWithCustomError(this.factory, "UnknownAuction");
+    });
+
+    it("Should let the creator change the beneficiary before any bids", async function () {
+      const auction = await createAuctionAs(this, this.user1);
+      const auctionAddr = await auction.getAddress();
+
+      await expect(this.factory.setAuctionBeneficiary(auctionAddr, this.user2.address))
+        .to.be.revertedWithCustomError(this.factory, "NotAuctionOwner");
+      await expect(this.factory.connect(this.user1).setAuctionBeneficiary(auctionAddr, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(this.factory, "InvalidTokenAddress");
+
+      await expect(this.factory.connect(this.user1).setAuctionBeneficiary(auctionAddr, this.user2.address))
+        .to.emit(this.factory, "AuctionBeneficiaryUpdated")
+        .withArgs(auctionAddr, this.user2.address);
+      expect(await auction.beneficiary()).to.equal(this.user2.address);
+
+      await this.mockToken1.connect(this.user2).approve(auctionAddr, ethers.parseEther("1"));
+      await auction.connect(this.user2).bid(ethers.parseEther("1"));
+      await expect(this.factory.connect(this.user1).setAuctionBeneficiary(auctionAddr, this.user1.address))
+        .to.be.revertedWith("Bids placed");
+    });
+
+    it("Should create private auctions and let the creator update their allowlist", async function () {
+      const allowlist = buildAllowlist([this.user2.address, this.beneficiary.address]);
+      const auction = await createAuctionAs(this, this.user1, { allowlistRoot: allowlist.root });
+      const auctionAddr = await auction.getAddress();
+      await this.mockToken1.connect(this.user2).approve(auctionAddr, ethers.parseEther("2"));
+      await auction.connect(this.user2).bidWithProof(ethers.parseEther("1"), allowlist.getProof(this.user2.address));
+
+      const updated = buildAllowlist([this.beneficiary.address]);
+      await expect(this.factory.connect(this.user2).setAuctionAllowlist(auctionAddr, updated.root, 0n))
+        .to.be.revertedWithCustomError(this.factory, "NotAuctionOwner");
+      await expect(this.factory.connect(this.user1).setAuctionAllowlist(auctionAddr, updated.root, 0n))
+        .to.emit(this.factory, "AuctionAllowlistUpdated")
+        .withArgs(auctionAddr, updated.root, 0n);
+
+      await expect(
+        auction.connect(this.user2).bidWithProof(ethers.parseEther("2"), allowlist.getProof(this.user2.address))
+      ).to.be.revertedWith("Not allowlisted");
+      await expect(this.factory.setAuctionAllowlist(this.user2.address, updated.root, 0n))
+        .to.be.revertedWithCustomError(this.factory, "UnknownAuction");
+    });
+  });
+
+  describe("Sealed-Bid Auctions", function () {
+    const SEALED_CONFIG = { reservePrice: 0n, pricing: 1, unrevealedPolicy: 0, lot: DEFAULT_CONFIG.lot };
+
+    it("Should create sealed-bid auctions and register them", async function () {
+      const token = await this.mockToken1.getAddress();
+      const tx = await this.factory.connect(this.user1).createSealedBidAuction(
+        token,
+        3600n,
+        1800n,
+        this.beneficiary.address,
+        SEALED_CONFIG
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => 
+        log.fragment && log.fragment.name === "SealedBidAuctionCreated"
+      );
+      const auctionAddr = event.args[0];
+
+      expect(event.args.commitDuration).to.equal(3600n);
+      expect(event.args.revealDuration).to.equal(1800n);
+      expect(await this.factory.auctionOwner(auctionAddr)).to.equal(this.user1.address);
+      expect(await this.factory.auctionType(auctionAddr)).to.equal(1n);
+      expect(await this.factory.getAuctionCount()).to.equal(1n);
+      expect(await this.rewardToken.allowedAuctions(auctionAddr)).to.be.true;
+
+      const auction = await ethers.getContractAt("SealedBidAuction", auctionAddr);
+      expect(await auction.bidToken()).to.equal(token);
+      expect(await auction.pricing()).to.equal(1n);
+    });
+
+    it("Should apply duration limits to the combined phases", async function () {
+      const token = await this.mockToken1.getAddress();
+      await expect(this.factory.createSealedBidAuction(token, 1800n, 1799n, this.beneficiary.address, SEALED_CONFIG))
+        .to.be.revertedWithCustomError(this.factory, "InvalidDuration");
+      await expect(this.factory.createSealedBidAuction(token, 3600n, 0n, this.beneficiary.address, SEALED_CONFIG))
+        .to.be.revertedWithCustomError(this.factory, "InvalidDuration");
+      await expect(this.factory.createSealedBidAuction(token, 1800n, 1800n, this.beneficiary.address, SEALED_CONFIG))
+        .to.not.be.reverted;
+    });
+
+    it("Should enforce bid token and pause rules", async function () {
+      await expect(this.factory.createSealedBidAuction(
+        await this.mockToken2.getAddress(), 3600n, 1800n, this.beneficiary.address, SEALED_CONFIG
+      )).to.be.revertedWithCustomError(this.factory, "InvalidTokenAddress");
+
+      await this.factory.emergencyPause(true);
+      await expect(this.factory.createSealedBidAuction(
+        await this.mockToken1.getAddress(), 3600n, 1800n, this.beneficiary.address, SEALED_CONFIG
+      )).to.be.revertedWithCustomError(this.factory, "AuctionCreationPaused");
+    });
+
+    it("Should not apply English auction seller controls", async function () {
+      const tx = await this.factory.connect(this.user1).createSealedBidAuction(
+        await this.mockToken1.getAddress(), 3600n, 1800n, this.beneficiary.address, SEALED_CONFIG
+      );
+      const receipt = await tx.wait();
+      const auctionAddr = receipt.logs.find(log => 
+        log.fragment && log.fragment.name === "SealedBidAuctionCreated"
+      ).args[0];
+
+      await expect(this.factory.connect(this.user1).cancelAuction(auctionAddr))
+        .to.be.revertedWithCustomError(this.factory, "UnsupportedAuctionType");
+    });
+  });
+
+  describe("Dutch Auctions", function () {
+    const LINEAR = 0;
+    const STEPPED = 1;
+    const DUTCH_CONFIG = {
+      startPrice: ethers.parseEther("10"),
+      floorPrice: ethers.parseEther("2"),
+      decay: LINEAR,
+      stepDuration: 0n,
+      lot: DEFAULT_CONFIG.lot
+    };
+
+    it("Should create Dutch auctions that reuse factory rules and rewards", async function () {
+      const token = await this.mockToken1.getAddress();
+      const tx = await this.factory.connect(this.user1).createDutchAuction(
+        token,
+        3600n,
+        this.beneficiary.address,
+        DUTCH_CONFIG
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => 
+        log.fragment && log.fragment.name === "DutchAuctionCreated"
+      );
+      const auctionAddr = event.args[0];
+
+      expect(event.args.config.startPrice).to.equal(DUTCH_CONFIG.startPrice);
+      expect(await this.factory.auctionOwner(auctionAddr)).to.equal(this.user1.address);
+      expect(await this.factory.auctionType(auctionAddr)).to.equal(2n);
+
+      const auction = await ethers.getContractAt("DutchAuction", auctionAddr);
+      const price = await auction.currentPrice();
+      await this.mockToken1.connect(this.user2).approve(auctionAddr, price);
+      await auction.connect(this.user2).buy(price);
+
+      expect(await auction.winner()).to.equal(this.user2.address);
+      expect(await this.rewardToken.balanceOf(this.user2.address)).to.equal(ethers.parseEther("1"));
+      expect(await this.mockToken1.balanceOf(this.beneficiary.address)).to.be.closeTo(
+        DUTCH_CONFIG.startPrice, ethers.parseEther("0.01")
+      );
+    });
+
+    it("Should enforce bid token and duration limits", async function () {
+      await expect(this.factory.createDutchAuction(
+        await this.mockToken2.getAddress(), 3600n, this.beneficiary.address, DUTCH_CONFIG
+      )).to.be.revertedWithCustomError(this.factory, "InvalidTokenAddress");
+      await expect(this.factory.createDutchAuction(
+        await this.mockToken1.getAddress(), 60n, this.beneficiary.address, DUTCH_CONFIG
+      )).to.be.revertedWithCustomError(this.factory, "InvalidDuration");
+    });
+
+    it("Should reject invalid price schedules", async function () {
+      const token = await this.mockToken1.getAddress();
+      for (const config of [
+        { ...DUTCH_CONFIG, floorPrice: DUTCH_CONFIG.startPrice },
+        { ...DUTCH_CONFIG, decay: STEPPED, stepDuration: 0n },
+        { ...DUTCH_CONFIG, decay: STEPPED, stepDuration: 3601n }
+      ]) {
+        await expect(this.factory.createDutchAuction(token, 3600n, this.beneficiary.address, config))
+          .to.be.revertedWithCustomError(this.factory, "InvalidPriceSchedule");
+      }
+    });
+  });
+
+  describe("Multi-Unit Auctions", function () {
+    const MULTI_CONFIG = {
+      totalUnits: 10n,
+      reservePrice: ethers.parseEther("1"),
+      unitToken: ethers.ZeroAddress,
+      unitTokenId: 0n
+    };
+
+    it("Should create multi-unit auctions and register them", async function () {
+      const tx = await this.factory.connect(this.user1).createMultiUnitAuction(
+        await this.mockToken1.getAddress(),
+        3600n,
+        this.beneficiary.address,
+        MULTI_CONFIG
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => 
+        log.fragment && log.fragment.name === "MultiUnitAuctionCreated"
+      );
+      const auctionAddr = event.args[0];
+
+      expect(event.args.config.totalUnits).to.equal(10n);
+      expect(await this.factory.auctionType(auctionAddr)).to.equal(3n);
+      expect(await this.factory.auctionOwner(auctionAddr)).to.equal(this.user1.address);
+
+      const auction = await ethers.getContractAt("MultiUnitAuction", auctionAddr);
+      expect(await auction.seller()).to.equal(this.user1.address);
+      expect(await auction.totalUnits()).to.equal(10n);
+    });
+
+    it("Should escrow ERC1155 units from the creator", async function () {
+      const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+      const units = await MockERC1155.deploy();
+      await units.mint(this.user1.address, 5n, 25n);
+      await units.connect(this.user1).setApprovalForAll(await this.factory.getAddress(), true);
+
+      const tx = await this.factory.connect(this.user1).createMultiUnitAuction(
+        await this.mockToken1.getAddress(),
+        3600n,
+        this.beneficiary.address,
+        { ...MULTI_CONFIG, unitToken: await units.getAddress(), unitTokenId: 5n }
+      );
+      const receipt = await tx.wait();
+      const auctionAddr = receipt.logs.find(log => 
+        log.fragment && log.fragment.name === "MultiUnitAuctionCreated"
+      ).args[0];
+
+      expect(await units.balanceOf(auctionAddr, 5n)).to.equal(10n);
+      expect(await units.balanceOf(this.user1.address, 5n)).to.equal(15n);
+    });
+
+    it("Should reject invalid unit configurations", async function () {
+      const token = await this.mockToken1.getAddress();
+      await expect(this.factory.createMultiUnitAuction(
+        token, 3600n, this.beneficiary.address, { ...MULTI_CONFIG, totalUnits: 0n }
+      )).to.be.revertedWithCustomError(this.factory, "InvalidUnits");
+      await expect(this.factory.createMultiUnitAuction(
+        token, 3600n, this.beneficiary.address, { ...MULTI_CONFIG, unitToken: this.user2.address }
+      )).to.be.revertedWithCustomError(this.factory, "InvalidUnits");
+      await expect(this.factory.createMultiUnitAuction(
+        await this.mockToken2.getAddress(), 3600n, this.beneficiary.address, MULTI_CONFIG
+      )).to.be.revertedWithCustomError(this.factory, "InvalidTokenAddress");
+    });
+  });
+
+  describe("Protocol Fees", function () {
+    it("Should update the protocol fee within the cap", async function () {
+      await expect(this.factory.setProtocolFee(250n, this.user2.address))
+        .to.emit(this.factory, "ProtocolFeeUpdated")
+        .withArgs(250n, this.user2.address);
+      expect(await this.factory.protocolFeeBps()).to.equal(250n);
+      expect(await this.factory.feeRecipient()).to.equal(this.user2.address);
+
+      const maxFee = await this.factory.MAX_PROTOCOL_FEE_BPS();
+      await expect(this.factory.setProtocolFee(maxFee + 1n, this.user2.address))
+        .to.be.revertedWithCustomError(this.factory, "InvalidFeeConfig");
+      await expect(this.factory.setProtocolFee(100n, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(this.factory, "InvalidFeeConfig");
+      await expect(this.factory.connect(this.user1).setProtocolFee(100n, this.user2.address))
+        .to.be.revertedWithCustomError(this.factory, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should validate referrer fees and splits on creation", async function () {
+      const token = await this.mockToken1.getAddress();
+      const maxReferrerFee = await this.factory.MAX_REFERRER_FEE_BPS();
+      const create = (config) => this.factory.createAuction(
+        token,
+        3600n,
+        this.beneficiary.address,
+        { ...DEFAULT_CONFIG, ...config }
+      );
+
+      await expect(create({ referrerFeeBps: maxReferrerFee + 1n }))
+        .to.be.revertedWithCustomError(this.factory, "InvalidFeeConfig");
+      await expect(create({ splits: [{ recipient: ethers.ZeroAddress, bps: 100n }] }))
+        .to.be.revertedWithCustomError(this.factory, "InvalidSplits");
+      await expect(create({ splits: [{ recipient: this.user2.address, bps: 10001n }] }))
+        .to.be.revertedWithCustomError(this.factory, "InvalidSplits");
+      await expect(create({
+        splits: Array(11).fill({ recipient: this.user2.address, bps: 1n })
+      })).to.be.revertedWithCustomError(this.factory, "InvalidSplits");
+    });
+
+    it("Should charge the fee in force when the auction was created", async function () {
+      const token = await this.mockToken1.getAddress();
+      await this.factory.setProtocolFee(500n, this.owner.address);
+      const auctionAddr = await this.factory.createAuction.staticCall(
+        token, 3600n, this.beneficiary.address, DEFAULT_CONFIG
+      );
+      await this.factory.createAuction(token, 3600n, this.beneficiary.address, DEFAULT_CONFIG);
+      // Later changes do not apply to existing auctions
+      await this.factory.setProtocolFee(1000n, this.owner.address);
+
+      const auction = await ethers.getContractAt("ChronoAuction", auctionAddr);
+      const bidAmount = ethers.parseEther("2");
+      await this.mockToken1.connect(this.user1).approve(auctionAddr, bidAmount);
+      await auction.connect(this.user1).bid(bidAmount);
+      await time.increase(3601);
+
+      await expect(auction.withdraw())
+        .to.emit(auction, "AuctionSettled")
+        .withArgs(this.user1.address, bidAmount, ethers.parseEther("0.1"), 0n, ethers.parseEther("1.9"));
+      expect(await this.mockToken1.balanceOf(this.owner.address)).to.equal(ethers.parseEther("0.1"));
+      expect(await this.mockToken1.balanceOf(this.beneficiary.address)).to.equal(ethers.parseEther("1.9"));
+    });
+  });
+
+  describe("Batch Settlement", function () {
+    // Creates an English auction, bid on by user1 unless `amount` is 0
+    async function createAuction(ctx, amount = ethers.parseEther("1"), duration = 3600n) {
+      const token = await ctx.mockToken1.getAddress();
+      const auctionAddr = await ctx.factory.createAuction.staticCall(
+        token, duration, ctx.beneficiary.address, DEFAULT_CONFIG
+      );
+      await ctx.factory.createAuction(token, duration, ctx.beneficiary.address, DEFAULT_CONFIG);
+      const auction = await ethers.getContractAt("ChronoAuction", auctionAddr);
+      if (amount > 0n) {
+        await ctx.mockToken1.connect(ctx.user1).approve(auctionAddr, amount);
+        await auction.connect(ctx.user1).bid(amount);
+      }
+      return auction;
+    }
+
+    it("Should settle ended auctions and skip the rest", async function () {
+      const ended = await createAuction(this, ethers.parseEther("1"));
+      const alsoEnded = await createAuction(this, ethers.parseEther("2"));
+      const settled = await createAuction(this);
+      const noBids = await createAuction(this, 0n);
+      const cancelled = await createAuction(this, 0n);
+      await this.factory.cancelAuction(await cancelled.getAddress());
+      await time.increase(3601);
+      await settled.withdraw();
+      const running = await createAuction(this);
+
+      const batch = await Promise.all(
+        [ended, settled, noBids, cancelled, running, alsoEnded].map((auction) => auction.getAddress())
+      );
+      batch.push(this.user2.address, await this.auctionImplementation.getAddress());
+      expect(await this.factory.connect(this.user2).settleAuctions.staticCall(batch)).to.equal(2n);
+
+      await expect(this.factory.connect(this.user2).settleAuctions(batch))
+        .to.emit(this.factory, "AuctionsSettled")
+        .withArgs(this.user2.address, 2n, 0n)
+        .and.to.emit(ended, "AuctionSettled");
+      expect(await ended.settled()).to.be.true;
+      expect(await alsoEnded.settled()).to.be.true;
+      expect(await running.settled()).to.be.false;
+      expect(await noBids.settled()).to.be.false;
+      expect(await this.mockToken1.balanceOf(this.beneficiary.address)).to.equal(ethers.parseEther("4"));
+    });
+
+    it("Should reject batches above MAX_BATCH_SIZE", async function () {
+      const batch = Array(101).fill(this.user1.address);
+      await expect(this.factory.settleAuctions(batch))
+        .to.be.revertedWithCustomError(this.factory, "BatchTooLarge");
+    });
+
+    it("Should pay the settler the bounties escrowed for the auctions it settles", async function () {
+      const bounty = ethers.parseEther("0.005");
+      const [funded, unfunded] = [await createAuction(this), await createAuction(this)];
+      const fundedAddress = await funded.getAddress();
+      await expect(this.factory.fundSettlementBounty(fundedAddress, { value: bounty }))
+        .to.emit(this.factory, "SettlementBountyFunded")
+        .withArgs(fundedAddress, bounty);
+      expect(await this.factory.settlementBounties(fundedAddress)).to.equal(bounty);
+      await time.increase(3601);
+
+      const settlement = this.factory.connect(this.user2).settleAuctions([fundedAddress, await unfunded.getAddress()]);
+      await expect(settlement)
+        .to.emit(this.factory, "AuctionsSettled")
+        .withArgs(this.user2.address, 2n, bounty);
+      await expect(settlement).to.changeEtherBalances([this.user2, this.factory], [bounty, -bounty]);
+      expect(await this.factory.settlementBounties(fundedAddress)).to.equal(0n);
+    });
+
+    it("Should not let sellers claim bounties other sellers escrowed", async function () {
+      // user1 escrows a bounty for a real sale
+      const created = await this.factory.connect(this.user1).createAuction.staticCall(
+        await this.mockToken1.getAddress(), 3600n, this.beneficiary.address, DEFAULT_CONFIG
+      );
+      await this.factory.connect(this.user1).createAuction(
+        await this.mockToken1.getAddress(), 3600n, this.beneficiary.address, DEFAULT_CONFIG
+      );
+      await this.factory.connect(this.user1).fundSettlementBounty(created, { value: ethers.parseEther("0.01") });
+
+      // user2 creates auctions it bids 1 wei on itself and settles them in bulk
+      const selfDealt = [];
+      for (let i = 0; i < 3; i++) {
+        const token = await this.mockToken1.getAddress();
+        const auction = await this.factory.connect(this.user2).createAuction.staticCall(
+          token, 3600n, this.user2.address, DEFAULT_CONFIG
+        );
+        await this.factory.connect(this.user2).createAuction(token, 3600n, this.user2.address, DEFAULT_CONFIG);
+        await this.mockToken1.connect(this.user2).approve(auction, 1n);
+        await (await ethers.getContractAt("ChronoAuction", auction)).connect(this.user2).bid(1n);
+        selfDealt.push(auction);
+      }
+      await expect(this.factory.connect(this.user2).fundSettlementBounty(created, { value: 1n }))
+        .to.be.revertedWithCustomError(this.factory, "NotAuctionOwner");
+      await time.increase(3601);
+
+      await expect(this.factory.connect(this.user2).settleAuctions(selfDealt))
+        .to.emit(this.factory, "AuctionsSettled")
+        .withArgs(this.user2.address, 3n, 0n);
+      expect(await this.factory.settlementBounties(created)).to.equal(ethers.parseEther("0.01"));
+      expect(await ethers.provider.getBalance(await this.factory.getAddress())).to.equal(ethers.parseEther("0.01"));
+    });
+
+    it("Should let the seller reclaim a bounty nobody earned", async function () {
+      const bounty = ethers.parseEther("0.002");
+      const auction = await createAuction(this);
+      const auctionAddr = await auction.getAddress();
+      await expect(this.factory.fundSettlementBounty(auctionAddr))
+        .to.be.revertedWithCustomError(this.factory, "InvalidSettlementBounty");
+      await expect(this.factory.fundSettlementBounty(this.user1.address, { value: bounty }))
+        .to.be.revertedWithCustomError(this.factory, "UnknownAuction");
+      await this.factory.fundSettlementBounty(auctionAddr, { value: bounty });
+
+      // Still open
+      await expect(this.factory.reclaimSettlementBounty(auctionAddr))
+        .to.be.revertedWithCustomError(this.factory, "InvalidSettlementBounty");
+
+      // Settled directly rather than through settleAuctions
+      await time.increase(3601);
+      await auction.withdraw();
+      await expect(this.factory.fundSettlementBounty(auctionAddr, { value: bounty }))
+        .to.be.revertedWithCustomError(this.factory, "InvalidSettlementBounty");
+      await expect(this.factory.connect(this.user1).reclaimSettlementBounty(auctionAddr))
+        .to.be.revertedWithCustomError(this.factory, "NotAuctionOwner");
+      const reclaim = this.factory.reclaimSettlementBounty(auctionAddr);
+      await expect(reclaim)
+        .to.emit(this.factory, "SettlementBountyReclaimed")
+        .withArgs(auctionAddr, bounty);
+      await expect(reclaim).to.changeEtherBalance(this.factory, -bounty);
+      await expect(this.factory.reclaimSettlementBounty(auctionAddr))
+        .to.be.revertedWithCustomError(this.factory, "InvalidSettlementBounty");
+    });
+
+    it("Should let the seller reclaim the bounty of an auction that ended with nothing to settle", async function () {
+      const bounty = ethers.parseEther("0.1");
+      const auction = await createAuction(this, 0n);
+      const auctionAddr = await auction.getAddress();
+      await this.factory.fundSettlementBounty(auctionAddr, { value: bounty });
+      await expect(this.factory.reclaimSettlementBounty(auctionAddr))
+        .to.be.revertedWithCustomError(this.factory, "InvalidSettlementBounty");
+
+      await time.increaseTo(await auction.endTime());
+      await expect(auction.withdraw()).to.be.revertedWith("No bids placed");
+      await expect(this.factory.fundSettlementBounty(auctionAddr, { value: bounty }))
+        .to.be.revertedWithCustomError(this.factory, "InvalidSettlementBounty");
+      await expect(this.factory.reclaimSettlementBounty(auctionAddr))
+        .to.changeEtherBalances([this.owner, this.factory], [bounty, -bounty]);
+    });
+  });
+
+  describe("Reward Schedules", function () {
+    const SCHEDULE = {
+      basis: 2,
+      baseReward: 0n,
+      rate: ethers.parseEther("1"),
+      capPerBidder: ethers.parseEther("50"),
+      extensionBonus: 0n,
+      winnerBonus: ethers.parseEther("5")
+    };
+
+    it("Should let the factory owner set an auction's reward schedule", async function () {
+      const token = await this.mockToken1.getAddress();
+      const auctionAddr = await this.factory.createAuction.staticCall(token, 3600n, this.beneficiary.address, DEFAULT_CONFIG);
+      await this.factory.createAuction(token, 3600n, this.beneficiary.address, DEFAULT_CONFIG);
+
+      await expect(this.factory.setRewardSchedule(auctionAddr, SCHEDULE))
+        .to.emit(this.rewardToken, "RewardScheduleUpdated");
+      const schedule = await this.rewardToken.rewardSchedules(auctionAddr);
+      expect(schedule.basis).to.equal(2n);
+      expect(schedule.capPerBidder).to.equal(SCHEDULE.capPerBidder);
+
+      const auction = await ethers.getContractAt("ChronoAuction", auctionAddr);
+      await this.mockToken1.connect(this.user1).approve(auctionAddr, ethers.parseEther("3"));
+      await auction.connect(this.user1).bid(ethers.parseEther("3"));
+      await time.increase(3601);
+      await auction.withdraw();
+      expect(await this.rewardToken.balanceOf(this.user1.address)).to.equal(ethers.parseEther("8"));
+    });
+
+    it("Should restrict reward schedules to the owner and known auctions", async function () {
+      const token = await this.mockToken1.getAddress();
+      const auctionAddr = await this.factory.createAuction.staticCall(token, 3600n, this.beneficiary.address, DEFAULT_CONFIG);
+      await this.factory.createAuction(token, 3600n, this.beneficiary.address, DEFAULT_CONFIG);
+
+      await expect(this.factory.connect(this.user1).setRewardSchedule(auctionAddr, SCHEDULE))
+        .to.be.revertedWithCustomError(this.factory, "OwnableUnauthorizedAccount");
+      await expect(this.factory.setRewardSchedule(this.user2.address, SCHEDULE))
+        .to.be.revertedWithCustomError(this.factory, "UnknownAuction");
+    });
+  });
+
+  describe("Auction Queries", function () {
+    const ACTIVE = 0n;
+    const ENDED = 1n;
+    const SETTLED = 2n;
+    const CANCELLED = 3n;
+    const DUTCH_CONFIG = { startPrice: ethers.parseEther("10"), floorPrice: ethers.parseEther("2"), decay: 0, stepDuration: 0n, lot: DEFAULT_CONFIG.lot };
+    const SEALED_CONFIG = { reservePrice: 0n, pricing: 0, unrevealedPolicy: 0, lot: DEFAULT_CONFIG.lot };
+    const MULTI_UNIT_CONFIG = { totalUnits: 5n, reservePrice: 0n, unitToken: ethers.ZeroAddress, unitTokenId: 0n };
+
+    // Creates an auction and returns its address
+    async function create(factory, method, ...args) {
+      const auctionAddr = await factory[method].staticCall(...args);
+      await factory[method](...args);
+      return auctionAddr;
+    }
+
+    beforeEach(async function () {
+      const token1 = await this.mockToken1.getAddress();
+      const token2 = await this.mockToken2.getAddress();
+      await this.factory.addSupportedBidToken(token2);
+      const asUser1 = this.factory.connect(this.user1);
+      const asUser2 = this.factory.connect(this.user2);
+
+      this.english = await create(asUser1, "createAuction", token1, 3600n, this.beneficiary.address, DEFAULT_CONFIG);
+      this.english2 = await create(asUser2, "createAuction", token2, 7200n, this.beneficiary.address, DEFAULT_CONFIG);
+      this.dutch = await create(asUser1, "createDutchAuction", token1, 3600n, this.beneficiary.address, DUTCH_CONFIG);
+      this.sealed = await create(asUser2, "createSealedBidAuction", token1, 3600n, 1800n, this.beneficiary.address, SEALED_CONFIG);
+      this.multiUnit = await create(asUser1, "createMultiUnitAuction", token1, 3600n, this.beneficiary.address, MULTI_UNIT_CONFIG);
+    });
+
+    it("Should summarize an English auction through its lifecycle", async function () {
+      const auction = await ethers.getContractAt("ChronoAuction", this.english);
+      const bidAmount = ethers.parseEther("3");
+      await this.mockToken1.connect(this.user2).approve(this.english, bidAmount);
+      await auction.connect(this.user2).bid(bidAmount);
+
+      let info = await this.factory.getAuctionInfo(this.english);
+      expect(info.auction).to.equal(this.english);
+      expect(info.auctionType).to.equal(0n);
+      expect(info.status).to.equal(ACTIVE);
+      expect(info.creator).to.equal(this.user1.address);
+      expect(info.bidToken).to.equal(await this.mockToken1.getAddress());
+      expect(info.beneficiary).to.equal(this.beneficiary.address);
+      expect(info.endTime).to.equal(await auction.endTime());
+      expect(info.highestBid).to.equal(bidAmount);
+      expect(info.highestBidder).to.equal(this.user2.address);
+
+      await time.increaseTo(info.endTime + 1n);
+      expect((await this.factory.getAuctionInfo(this.english)).status).to.equal(ENDED);
+      await auction.withdraw();
+      expect((await this.factory.getAuctionInfo(this.english)).status).to.equal(SETTLED);
+
+      await this.factory.connect(this.user2).cancelAuction(this.english2);
+      expect((await this.factory.getAuctionInfo(this.english2)).status).to.equal(CANCELLED);
+
+      await expect(this.factory.getAuctionInfo(this.user1.address))
+        .to.be.revertedWithCustomError(this.factory, "UnknownAuction");
+    });
+
+    it("Should summarize the other auction types", async function () {
+      const multiUnit = await ethers.getContractAt("MultiUnitAuction", this.multiUnit);
+      await this.mockToken1.connect(this.user2).approve(this.multiUnit, 30n);
+      await multiUnit.connect(this.user2).bid(2n, 5n, 0n);
+      await multiUnit.connect(this.user2).bid(4n, 5n, 0n);
+
+      const dutch = await ethers.getContractAt("DutchAuction", this.dutch);
+      const price = await dutch.currentPrice();
+      await this.mockToken1.connect(this.user2).approve(this.dutch, price);
+      await dutch.connect(this.user2).buy(price);
+
+      const [, , dutchInfo, sealedInfo, multiUnitInfo] = await this.factory.getAuctionInfos(0n, 5n);
+      expect(dutchInfo.auctionType).to.equal(2n);
+      expect(dutchInfo.status).to.equal(SETTLED);
+      expect(dutchInfo.highestBidder).to.equal(this.user2.address);
+      expect(dutchInfo.highestBid).to.equal(await dutch.finalPrice());
+
+      const sealed = await ethers.getContractAt("SealedBidAuction", this.sealed);
+      expect(sealedInfo.auctionType).to.equal(1n);
+      expect(sealedInfo.status).to.equal(ACTIVE);
+      expect(sealedInfo.endTime).to.equal(await sealed.revealEndTime());
+
+      expect(multiUnitInfo.auctionType).to.equal(3n);
+      expect(multiUnitInfo.highestBid).to.equal(5n);
+      expect(multiUnitInfo.highestBidder).to.equal(this.user2.address);
+
+      // Sealed-bid auctions stay active through the reveal phase
+      await time.increaseTo((await sealed.commitEndTime()) + 1n);
+      const [, , , stillRevealing, multiUnitEnded] = await this.factory.getAuctionInfos(0n, 5n);
+      expect(stillRevealing.status).to.equal(ACTIVE);
+      expect(multiUnitEnded.status).to.equal(ENDED);
+    });
+
+    it("Should list auctions by creator and bid token", async function () {
+      expect(await this.factory.getAuctionCountByCreator(this.user1.address)).to.equal(3n);
+      const byUser1 = await this.factory.getAuctionsByCreator(this.user1.address, 1n, 10n);
+      expect(byUser1.map((info) => info.auction)).to.deep.equal([this.dutch, this.multiUnit]);
+
+      const token2 = await this.mockToken2.getAddress();
+      expect(await this.factory.getAuctionCountByBidToken(token2)).to.equal(1n);
+      const byToken2 = await this.factory.getAuctionsByBidToken(token2, 0n, 10n);
+      expect(byToken2.map((info) => info.auction)).to.deep.equal([this.english2]);
+      expect(byToken2[0].creator).to.equal(this.user2.address);
+
+      expect(await this.factory.getAuctionCountByCreator(this.beneficiary.address)).to.equal(0n);
+      await expect(this.factory.getAuctionsByCreator(this.beneficiary.address, 0n, 10n))
+        .to.be.revertedWithCustomError(this.factory, "StartIndexOutOfBounds");
+      await expect(this.factory.getAuctionsByBidToken(token2, 0n, 101n))
+        .to.be.revertedWithCustomError(this.factory, "BatchTooLarge");
+    });
+
+    it("Should filter a scanned range by status", async function () {
+      await this.factory.connect(this.user2).cancelAuction(this.english2);
+      await time.increase(3601);
+
+      const ended = await this.factory.getAuctionsByStatus(ENDED, 0n, 5n);
+      expect(ended.map((info) => info.auction)).to.deep.equal([this.english, this.dutch, this.multiUnit]);
+      const cancelled = await this.factory.getAuctionsByStatus(CANCELLED, 0n, 5n);
+      expect(cancelled.map((info) => info.auction)).to.deep.equal([this.english2]);
+      const active = await this.factory.getAuctionsByStatus(ACTIVE, 0n, 5n);
+      expect(active.map((info) => info.auction)).to.deep.equal([this.sealed]);
+
+      // Only the scanned range is searched
+      expect(await this.factory.getAuctionsByStatus(ENDED, 3n, 1n)).to.deep.equal([]);
+    });
+
+    it("Should list the auctions a bidder took part in", async function () {
+      const english = await ethers.getContractAt("ChronoAuction", this.english);
+      await this.mockToken1.connect(this.user2).approve(this.english, ethers.parseEther("3"));
+      await english.connect(this.user2).bid(ethers.parseEther("1"));
+      await english.connect(this.user2).bid(ethers.parseEther("2"));
+
+      const multiUnit = await ethers.getContractAt("MultiUnitAuction", this.multiUnit);
+      await this.mockToken1.connect(this.user1).approve(this.multiUnit, 10n);
+      await multiUnit.connect(this.user1).bid(1n, 5n, 0n);
+      await multiUnit.connect(this.user1).bid(1n, 5n, 0n);
+
+      const sealed = await ethers.getContractAt("SealedBidAuction", this.sealed);
+      const commitment = await sealed.computeCommitment(this.user2.address, 5n, ethers.id("salt"));
+      await this.mockToken1.connect(this.user2).approve(this.sealed, 10n);
+      await sealed.connect(this.user2).commit(commitment, 10n);
+
+      const dutch = await ethers.getContractAt("DutchAuction", this.dutch);
+      const price = await dutch.currentPrice();
+      await this.mockToken1.connect(this.user2).approve(this.dutch, price);
+      await dutch.connect(this.user2).buy(price);
+
+      // Listed in the order of the bidder's first bid, once per auction
+      expect(await this.factory.getAuctionCountByBidder(this.user2.address)).to.equal(3n);
+      const byUser2 = await this.factory.getAuctionsByBidder(this.user2.address, 0n, 5n);
+      expect(byUser2.map((info) => info.auction)).to.deep.equal([this.english, this.sealed, this.dutch]);
+      const page = await this.factory.getAuctionsByBidder(this.user2.address, 1n, 1n);
+      expect(page.map((info) => info.auction)).to.deep.equal([this.sealed]);
+      expect(await this.factory.getAuctionCountByBidder(this.user1.address)).to.equal(1n);
+      const byUser1 = await this.factory.getAuctionsByBidder(this.user1.address, 0n, 5n);
+      expect(byUser1.map((info) => info.auction)).to.deep.equal([this.multiUnit]);
+
+      expect(await this.factory.getAuctionCountByBidder(this.beneficiary.address)).to.equal(0n);
+      await expect(this.factory.getAuctionsByBidder(this.beneficiary.address, 0n, 5n))
+        .to.be.revertedWithCustomError(this.factory, "StartIndexOutOfBounds");
+    });
+
+    it("Should only let its auctions list bidders", async function () {
+      await expect(this.factory.connect(this.user1).recordBidder(this.user1.address))
+        .to.be.revertedWithCustomError(this.factory, "UnknownAuction");
+    });
   });
 
   describe("Integration & Lifecycle", function () {
@@ -179,7 +1417,8 @@ describe("AuctionFactory Contract", function () {
       const tx = await this.factory.createAuction(
         await this.mockToken1.getAddress(),
         3600n, // 1 hour
-        this.beneficiary.address
+        this.beneficiary.address,
+        DEFAULT_CONFIG
       );
       const receipt = await tx.wait();
       const event = receipt.logs.find(log => 
@@ -227,7 +1466,8 @@ describe("AuctionFactory Contract", function () {
       await expect(this.factory.createAuction(
         await this.mockToken1.getAddress(),
         86400n,
-        this.beneficiary.address
+        this.beneficiary.address,
+        DEFAULT_CONFIG
       )).to.be.revertedWithCustomError(this.factory, "AuctionCreationPaused");
     });
   });
@@ -247,7 +1487,8 @@ describe("AuctionFactory Contract", function () {
       await expect(this.factory.createAuction(
         await this.mockToken1.getAddress(),
         BigInt(duration),
-        this.beneficiary.address
+        this.beneficiary.address,
+        DEFAULT_CONFIG
       )).to.not.be.reverted;
     });
     
@@ -256,7 +1497,8 @@ describe("AuctionFactory Contract", function () {
       const tx = await this.factory.createAuction(
         await this.mockToken1.getAddress(),
         7200n, // 2 hours
-        this.beneficiary.address
+        this.beneficiary.address,
+        DEFAULT_CONFIG
       );
       const receipt = await tx.wait();
       const event = receipt.logs.find(log => 
@@ -1,6 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { NATIVE_TOKEN } = require("../sdk");
+const { buildAllowlist } = require("../scripts/allowlist");
 
 describe("ChronoAuction Contract", function () {
   let auction;
@@ -14,6 +16,56 @@ describe("ChronoAuction Contract", function () {
   const HIGHER_BID = ethers.parseEther("1.5");
   const MUCH_HIGHER_BID = ethers.parseEther("3.0");
   const TIME_EXTENSION = 5 * 60; // 5 minutes in seconds
+  const DEFAULT_CONFIG = {
+    reservePrice: 0n,
+    minBidIncrement: 0n,
+    minBidIncrementBps: 0n,
+    extensionWindow: 300n,
+    extensionDuration: 300n,
+    maxTotalExtension: 86400n,
+    cancellableWithBids: false,
+    buyNowPrice: 0n,
+    buyNowUntilFirstBid: false,
+    startTime: 0n,
+    earlyAccessPeriod: 0n,
+    allowlistRoot: ethers.ZeroHash,
+    minParticipationBalance: 0n,
+    referrerFeeBps: 0n,
+    splits: [],
+    lot: { kind: 0, token: ethers.ZeroAddress, tokenId: 0n, amount: 0n }
+  };
+  const NO_PROTOCOL_FEE = { recipient: ethers.ZeroAddress, bps: 0n };
+
+  // Auctions are EIP-1167 clones of a locked implementation. Clone it and initialize
+  // the clone from the default signer, which then acts as the factory.
+  async function deployChronoAuction(...args) {
+    const ChronoAuction = await ethers.getContractFactory("ChronoAuction");
+    const implementation = await ChronoAuction.deploy();
+    const cloneCode = "0x3d602d80600a3d3981f3363d3d373d3d3d363d73" +
+      (await implementation.getAddress()).slice(2) +
+      "5af43d82803e903d91602b57fd5bf3";
+    const receipt = await (await owner.sendTransaction({ data: cloneCode })).wait();
+    const clone = ChronoAuction.attach(receipt.contractAddress);
+    await clone.initialize(...args);
+    return clone;
+  }
+
+  async function deployConfiguredAuction(config, protocolFee = NO_PROTOCOL_FEE) {
+    const deployed = await deployChronoAuction(
+      await bidToken.getAddress(),
+      AUCTION_DURATION,
+      await rewardToken.getAddress(),
+      beneficiary.address,
+      owner.address,
+      protocolFee,
+      { ...DEFAULT_CONFIG, ...config }
+    );
+    const deployedAddress = await deployed.getAddress();
+    await rewardToken.addAllowedAuction(deployedAddress);
+    await bidToken.connect(bidder1).approve(deployedAddress, ethers.parseEther("100"));
+    await bidToken.connect(bidder2).approve(deployedAddress, ethers.parseEther("100"));
+    return deployed;
+  }
 
   beforeEach(async function () {
     // Get signers
@@ -30,19 +82,21 @@ describe("ChronoAuction Contract", function () {
     console.log("Deploying participation token...");
     // Deploy Participation Token
     const ParticipationToken = await ethers.getContractFactory("ParticipationToken");
-    rewardToken = await ParticipationToken.deploy();
+    rewardToken = await ParticipationToken.deploy(ethers.parseEther("1000000"));
     await rewardToken.waitForDeployment();
     const rewardTokenAddress = await rewardToken.getAddress();
     console.log("Reward token deployed at:", rewardTokenAddress);
     
     console.log("Deploying auction...");
     // Deploy Auction Contract
-    const ChronoAuction = await ethers.getContractFactory("ChronoAuction");
-    auction = await ChronoAuction.deploy(
+    auction = await deployChronoAuction(
       bidTokenAddress,
       AUCTION_DURATION,
       rewardTokenAddress,
-      beneficiary.address
+      beneficiary.address,
+      owner.address,
+      NO_PROTOCOL_FEE,
+      DEFAULT_CONFIG
     );
     await auction.waitForDeployment();
     const auctionAddress = await auction.getAddress();
@@ -85,6 +139,33 @@ describe("ChronoAuction Contract", function () {
         5 // Allow small variance due to block time variations
       );
     });
+
+    it("Should only be initialized once", async function () {
+      await expect(auction.initialize(
+        await bidToken.getAddress(),
+        AUCTION_DURATION,
+        await rewardToken.getAddress(),
+        bidder1.address,
+        bidder1.address,
+        NO_PROTOCOL_FEE,
+        DEFAULT_CONFIG
+      )).to.be.revertedWithCustomError(auction, "InvalidInitialization");
+      expect(await auction.factory()).to.equal(owner.address);
+    });
+
+    it("Should lock the implementation", async function () {
+      const ChronoAuction = await ethers.getContractFactory("ChronoAuction");
+      const implementation = await ChronoAuction.deploy();
+      await expect(implementation.initialize(
+        await bidToken.getAddress(),
+        AUCTION_DURATION,
+        await rewardToken.getAddress(),
+        beneficiary.address,
+        owner.address,
+        NO_PROTOCOL_FEE,
+        DEFAULT_CONFIG
+      )).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
   });
 
   describe("Bidding", function () {
@@ -115,13 +196,20 @@ describe("ChronoAuction Contract", function () {
       await auction.connect(bidder1).bid(BID_AMOUNT);
       const initialBalance = await bidToken.balanceOf(bidder1.address);
 
-      // Higher bid
-      await auction.connect(bidder2).bid(HIGHER_BID);
-      
+      // Higher bid credits the outbid amount
+      await expect(auction.connect(bidder2).bid(HIGHER_BID))
+        .to.emit(auction, "RefundCredited")
+        .withArgs(bidder1.address, BID_AMOUNT);
+      expect(await auction.pendingReturns(bidder1.address)).to.equal(BID_AMOUNT);
+
       // Check refund
+      await expect(auction.connect(bidder1).withdrawRefund())
+        .to.emit(auction, "RefundClaimed")
+        .withArgs(bidder1.address, BID_AMOUNT);
       const finalBalance = await bidToken.balanceOf(bidder1.address);
       // In ethers v6, you need to use add method on BigNumber
       expect(finalBalance).to.equal(initialBalance + BID_AMOUNT);
+      expect(await auction.pendingReturns(bidder1.address)).to.equal(0n);
     });
 
     it("Should reject bids lower than the current highest bid", async function () {
@@ -213,7 +301,7 @@ describe("ChronoAuction Contract", function () {
       
       await expect(auction.withdraw())
         .to.emit(auction, "AuctionSettled")
-        .withArgs(bidder1.address, BID_AMOUNT);
+        .withArgs(bidder1.address, BID_AMOUNT, 0n, 0n, BID_AMOUNT);
       
       const finalBalance = await bidToken.balanceOf(beneficiary.address);
       expect(finalBalance).to.equal(initialBalance + BID_AMOUNT);
@@ -292,6 +380,61 @@ describe("ChronoAuction Contract", function () {
     });
   });
 
+  describe("Bid History", function () {
+    it("Should record every bid in order", async function () {
+      await auction.connect(bidder1).bid(BID_AMOUNT);
+      const firstBidTime = await time.latest();
+      await auction.connect(bidder2).bid(HIGHER_BID);
+      await auction.connect(bidder1).bid(MUCH_HIGHER_BID);
+
+      expect(await auction.getBidHistoryLength()).to.equal(3n);
+      const history = await auction.getBidHistory(0n, 10n);
+      expect(history.map((record) => record.bidder))
+        .to.deep.equal([bidder1.address, bidder2.address, bidder1.address]);
+      expect(history.map((record) => record.amount)).to.deep.equal([BID_AMOUNT, HIGHER_BID, MUCH_HIGHER_BID]);
+      expect(history[0].timestamp).to.equal(BigInt(firstBidTime));
+      expect(history[1].timestamp).to.be.greaterThan(history[0].timestamp);
+      expect(history.every((record) => !record.extended)).to.equal(true);
+    });
+
+    it("Should flag bids that extended the auction", async function () {
+      await auction.connect(bidder1).bid(BID_AMOUNT);
+      await time.increaseTo((await auction.endTime()) - 60n);
+      await auction.connect(bidder2).bid(HIGHER_BID);
+
+      const [early, late] = await auction.getBidHistory(0n, 2n);
+      expect(early.extended).to.equal(false);
+      expect(late.extended).to.equal(true);
+    });
+
+    it("Should count unique bidders and bids per bidder", async function () {
+      expect(await auction.uniqueBidderCount()).to.equal(0n);
+      await auction.connect(bidder1).bid(BID_AMOUNT);
+      await auction.connect(bidder2).bid(HIGHER_BID);
+      await auction.connect(bidder1).bid(MUCH_HIGHER_BID);
+
+      expect(await auction.uniqueBidderCount()).to.equal(2n);
+      expect(await auction.bidCount(bidder1.address)).to.equal(2n);
+      expect(await auction.bidCount(bidder2.address)).to.equal(1n);
+      expect(await auction.bidCount(nonParticipant.address)).to.equal(0n);
+    });
+
+    it("Should paginate the history", async function () {
+      let amount = BID_AMOUNT;
+      for (let i = 0; i < 5; i++) {
+        await auction.connect(i % 2 === 0 ? bidder1 : bidder2).bid(amount);
+        amount += BID_AMOUNT;
+      }
+
+      const page = await auction.getBidHistory(3n, 10n);
+      expect(page.map((record) => record.amount)).to.deep.equal([BID_AMOUNT * 4n, BID_AMOUNT * 5n]);
+      expect((await auction.getBidHistory(1n, 2n)).length).to.equal(2);
+
+      await expect(auction.getBidHistory(5n, 1n)).to.be.revertedWith("Start out of bounds");
+      await expect(auction.getBidHistory(0n, 101n)).to.be.revertedWith("Page too large");
+    });
+  });
+
   describe("Participation Points", function () {
     it("Should mint PP tokens on first bid", async function () {
       await auction.connect(bidder1).bid(BID_AMOUNT);
@@ -311,6 +454,1229 @@ describe("ChronoAuction Contract", function () {
       await auction.connect(bidder1).bid(MUCH_HIGHER_BID);
       expect(await rewardToken.balanceOf(bidder1.address)).to.equal(ethers.parseEther("2"));
     });
+
+    it("Should keep bidding and settling after the auction stops minting", async function () {
+      await auction.connect(bidder1).bid(BID_AMOUNT);
+      await rewardToken.removeAllowedAuction(await auction.getAddress());
+
+      await auction.connect(bidder2).bid(HIGHER_BID);
+      await time.increase(AUCTION_DURATION + 1);
+      await expect(auction.withdraw()).to.emit(auction, "AuctionSettled");
+
+      expect(await bidToken.balanceOf(beneficiary.address)).to.equal(HIGHER_BID);
+      expect(await rewardToken.balanceOf(bidder1.address)).to.equal(ethers.parseEther("1"));
+      expect(await rewardToken.balanceOf(bidder2.address)).to.equal(0n);
+    });
+  });
+
+  describe("Reward Economics", function () {
+    const BID_AMOUNT_BASIS = 1;
+    const BID_INCREASE_BASIS = 2;
+    const NO_REWARDS = {
+      basis: 0,
+      baseReward: 0n,
+      rate: 0n,
+      capPerBidder: 0n,
+      extensionBonus: 0n,
+      winnerBonus: 0n
+    };
+
+    async function totalRewards() {
+      return (await rewardToken.balanceOf(bidder1.address)) + (await rewardToken.balanceOf(bidder2.address));
+    }
+
+    it("Should not pay more for a price walked up in minimum increments", async function () {
+      // 1 PP per bid token of raise
+      await rewardToken.setRewardSchedule(await auction.getAddress(), {
+        ...NO_REWARDS, basis: BID_INCREASE_BASIS, rate: ethers.parseEther("1")
+      });
+
+      // Two colluding accounts take turns raising by 0.1
+      let amount = ethers.parseEther("0.1");
+      for (let i = 0; i < 10; i++) {
+        await auction.connect(i % 2 === 0 ? bidder1 : bidder2).bid(amount);
+        amount += ethers.parseEther("0.1");
+      }
+
+      // Together they earn exactly what one bid at the final price would
+      expect(await totalRewards()).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should stop rewarding bid spam at the per-bidder cap", async function () {
+      await rewardToken.setRewardSchedule(await auction.getAddress(), {
+        ...NO_REWARDS,
+        basis: BID_AMOUNT_BASIS,
+        baseReward: ethers.parseEther("1"),
+        rate: ethers.parseEther("1"),
+        capPerBidder: ethers.parseEther("10")
+      });
+
+      // Each bid is worth about 2 PP, so six bids each would pass the cap
+      let amount = ethers.parseEther("1");
+      for (let i = 0; i < 12; i++) {
+        await auction.connect(i % 2 === 0 ? bidder1 : bidder2).bid(amount);
+        amount += 1n;
+      }
+
+      expect(await rewardToken.balanceOf(bidder1.address)).to.equal(ethers.parseEther("10"));
+      expect(await rewardToken.balanceOf(bidder2.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should only pay the extension bonus while the auction can still extend", async function () {
+      const cappedAuction = await deployConfiguredAuction({
+        extensionWindow: 300n,
+        extensionDuration: 300n,
+        maxTotalExtension: 300n
+      });
+      await rewardToken.setRewardSchedule(await cappedAuction.getAddress(), {
+        ...NO_REWARDS, extensionBonus: ethers.parseEther("5")
+      });
+
+      await time.increaseTo((await cappedAuction.endTime()) - 60n);
+      await cappedAuction.connect(bidder1).bid(BID_AMOUNT);
+      expect(await rewardToken.balanceOf(bidder1.address)).to.equal(ethers.parseEther("5"));
+
+      // The end time is now at its cap, so late bids no longer extend it
+      await time.increaseTo((await cappedAuction.endTime()) - 60n);
+      await cappedAuction.connect(bidder2).bid(HIGHER_BID);
+      await cappedAuction.connect(bidder1).bid(MUCH_HIGHER_BID);
+      expect(await rewardToken.balanceOf(bidder2.address)).to.equal(0n);
+      expect(await rewardToken.balanceOf(bidder1.address)).to.equal(ethers.parseEther("5"));
+    });
+
+    it("Should pay the winner bonus once, and only for a sale", async function () {
+      const schedule = { ...NO_REWARDS, winnerBonus: ethers.parseEther("20") };
+      await rewardToken.setRewardSchedule(await auction.getAddress(), schedule);
+      await auction.connect(bidder1).bid(BID_AMOUNT);
+      await auction.connect(bidder2).bid(HIGHER_BID);
+      await time.increase(AUCTION_DURATION + 1);
+
+      await auction.withdraw();
+      await expect(auction.withdraw()).to.be.revertedWith("Already settled");
+      expect(await rewardToken.balanceOf(bidder2.address)).to.equal(ethers.parseEther("20"));
+      expect(await rewardToken.balanceOf(bidder1.address)).to.equal(0n);
+
+      const reserveAuction = await deployConfiguredAuction({ reservePrice: MUCH_HIGHER_BID });
+      await rewardToken.setRewardSchedule(await reserveAuction.getAddress(), schedule);
+      await reserveAuction.connect(bidder1).bid(BID_AMOUNT);
+      await time.increase(AUCTION_DURATION + 1);
+      await reserveAuction.withdraw();
+      expect(await rewardToken.balanceOf(bidder1.address)).to.equal(0n);
+    });
+  });
+
+  describe("Staking Perks", function () {
+    const ONE_PP = ethers.parseEther("1");
+
+    beforeEach(async function () {
+      // bidder1 earns 1 PP in the default auction and stakes it
+      await auction.connect(bidder1).bid(BID_AMOUNT);
+      await rewardToken.connect(bidder1).stake(ONE_PP);
+      await rewardToken.setPerkTiers([{ minStake: ONE_PP, earlyAccess: 300n, incrementDiscountBps: 5000n }]);
+    });
+
+    it("Should let stakers bid during their early access window", async function () {
+      const earlyAuction = await deployConfiguredAuction({ earlyAccessPeriod: 600n });
+      const publicStartTime = await earlyAuction.publicStartTime();
+      expect(publicStartTime).to.equal((await earlyAuction.startTime()) + 600n);
+
+      // Too early even for stakers
+      await expect(earlyAuction.connect(bidder1).bid(BID_AMOUNT)).to.be.revertedWith("Not open yet");
+
+      await time.increaseTo(publicStartTime - 300n);
+      await expect(earlyAuction.connect(bidder2).bid(BID_AMOUNT)).to.be.revertedWith("Not open yet");
+      await expect(earlyAuction.connect(bidder1).bid(BID_AMOUNT)).to.emit(earlyAuction, "BidPlaced");
+
+      await time.increaseTo(publicStartTime);
+      await expect(earlyAuction.connect(bidder2).bid(HIGHER_BID)).to.emit(earlyAuction, "BidPlaced");
+    });
+
+    it("Should reduce the minimum increment for stakers", async function () {
+      const increment = ethers.parseEther("0.5");
+      const incrementAuction = await deployConfiguredAuction({ minBidIncrement: increment });
+      await incrementAuction.connect(bidder2).bid(BID_AMOUNT);
+
+      expect(await incrementAuction.minNextBid()).to.equal(BID_AMOUNT + increment);
+      expect(await incrementAuction.minNextBidFor(bidder1.address)).to.equal(BID_AMOUNT + increment / 2n);
+      expect(await incrementAuction.minNextBidFor(nonParticipant.address)).to.equal(BID_AMOUNT + increment);
+
+      await incrementAuction.connect(bidder1).bid(BID_AMOUNT + increment / 2n);
+      await expect(incrementAuction.connect(bidder2).bid(BID_AMOUNT + increment))
+        .to.be.revertedWith("Bid too low");
+    });
+
+    it("Should lose the perks once the stake is released", async function () {
+      await time.increase(7 * 24 * 3600);
+      await rewardToken.connect(bidder1).unstake(ONE_PP);
+
+      const earlyAuction = await deployConfiguredAuction({ earlyAccessPeriod: 600n });
+      await time.increaseTo((await earlyAuction.publicStartTime()) - 100n);
+      await expect(earlyAuction.connect(bidder1).bid(BID_AMOUNT)).to.be.revertedWith("Not open yet");
+    });
+
+    it("Should reject an early access period as long as the auction", async function () {
+      await expect(deployConfiguredAuction({ earlyAccessPeriod: BigInt(AUCTION_DURATION) }))
+        .to.be.revertedWith("Invalid early access");
+    });
+  });
+
+  describe("Private Auctions", function () {
+    let allowlist;
+
+    beforeEach(async function () {
+      allowlist = buildAllowlist([bidder1.address, bidder2.address, owner.address]);
+    });
+
+    it("Should accept allowlisted bidders with a valid proof", async function () {
+      const privateAuction = await deployConfiguredAuction({ allowlistRoot: allowlist.root });
+      expect(await privateAuction.allowlistRoot()).to.equal(allowlist.root);
+      expect(await privateAuction.isEligible(bidder1.address, allowlist.getProof(bidder1.address))).to.equal(true);
+
+      await expect(privateAuction.connect(bidder1).bidWithProof(BID_AMOUNT, allowlist.getProof(bidder1.address)))
+        .to.emit(privateAuction, "BidPlaced")
+        .withArgs(bidder1.address, BID_AMOUNT);
+      await privateAuction.connect(bidder2).bidWithProof(HIGHER_BID, allowlist.getProof(bidder2.address));
+      expect(await privateAuction.highestBidder()).to.equal(bidder2.address);
+    });
+
+    it("Should reject bidders without a valid proof", async function () {
+      const privateAuction = await deployConfiguredAuction({ allowlistRoot: allowlist.root });
+      await bidToken.mint(nonParticipant.address, ethers.parseEther("10"));
+      await bidToken.connect(nonParticipant).approve(await privateAuction.getAddress(), ethers.parseEther("10"));
+
+      await expect(privateAuction.connect(bidder1).bid(BID_AMOUNT))
+        .to.be.revertedWith("Not allowlisted");
+      await expect(privateAuction.connect(bidder1).bidWithProof(BID_AMOUNT, allowlist.getProof(bidder2.address)))
+        .to.be.revertedWith("Not allowlisted");
+      await expect(privateAuction.connect(nonParticipant).bidWithProof(BID_AMOUNT, allowlist.getProof(bidder1.address)))
+        .to.be.revertedWith("Not allowlisted");
+      await expect(privateAuction.connect(nonParticipant).bidWithProof(BID_AMOUNT, [ethers.ZeroHash]))
+        .to.be.revertedWith("Not allowlisted");
+    });
+
+    it("Should reject bidders removed from the allowlist", async function () {
+      const privateAuction = await deployConfiguredAuction({ allowlistRoot: allowlist.root });
+      const oldProof = allowlist.getProof(bidder2.address);
+      await privateAuction.connect(bidder2).bidWithProof(BID_AMOUNT, oldProof);
+
+      const updated = buildAllowlist([bidder1.address, owner.address]);
+      await expect(privateAuction.setAllowlist(updated.root, 0n))
+        .to.emit(privateAuction, "AllowlistUpdated")
+        .withArgs(updated.root, 0n);
+
+      await expect(privateAuction.connect(bidder2).bidWithProof(HIGHER_BID, oldProof))
+        .to.be.revertedWith("Not allowlisted");
+      await privateAuction.connect(bidder1).bidWithProof(HIGHER_BID, updated.getProof(bidder1.address));
+      // The removed bidder's earlier bid was refunded as usual
+      expect(await privateAuction.pendingReturns(bidder2.address)).to.equal(BID_AMOUNT);
+    });
+
+    it("Should admit holders of enough participation points", async function () {
+      await auction.connect(bidder1).bid(BID_AMOUNT); // earns 1 PP
+      const gated = await deployConfiguredAuction({ minParticipationBalance: ethers.parseEther("1") });
+
+      await expect(gated.connect(bidder2).bid(HIGHER_BID)).to.be.revertedWith("Not allowlisted");
+      await expect(gated.connect(bidder1).bid(BID_AMOUNT)).to.emit(gated, "BidPlaced");
+    });
+
+    it("Should admit either allowlisted bidders or point holders when both are set", async function () {
+      await auction.connect(bidder1).bid(BID_AMOUNT);
+      const onlyOwner = buildAllowlist([owner.address, nonParticipant.address]);
+      const gated = await deployConfiguredAuction({
+        allowlistRoot: onlyOwner.root,
+        minParticipationBalance: ethers.parseEther("1")
+      });
+      await bidToken.connect(owner).approve(await gated.getAddress(), ethers.parseEther("10"));
+      await bidToken.mint(owner.address, ethers.parseEther("10"));
+
+      await expect(gated.connect(bidder2).bid(BID_AMOUNT)).to.be.revertedWith("Not allowlisted");
+      await gated.connect(bidder1).bid(BID_AMOUNT);
+      await gated.connect(owner).bidWithProof(HIGHER_BID, onlyOwner.getProof(owner.address));
+      expect(await gated.highestBidder()).to.equal(owner.address);
+    });
+
+    it("Should only let the factory change the gating", async function () {
+      await expect(auction.connect(bidder1).setAllowlist(allowlist.root, 0n))
+        .to.be.revertedWith("Only factory");
+      expect(await auction.isEligible(nonParticipant.address, [])).to.equal(true);
+    });
+  });
+
+  describe("Scheduled Start", function () {
+    it("Should reject bids before the start time with a custom error", async function () {
+      const startTime = BigInt(await time.latest()) + 3600n;
+      const scheduled = await deployConfiguredAuction({ startTime });
+
+      expect(await scheduled.startTime()).to.equal(startTime);
+      expect(await scheduled.endTime()).to.equal(startTime + BigInt(AUCTION_DURATION));
+      expect(await scheduled.originalEndTime()).to.equal(startTime + BigInt(AUCTION_DURATION));
+      await expect(scheduled.connect(bidder1).bid(BID_AMOUNT))
+        .to.be.revertedWithCustomError(scheduled, "AuctionNotStarted")
+        .withArgs(startTime);
+
+      await time.increaseTo(startTime);
+      await expect(scheduled.connect(bidder1).bid(BID_AMOUNT)).to.emit(scheduled, "BidPlaced");
+    });
+
+    it("Should open early access from the start time, not from creation", async function () {
+      await auction.connect(bidder1).bid(BID_AMOUNT);
+      await rewardToken.connect(bidder1).stake(ethers.parseEther("1"));
+      await rewardToken.setPerkTiers([
+        { minStake: ethers.parseEther("1"), earlyAccess: 86400n, incrementDiscountBps: 0n }
+      ]);
+
+      const startTime = BigInt(await time.latest()) + 3600n;
+      const scheduled = await deployConfiguredAuction({ startTime, earlyAccessPeriod: 600n });
+      expect(await scheduled.publicStartTime()).to.equal(startTime + 600n);
+
+      await expect(scheduled.connect(bidder1).bid(BID_AMOUNT))
+        .to.be.revertedWithCustomError(scheduled, "AuctionNotStarted");
+      await time.increaseTo(startTime);
+      await expect(scheduled.connect(bidder2).bid(BID_AMOUNT)).to.be.revertedWith("Not open yet");
+      await scheduled.connect(bidder1).bid(BID_AMOUNT);
+    });
+
+    it("Should let the seller cancel before the start", async function () {
+      const scheduled = await deployConfiguredAuction({ startTime: BigInt(await time.latest()) + 3600n });
+      await expect(scheduled.cancel(false)).to.emit(scheduled, "AuctionCancelled");
+    });
+
+    it("Should reject start times in the past", async function () {
+      await expect(deployConfiguredAuction({ startTime: BigInt(await time.latest()) }))
+        .to.be.revertedWith("Invalid start");
+    });
+  });
+
+  describe("Buy Now", function () {
+    const BUY_NOW = ethers.parseEther("5");
+
+    it("Should close the auction on a bid at the buy-now price", async function () {
+      const buyNowAuction = await deployConfiguredAuction({ buyNowPrice: BUY_NOW });
+      await buyNowAuction.connect(bidder1).bid(BID_AMOUNT);
+
+      await expect(buyNowAuction.connect(bidder2).bid(BUY_NOW))
+        .to.emit(buyNowAuction, "BoughtNow")
+        .withArgs(bidder2.address, BUY_NOW)
+        .and.not.to.emit(buyNowAuction, "AuctionExtended");
+
+      expect(await buyNowAuction.boughtNow()).to.equal(true);
+      expect(await buyNowAuction.endTime()).to.equal(await time.latest());
+      expect(await buyNowAuction.pendingReturns(bidder1.address)).to.equal(BID_AMOUNT);
+      await expect(buyNowAuction.connect(bidder1).bid(MUCH_HIGHER_BID * 2n))
+        .to.be.revertedWith("Auction ended");
+    });
+
+    it("Should settle in the same block as the buy-now bid", async function () {
+      const buyNowAuction = await deployConfiguredAuction({ buyNowPrice: BUY_NOW });
+
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        const buyTx = await buyNowAuction.connect(bidder1).bid(BUY_NOW + 1n, { gasLimit: 1_000_000n });
+        const settleTx = await buyNowAuction.withdraw({ gasLimit: 1_000_000n });
+        await ethers.provider.send("evm_mine", []);
+        const settleReceipt = await settleTx.wait();
+        expect(settleReceipt.blockNumber).to.equal((await buyTx.wait()).blockNumber);
+        await expect(settleTx).to.emit(buyNowAuction, "AuctionSettled");
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+      expect(await bidToken.balanceOf(beneficiary.address)).to.equal(BUY_NOW + 1n);
+    });
+
+    it("Should keep the buy-now price after regular bids by default", async function () {
+      const buyNowAuction = await deployConfiguredAuction({ buyNowPrice: BUY_NOW });
+      await expect(buyNowAuction.connect(bidder1).bid(BID_AMOUNT))
+        .not.to.emit(buyNowAuction, "BuyNowPriceRemoved");
+      expect(await buyNowAuction.buyNowPrice()).to.equal(BUY_NOW);
+      await expect(buyNowAuction.connect(bidder2).bid(BUY_NOW)).to.emit(buyNowAuction, "BoughtNow");
+    });
+
+    it("Should remove the buy-now price after the first regular bid if configured", async function () {
+      const buyNowAuction = await deployConfiguredAuction({ buyNowPrice: BUY_NOW, buyNowUntilFirstBid: true });
+      await expect(buyNowAuction.connect(bidder1).bid(BID_AMOUNT))
+        .to.emit(buyNowAuction, "BuyNowPriceRemoved");
+      expect(await buyNowAuction.buyNowPrice()).to.equal(0n);
+
+      await expect(buyNowAuction.connect(bidder2).bid(BUY_NOW))
+        .not.to.emit(buyNowAuction, "BoughtNow");
+      expect(await buyNowAuction.boughtNow()).to.equal(false);
+      await expect(buyNowAuction.withdraw()).to.be.revertedWith("Auction ongoing");
+    });
+
+    it("Should require the buy-now price to be above the reserve", async function () {
+      await expect(deployConfiguredAuction({ reservePrice: BUY_NOW, buyNowPrice: BUY_NOW }))
+        .to.be.revertedWith("Invalid buy now");
+    });
+  });
+
+  describe("Reserve Price & Increments", function () {
+    const RESERVE = ethers.parseEther("2.0");
+    let configuredAuction;
+
+    beforeEach(async function () {
+      configuredAuction = await deployConfiguredAuction({
+        reservePrice: RESERVE,
+        minBidIncrement: ethers.parseEther("0.1"),
+        minBidIncrementBps: 1000n // 10%
+      });
+    });
+
+    it("Should store the reserve price and increments", async function () {
+      expect(await configuredAuction.reservePrice()).to.equal(RESERVE);
+      expect(await configuredAuction.minBidIncrement()).to.equal(ethers.parseEther("0.1"));
+      expect(await configuredAuction.minBidIncrementBps()).to.equal(1000n);
+    });
+
+    it("Should require the absolute increment for the opening bid", async function () {
+      expect(await configuredAuction.minNextBid()).to.equal(ethers.parseEther("0.1"));
+
+      await expect(configuredAuction.connect(bidder1).bid(1n))
+        .to.be.revertedWith("Bid too low");
+      await expect(configuredAuction.connect(bidder1).bid(ethers.parseEther("0.1")))
+        .to.emit(configuredAuction, "BidPlaced");
+    });
+
+    it("Should apply the larger of the absolute and basis-point increments", async function () {
+      // 10% of 0.5 is 0.05, so the 0.1 absolute increment applies
+      await configuredAuction.connect(bidder1).bid(ethers.parseEther("0.5"));
+      expect(await configuredAuction.minNextBid()).to.equal(ethers.parseEther("0.6"));
+
+      // 10% of 3.0 is 0.3, which beats the absolute increment
+      await configuredAuction.connect(bidder2).bid(ethers.parseEther("3.0"));
+      expect(await configuredAuction.minNextBid()).to.equal(ethers.parseEther("3.3"));
+
+      await expect(configuredAuction.connect(bidder1).bid(ethers.parseEther("3.29")))
+        .to.be.revertedWith("Bid too low");
+      await configuredAuction.connect(bidder1).bid(ethers.parseEther("3.3"));
+      expect(await configuredAuction.highestBidder()).to.equal(bidder1.address);
+    });
+
+    it("Should refund the highest bidder when the reserve is not met", async function () {
+      const initialBalance = await bidToken.balanceOf(bidder1.address);
+      await configuredAuction.connect(bidder1).bid(BID_AMOUNT);
+      expect(await configuredAuction.reserveMet()).to.equal(false);
+
+      await time.increase(AUCTION_DURATION + 1);
+
+      await expect(configuredAuction.withdraw())
+        .to.emit(configuredAuction, "ReserveNotMet")
+        .withArgs(bidder1.address, BID_AMOUNT)
+        .and.not.to.emit(configuredAuction, "AuctionSettled");
+
+      expect(await configuredAuction.settled()).to.equal(true);
+      await configuredAuction.connect(bidder1).withdrawRefund();
+      expect(await bidToken.balanceOf(bidder1.address)).to.equal(initialBalance);
+      expect(await bidToken.balanceOf(beneficiary.address)).to.equal(0n);
+    });
+
+    it("Should pay the beneficiary once the reserve is met", async function () {
+      await configuredAuction.connect(bidder1).bid(RESERVE);
+      expect(await configuredAuction.reserveMet()).to.equal(true);
+
+      await time.increase(AUCTION_DURATION + 1);
+
+      await expect(configuredAuction.withdraw())
+        .to.emit(configuredAuction, "AuctionSettled")
+        .withArgs(bidder1.address, RESERVE, 0n, 0n, RESERVE);
+      expect(await bidToken.balanceOf(beneficiary.address)).to.equal(RESERVE);
+    });
+
+    it("Should reject basis-point increments above 100%", async function () {
+      await expect(deployConfiguredAuction({ minBidIncrementBps: 10001n }))
+        .to.be.revertedWith("Invalid increment");
+    });
+  });
+
+  describe("Extension Policy", function () {
+    it("Should expose the original end time and cap", async function () {
+      const configured = await deployConfiguredAuction({
+        extensionWindow: 60n,
+        extensionDuration: 120n,
+        maxTotalExtension: 200n
+      });
+      const originalEnd = await configured.endTime();
+
+      expect(await configured.extensionWindow()).to.equal(60n);
+      expect(await configured.extensionDuration()).to.equal(120n);
+      expect(await configured.originalEndTime()).to.equal(originalEnd);
+      expect(await configured.maxEndTime()).to.equal(originalEnd + 200n);
+      expect(await configured.extensionCount()).to.equal(0n);
+    });
+
+    it("Should use the configured window and extension", async function () {
+      const configured = await deployConfiguredAuction({
+        extensionWindow: 60n,
+        extensionDuration: 120n,
+        maxTotalExtension: 3600n
+      });
+      const originalEnd = await configured.endTime();
+
+      // Two minutes before the end is outside a one minute window
+      await time.increaseTo(originalEnd - 120n);
+      await configured.connect(bidder1).bid(BID_AMOUNT);
+      expect(await configured.endTime()).to.equal(originalEnd);
+
+      await time.increaseTo(originalEnd - 30n);
+      await expect(configured.connect(bidder2).bid(HIGHER_BID))
+        .to.emit(configured, "AuctionExtended")
+        .withArgs(originalEnd + 120n);
+      expect(await configured.extensionCount()).to.equal(1n);
+    });
+
+    it("Should never extend past the hard cap", async function () {
+      const configured = await deployConfiguredAuction({
+        extensionWindow: 300n,
+        extensionDuration: 300n,
+        maxTotalExtension: 400n
+      });
+      const cap = await configured.maxEndTime();
+
+      await time.increaseTo((await configured.endTime()) - 10n);
+      await configured.connect(bidder1).bid(BID_AMOUNT);
+
+      // Second extension is clipped to the cap
+      await time.increaseTo((await configured.endTime()) - 10n);
+      await expect(configured.connect(bidder2).bid(HIGHER_BID))
+        .to.emit(configured, "AuctionExtended")
+        .withArgs(cap);
+
+      // Once the cap is reached, late bids no longer extend
+      await time.increaseTo(cap - 10n);
+      await expect(configured.connect(bidder1).bid(MUCH_HIGHER_BID))
+        .to.not.emit(configured, "AuctionExtended");
+
+      expect(await configured.endTime()).to.equal(cap);
+      expect(await configured.extensionCount()).to.equal(2n);
+
+      await time.increaseTo(cap + 1n);
+      await expect(configured.connect(bidder2).bid(ethers.parseEther("4")))
+        .to.be.revertedWith("Auction ended");
+    });
+
+    it("Should not extend when the window is disabled", async function () {
+      const configured = await deployConfiguredAuction({
+        extensionWindow: 0n,
+        extensionDuration: 0n,
+        maxTotalExtension: 0n
+      });
+      const originalEnd = await configured.endTime();
+
+      await time.increaseTo(originalEnd - 5n);
+      await expect(configured.connect(bidder1).bid(BID_AMOUNT))
+        .to.not.emit(configured, "AuctionExtended");
+      expect(await configured.endTime()).to.equal(originalEnd);
+    });
+
+    it("Should reject a window without an extension", async function () {
+      await expect(deployConfiguredAuction({ extensionWindow: 60n, extensionDuration: 0n }))
+        .to.be.revertedWith("Invalid extension");
+    });
+  });
+
+  describe("Lots", function () {
+    const LOT_ERC721 = 1;
+    const LOT_ERC1155 = 2;
+    let nft, multiToken;
+
+    async function deployLotAuction(lot, config = {}) {
+      const lotAuction = await deployConfiguredAuction({ ...config, lot });
+      const lotAuctionAddress = await lotAuction.getAddress();
+      if (lot.kind === LOT_ERC721) {
+        await nft.transferFrom(owner.address, lotAuctionAddress, lot.tokenId);
+      } else {
+        await multiToken.safeTransferFrom(owner.address, lotAuctionAddress, lot.tokenId, lot.amount, "0x");
+      }
+      return lotAuction;
+    }
+
+    beforeEach(async function () {
+      const MockERC721 = await ethers.getContractFactory("MockERC721");
+      nft = await MockERC721.deploy("Lot NFT", "LOT");
+      await nft.mint(owner.address, 1n);
+
+      const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+      multiToken = await MockERC1155.deploy();
+      await multiToken.mint(owner.address, 7n, 10n);
+    });
+
+    it("Should deliver an ERC721 lot to the winner", async function () {
+      const lotAuction = await deployLotAuction({
+        kind: LOT_ERC721, token: await nft.getAddress(), tokenId: 1n, amount: 1n
+      });
+      await lotAuction.connect(bidder1).bid(BID_AMOUNT);
+      await time.increase(AUCTION_DURATION + 1);
+
+      await expect(lotAuction.withdraw())
+        .to.emit(lotAuction, "LotTransferred")
+        .withArgs(bidder1.address, await nft.getAddress(), 1n, 1n);
+      expect(await nft.ownerOf(1n)).to.equal(bidder1.address);
+      expect(await bidToken.balanceOf(beneficiary.address)).to.equal(BID_AMOUNT);
+    });
+
+    it("Should deliver an ERC1155 lot to the winner", async function () {
+      const lotAuction = await deployLotAuction({
+        kind: LOT_ERC1155, token: await multiToken.getAddress(), tokenId: 7n, amount: 4n
+      });
+      await lotAuction.connect(bidder1).bid(BID_AMOUNT);
+      await lotAuction.connect(bidder2).bid(HIGHER_BID);
+      await time.increase(AUCTION_DURATION + 1);
+
+      await lotAuction.withdraw();
+      expect(await multiToken.balanceOf(bidder2.address, 7n)).to.equal(4n);
+      expect(await multiToken.balanceOf(await lotAuction.getAddress(), 7n)).to.equal(0n);
+      expect(await bidToken.balanceOf(beneficiary.address)).to.equal(HIGHER_BID);
+    });
+
+    it("Should hold an ERC1155 lot the winner cannot receive until it is claimed", async function () {
+      const lotAuction = await deployLotAuction({
+        kind: LOT_ERC1155, token: await multiToken.getAddress(), tokenId: 7n, amount: 4n
+      });
+      const MockBidder = await ethers.getContractFactory("MockBidder");
+      const contractBidder = await MockBidder.deploy();
+      await bidToken.mint(await contractBidder.getAddress(), BID_AMOUNT);
+      await contractBidder.bid(await lotAuction.getAddress(), BID_AMOUNT);
+      await time.increase(AUCTION_DURATION + 1);
+
+      await expect(lotAuction.withdraw())
+        .to.emit(lotAuction, "LotHeld")
+        .withArgs(await contractBidder.getAddress(), await multiToken.getAddress(), 7n, 4n);
+      expect(await bidToken.balanceOf(beneficiary.address)).to.equal(BID_AMOUNT);
+      expect(await lotAuction.lotClaimant()).to.equal(await contractBidder.getAddress());
+
+      await expect(lotAuction.connect(bidder1).claimLot(bidder1.address)).to.be.revertedWith("Nothing to claim");
+      await expect(contractBidder.claimLot(await lotAuction.getAddress(), bidder1.address))
+        .to.emit(lotAuction, "LotTransferred")
+        .withArgs(bidder1.address, await multiToken.getAddress(), 7n, 4n);
+      expect(await multiToken.balanceOf(bidder1.address, 7n)).to.equal(4n);
+      await expect(contractBidder.claimLot(await lotAuction.getAddress(), bidder1.address))
+        .to.be.revertedWith("Nothing to claim");
+    });
+
+    it("Should return the lot to the seller when there are no bids", async function () {
+      const lotAuction = await deployLotAuction({
+        kind: LOT_ERC721, token: await nft.getAddress(), tokenId: 1n, amount: 1n
+      });
+      await time.increase(AUCTION_DURATION + 1);
+
+      await expect(lotAuction.withdraw())
+        .to.emit(lotAuction, "LotTransferred")
+        .withArgs(owner.address, await nft.getAddress(), 1n, 1n)
+        .and.not.to.emit(lotAuction, "AuctionSettled");
+      expect(await nft.ownerOf(1n)).to.equal(owner.address);
+      expect(await lotAuction.settled()).to.equal(true);
+    });
+
+    it("Should return the lot to the seller when the reserve is not met", async function () {
+      const lotAuction = await deployLotAuction(
+        { kind: LOT_ERC1155, token: await multiToken.getAddress(), tokenId: 7n, amount: 10n },
+        { reservePrice: MUCH_HIGHER_BID }
+      );
+      await lotAuction.connect(bidder1).bid(BID_AMOUNT);
+      await time.increase(AUCTION_DURATION + 1);
+
+      await expect(lotAuction.withdraw()).to.emit(lotAuction, "ReserveNotMet");
+      expect(await multiToken.balanceOf(owner.address, 7n)).to.equal(10n);
+      expect(await multiToken.balanceOf(bidder1.address, 7n)).to.equal(0n);
+      expect(await lotAuction.pendingReturns(bidder1.address)).to.equal(BID_AMOUNT);
+    });
+
+    it("Should normalise ERC721 lot amounts and reject malformed lots", async function () {
+      const lotAuction = await deployConfiguredAuction({
+        lot: { kind: LOT_ERC721, token: await nft.getAddress(), tokenId: 1n, amount: 5n }
+      });
+      expect((await lotAuction.lot()).amount).to.equal(1n);
+
+      await expect(deployConfiguredAuction({
+        lot: { kind: LOT_ERC1155, token: await multiToken.getAddress(), tokenId: 7n, amount: 0n }
+      })).to.be.revertedWith("Invalid lot");
+      await expect(deployConfiguredAuction({
+        lot: { kind: 0, token: await nft.getAddress(), tokenId: 0n, amount: 0n }
+      })).to.be.revertedWith("Invalid lot");
+    });
+  });
+
+  describe("Refunds", function () {
+    it("Should accumulate refunds across several outbids", async function () {
+      await auction.connect(bidder1).bid(BID_AMOUNT);
+      await auction.connect(bidder2).bid(HIGHER_BID);
+      await auction.connect(bidder1).bid(MUCH_HIGHER_BID);
+      await auction.connect(bidder2).bid(ethers.parseEther("4.0"));
+
+      expect(await auction.pendingReturns(bidder1.address)).to.equal(BID_AMOUNT + MUCH_HIGHER_BID);
+      expect(await auction.pendingReturns(bidder2.address)).to.equal(HIGHER_BID);
+    });
+
+    it("Should reject claims with nothing to refund", async function () {
+      await auction.connect(bidder1).bid(BID_AMOUNT);
+      await expect(auction.connect(bidder1).withdrawRefund())
+        .to.be.revertedWith("Nothing to refund");
+    });
+
+    it("Should allow claiming refunds after settlement", async function () {
+      await auction.connect(bidder1).bid(BID_AMOUNT);
+      await auction.connect(bidder2).bid(HIGHER_BID);
+      await time.increase(AUCTION_DURATION + 1);
+      await auction.withdraw();
+
+      await auction.connect(bidder1).withdrawRefund();
+      expect(await bidToken.balanceOf(bidder1.address)).to.equal(ethers.parseEther("100"));
+      expect(await bidToken.balanceOf(await auction.getAddress())).to.equal(0n);
+    });
+
+    it("Should not let a blacklisted bidder freeze the auction", async function () {
+      const BlacklistToken = await ethers.getContractFactory("BlacklistToken");
+      const frozenToken = await BlacklistToken.deploy();
+      const frozenAuction = await deployChronoAuction(
+        await frozenToken.getAddress(),
+        AUCTION_DURATION,
+        await rewardToken.getAddress(),
+        beneficiary.address,
+        owner.address,
+        NO_PROTOCOL_FEE,
+        DEFAULT_CONFIG
+      );
+      const frozenAuctionAddress = await frozenAuction.getAddress();
+      await rewardToken.addAllowedAuction(frozenAuctionAddress);
+
+      for (const bidder of [bidder1, bidder2]) {
+        await frozenToken.mint(bidder.address, ethers.parseEther("10"));
+        await frozenToken.connect(bidder).approve(frozenAuctionAddress, ethers.parseEther("10"));
+      }
+
+      await frozenAuction.connect(bidder1).bid(BID_AMOUNT);
+      await frozenToken.setBlacklisted(bidder1.address, true);
+
+      // Outbidding the blacklisted leader still works
+      await frozenAuction.connect(bidder2).bid(HIGHER_BID);
+      expect(await frozenAuction.highestBidder()).to.equal(bidder2.address);
+
+      // Only the stuck bidder's own claim fails
+      await expect(frozenAuction.connect(bidder1).withdrawRefund())
+        .to.be.revertedWith("Blacklisted");
+      expect(await frozenAuction.pendingReturns(bidder1.address)).to.equal(BID_AMOUNT);
+
+      await time.increase(AUCTION_DURATION + 1);
+      await frozenAuction.withdraw();
+      expect(await frozenToken.balanceOf(beneficiary.address)).to.equal(HIGHER_BID);
+
+      // Once unfrozen, the refund is still there to claim
+      await frozenToken.setBlacklisted(bidder1.address, false);
+      await frozenAuction.connect(bidder1).withdrawRefund();
+      expect(await frozenToken.balanceOf(bidder1.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should credit a payout the token refuses instead of blocking settlement", async function () {
+      const BlacklistToken = await ethers.getContractFactory("BlacklistToken");
+      const frozenToken = await BlacklistToken.deploy();
+      const frozenAuction = await deployChronoAuction(
+        await frozenToken.getAddress(),
+        AUCTION_DURATION,
+        await rewardToken.getAddress(),
+        beneficiary.address,
+        owner.address,
+        NO_PROTOCOL_FEE,
+        DEFAULT_CONFIG
+      );
+      const frozenAuctionAddress = await frozenAuction.getAddress();
+      await frozenToken.mint(bidder1.address, BID_AMOUNT);
+      await frozenToken.connect(bidder1).approve(frozenAuctionAddress, BID_AMOUNT);
+      await frozenAuction.connect(bidder1).bid(BID_AMOUNT);
+      await frozenToken.setBlacklisted(beneficiary.address, true);
+      await time.increase(AUCTION_DURATION + 1);
+
+      await expect(frozenAuction.withdraw())
+        .to.emit(frozenAuction, "RefundCredited")
+        .withArgs(beneficiary.address, BID_AMOUNT);
+      expect(await frozenAuction.settled()).to.equal(true);
+
+      await frozenToken.setBlacklisted(beneficiary.address, false);
+      await frozenAuction.connect(beneficiary).withdrawRefund();
+      expect(await frozenToken.balanceOf(beneficiary.address)).to.equal(BID_AMOUNT);
+    });
+  });
+
+  describe("Native ETH Bidding", function () {
+    let ethAuction;
+
+    beforeEach(async function () {
+      ethAuction = await deployChronoAuction(
+        NATIVE_TOKEN,
+        AUCTION_DURATION,
+        await rewardToken.getAddress(),
+        beneficiary.address,
+        owner.address,
+        NO_PROTOCOL_FEE,
+        DEFAULT_CONFIG
+      );
+      await rewardToken.addAllowedAuction(await ethAuction.getAddress());
+    });
+
+    it("Should flag ETH auctions", async function () {
+      expect(await ethAuction.nativeBidding()).to.equal(true);
+      expect(await ethAuction.NATIVE_TOKEN()).to.equal(NATIVE_TOKEN);
+      expect(await auction.nativeBidding()).to.equal(false);
+    });
+
+    it("Should accept ETH bids and reward bidders", async function () {
+      await expect(ethAuction.connect(bidder1).bid(BID_AMOUNT, { value: BID_AMOUNT }))
+        .to.emit(ethAuction, "BidPlaced")
+        .withArgs(bidder1.address, BID_AMOUNT);
+
+      expect(await ethers.provider.getBalance(await ethAuction.getAddress())).to.equal(BID_AMOUNT);
+      expect(await rewardToken.balanceOf(bidder1.address)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should require msg.value to match the bid", async function () {
+      await expect(ethAuction.connect(bidder1).bid(BID_AMOUNT, { value: HIGHER_BID }))
+        .to.be.revertedWith("Incorrect value");
+      await expect(ethAuction.connect(bidder1).bid(BID_AMOUNT))
+        .to.be.revertedWith("Incorrect value");
+    });
+
+    it("Should reject ETH sent to ERC20 auctions", async function () {
+      await expect(auction.connect(bidder1).bid(BID_AMOUNT, { value: BID_AMOUNT }))
+        .to.be.revertedWith("Unexpected value");
+    });
+
+    it("Should extend late ETH bids", async function () {
+      const initialEndTime = await ethAuction.endTime();
+      await time.increaseTo(initialEndTime - 60n);
+
+      await expect(ethAuction.connect(bidder1).bid(BID_AMOUNT, { value: BID_AMOUNT }))
+        .to.emit(ethAuction, "AuctionExtended")
+        .withArgs(initialEndTime + BigInt(TIME_EXTENSION));
+    });
+
+    it("Should refund outbid ETH bidders through withdrawRefund", async function () {
+      await ethAuction.connect(bidder1).bid(BID_AMOUNT, { value: BID_AMOUNT });
+      await ethAuction.connect(bidder2).bid(HIGHER_BID, { value: HIGHER_BID });
+
+      await expect(ethAuction.connect(bidder1).withdrawRefund())
+        .to.changeEtherBalances([bidder1, ethAuction], [BID_AMOUNT, -BID_AMOUNT]);
+    });
+
+    it("Should pay the winning ETH bid to the beneficiary", async function () {
+      await ethAuction.connect(bidder1).bid(BID_AMOUNT, { value: BID_AMOUNT });
+      await ethAuction.connect(bidder2).bid(HIGHER_BID, { value: HIGHER_BID });
+      await time.increase(AUCTION_DURATION + 1);
+
+      await expect(ethAuction.withdraw())
+        .to.changeEtherBalances([beneficiary, ethAuction], [HIGHER_BID, -HIGHER_BID]);
+    });
+
+    it("Should credit the payout for later if the beneficiary rejects ETH", async function () {
+      // The ERC20 mock has no receive function, so it rejects plain ETH transfers
+      const rejectingAuction = await deployChronoAuction(
+        NATIVE_TOKEN,
+        AUCTION_DURATION,
+        await rewardToken.getAddress(),
+        await bidToken.getAddress(),
+        owner.address,
+        NO_PROTOCOL_FEE,
+        DEFAULT_CONFIG
+      );
+      await rewardToken.addAllowedAuction(await rejectingAuction.getAddress());
+      await rejectingAuction.connect(bidder1).bid(BID_AMOUNT, { value: BID_AMOUNT });
+      await time.increase(AUCTION_DURATION + 1);
+
+      const rejecting = await bidToken.getAddress();
+      await expect(rejectingAuction.withdraw())
+        .to.emit(rejectingAuction, "RefundCredited")
+        .withArgs(rejecting, BID_AMOUNT)
+        .and.to.emit(rejectingAuction, "AuctionSettled");
+      expect(await rejectingAuction.settled()).to.equal(true);
+      expect(await rejectingAuction.pendingReturns(rejecting)).to.equal(BID_AMOUNT);
+    });
+  });
+
+  describe("Cancellation & Seller Controls", function () {
+    it("Should cancel before the first bid and block further activity", async function () {
+      await expect(auction.cancel(false))
+        .to.emit(auction, "AuctionCancelled")
+        .withArgs(ethers.ZeroAddress, 0n, false);
+      expect(await auction.cancelled()).to.equal(true);
+
+      await expect(auction.connect(bidder1).bid(BID_AMOUNT))
+        .to.be.revertedWith("Auction cancelled");
+      await time.increase(AUCTION_DURATION + 1);
+      await expect(auction.withdraw()).to.be.revertedWith("Auction cancelled");
+      await expect(auction.cancel(true)).to.be.revertedWith("Auction cancelled");
+    });
+
+    it("Should only accept seller controls from the factory", async function () {
+      expect(await auction.factory()).to.equal(owner.address);
+      await expect(auction.connect(bidder1).cancel(false))
+        .to.be.revertedWith("Only factory");
+      await expect(auction.connect(bidder1).setBeneficiary(bidder1.address))
+        .to.be.revertedWith("Only factory");
+    });
+
+    it("Should refuse to cancel after bids unless allowed", async function () {
+      await auction.connect(bidder1).bid(BID_AMOUNT);
+      await expect(auction.cancel(false)).to.be.revertedWith("Bids placed");
+    });
+
+    it("Should refund the leader in full when cancelling with bids", async function () {
+      const cancellable = await deployConfiguredAuction({ cancellableWithBids: true });
+      await cancellable.connect(bidder1).bid(BID_AMOUNT);
+      await cancellable.connect(bidder2).bid(HIGHER_BID);
+
+      await expect(cancellable.cancel(false))
+        .to.emit(cancellable, "AuctionCancelled")
+        .withArgs(bidder2.address, HIGHER_BID, false);
+
+      await cancellable.connect(bidder1).withdrawRefund();
+      await cancellable.connect(bidder2).withdrawRefund();
+      expect(await bidToken.balanceOf(bidder1.address)).to.equal(ethers.parseEther("100"));
+      expect(await bidToken.balanceOf(bidder2.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should allow emergency cancellation after the end but not after settlement", async function () {
+      await auction.connect(bidder1).bid(BID_AMOUNT);
+      await time.increase(AUCTION_DURATION + 1);
+
+      await expect(auction.cancel(false)).to.be.revertedWith("Auction ended");
+      await expect(auction.cancel(true))
+        .to.emit(auction, "AuctionCancelled")
+        .withArgs(bidder1.address, BID_AMOUNT, true);
+      expect(await auction.pendingReturns(bidder1.address)).to.equal(BID_AMOUNT);
+
+      const settledAuction = await deployConfiguredAuction({});
+      await settledAuction.connect(bidder1).bid(BID_AMOUNT);
+      await time.increase(AUCTION_DURATION + 1);
+      await settledAuction.withdraw();
+      await expect(settledAuction.cancel(true)).to.be.revertedWith("Already settled");
+    });
+
+    it("Should change the beneficiary only before any bids", async function () {
+      await expect(auction.setBeneficiary(nonParticipant.address))
+        .to.emit(auction, "BeneficiaryUpdated")
+        .withArgs(beneficiary.address, nonParticipant.address);
+      expect(await auction.beneficiary()).to.equal(nonParticipant.address);
+
+      await expect(auction.setBeneficiary(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid beneficiary");
+
+      await auction.connect(bidder1).bid(BID_AMOUNT);
+      await expect(auction.setBeneficiary(beneficiary.address))
+        .to.be.revertedWith("Bids placed");
+
+      await time.increase(AUCTION_DURATION + 1);
+      await auction.withdraw();
+      expect(await bidToken.balanceOf(nonParticipant.address)).to.equal(BID_AMOUNT);
+    });
+  });
+
+  describe("Fees & Revenue Splits", function () {
+    let feeRecipient, referrer, splitA, splitB;
+
+    beforeEach(async function () {
+      [feeRecipient, referrer, splitA, splitB] = (await ethers.getSigners()).slice(5);
+    });
+
+    it("Should pay every party exactly and leave rounding dust to the beneficiary", async function () {
+      const feeAuction = await deployConfiguredAuction(
+        {
+          referrerFeeBps: 100n,
+          splits: [
+            { recipient: splitA.address, bps: 3333n },
+            { recipient: splitB.address, bps: 3333n }
+          ]
+        },
+        { recipient: feeRecipient.address, bps: 250n }
+      );
+      // An odd amount so that every share rounds down
+      const winningBid = ethers.parseEther("1") + 7n;
+      await feeAuction.connect(bidder1).bidWithReferrer(winningBid, referrer.address);
+      expect(await feeAuction.highestBidReferrer()).to.equal(referrer.address);
+      await time.increase(AUCTION_DURATION + 1);
+
+      const protocolFee = (winningBid * 250n) / 10000n;
+      const referrerFee = (winningBid * 100n) / 10000n;
+      const sellerProceeds = winningBid - protocolFee - referrerFee;
+      const share = (sellerProceeds * 3333n) / 10000n;
+
+      await expect(feeAuction.withdraw())
+        .to.emit(feeAuction, "AuctionSettled")
+        .withArgs(bidder1.address, winningBid, protocolFee, referrerFee, sellerProceeds);
+      expect(await feeAuction.pendingReturns(referrer.address)).to.equal(referrerFee);
+      await feeAuction.connect(referrer).withdrawRefund();
+
+      const payees = [feeRecipient, referrer, splitA, splitB, beneficiary];
+      const paid = await Promise.all(payees.map((payee) => bidToken.balanceOf(payee.address)));
+      expect(paid).to.deep.equal([protocolFee, referrerFee, share, share, sellerProceeds - 2n * share]);
+      expect(paid.reduce((total, amount) => total + amount, 0n)).to.equal(winningBid);
+      expect(await bidToken.balanceOf(await feeAuction.getAddress())).to.equal(0n);
+    });
+
+    it("Should only pay the referrer of the winning bid", async function () {
+      const feeAuction = await deployConfiguredAuction({ referrerFeeBps: 500n });
+      await feeAuction.connect(bidder1).bidWithReferrer(BID_AMOUNT, referrer.address);
+      await feeAuction.connect(bidder2).bid(HIGHER_BID);
+      expect(await feeAuction.highestBidReferrer()).to.equal(ethers.ZeroAddress);
+      await time.increase(AUCTION_DURATION + 1);
+
+      await expect(feeAuction.withdraw())
+        .to.emit(feeAuction, "AuctionSettled")
+        .withArgs(bidder2.address, HIGHER_BID, 0n, 0n, HIGHER_BID);
+      expect(await bidToken.balanceOf(referrer.address)).to.equal(0n);
+      expect(await bidToken.balanceOf(beneficiary.address)).to.equal(HIGHER_BID);
+    });
+
+    it("Should reject self-referral", async function () {
+      const feeAuction = await deployConfiguredAuction({ referrerFeeBps: 100n });
+      await expect(feeAuction.connect(bidder1).bidWithReferrer(BID_AMOUNT, bidder1.address))
+        .to.be.revertedWith("Invalid referrer");
+    });
+
+    it("Should expose the configured splits", async function () {
+      const splits = [{ recipient: splitA.address, bps: 4000n }];
+      const feeAuction = await deployConfiguredAuction({ splits }, { recipient: feeRecipient.address, bps: 100n });
+
+      expect(await feeAuction.protocolFeeBps()).to.equal(100n);
+      expect(await feeAuction.feeRecipient()).to.equal(feeRecipient.address);
+      const stored = await feeAuction.getSplits();
+      expect(stored.length).to.equal(1);
+      expect(stored[0].recipient).to.equal(splitA.address);
+      expect(stored[0].bps).to.equal(4000n);
+    });
+
+    it("Should reject invalid fee and split configurations", async function () {
+      await expect(deployConfiguredAuction({}, { recipient: ethers.ZeroAddress, bps: 100n }))
+        .to.be.revertedWith("Invalid fee");
+      await expect(deployConfiguredAuction({ referrerFeeBps: 5001n }, { recipient: feeRecipient.address, bps: 5000n }))
+        .to.be.revertedWith("Invalid fee");
+      await expect(deployConfiguredAuction({ splits: [{ recipient: ethers.ZeroAddress, bps: 100n }] }))
+        .to.be.revertedWith("Invalid splits");
+      await expect(deployConfiguredAuction({
+        splits: [
+          { recipient: splitA.address, bps: 6000n },
+          { recipient: splitB.address, bps: 4001n }
+        ]
+      })).to.be.revertedWith("Invalid splits");
+    });
+
+    it("Should split ETH proceeds", async function () {
+      const ethAuction = await deployChronoAuction(
+        NATIVE_TOKEN,
+        AUCTION_DURATION,
+        await rewardToken.getAddress(),
+        beneficiary.address,
+        owner.address,
+        { recipient: feeRecipient.address, bps: 1000n },
+        { ...DEFAULT_CONFIG, referrerFeeBps: 500n, splits: [{ recipient: splitA.address, bps: 5000n }] }
+      );
+      await rewardToken.addAllowedAuction(await ethAuction.getAddress());
+      await ethAuction.connect(bidder1).bidWithReferrer(BID_AMOUNT, referrer.address, { value: BID_AMOUNT });
+      await time.increase(AUCTION_DURATION + 1);
+
+      await expect(ethAuction.withdraw()).to.changeEtherBalances(
+        [feeRecipient, referrer, splitA, beneficiary, ethAuction],
+        [
+          ethers.parseEther("0.1"),
+          0n,
+          ethers.parseEther("0.425"),
+          ethers.parseEther("0.425"),
+          -ethers.parseEther("0.95")
+        ]
+      );
+      await expect(ethAuction.connect(referrer).withdrawRefund())
+        .to.changeEtherBalance(referrer, ethers.parseEther("0.05"));
+    });
+
+    it("Should settle even if the referrer rejects the fee", async function () {
+      // The ERC20 mock has no receive function, so it rejects plain ETH transfers
+      const rejecting = await bidToken.getAddress();
+      const ethAuction = await deployChronoAuction(
+        NATIVE_TOKEN,
+        AUCTION_DURATION,
+        await rewardToken.getAddress(),
+        beneficiary.address,
+        owner.address,
+        NO_PROTOCOL_FEE,
+        { ...DEFAULT_CONFIG, referrerFeeBps: 500n }
+      );
+      await ethAuction.connect(bidder1).bidWithReferrer(BID_AMOUNT, rejecting, { value: BID_AMOUNT });
+      await time.increase(AUCTION_DURATION + 1);
+
+      await expect(ethAuction.withdraw())
+        .to.changeEtherBalance(beneficiary, ethers.parseEther("0.95"));
+      expect(await ethAuction.settled()).to.equal(true);
+      expect(await ethAuction.pendingReturns(rejecting)).to.equal(ethers.parseEther("0.05"));
+    });
+  });
+
+  describe("Permit & Signed Bids", function () {
+    const SIGNED_BID_TYPES = {
+      SignedBid: [
+        { name: "auction", type: "address" },
+        { name: "bidder", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    let permitToken, permitAuction, permitAuctionAddress, chainId, relayer;
+
+    async function signBid(signer, amount, overrides = {}, signingChainId = chainId) {
+      const message = {
+        auction: permitAuctionAddress,
+        bidder: signer.address,
+        amount,
+        nonce: await permitAuction.nonces(signer.address),
+        deadline: (await time.latest()) + 3600,
+        ...overrides
+      };
+      const domain = {
+        name: "ChronoAuction",
+        version: "1",
+        chainId: signingChainId,
+        verifyingContract: permitAuctionAddress
+      };
+      const signature = await signer.signTypedData(domain, SIGNED_BID_TYPES, message);
+      return { ...message, signature };
+    }
+
+    function submit(signed, from = relayer) {
+      return permitAuction.connect(from).bidWithSignature(
+        signed.bidder, signed.amount, signed.nonce, signed.deadline, signed.signature
+      );
+    }
+
+    async function signPermit(signer, amount, deadline) {
+      const signature = await signer.signTypedData(
+        { name: "Permit Token", version: "1", chainId, verifyingContract: await permitToken.getAddress() },
+        {
+          Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ]
+        },
+        {
+          owner: signer.address,
+          spender: permitAuctionAddress,
+          value: amount,
+          nonce: await permitToken.nonces(signer.address),
+          deadline
+        }
+      );
+      return ethers.Signature.from(signature);
+    }
+
+    beforeEach(async function () {
+      relayer = nonParticipant;
+      chainId = (await ethers.provider.getNetwork()).chainId;
+
+      const MockPermitERC20 = await ethers.getContractFactory("MockPermitERC20");
+      permitToken = await MockPermitERC20.deploy("Permit Token", "PRM");
+      await permitToken.mint(bidder1.address, ethers.parseEther("10"));
+      await permitToken.mint(bidder2.address, ethers.parseEther("10"));
+      permitAuction = await deployChronoAuction(
+        await permitToken.getAddress(),
+        AUCTION_DURATION,
+        await rewardToken.getAddress(),
+        beneficiary.address,
+        owner.address,
+        NO_PROTOCOL_FEE,
+        DEFAULT_CONFIG
+      );
+      permitAuctionAddress = await permitAuction.getAddress();
+      await rewardToken.addAllowedAuction(permitAuctionAddress);
+    });
+
+    it("Should bid with a permit instead of a prior approval", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(bidder1, BID_AMOUNT, deadline);
+
+      await expect(permitAuction.connect(bidder1).bidWithPermit(BID_AMOUNT, deadline, v, r, s))
+        .to.emit(permitAuction, "BidPlaced")
+        .withArgs(bidder1.address, BID_AMOUNT);
+      expect(await permitToken.balanceOf(permitAuctionAddress)).to.equal(BID_AMOUNT);
+      expect(await permitToken.allowance(bidder1.address, permitAuctionAddress)).to.equal(0n);
+    });
+
+    it("Should still bid when the permit was already used", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(bidder1, BID_AMOUNT, deadline);
+      // Someone front-runs the permit itself
+      await permitToken.connect(relayer).permit(bidder1.address, permitAuctionAddress, BID_AMOUNT, deadline, v, r, s);
+
+      await expect(permitAuction.connect(bidder1).bidWithPermit(BID_AMOUNT, deadline, v, r, s))
+        .to.emit(permitAuction, "BidPlaced");
+    });
+
+    it("Should fail a permit bid without a valid permit or allowance", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(bidder2, BID_AMOUNT, deadline);
+
+      await expect(permitAuction.connect(bidder1).bidWithPermit(BID_AMOUNT, deadline, v, r, s))
+        .to.be.revertedWithCustomError(permitToken, "ERC20InsufficientAllowance");
+    });
+
+    it("Should accept a relayed signed bid and credit the signer", async function () {
+      await permitToken.connect(bidder1).approve(permitAuctionAddress, BID_AMOUNT);
+      const signed = await signBid(bidder1, BID_AMOUNT);
+
+      await expect(submit(signed))
+        .to.emit(permitAuction, "BidPlaced")
+        .withArgs(bidder1.address, BID_AMOUNT);
+      expect(await permitAuction.highestBidder()).to.equal(bidder1.address);
+      expect(await permitAuction.nonces(bidder1.address)).to.equal(1n);
+      expect(await rewardToken.balanceOf(bidder1.address)).to.equal(ethers.parseEther("1"));
+      expect(await rewardToken.balanceOf(relayer.address)).to.equal(0n);
+    });
+
+    it("Should reject expired signatures", async function () {
+      await permitToken.connect(bidder1).approve(permitAuctionAddress, BID_AMOUNT);
+      const signed = await signBid(bidder1, BID_AMOUNT, { deadline: (await time.latest()) + 60 });
+      await time.increase(61);
+
+      await expect(submit(signed)).to.be.revertedWith("Signature expired");
+    });
+
+    it("Should reject reused nonces", async function () {
+      await permitToken.connect(bidder1).approve(permitAuctionAddress, HIGHER_BID + MUCH_HIGHER_BID);
+      const first = await signBid(bidder1, HIGHER_BID);
+      await submit(first);
+
+      await expect(submit(first)).to.be.revertedWith("Invalid nonce");
+      const stale = await signBid(bidder1, MUCH_HIGHER_BID, { nonce: 0n });
+      await expect(submit(stale)).to.be.revertedWith("Invalid nonce");
+      await expect(submit(await signBid(bidder1, MUCH_HIGHER_BID))).to.emit(permitAuction, "BidPlaced");
+    });
+
+    it("Should reject signatures for another chain, auction or amount", async function () {
+      await permitToken.connect(bidder1).approve(permitAuctionAddress, BID_AMOUNT);
+
+      const wrongChain = await signBid(bidder1, BID_AMOUNT, {}, 1n);
+      await expect(submit(wrongChain)).to.be.revertedWith("Invalid signature");
+
+      const wrongAuction = await signBid(bidder1, BID_AMOUNT, { auction: await auction.getAddress() });
+      await expect(submit(wrongAuction)).to.be.revertedWith("Invalid signature");
+
+      const signed = await signBid(bidder1, BID_AMOUNT);
+      await expect(submit({ ...signed, amount: HIGHER_BID })).to.be.revertedWith("Invalid signature");
+      await expect(submit({ ...signed, bidder: bidder2.address })).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should not support signed or permit bids in ETH auctions", async function () {
+      const ethAuction = await deployChronoAuction(
+        NATIVE_TOKEN,
+        AUCTION_DURATION,
+        await rewardToken.getAddress(),
+        beneficiary.address,
+        owner.address,
+        NO_PROTOCOL_FEE,
+        DEFAULT_CONFIG
+      );
+      await expect(ethAuction.connect(bidder1).bidWithPermit(BID_AMOUNT, 0n, 0, ethers.ZeroHash, ethers.ZeroHash))
+        .to.be.revertedWith("Permit unsupported");
+      await expect(ethAuction.bidWithSignature(bidder1.address, BID_AMOUNT, 0n, 0n, "0x"))
+        .to.be.revertedWith("Signed bids unsupported");
+    });
   });
 
   describe("Edge Cases", function () {
@@ -324,12 +1690,14 @@ describe("ChronoAuction Contract", function () {
         console.log("Malicious token deployed at:", maliciousTokenAddress);
         
         // Deploy auction with malicious token
-        const ChronoAuction = await ethers.getContractFactory("ChronoAuction");
-        const badAuction = await ChronoAuction.deploy(
+        const badAuction = await deployChronoAuction(
           maliciousTokenAddress,
           AUCTION_DURATION,
           await rewardToken.getAddress(),
-          beneficiary.address
+          beneficiary.address,
+          owner.address,
+          NO_PROTOCOL_FEE,
+          DEFAULT_CONFIG
         );
         await badAuction.waitForDeployment();
         const badAuctionAddress = await badAuction.getAddress();
@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { NATIVE_TOKEN } = require("../sdk");
+
+describe("DutchAuction Contract", function () {
+  const DURATION = 3600n;
+  const LINEAR = 0;
+  const STEPPED = 1;
+  const START_PRICE = ethers.parseEther("10");
+  const FLOOR_PRICE = ethers.parseEther("4");
+  const NO_LOT = { kind: 0, token: ethers.ZeroAddress, tokenId: 0n, amount: 0n };
+
+  async function deployTokensFixture() {
+    const [owner, buyer1, buyer2, beneficiary, seller] = await ethers.getSigners();
+
+    const ParticipationToken = await ethers.getContractFactory("ParticipationToken");
+    const rewardToken = await ParticipationToken.deploy(ethers.parseEther("1000000"));
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const bidToken = await MockERC20.deploy("Bid Token", "BID");
+    await bidToken.mint(buyer1.address, ethers.parseEther("100"));
+    await bidToken.mint(buyer2.address, ethers.parseEther("100"));
+
+    return { rewardToken, bidToken, owner, buyer1, buyer2, beneficiary, seller };
+  }
+
+  async function deployAuction(ctx, config, bidTokenAddress) {
+    const DutchAuction = await ethers.getContractFactory("DutchAuction");
+    const auction = await DutchAuction.deploy(
+      bidTokenAddress || await ctx.bidToken.getAddress(),
+      DURATION,
+      await ctx.rewardToken.getAddress(),
+      ctx.beneficiary.address,
+      ctx.seller.address,
+      { startPrice: START_PRICE, floorPrice: FLOOR_PRICE, decay: LINEAR, stepDuration: 0n, lot: NO_LOT, ...config }
+    );
+    const auctionAddress = await auction.getAddress();
+    await ctx.rewardToken.addAllowedAuction(auctionAddress);
+    await ctx.bidToken.connect(ctx.buyer1).approve(auctionAddress, ethers.parseEther("100"));
+    await ctx.bidToken.connect(ctx.buyer2).approve(auctionAddress, ethers.parseEther("100"));
+    return auction;
+  }
+
+  beforeEach(async function () {
+    Object.assign(this, await loadFixture(deployTokensFixture));
+  });
+
+  describe("Price Schedule", function () {
+    it("Should decay linearly from start to floor", async function () {
+      const auction = await deployAuction(this, {});
+      const startTime = await auction.startTime();
+
+      expect(await auction.startPrice()).to.equal(START_PRICE);
+      expect(await auction.endTime()).to.equal(startTime + DURATION);
+
+      await time.increaseTo(startTime + DURATION / 2n);
+      expect(await auction.currentPrice()).to.equal(ethers.parseEther("7"));
+
+      await time.increaseTo(startTime + (DURATION * 3n) / 4n);
+      expect(await auction.currentPrice()).to.equal(ethers.parseEther("5.5"));
+
+      await time.increaseTo(startTime + DURATION + 100n);
+      expect(await auction.currentPrice()).to.equal(FLOOR_PRICE);
+    });
+
+    it("Should decay in equal steps", async function () {
+      // Four 15 minute steps of 1.5 each
+      const auction = await deployAuction(this, { decay: STEPPED, stepDuration: 900n });
+      const startTime = await auction.startTime();
+
+      await time.increaseTo(startTime + 899n);
+      expect(await auction.currentPrice()).to.equal(START_PRICE);
+
+      await time.increaseTo(startTime + 900n);
+      expect(await auction.currentPrice()).to.equal(ethers.parseEther("8.5"));
+
+      await time.increaseTo(startTime + 2700n);
+      expect(await auction.currentPrice()).to.equal(ethers.parseEther("5.5"));
+
+      await time.increaseTo(startTime + 3600n);
+      expect(await auction.currentPrice()).to.equal(FLOOR_PRICE);
+    });
+
+    it("Should reject invalid schedules", async function () {
+      await expect(deployAuction(this, { floorPrice: START_PRICE }))
+        .to.be.revertedWith("Invalid price schedule");
+      await expect(deployAuction(this, { decay: STEPPED, stepDuration: 0n }))
+        .to.be.revertedWith("Invalid price schedule");
+      await expect(deployAuction(this, { decay: STEPPED, stepDuration: DURATION + 1n }))
+        .to.be.revertedWith("Invalid price schedule");
+    });
+  });
+
+  describe("Buying", function () {
+    it("Should sell to the first buyer and settle instantly", async function () {
+      const auction = await deployAuction(this, {});
+      const startTime = await auction.startTime();
+      await time.setNextBlockTimestamp(startTime + DURATION / 2n);
+
+      await expect(auction.connect(this.buyer1).buy(START_PRICE))
+        .to.emit(auction, "AuctionSettled")
+        .withArgs(this.buyer1.address, ethers.parseEther("7"));
+
+      expect(await auction.settled()).to.equal(true);
+      expect(await auction.winner()).to.equal(this.buyer1.address);
+      expect(await auction.finalPrice()).to.equal(ethers.parseEther("7"));
+      expect(await this.bidToken.balanceOf(this.beneficiary.address)).to.equal(ethers.parseEther("7"));
+      expect(await this.bidToken.balanceOf(this.buyer1.address)).to.equal(ethers.parseEther("93"));
+      expect(await this.rewardToken.balanceOf(this.buyer1.address)).to.equal(ethers.parseEther("1"));
+
+      await expect(auction.connect(this.buyer2).buy(START_PRICE))
+        .to.be.revertedWith("Already settled");
+    });
+
+    it("Should respect the buyer's maximum price", async function () {
+      const auction = await deployAuction(this, {});
+      await expect(auction.connect(this.buyer1).buy(FLOOR_PRICE))
+        .to.be.revertedWith("Price too high");
+    });
+
+    it("Should close once the schedule has run out", async function () {
+      const auction = await deployAuction(this, {});
+      await time.increaseTo((await auction.endTime()) + 1n);
+
+      await expect(auction.connect(this.buyer1).buy(START_PRICE))
+        .to.be.revertedWith("Auction ended");
+    });
+
+    it("Should reject ETH sent to ERC20 auctions", async function () {
+      const auction = await deployAuction(this, {});
+      await expect(auction.connect(this.buyer1).buy(START_PRICE, { value: START_PRICE }))
+        .to.be.revertedWith("Unexpected value");
+    });
+  });
+
+  describe("Lots", function () {
+    const LOT_ERC721 = 1;
+    const LOT_ERC1155 = 2;
+
+    // Deploys an auction and escrows the lot in it, as the factory does
+    async function deployWithLot(ctx, kind) {
+      if (kind === LOT_ERC721) {
+        const MockERC721 = await ethers.getContractFactory("MockERC721");
+        const nft = await MockERC721.deploy("Lot NFT", "LOT");
+        const lot = { kind, token: await nft.getAddress(), tokenId: 1n, amount: 1n };
+        const auction = await deployAuction(ctx, { lot });
+        await nft.mint(await auction.getAddress(), 1n);
+        return { auction, lotToken: nft };
+      }
+      const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+      const multiToken = await MockERC1155.deploy();
+      const lot = { kind, token: await multiToken.getAddress(), tokenId: 3n, amount: 2n };
+      const auction = await deployAuction(ctx, { lot });
+      await multiToken.mint(await auction.getAddress(), 3n, 2n);
+      return { auction, lotToken: multiToken };
+    }
+
+    it("Should deliver the lot to the buyer", async function () {
+      const { auction, lotToken } = await deployWithLot(this, LOT_ERC721);
+
+      await expect(auction.connect(this.buyer1).buy(START_PRICE))
+        .to.emit(auction, "LotTransferred")
+        .withArgs(this.buyer1.address, await lotToken.getAddress(), 1n, 1n);
+      expect(await lotToken.ownerOf(1n)).to.equal(this.buyer1.address);
+    });
+
+    it("Should return an unsold lot to the seller", async function () {
+      const { auction, lotToken } = await deployWithLot(this, LOT_ERC1155);
+
+      await expect(auction.settle()).to.be.revertedWith("Auction ongoing");
+      await time.increaseTo((await auction.endTime()) + 1n);
+
+      await expect(auction.settle())
+        .to.emit(auction, "AuctionSettled")
+        .withArgs(ethers.ZeroAddress, 0n);
+      expect(await lotToken.balanceOf(this.seller.address, 3n)).to.equal(2n);
+      expect(await auction.winner()).to.equal(ethers.ZeroAddress);
+      await expect(auction.settle()).to.be.revertedWith("Already settled");
+    });
+
+    it("Should not close a sold auction again", async function () {
+      const auction = await deployAuction(this, {});
+      await auction.connect(this.buyer1).buy(START_PRICE);
+      await time.increaseTo((await auction.endTime()) + 1n);
+
+      await expect(auction.settle()).to.be.revertedWith("Already settled");
+    });
+  });
+
+  describe("Native ETH Payments", function () {
+
+    it("Should pay the beneficiary and return any excess", async function () {
+      const auction = await deployAuction(this, {}, NATIVE_TOKEN);
+      const startTime = await auction.startTime();
+      await time.setNextBlockTimestamp(startTime + DURATION / 2n);
+
+      await expect(auction.connect(this.buyer1).buy(START_PRICE, { value: START_PRICE }))
+        .to.changeEtherBalances(
+          [this.beneficiary, this.buyer1, auction],
+          [ethers.parseEther("7"), -ethers.parseEther("7"), 0n]
+        );
+    });
+
+    it("Should require enough ETH to cover the price", async function () {
+      const auction = await deployAuction(this, {}, NATIVE_TOKEN);
+      await expect(auction.connect(this.buyer1).buy(START_PRICE, { value: FLOOR_PRICE }))
+        .to.be.revertedWith("Incorrect value");
+    });
+  });
+});
@@ -0,0 +1,293 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { NATIVE_TOKEN } = require("../sdk");
+
+describe("MultiUnitAuction Contract", function () {
+  const DURATION = 3600n;
+  const NO_UNIT_TOKEN = { unitToken: ethers.ZeroAddress, unitTokenId: 0n };
+
+  async function deployTokensFixture() {
+    const [owner, bidder1, bidder2, bidder3, beneficiary] = await ethers.getSigners();
+
+    const ParticipationToken = await ethers.getContractFactory("ParticipationToken");
+    const rewardToken = await ParticipationToken.deploy(ethers.parseEther("1000000"));
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const bidToken = await MockERC20.deploy("Bid Token", "BID");
+    for (const bidder of [bidder1, bidder2, bidder3]) {
+      await bidToken.mint(bidder.address, ethers.parseEther("1000"));
+    }
+
+    return { rewardToken, bidToken, owner, bidder1, bidder2, bidder3, beneficiary };
+  }
+
+  async function deployAuction(ctx, config, bidTokenAddress) {
+    const MultiUnitAuction = await ethers.getContractFactory("MultiUnitAuction");
+    const auction = await MultiUnitAuction.deploy(
+      bidTokenAddress || await ctx.bidToken.getAddress(),
+      DURATION,
+      await ctx.rewardToken.getAddress(),
+      ctx.beneficiary.address,
+      ctx.owner.address,
+      { totalUnits: 10n, reservePrice: 0n, ...NO_UNIT_TOKEN, ...config }
+    );
+    const auctionAddress = await auction.getAddress();
+    await ctx.rewardToken.addAllowedAuction(auctionAddress);
+    for (const bidder of [ctx.bidder1, ctx.bidder2, ctx.bidder3]) {
+      await ctx.bidToken.connect(bidder).approve(auctionAddress, ethers.parseEther("1000"));
+    }
+    return auction;
+  }
+
+  async function placeBid(auction, bidder, quantity, unitPrice) {
+    const hint = await auction.findInsertPosition(unitPrice);
+    await auction.connect(bidder).bid(quantity, unitPrice, hint);
+  }
+
+  async function sortedPrices(auction) {
+    const prices = [];
+    let id = (await auction.bids(0)).next;
+    while (id !== 0n) {
+      const entry = await auction.bids(id);
+      prices.push(entry.unitPrice);
+      id = entry.next;
+    }
+    return prices;
+  }
+
+  beforeEach(async function () {
+    Object.assign(this, await loadFixture(deployTokensFixture));
+  });
+
+  describe("Bidding", function () {
+    it("Should keep bids sorted by unit price", async function () {
+      const auction = await deployAuction(this, {});
+      await placeBid(auction, this.bidder1, 2n, 5n);
+      await placeBid(auction, this.bidder2, 1n, 9n);
+      await placeBid(auction, this.bidder3, 4n, 7n);
+      await placeBid(auction, this.bidder1, 1n, 1n);
+
+      expect(await sortedPrices(auction)).to.deep.equal([9n, 7n, 5n, 1n]);
+      expect(await auction.getBidCount()).to.equal(4n);
+      expect(await auction.getBidIds(this.bidder1.address)).to.deep.equal([1n, 4n]);
+    });
+
+    it("Should lock quantity * unitPrice and reward the bidder", async function () {
+      const auction = await deployAuction(this, {});
+      await expect(auction.connect(this.bidder1).bid(3n, ethers.parseEther("2"), 0n))
+        .to.emit(auction, "BidPlaced")
+        .withArgs(1n, this.bidder1.address, 3n, ethers.parseEther("2"));
+
+      expect(await this.bidToken.balanceOf(await auction.getAddress())).to.equal(ethers.parseEther("6"));
+      expect(await this.rewardToken.balanceOf(this.bidder1.address)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should walk forward from a stale hint but reject hints below the price", async function () {
+      const auction = await deployAuction(this, {});
+      await placeBid(auction, this.bidder1, 1n, 9n);
+      await placeBid(auction, this.bidder2, 1n, 5n);
+
+      // Head is always a valid, if slow, hint
+      await auction.connect(this.bidder3).bid(1n, 3n, 0n);
+      expect(await sortedPrices(auction)).to.deep.equal([9n, 5n, 3n]);
+
+      // Bid 2 is priced at 5, so it cannot precede a bid at 6
+      await expect(auction.connect(this.bidder3).bid(1n, 6n, 2n))
+        .to.be.revertedWith("Invalid hint");
+      await expect(auction.connect(this.bidder3).bid(1n, 6n, 99n))
+        .to.be.revertedWith("Invalid hint");
+    });
+
+    it("Should validate quantity, price and timing", async function () {
+      const auction = await deployAuction(this, { reservePrice: 2n });
+      await expect(auction.connect(this.bidder1).bid(0n, 5n, 0n))
+        .to.be.revertedWith("Invalid quantity");
+      await expect(auction.connect(this.bidder1).bid(11n, 5n, 0n))
+        .to.be.revertedWith("Invalid quantity");
+      await expect(auction.connect(this.bidder1).bid(1n, 1n, 0n))
+        .to.be.revertedWith("Bid too low");
+
+      await time.increase(DURATION);
+      await expect(auction.connect(this.bidder1).bid(1n, 5n, 0n))
+        .to.be.revertedWith("Auction ended");
+    });
+  });
+
+  describe("Settlement", function () {
+    it("Should charge every winner the lowest filled unit price", async function () {
+      const auction = await deployAuction(this, {});
+      const price = (n) => ethers.parseEther(n);
+      await placeBid(auction, this.bidder1, 4n, price("10"));
+      await placeBid(auction, this.bidder2, 4n, price("8"));
+      await placeBid(auction, this.bidder3, 5n, price("6")); // marginal, gets 2 of 5
+      await placeBid(auction, this.bidder1, 3n, price("4")); // loses
+
+      await time.increase(DURATION + 1n);
+      await expect(auction.settle(10n))
+        .to.emit(auction, "AuctionSettled")
+        .withArgs(price("6"), 10n);
+
+      expect(await auction.clearingPrice()).to.equal(price("6"));
+      expect(await this.bidToken.balanceOf(this.beneficiary.address)).to.equal(price("60"));
+
+      // Winner refund: deposit 40, pays 4 * 6
+      await expect(auction.connect(this.bidder1).claim(1n))
+        .to.emit(auction, "AllocationClaimed")
+        .withArgs(1n, this.bidder1.address, 4n, price("16"));
+      // Marginal bid: deposit 30, pays 2 * 6
+      await expect(auction.connect(this.bidder3).claim(3n))
+        .to.emit(auction, "AllocationClaimed")
+        .withArgs(3n, this.bidder3.address, 2n, price("18"));
+      // Losing bid: full refund
+      await expect(auction.connect(this.bidder1).claim(4n))
+        .to.emit(auction, "AllocationClaimed")
+        .withArgs(4n, this.bidder1.address, 0n, price("12"));
+      await auction.connect(this.bidder2).claim(2n);
+
+      expect(await this.bidToken.balanceOf(await auction.getAddress())).to.equal(0n);
+    });
+
+    it("Should fill equal prices in arrival order", async function () {
+      const auction = await deployAuction(this, { totalUnits: 5n });
+      await placeBid(auction, this.bidder1, 3n, 7n);
+      await placeBid(auction, this.bidder2, 3n, 7n);
+      await time.increase(DURATION + 1n);
+      await auction.settle(10n);
+
+      expect((await auction.bids(1n)).allocated).to.equal(3n);
+      expect((await auction.bids(2n)).allocated).to.equal(2n);
+    });
+
+    it("Should sell every bid when undersubscribed", async function () {
+      const auction = await deployAuction(this, {});
+      await placeBid(auction, this.bidder1, 2n, 9n);
+      await placeBid(auction, this.bidder2, 3n, 4n);
+      await time.increase(DURATION + 1n);
+
+      await auction.settle(10n);
+      expect(await auction.unitsSold()).to.equal(5n);
+      expect(await auction.clearingPrice()).to.equal(4n);
+      expect(await auction.remainingUnits()).to.equal(5n);
+    });
+
+    it("Should settle with nothing sold when there are no bids", async function () {
+      const auction = await deployAuction(this, {});
+      await time.increase(DURATION + 1n);
+      await expect(auction.settle(1n))
+        .to.emit(auction, "AuctionSettled")
+        .withArgs(0n, 0n);
+    });
+
+    it("Should settle hundreds of bids in bounded batches", async function () {
+      this.timeout(120000);
+      const auction = await deployAuction(this, { totalUnits: 250n });
+      const bidders = [this.bidder1, this.bidder2, this.bidder3];
+
+      for (let i = 0; i < 300; i++) {
+        const unitPrice = BigInt(1 + (i * 37) % 100);
+        await placeBid(auction, bidders[i % 3], 1n, unitPrice);
+      }
+
+      await time.increase(DURATION + 1n);
+      await expect(auction.settle(0n)).to.be.revertedWith("Invalid batch");
+
+      let batches = 0;
+      while (!(await auction.settled())) {
+        const tx = await auction.settle(60n);
+        const receipt = await tx.wait();
+        expect(receipt.gasUsed).to.be.lessThan(2_000_000n);
+        batches++;
+      }
+
+      expect(batches).to.equal(5);
+      expect(await auction.unitsSold()).to.equal(250n);
+      // Each price 1..100 gets 3 bids; the top 250 bids clear at 17
+      expect(await auction.clearingPrice()).to.equal(17n);
+      await expect(auction.settle(1n)).to.be.revertedWith("Already settled");
+    });
+  });
+
+  describe("Claims", function () {
+    it("Should only allow claims by the bidder after settlement", async function () {
+      const auction = await deployAuction(this, {});
+      await placeBid(auction, this.bidder1, 1n, 5n);
+
+      await expect(auction.connect(this.bidder1).claim(1n)).to.be.revertedWith("Not settled");
+      await time.increase(DURATION + 1n);
+      await auction.settle(10n);
+
+      await expect(auction.connect(this.bidder2).claim(1n)).to.be.revertedWith("Not bidder");
+      await expect(auction.connect(this.bidder1).claim(0n)).to.be.revertedWith("Invalid bid");
+      await auction.connect(this.bidder1).claim(1n);
+      await expect(auction.connect(this.bidder1).claim(1n)).to.be.revertedWith("Already claimed");
+    });
+
+    it("Should deliver escrowed ERC1155 units and return unsold ones", async function () {
+      const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+      const units = await MockERC1155.deploy();
+      const auction = await deployAuction(this, { unitToken: await units.getAddress(), unitTokenId: 1n });
+      await units.mint(await auction.getAddress(), 1n, 10n);
+
+      await placeBid(auction, this.bidder1, 4n, 3n);
+      await placeBid(auction, this.bidder2, 2n, 2n);
+      await time.increase(DURATION + 1n);
+      await auction.settle(10n);
+
+      expect(await units.balanceOf(this.owner.address, 1n)).to.equal(4n);
+      await auction.connect(this.bidder1).claim(1n);
+      await auction.connect(this.bidder2).claim(2n);
+      expect(await units.balanceOf(this.bidder1.address, 1n)).to.equal(4n);
+      expect(await units.balanceOf(this.bidder2.address, 1n)).to.equal(2n);
+    });
+
+    it("Should keep claims open when the beneficiary cannot be paid", async function () {
+      const BlacklistToken = await ethers.getContractFactory("BlacklistToken");
+      const frozenToken = await BlacklistToken.deploy();
+      const auction = await deployAuction(this, { totalUnits: 2n }, await frozenToken.getAddress());
+      const auctionAddress = await auction.getAddress();
+      for (const bidder of [this.bidder1, this.bidder2]) {
+        await frozenToken.mint(bidder.address, 100n);
+        await frozenToken.connect(bidder).approve(auctionAddress, 100n);
+      }
+      await placeBid(auction, this.bidder1, 2n, 10n);
+      await placeBid(auction, this.bidder2, 1n, 5n);
+      await frozenToken.setBlacklisted(this.beneficiary.address, true);
+      await time.increase(DURATION + 1n);
+
+      await expect(auction.settle(10n))
+        .to.emit(auction, "ProceedsCredited")
+        .withArgs(this.beneficiary.address, 20n);
+      expect(await auction.unclaimedProceeds()).to.equal(20n);
+
+      await auction.connect(this.bidder1).claim(1n);
+      await auction.connect(this.bidder2).claim(2n);
+      expect(await frozenToken.balanceOf(this.bidder2.address)).to.equal(100n);
+
+      await expect(auction.connect(this.bidder1).withdrawProceeds(this.bidder1.address))
+        .to.be.revertedWith("Not beneficiary");
+      await expect(auction.connect(this.beneficiary).withdrawProceeds(this.owner.address))
+        .to.emit(auction, "ProceedsWithdrawn")
+        .withArgs(this.owner.address, 20n);
+      expect(await frozenToken.balanceOf(this.owner.address)).to.equal(20n);
+      await expect(auction.connect(this.beneficiary).withdrawProceeds(this.owner.address))
+        .to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("Should run in native ETH", async function () {
+      const auction = await deployAuction(this, { totalUnits: 2n }, NATIVE_TOKEN);
+      const unitPrice = ethers.parseEther("1");
+
+      await expect(auction.connect(this.bidder1).bid(2n, unitPrice, 0n, { value: unitPrice }))
+        .to.be.revertedWith("Incorrect value");
+      await auction.connect(this.bidder1).bid(2n, unitPrice, 0n, { value: unitPrice * 2n });
+      await auction.connect(this.bidder2).bid(1n, unitPrice / 2n, 1n, { value: unitPrice / 2n });
+
+      await time.increase(DURATION + 1n);
+      await expect(auction.settle(10n))
+        .to.changeEtherBalance(this.beneficiary, unitPrice * 2n);
+      await expect(auction.connect(this.bidder2).claim(2n))
+        .to.changeEtherBalance(this.bidder2, unitPrice / 2n);
+    });
+  });
+});
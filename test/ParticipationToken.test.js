@@ -1,7 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("ParticipationToken", function () {
+  const SUPPLY_CAP = ethers.parseUnits("1000", 18);
   let token;
   let owner;
   let auction1;
@@ -13,7 +15,7 @@ describe("ParticipationToken", function () {
     
     // Deploy the token
     const ParticipationToken = await ethers.getContractFactory("ParticipationToken");
-    token = await ParticipationToken.deploy();
+    token = await ParticipationToken.deploy(SUPPLY_CAP);
   });
 
   it("Should have correct name and symbol", async function () {
@@ -21,8 +23,11 @@ describe("ParticipationToken", function () {
     expect(await token.symbol()).to.equal("PP");
   });
 
-  it("Should set the deployer as owner", async function () {
-    expect(await token.owner()).to.equal(owner.address);
+  it("Should make the deployer admin and registrar", async function () {
+    expect(await token.hasRole(await token.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+    expect(await token.hasRole(await token.REGISTRAR_ROLE(), owner.address)).to.equal(true);
+    expect(await token.getRoleAdmin(await token.MINTER_ROLE())).to.equal(await token.REGISTRAR_ROLE());
+    expect(await token.supplyCap()).to.equal(SUPPLY_CAP);
   });
 
   it("Should allow owner to add allowed auctions", async function () {
@@ -36,21 +41,272 @@ describe("ParticipationToken", function () {
     await token.addAllowedAuction(auction1.address);
     
     // Try minting from auction1 (should succeed)
-    await token.connect(auction1).mint(bidder.address);
+    await token.connect(auction1).rewardBid(bidder.address, 100n, 100n, false);
     
     // For ethers v6, parseUnits is directly on ethers, not ethers.utils
     const oneToken = ethers.parseUnits("1", 18);
     expect(await token.balanceOf(bidder.address)).to.equal(oneToken);
     
-    // Try minting from auction2 (should fail)
-    await expect(
-      token.connect(auction2).mint(bidder.address)
-    ).to.be.revertedWith("Only approved auctions");
+    // Try minting from auction2 (should mint nothing)
+    await token.connect(auction2).rewardBid(bidder.address, 100n, 100n, false);
+    await token.connect(auction2).rewardWinner(bidder.address);
+    expect(await token.balanceOf(bidder.address)).to.equal(oneToken);
   });
 
   it("Should not allow non-owners to add auctions", async function () {
     await expect(
       token.connect(bidder).addAllowedAuction(auction1.address)
-    ).to.be.reverted;
+    ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+  });
+
+  describe("Roles", function () {
+    it("Should emit events when minters are added and removed", async function () {
+      const MINTER_ROLE = await token.MINTER_ROLE();
+      await expect(token.addAllowedAuction(auction1.address))
+        .to.emit(token, "RoleGranted")
+        .withArgs(MINTER_ROLE, auction1.address, owner.address);
+      await expect(token.removeAllowedAuction(auction1.address))
+        .to.emit(token, "RoleRevoked")
+        .withArgs(MINTER_ROLE, auction1.address, owner.address);
+
+      expect(await token.allowedAuctions(auction1.address)).to.equal(false);
+      await token.connect(auction1).rewardBid(bidder.address, 1n, 1n, false);
+      expect(await token.balanceOf(bidder.address)).to.equal(0n);
+    });
+
+    it("Should keep minter management with registrars", async function () {
+      const REGISTRAR_ROLE = await token.REGISTRAR_ROLE();
+      await token.addAllowedAuction(auction1.address);
+
+      await expect(token.connect(bidder).removeAllowedAuction(auction1.address))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(bidder.address, REGISTRAR_ROLE);
+      await expect(token.connect(bidder).grantRole(await token.MINTER_ROLE(), bidder.address))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+      await expect(token.connect(bidder).grantRole(REGISTRAR_ROLE, bidder.address))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should migrate to a new registrar without touching balances", async function () {
+      const REGISTRAR_ROLE = await token.REGISTRAR_ROLE();
+      const [oldFactory, newFactory] = [auction2, bidder];
+      await token.grantRole(REGISTRAR_ROLE, oldFactory.address);
+      await token.connect(oldFactory).addAllowedAuction(auction1.address);
+      await token.connect(auction1).rewardBid(owner.address, 1n, 1n, false);
+
+      await token.grantRole(REGISTRAR_ROLE, newFactory.address);
+      await expect(token.revokeRole(REGISTRAR_ROLE, oldFactory.address))
+        .to.emit(token, "RoleRevoked")
+        .withArgs(REGISTRAR_ROLE, oldFactory.address, owner.address);
+
+      await expect(token.connect(oldFactory).addAllowedAuction(auction2.address))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+      await token.connect(newFactory).addAllowedAuction(auction2.address);
+
+      // Auctions registered by the old factory keep minting until revoked
+      await token.connect(auction1).rewardBid(owner.address, 1n, 1n, false);
+      await token.connect(auction2).rewardBid(owner.address, 1n, 1n, false);
+      expect(await token.balanceOf(owner.address)).to.equal(ethers.parseUnits("3", 18));
+    });
+  });
+
+  describe("Supply Cap", function () {
+    it("Should reject a zero cap", async function () {
+      const ParticipationToken = await ethers.getContractFactory("ParticipationToken");
+      await expect(ParticipationToken.deploy(0n)).to.be.revertedWith("Invalid cap");
+    });
+
+    it("Should stop rewards at the cap without reverting", async function () {
+      await token.addAllowedAuction(auction1.address);
+      await token.setRewardSchedule(auction1.address, {
+        basis: 0,
+        baseReward: ethers.parseUnits("600", 18),
+        rate: 0n,
+        capPerBidder: 0n,
+        extensionBonus: 0n,
+        winnerBonus: ethers.parseUnits("600", 18)
+      });
+
+      await token.connect(auction1).rewardBid(bidder.address, 1n, 1n, false);
+      await token.connect(auction1).rewardBid(owner.address, 1n, 1n, false);
+      expect(await token.balanceOf(owner.address)).to.equal(ethers.parseUnits("400", 18));
+      expect(await token.totalSupply()).to.equal(SUPPLY_CAP);
+
+      await expect(token.connect(auction1).rewardWinner(bidder.address)).to.not.be.reverted;
+      await expect(token.connect(auction1).rewardBid(bidder.address, 1n, 1n, false)).to.not.be.reverted;
+      expect(await token.totalSupply()).to.equal(SUPPLY_CAP);
+    });
+  });
+
+  describe("Reward Schedules", function () {
+    const FLAT = 0;
+    const BID_AMOUNT = 1;
+    const BID_INCREASE = 2;
+    const PP = (n) => ethers.parseUnits(n, 18);
+    const SCHEDULE = {
+      basis: FLAT,
+      baseReward: 0n,
+      rate: 0n,
+      capPerBidder: 0n,
+      extensionBonus: 0n,
+      winnerBonus: 0n
+    };
+
+    beforeEach(async function () {
+      await token.addAllowedAuction(auction1.address);
+    });
+
+    it("Should default new auctions to 1 PP per bid", async function () {
+      const schedule = await token.rewardSchedules(auction1.address);
+      expect(schedule.basis).to.equal(FLAT);
+      expect(schedule.baseReward).to.equal(PP("1"));
+
+      await token.connect(auction1).rewardBid(bidder.address, PP("500"), PP("500"), true);
+      await token.connect(auction1).rewardWinner(bidder.address);
+      expect(await token.balanceOf(bidder.address)).to.equal(PP("1"));
+    });
+
+    it("Should let the owner set a schedule for an allowed auction", async function () {
+      const schedule = { ...SCHEDULE, basis: BID_AMOUNT, rate: PP("2") };
+      await expect(token.setRewardSchedule(auction1.address, schedule))
+        .to.emit(token, "RewardScheduleUpdated");
+      expect((await token.rewardSchedules(auction1.address)).rate).to.equal(PP("2"));
+
+      await expect(token.connect(bidder).setRewardSchedule(auction1.address, schedule))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+      await expect(token.setRewardSchedule(auction2.address, schedule))
+        .to.be.revertedWith("Unknown auction");
+      await expect(token.setRewardSchedule(auction1.address, { ...schedule, basis: FLAT }))
+        .to.be.revertedWith("Invalid schedule");
+    });
+
+    it("Should scale rewards to the bid amount or the raise", async function () {
+      await token.setRewardSchedule(auction1.address, { ...SCHEDULE, basis: BID_AMOUNT, baseReward: PP("1"), rate: PP("0.5") });
+      await token.connect(auction1).rewardBid(bidder.address, PP("10"), PP("4"), false);
+      expect(await token.balanceOf(bidder.address)).to.equal(PP("6"));
+
+      await token.setRewardSchedule(auction1.address, { ...SCHEDULE, basis: BID_INCREASE, rate: PP("0.5") });
+      await token.connect(auction1).rewardBid(bidder.address, PP("10"), PP("4"), false);
+      expect(await token.balanceOf(bidder.address)).to.equal(PP("8"));
+    });
+
+    it("Should add extension and winner bonuses", async function () {
+      await token.setRewardSchedule(auction1.address, {
+        ...SCHEDULE, baseReward: PP("1"), extensionBonus: PP("3"), winnerBonus: PP("10")
+      });
+      await token.connect(auction1).rewardBid(bidder.address, 1n, 1n, true);
+      expect(await token.balanceOf(bidder.address)).to.equal(PP("4"));
+      await token.connect(auction1).rewardWinner(bidder.address);
+      expect(await token.balanceOf(bidder.address)).to.equal(PP("14"));
+    });
+
+    it("Should cap bid rewards per bidder per auction", async function () {
+      await token.addAllowedAuction(auction2.address);
+      await token.setRewardSchedule(auction1.address, { ...SCHEDULE, baseReward: PP("2"), capPerBidder: PP("5") });
+
+      for (let i = 0; i < 4; i++) {
+        await token.connect(auction1).rewardBid(bidder.address, 1n, 1n, false);
+      }
+      expect(await token.balanceOf(bidder.address)).to.equal(PP("5"));
+      expect(await token.rewardsEarned(auction1.address, bidder.address)).to.equal(PP("5"));
+
+      // The cap is per auction and per bidder
+      await token.connect(auction2).rewardBid(bidder.address, 1n, 1n, false);
+      await token.connect(auction1).rewardBid(owner.address, 1n, 1n, false);
+      expect(await token.balanceOf(bidder.address)).to.equal(PP("6"));
+      expect(await token.balanceOf(owner.address)).to.equal(PP("2"));
+    });
+  });
+
+  describe("Soulbound Mode", function () {
+    beforeEach(async function () {
+      await token.addAllowedAuction(auction1.address);
+      await token.connect(auction1).rewardBid(bidder.address, 1n, 1n, false);
+    });
+
+    it("Should only let the admin toggle soulbound mode", async function () {
+      await expect(token.setSoulbound(true))
+        .to.emit(token, "SoulboundUpdated")
+        .withArgs(true);
+      await expect(token.connect(bidder).setSoulbound(false))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should block transfers but allow burning", async function () {
+      const half = ethers.parseUnits("0.5", 18);
+      await token.connect(bidder).transfer(owner.address, half);
+
+      await token.setSoulbound(true);
+      await expect(token.connect(bidder).transfer(owner.address, half)).to.be.revertedWith("Soulbound");
+      await token.connect(bidder).approve(owner.address, half);
+      await expect(token.transferFrom(bidder.address, owner.address, half)).to.be.revertedWith("Soulbound");
+
+      await expect(token.connect(bidder).burn(half))
+        .to.emit(token, "Transfer")
+        .withArgs(bidder.address, ethers.ZeroAddress, half);
+      expect(await token.balanceOf(bidder.address)).to.equal(0n);
+
+      // Minting still works
+      await token.connect(auction1).rewardBid(bidder.address, 1n, 1n, false);
+      expect(await token.balanceOf(bidder.address)).to.equal(ethers.parseUnits("1", 18));
+    });
+  });
+
+  describe("Staking", function () {
+    const ONE = ethers.parseUnits("1", 18);
+    const TIERS = [
+      { minStake: ONE, earlyAccess: 600n, incrementDiscountBps: 2500n },
+      { minStake: ONE * 2n, earlyAccess: 3600n, incrementDiscountBps: 5000n }
+    ];
+
+    beforeEach(async function () {
+      await token.addAllowedAuction(auction1.address);
+      for (let i = 0; i < 3; i++) {
+        await token.connect(auction1).rewardBid(bidder.address, 1n, 1n, false);
+      }
+      await token.setPerkTiers(TIERS);
+    });
+
+    it("Should lock staked points until the lock ends", async function () {
+      const tx = await token.connect(bidder).stake(ONE * 2n);
+      const unlockTime = BigInt((await ethers.provider.getBlock(tx.blockNumber)).timestamp) + 7n * 24n * 3600n;
+      await expect(tx).to.emit(token, "Staked").withArgs(bidder.address, ONE * 2n, unlockTime);
+
+      await expect(token.connect(bidder).transfer(owner.address, ONE * 2n)).to.be.revertedWith("Points staked");
+      await expect(token.connect(bidder).burn(ONE * 2n)).to.be.revertedWith("Points staked");
+      await expect(token.connect(bidder).stake(ONE * 2n)).to.be.revertedWith("Insufficient balance");
+      await token.connect(bidder).transfer(owner.address, ONE);
+
+      await expect(token.connect(bidder).unstake(ONE)).to.be.revertedWith("Stake locked");
+      await time.increaseTo(unlockTime);
+      await expect(token.connect(bidder).unstake(ONE * 2n))
+        .to.emit(token, "Unstaked")
+        .withArgs(bidder.address, ONE * 2n);
+      await token.connect(bidder).burn(ONE * 2n);
+    });
+
+    it("Should return the perks of the highest tier reached", async function () {
+      expect((await token.perksOf(bidder.address)).earlyAccess).to.equal(0n);
+
+      await token.connect(bidder).stake(ONE);
+      expect((await token.perksOf(bidder.address)).earlyAccess).to.equal(600n);
+
+      await token.connect(bidder).stake(ONE * 2n);
+      const perks = await token.perksOf(bidder.address);
+      expect(perks.earlyAccess).to.equal(3600n);
+      expect(perks.incrementDiscountBps).to.equal(5000n);
+    });
+
+    it("Should validate perk tiers", async function () {
+      expect((await token.getPerkTiers()).length).to.equal(2);
+      await expect(token.setPerkTiers([TIERS[1], TIERS[0]])).to.be.revertedWith("Tiers not sorted");
+      await expect(token.setPerkTiers([{ ...TIERS[0], incrementDiscountBps: 10001n }]))
+        .to.be.revertedWith("Invalid tier");
+      await expect(token.connect(bidder).setPerkTiers([]))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+      await expect(token.setStakeLockDuration(3600n))
+        .to.emit(token, "StakeLockDurationUpdated")
+        .withArgs(3600n);
+    });
   });
-});
\ No newline at end of file
+});
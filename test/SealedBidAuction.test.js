@@ -0,0 +1,400 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { NATIVE_TOKEN } = require("../sdk");
+
+describe("SealedBidAuction Contract", function () {
+  const COMMIT_DURATION = 3600n;
+  const REVEAL_DURATION = 1800n;
+  const FIRST_PRICE = 0;
+  const SECOND_PRICE = 1;
+  const REFUND = 0;
+  const SLASH = 1;
+  const DEPOSIT = ethers.parseEther("10");
+  const NO_LOT = { kind: 0, token: ethers.ZeroAddress, tokenId: 0n, amount: 0n };
+
+  function commitmentFor(auctionAddress, bidder, amount, salt) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "address", "uint256", "bytes32"],
+      [auctionAddress, bidder, amount, salt]
+    ));
+  }
+
+  async function deployTokensFixture() {
+    const [owner, bidder1, bidder2, bidder3, beneficiary, seller] = await ethers.getSigners();
+
+    const ParticipationToken = await ethers.getContractFactory("ParticipationToken");
+    const rewardToken = await ParticipationToken.deploy(ethers.parseEther("1000000"));
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const bidToken = await MockERC20.deploy("Bid Token", "BID");
+    for (const bidder of [bidder1, bidder2, bidder3]) {
+      await bidToken.mint(bidder.address, ethers.parseEther("100"));
+    }
+
+    return { rewardToken, bidToken, owner, bidder1, bidder2, bidder3, beneficiary, seller };
+  }
+
+  async function deployAuction(ctx, config, bidTokenAddress) {
+    const SealedBidAuction = await ethers.getContractFactory("SealedBidAuction");
+    const auction = await SealedBidAuction.deploy(
+      bidTokenAddress || await ctx.bidToken.getAddress(),
+      COMMIT_DURATION,
+      REVEAL_DURATION,
+      await ctx.rewardToken.getAddress(),
+      ctx.beneficiary.address,
+      ctx.seller.address,
+      { reservePrice: 0n, pricing: FIRST_PRICE, unrevealedPolicy: REFUND, lot: NO_LOT, ...config }
+    );
+    const auctionAddress = await auction.getAddress();
+    await ctx.rewardToken.addAllowedAuction(auctionAddress);
+    for (const bidder of [ctx.bidder1, ctx.bidder2, ctx.bidder3]) {
+      await ctx.bidToken.connect(bidder).approve(auctionAddress, ethers.parseEther("100"));
+    }
+    return auction;
+  }
+
+  async function commitBid(auction, bidder, amount, deposit = DEPOSIT) {
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    const commitment = commitmentFor(await auction.getAddress(), bidder.address, amount, salt);
+    await auction.connect(bidder).commit(commitment, deposit);
+    return { amount, salt };
+  }
+
+  async function toRevealPhase(auction) {
+    await time.increaseTo(await auction.commitEndTime());
+  }
+
+  async function toEnd(auction) {
+    await time.increaseTo(await auction.revealEndTime());
+  }
+
+  beforeEach(async function () {
+    Object.assign(this, await loadFixture(deployTokensFixture));
+  });
+
+  describe("Commit Phase", function () {
+    it("Should lock deposits for commitments", async function () {
+      const auction = await deployAuction(this, {});
+      const commitment = commitmentFor(await auction.getAddress(), this.bidder1.address, 1n, ethers.ZeroHash);
+
+      expect(await auction.computeCommitment(this.bidder1.address, 1n, ethers.ZeroHash)).to.equal(commitment);
+      await expect(auction.connect(this.bidder1).commit(commitment, DEPOSIT))
+        .to.emit(auction, "BidCommitted")
+        .withArgs(this.bidder1.address, DEPOSIT);
+
+      expect(await this.bidToken.balanceOf(await auction.getAddress())).to.equal(DEPOSIT);
+      expect(await auction.totalDeposits()).to.equal(DEPOSIT);
+    });
+
+    it("Should reject invalid commitments", async function () {
+      const auction = await deployAuction(this, {});
+      const commitment = ethers.id("bid");
+
+      await expect(auction.connect(this.bidder1).commit(ethers.ZeroHash, DEPOSIT))
+        .to.be.revertedWith("Invalid commitment");
+      await expect(auction.connect(this.bidder1).commit(commitment, 0n))
+        .to.be.revertedWith("Deposit required");
+
+      await auction.connect(this.bidder1).commit(commitment, DEPOSIT);
+      await expect(auction.connect(this.bidder1).commit(commitment, DEPOSIT))
+        .to.be.revertedWith("Already committed");
+
+      await toRevealPhase(auction);
+      await expect(auction.connect(this.bidder2).commit(commitment, DEPOSIT))
+        .to.be.revertedWith("Commit phase over");
+    });
+  });
+
+  describe("Reveal Phase", function () {
+    it("Should enforce reveal timing", async function () {
+      const auction = await deployAuction(this, {});
+      const bid = await commitBid(auction, this.bidder1, ethers.parseEther("1"));
+
+      await expect(auction.connect(this.bidder1).reveal(bid.amount, bid.salt))
+        .to.be.revertedWith("Reveal not started");
+
+      await toEnd(auction);
+      await expect(auction.connect(this.bidder1).reveal(bid.amount, bid.salt))
+        .to.be.revertedWith("Reveal phase over");
+    });
+
+    it("Should reject reveals that do not match the commitment", async function () {
+      const auction = await deployAuction(this, {});
+      const bid = await commitBid(auction, this.bidder1, ethers.parseEther("1"));
+      await toRevealPhase(auction);
+
+      await expect(auction.connect(this.bidder1).reveal(ethers.parseEther("2"), bid.salt))
+        .to.be.revertedWith("Invalid reveal");
+      await expect(auction.connect(this.bidder2).reveal(bid.amount, bid.salt))
+        .to.be.revertedWith("No commitment");
+
+      await auction.connect(this.bidder1).reveal(bid.amount, bid.salt);
+      await expect(auction.connect(this.bidder1).reveal(bid.amount, bid.salt))
+        .to.be.revertedWith("Already revealed");
+    });
+
+    it("Should reject bids larger than the deposit", async function () {
+      const auction = await deployAuction(this, {});
+      const bid = await commitBid(auction, this.bidder1, ethers.parseEther("11"));
+      await toRevealPhase(auction);
+
+      await expect(auction.connect(this.bidder1).reveal(bid.amount, bid.salt))
+        .to.be.revertedWith("Deposit too low");
+    });
+
+    it("Should mint participation points on reveal", async function () {
+      const auction = await deployAuction(this, {});
+      const bid = await commitBid(auction, this.bidder1, ethers.parseEther("1"));
+      expect(await this.rewardToken.balanceOf(this.bidder1.address)).to.equal(0n);
+
+      await toRevealPhase(auction);
+      await expect(auction.connect(this.bidder1).reveal(bid.amount, bid.salt))
+        .to.emit(auction, "BidRevealed")
+        .withArgs(this.bidder1.address, bid.amount);
+      expect(await this.rewardToken.balanceOf(this.bidder1.address)).to.equal(ethers.parseEther("1"));
+    });
+  });
+
+  describe("Settlement", function () {
+    async function runAuction(ctx, config) {
+      const auction = await deployAuction(ctx, config);
+      const bid1 = await commitBid(auction, ctx.bidder1, ethers.parseEther("3"));
+      const bid2 = await commitBid(auction, ctx.bidder2, ethers.parseEther("5"));
+      const bid3 = await commitBid(auction, ctx.bidder3, ethers.parseEther("4"));
+
+      await toRevealPhase(auction);
+      await auction.connect(ctx.bidder1).reveal(bid1.amount, bid1.salt);
+      await auction.connect(ctx.bidder2).reveal(bid2.amount, bid2.salt);
+      await auction.connect(ctx.bidder3).reveal(bid3.amount, bid3.salt);
+      await toEnd(auction);
+      return auction;
+    }
+
+    it("Should charge the winner their own bid under first-price rules", async function () {
+      const auction = await runAuction(this, { pricing: FIRST_PRICE });
+      expect(await auction.highestBidder()).to.equal(this.bidder2.address);
+      expect(await auction.clearingPrice()).to.equal(ethers.parseEther("5"));
+
+      await expect(auction.settle())
+        .to.emit(auction, "AuctionSettled")
+        .withArgs(this.bidder2.address, ethers.parseEther("5"));
+      expect(await this.bidToken.balanceOf(this.beneficiary.address)).to.equal(ethers.parseEther("5"));
+
+      await auction.connect(this.bidder2).withdrawDeposit();
+      expect(await this.bidToken.balanceOf(this.bidder2.address)).to.equal(ethers.parseEther("95"));
+    });
+
+    it("Should charge the second-highest bid under Vickrey rules", async function () {
+      const auction = await runAuction(this, { pricing: SECOND_PRICE });
+      expect(await auction.clearingPrice()).to.equal(ethers.parseEther("4"));
+
+      await auction.settle();
+      await auction.connect(this.bidder2).withdrawDeposit();
+      expect(await this.bidToken.balanceOf(this.beneficiary.address)).to.equal(ethers.parseEther("4"));
+      expect(await this.bidToken.balanceOf(this.bidder2.address)).to.equal(ethers.parseEther("96"));
+    });
+
+    it("Should return losing deposits in full", async function () {
+      const auction = await runAuction(this, { pricing: SECOND_PRICE });
+
+      for (const loser of [this.bidder1, this.bidder3]) {
+        await expect(auction.connect(loser).withdrawDeposit())
+          .to.emit(auction, "DepositWithdrawn")
+          .withArgs(loser.address, DEPOSIT);
+        expect(await this.bidToken.balanceOf(loser.address)).to.equal(ethers.parseEther("100"));
+        await expect(auction.connect(loser).withdrawDeposit())
+          .to.be.revertedWith("Nothing to withdraw");
+      }
+
+      await auction.settle();
+      await auction.connect(this.bidder2).withdrawDeposit();
+      expect(await this.bidToken.balanceOf(await auction.getAddress())).to.equal(0n);
+    });
+
+    it("Should use the reserve as the Vickrey price floor", async function () {
+      const auction = await deployAuction(this, {
+        pricing: SECOND_PRICE,
+        reservePrice: ethers.parseEther("2")
+      });
+      const low = await commitBid(auction, this.bidder1, ethers.parseEther("1"));
+      const high = await commitBid(auction, this.bidder2, ethers.parseEther("6"));
+
+      await toRevealPhase(auction);
+      await auction.connect(this.bidder1).reveal(low.amount, low.salt);
+      await auction.connect(this.bidder2).reveal(high.amount, high.salt);
+      await toEnd(auction);
+
+      // The bid below the reserve neither wins nor sets the second price
+      expect(await auction.secondHighestBid()).to.equal(0n);
+      expect(await auction.clearingPrice()).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should settle with no winner when every bid is below the reserve", async function () {
+      const auction = await deployAuction(this, { reservePrice: ethers.parseEther("50") });
+      const bid = await commitBid(auction, this.bidder1, ethers.parseEther("1"));
+      await toRevealPhase(auction);
+      await auction.connect(this.bidder1).reveal(bid.amount, bid.salt);
+      await toEnd(auction);
+
+      await expect(auction.settle())
+        .to.emit(auction, "AuctionSettled")
+        .withArgs(ethers.ZeroAddress, 0n);
+      await auction.connect(this.bidder1).withdrawDeposit();
+      expect(await this.bidToken.balanceOf(this.bidder1.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should refund unrevealed deposits under the refund policy", async function () {
+      const auction = await deployAuction(this, { unrevealedPolicy: REFUND });
+      await commitBid(auction, this.bidder1, ethers.parseEther("1"));
+      await toEnd(auction);
+
+      await auction.settle();
+      expect(await this.bidToken.balanceOf(this.beneficiary.address)).to.equal(0n);
+      await auction.connect(this.bidder1).withdrawDeposit();
+      expect(await this.bidToken.balanceOf(this.bidder1.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should slash unrevealed deposits to the beneficiary under the slash policy", async function () {
+      const auction = await deployAuction(this, { unrevealedPolicy: SLASH });
+      await commitBid(auction, this.bidder1, ethers.parseEther("1"));
+      const bid = await commitBid(auction, this.bidder2, ethers.parseEther("2"));
+      await toRevealPhase(auction);
+      await auction.connect(this.bidder2).reveal(bid.amount, bid.salt);
+      await toEnd(auction);
+
+      expect(await auction.refundableDeposit(this.bidder1.address)).to.equal(0n);
+      await expect(auction.connect(this.bidder1).withdrawDeposit())
+        .to.be.revertedWith("Nothing to withdraw");
+
+      await auction.settle();
+      expect(await this.bidToken.balanceOf(this.beneficiary.address))
+        .to.equal(DEPOSIT + ethers.parseEther("2"));
+    });
+
+    it("Should only settle once, after the reveal phase", async function () {
+      const auction = await deployAuction(this, {});
+      await expect(auction.settle()).to.be.revertedWith("Auction ongoing");
+      await expect(auction.connect(this.bidder1).withdrawDeposit())
+        .to.be.revertedWith("Auction ongoing");
+
+      await toEnd(auction);
+      await auction.settle();
+      await expect(auction.settle()).to.be.revertedWith("Already settled");
+    });
+  });
+
+  describe("Lots", function () {
+    const LOT_ERC721 = 1;
+
+    // Deploys an auction and escrows an ERC721 lot in it, as the factory does
+    async function deployWithLot(ctx, config, bidTokenAddress) {
+      const MockERC721 = await ethers.getContractFactory("MockERC721");
+      const nft = await MockERC721.deploy("Lot NFT", "LOT");
+      const lot = { kind: LOT_ERC721, token: await nft.getAddress(), tokenId: 1n, amount: 1n };
+      const auction = await deployAuction(ctx, { ...config, lot }, bidTokenAddress);
+      await nft.mint(await auction.getAddress(), 1n);
+      return { auction, nft };
+    }
+
+    it("Should deliver the lot to the winner on settlement", async function () {
+      const { auction, nft } = await deployWithLot(this, { pricing: SECOND_PRICE });
+      const low = await commitBid(auction, this.bidder1, ethers.parseEther("2"));
+      const high = await commitBid(auction, this.bidder2, ethers.parseEther("6"));
+      await toRevealPhase(auction);
+      await auction.connect(this.bidder1).reveal(low.amount, low.salt);
+      await auction.connect(this.bidder2).reveal(high.amount, high.salt);
+      await toEnd(auction);
+
+      await expect(auction.settle())
+        .to.emit(auction, "LotTransferred")
+        .withArgs(this.bidder2.address, await nft.getAddress(), 1n, 1n);
+      expect(await nft.ownerOf(1n)).to.equal(this.bidder2.address);
+    });
+
+    it("Should return the lot to the seller when nothing is sold", async function () {
+      const { auction, nft } = await deployWithLot(this, { reservePrice: ethers.parseEther("50") });
+      const bid = await commitBid(auction, this.bidder1, ethers.parseEther("1"));
+      await toRevealPhase(auction);
+      await auction.connect(this.bidder1).reveal(bid.amount, bid.salt);
+      await toEnd(auction);
+
+      await expect(auction.settle())
+        .to.emit(auction, "LotTransferred")
+        .withArgs(this.seller.address, await nft.getAddress(), 1n, 1n);
+      expect(await nft.ownerOf(1n)).to.equal(this.seller.address);
+    });
+
+    it("Should settle and deliver the lot even if the beneficiary cannot be paid", async function () {
+      const BlacklistToken = await ethers.getContractFactory("BlacklistToken");
+      const frozenToken = await BlacklistToken.deploy();
+      const { auction, nft } = await deployWithLot(this, {}, await frozenToken.getAddress());
+      await frozenToken.mint(this.bidder1.address, DEPOSIT);
+      await frozenToken.connect(this.bidder1).approve(await auction.getAddress(), DEPOSIT);
+      const bid = await commitBid(auction, this.bidder1, ethers.parseEther("3"));
+      await toRevealPhase(auction);
+      await auction.connect(this.bidder1).reveal(bid.amount, bid.salt);
+      await toEnd(auction);
+      await frozenToken.setBlacklisted(this.beneficiary.address, true);
+
+      await expect(auction.settle())
+        .to.emit(auction, "ProceedsCredited")
+        .withArgs(this.beneficiary.address, ethers.parseEther("3"));
+      expect(await nft.ownerOf(1n)).to.equal(this.bidder1.address);
+      await auction.connect(this.bidder1).withdrawDeposit();
+      expect(await frozenToken.balanceOf(this.bidder1.address)).to.equal(ethers.parseEther("7"));
+
+      await expect(auction.connect(this.bidder1).withdrawProceeds(this.bidder1.address))
+        .to.be.revertedWith("Not beneficiary");
+      await expect(auction.connect(this.beneficiary).withdrawProceeds(this.seller.address))
+        .to.emit(auction, "ProceedsWithdrawn")
+        .withArgs(this.seller.address, ethers.parseEther("3"));
+      expect(await frozenToken.balanceOf(this.seller.address)).to.equal(ethers.parseEther("3"));
+      await expect(auction.connect(this.beneficiary).withdrawProceeds(this.seller.address))
+        .to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("Should reject a lot without a token", async function () {
+      await expect(deployAuction(this, { lot: { ...NO_LOT, kind: LOT_ERC721, amount: 1n } }))
+        .to.be.revertedWith("Invalid lot");
+    });
+  });
+
+  describe("Native ETH Deposits", function () {
+
+    it("Should run a sealed-bid auction in ETH", async function () {
+      const auction = await deployAuction(this, { pricing: SECOND_PRICE }, NATIVE_TOKEN);
+      const auctionAddress = await auction.getAddress();
+      const salt1 = ethers.id("one");
+      const salt2 = ethers.id("two");
+
+      await expect(auction.connect(this.bidder1).commit(
+        commitmentFor(auctionAddress, this.bidder1.address, ethers.parseEther("1"), salt1),
+        ethers.parseEther("2")
+      )).to.be.revertedWith("Incorrect value");
+
+      await auction.connect(this.bidder1).commit(
+        commitmentFor(auctionAddress, this.bidder1.address, ethers.parseEther("1"), salt1),
+        ethers.parseEther("2"),
+        { value: ethers.parseEther("2") }
+      );
+      await auction.connect(this.bidder2).commit(
+        commitmentFor(auctionAddress, this.bidder2.address, ethers.parseEther("1.5"), salt2),
+        ethers.parseEther("2"),
+        { value: ethers.parseEther("2") }
+      );
+
+      await toRevealPhase(auction);
+      await auction.connect(this.bidder1).reveal(ethers.parseEther("1"), salt1);
+      await auction.connect(this.bidder2).reveal(ethers.parseEther("1.5"), salt2);
+      await toEnd(auction);
+
+      await expect(auction.settle())
+        .to.changeEtherBalance(this.beneficiary, ethers.parseEther("1"));
+      await expect(auction.connect(this.bidder2).withdrawDeposit())
+        .to.changeEtherBalance(this.bidder2, ethers.parseEther("1"));
+      await expect(auction.connect(this.bidder1).withdrawDeposit())
+        .to.changeEtherBalance(this.bidder1, ethers.parseEther("2"));
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseAddressCsv, allowlistLeaf, buildAllowlist, loadAllowlist } = require("../scripts/allowlist");
+
+describe("Allowlist helper", function () {
+  const ADDRESSES = [
+    "0x1111111111111111111111111111111111111111",
+    "0x2222222222222222222222222222222222222222",
+    "0x3333333333333333333333333333333333333333",
+    "0x4444444444444444444444444444444444444444",
+    "0x5555555555555555555555555555555555555555"
+  ];
+
+  // Recomputes the root the way OpenZeppelin's MerkleProof does
+  function processProof(leaf, proof) {
+    return proof.reduce((hash, sibling) =>
+      BigInt(hash) < BigInt(sibling)
+        ? ethers.keccak256(ethers.concat([hash, sibling]))
+        : ethers.keccak256(ethers.concat([sibling, hash])),
+    leaf);
+  }
+
+  describe("CSV parsing", function () {
+    it("Should read the first column, skipping headers, comments and duplicates", function () {
+      const csv = [
+        "address,name",
+        "# invited bidders",
+        `${ADDRESSES[0]},alice`,
+        "",
+        `"${ADDRESSES[1]}",bob`,
+        `${ADDRESSES[0].toUpperCase().replace("0X", "0x")},alice again`
+      ].join("\r\n");
+
+      expect(parseAddressCsv(csv)).to.deep.equal([ADDRESSES[0], ADDRESSES[1]]);
+    });
+
+    it("Should reject invalid addresses", function () {
+      expect(() => parseAddressCsv(`${ADDRESSES[0]}\nnot-an-address\n`))
+        .to.throw("Invalid address on line 2");
+    });
+  });
+
+  describe("Tree", function () {
+    it("Should produce proofs that verify against the root", function () {
+      const { root, proofs } = buildAllowlist(ADDRESSES);
+      for (const address of ADDRESSES) {
+        expect(processProof(allowlistLeaf(address), proofs[address])).to.equal(root);
+      }
+      expect(processProof(allowlistLeaf(ethers.ZeroAddress), proofs[ADDRESSES[0]])).to.not.equal(root);
+    });
+
+    it("Should use the leaf as the root of a single-address list", function () {
+      const { root, getProof } = buildAllowlist([ADDRESSES[0]]);
+      expect(root).to.equal(allowlistLeaf(ADDRESSES[0]));
+      expect(getProof(ADDRESSES[0])).to.deep.equal([]);
+    });
+
+    it("Should not depend on the order of the addresses", function () {
+      expect(buildAllowlist([...ADDRESSES].reverse()).root).to.equal(buildAllowlist(ADDRESSES).root);
+    });
+
+    it("Should refuse empty lists and unknown addresses", function () {
+      expect(() => buildAllowlist([])).to.throw("Allowlist is empty");
+      expect(() => buildAllowlist(ADDRESSES).getProof(ethers.ZeroAddress)).to.throw("is not on the allowlist");
+    });
+
+    it("Should build the tree from a CSV file", function () {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "allowlist-")), "bidders.csv");
+      fs.writeFileSync(file, ["address", ...ADDRESSES].join("\n"));
+      expect(loadAllowlist(file).root).to.equal(buildAllowlist(ADDRESSES).root);
+    });
+  });
+});
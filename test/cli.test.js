@@ -0,0 +1,167 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFixture } = require("./fixtures");
+
+const { ethers } = hre;
+
+describe("Auction CLI Tasks", function () {
+  let deploymentsFile, bidToken, bidTokenAddress;
+  let owner, bidder1, bidder2, beneficiary;
+
+  function run(name, args = {}) {
+    return hre.run(name, { deployments: deploymentsFile, ...args });
+  }
+
+  async function create(args = {}) {
+    return run("auction:create", {
+      token: bidTokenAddress,
+      duration: 3600,
+      beneficiary: beneficiary.address,
+      ...args
+    });
+  }
+
+  beforeEach(async function () {
+    ({ deploymentsFile, bidToken, bidTokenAddress, owner, bidder1, bidder2, beneficiary } =
+      await loadFixture(deployFixture));
+  });
+
+  describe("auction:create and auction:status", function () {
+    it("Should create an auction and report its state", async function () {
+      const created = await create({ reserve: "5", minIncrement: "0.5", json: true });
+      expect(created.type).to.equal("English");
+      expect(created.status).to.equal("Active");
+      expect(created.creator).to.equal(owner.address);
+      expect(created.bidToken).to.equal("BID");
+
+      const status = await run("auction:status", { auction: created.auction });
+      expect(status.reservePrice).to.equal("5.0 BID");
+      expect(status.minNextBid).to.equal("0.5 BID");
+      expect(status.reserveMet).to.equal(false);
+      expect(status.bids).to.equal(0n);
+    });
+
+    it("Should report scheduled auctions", async function () {
+      const startTime = (await time.latest()) + 7200;
+      const { auction } = await create({ startTime });
+      const status = await run("auction:status", { auction });
+      expect(status.status).to.equal("Scheduled");
+      expect(status.startTime).to.equal(new Date(startTime * 1000).toISOString());
+    });
+  });
+
+  describe("auction:bid", function () {
+    it("Should approve the bid token before bidding", async function () {
+      const { auction } = await create();
+
+      const first = await run("auction:bid", { auction, amount: "1.5", from: bidder1.address });
+      expect(first.highestBid).to.equal("1.5 BID");
+      expect(first.highestBidder).to.equal(bidder1.address);
+      expect(await bidToken.allowance(bidder1.address, auction)).to.equal(0n);
+
+      // An allowance that already covers the bid is used as is
+      await bidToken.connect(bidder2).approve(auction, ethers.parseEther("10"));
+      await run("auction:bid", { auction, amount: "2", from: bidder2.address });
+      expect(await bidToken.allowance(bidder2.address, auction)).to.equal(ethers.parseEther("8"));
+      expect((await run("auction:status", { auction })).bids).to.equal(2n);
+    });
+
+    it("Should bid in ETH", async function () {
+      const { auction } = await create({ token: "native" });
+      await run("auction:bid", { auction, amount: "1", from: bidder1.address });
+      expect(await ethers.provider.getBalance(auction)).to.equal(ethers.parseEther("1"));
+      expect((await run("auction:status", { auction })).highestBid).to.equal("1.0 ETH");
+    });
+
+    it("Should prove allowlist membership for private auctions", async function () {
+      const allowlist = path.join(path.dirname(deploymentsFile), "allowlist.csv");
+      fs.writeFileSync(allowlist, ["address", bidder1.address, beneficiary.address].join("\n"));
+      const { auction } = await create({ allowlist });
+
+      await run("auction:bid", { auction, amount: "1", from: bidder1.address, allowlist });
+      await expect(run("auction:bid", { auction, amount: "2", from: bidder2.address }))
+        .to.be.rejectedWith("Not allowlisted");
+    });
+  });
+
+  describe("auction:settle", function () {
+    it("Should settle an ended auction", async function () {
+      const { auction } = await create();
+      await run("auction:bid", { auction, amount: "3", from: bidder1.address });
+      await time.increase(3601);
+
+      const settled = await run("auction:settle", { auction });
+      expect(settled.status).to.equal("Settled");
+      expect(settled.transactions).to.have.lengthOf(1);
+      expect(await bidToken.balanceOf(beneficiary.address)).to.equal(ethers.parseEther("3"));
+    });
+
+    it("Should report auctions that are still running", async function () {
+      const { auction } = await create();
+      await run("auction:bid", { auction, amount: "3", from: bidder1.address });
+      await expect(run("auction:settle", { auction })).to.be.rejectedWith("Auction ongoing");
+    });
+  });
+
+  describe("auction:list", function () {
+    it("Should page through all auctions", async function () {
+      const created = [];
+      for (let i = 0; i < 5; i++) created.push((await create()).auction);
+
+      const all = await run("auction:list", { pageSize: 2 });
+      expect(all.map((row) => row.auction)).to.deep.equal(created);
+
+      const some = await run("auction:list", { start: 1, limit: 3, pageSize: 2 });
+      expect(some.map((row) => row.auction)).to.deep.equal(created.slice(1, 4));
+    });
+
+    it("Should filter by status", async function () {
+      const { auction } = await create();
+      await create();
+      await run("auction:bid", { auction, amount: "1", from: bidder1.address });
+      await time.increase(3601);
+      await run("auction:settle", { auction });
+
+      const settled = await run("auction:list", { status: "Settled", json: true });
+      expect(settled.map((row) => row.auction)).to.deep.equal([auction]);
+      await expect(run("auction:list", { status: "Done" })).to.be.rejectedWith("Unknown status Done");
+    });
+
+    it("Should list nothing before any auction is created", async function () {
+      expect(await run("auction:list")).to.deep.equal([]);
+    });
+  });
+
+  describe("Error decoding", function () {
+    it("Should explain factory custom errors", async function () {
+      await expect(create({ duration: 60 }))
+        .to.be.rejectedWith("Duration is outside the factory's duration limits (InvalidDuration)");
+      await create();
+      await expect(run("auction:list", { pageSize: 101 }))
+        .to.be.rejectedWith("Page size is larger than the factory's MAX_BATCH_SIZE of 100 (BatchTooLarge)");
+      await expect(run("auction:list", { start: 5 }))
+        .to.be.rejectedWith("Start index is past the last auction (StartIndexOutOfBounds)");
+      await expect(run("auction:status", { auction: bidder1.address }))
+        .to.be.rejectedWith("Address is not an auction created by this factory (UnknownAuction)");
+      await expect(create({ token: bidder2.address }))
+        .to.be.rejectedWith(`${bidder2.address} is not a supported bid token`);
+      await run("admin:pause");
+      await expect(create()).to.be.rejectedWith("Auction creation is paused (AuctionCreationPaused)");
+    });
+
+    it("Should explain auction errors", async function () {
+      const startTime = (await time.latest()) + 7200;
+      const scheduled = await create({ startTime });
+      await expect(run("auction:bid", { auction: scheduled.auction, amount: "1", from: bidder1.address }))
+        .to.be.rejectedWith(`Auction has not started yet; bidding opens at ${new Date(startTime * 1000).toISOString()}`);
+
+      const { auction } = await create({ minIncrement: "1" });
+      await run("auction:bid", { auction, amount: "1", from: bidder1.address });
+      await expect(run("auction:bid", { auction, amount: "1.5", from: bidder2.address }))
+        .to.be.rejectedWith("Bid too low");
+    });
+  });
+});
@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { NATIVE_TOKEN } = require("../sdk");
+
+const { ethers } = hre;
+
+describe("Deploy & Admin Tasks", function () {
+  let baseConfig, dir, configFile, deploymentsFile;
+
+  function writeConfig(config) {
+    fs.writeFileSync(configFile, JSON.stringify(config));
+  }
+
+  async function deploy() {
+    return hre.run("deploy", { deployConfig: configFile, deployments: deploymentsFile });
+  }
+
+  function readRecorded() {
+    return JSON.parse(fs.readFileSync(deploymentsFile, "utf8"));
+  }
+
+  async function recordedFactory() {
+    return ethers.getContractAt("AuctionFactory", readRecorded().contracts.AuctionFactory.address);
+  }
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "chrono-deploy-"));
+    configFile = path.join(dir, "config.json");
+    deploymentsFile = path.join(dir, "deployments", "hardhat.json");
+    const [, feeRecipient] = await ethers.getSigners();
+    baseConfig = {
+      supplyCap: "1000000",
+      bidTokens: ["native"],
+      durationLimits: { min: 1800, max: 604800 },
+      protocolFee: { bps: 250, recipient: feeRecipient.address },
+      admin: null
+    };
+    writeConfig(baseConfig);
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("deploy", function () {
+    it("Should deploy, wire up and record every contract", async function () {
+      const [deployer, feeRecipient] = await ethers.getSigners();
+      const deployments = await deploy();
+
+      const recorded = readRecorded();
+      expect(recorded).to.deep.equal(deployments);
+      expect(recorded.network).to.equal("hardhat");
+      expect(recorded.chainId).to.equal(31337);
+      expect(Object.keys(recorded.contracts)).to.have.members([
+        "ParticipationToken",
+        "ChronoAuction",
+        "SealedBidAuctionDeployer",
+        "DutchAuctionDeployer",
+        "MultiUnitAuctionDeployer",
+        "AuctionFactory"
+      ]);
+
+      const token = await ethers.getContractAt("ParticipationToken", recorded.contracts.ParticipationToken.address);
+      const factory = await recordedFactory();
+      expect(await token.supplyCap()).to.equal(ethers.parseEther("1000000"));
+      expect(await factory.rewardToken()).to.equal(await token.getAddress());
+      expect(await factory.auctionImplementation()).to.equal(recorded.contracts.ChronoAuction.address);
+      expect(await token.hasRole(await token.REGISTRAR_ROLE(), await factory.getAddress())).to.equal(true);
+      expect(await factory.supportedBidTokens(NATIVE_TOKEN)).to.equal(true);
+      expect(await factory.minAuctionDuration()).to.equal(1800n);
+      expect(await factory.maxAuctionDuration()).to.equal(604800n);
+      expect(await factory.protocolFeeBps()).to.equal(250n);
+      expect(await factory.feeRecipient()).to.equal(feeRecipient.address);
+      expect(await factory.owner()).to.equal(deployer.address);
+
+      // The deployment is usable straight away
+      await expect(factory.createDutchAuction(
+        NATIVE_TOKEN,
+        3600n,
+        deployer.address,
+        {
+          startPrice: 10n,
+          floorPrice: 1n,
+          decay: 0,
+          stepDuration: 0n,
+          lot: { kind: 0, token: ethers.ZeroAddress, tokenId: 0n, amount: 0n }
+        }
+      )).to.emit(factory, "DutchAuctionCreated");
+    });
+
+    it("Should send no transactions when rerun unchanged", async function () {
+      const first = await deploy();
+      const blockNumber = await ethers.provider.getBlockNumber();
+
+      const second = await deploy();
+      expect(second.contracts).to.deep.equal(first.contracts);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    });
+
+    it("Should only apply what changed in the config", async function () {
+      const first = await deploy();
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const bidToken = await MockERC20.deploy("Bid Token", "BID");
+
+      writeConfig({
+        ...baseConfig,
+        bidTokens: ["native", await bidToken.getAddress()],
+        durationLimits: { min: 3600, max: 86400 }
+      });
+      const second = await deploy();
+
+      expect(second.contracts).to.deep.equal(first.contracts);
+      const factory = await recordedFactory();
+      expect(await factory.supportedBidTokens(await bidToken.getAddress())).to.equal(true);
+      expect(await factory.maxAuctionDuration()).to.equal(86400n);
+      expect(await factory.protocolFeeBps()).to.equal(250n);
+    });
+
+    it("Should redeploy contracts whose arguments changed, and their dependents", async function () {
+      const first = await deploy();
+      writeConfig({ ...baseConfig, supplyCap: "500" });
+      const second = await deploy();
+
+      expect(second.contracts.ParticipationToken.address).to.not.equal(first.contracts.ParticipationToken.address);
+      expect(second.contracts.AuctionFactory.address).to.not.equal(first.contracts.AuctionFactory.address);
+      expect(second.contracts.ChronoAuction).to.deep.equal(first.contracts.ChronoAuction);
+      expect(second.contracts.DutchAuctionDeployer).to.deep.equal(first.contracts.DutchAuctionDeployer);
+    });
+
+    it("Should redeploy recorded contracts that are no longer on chain", async function () {
+      const [, , stranger] = await ethers.getSigners();
+      await deploy();
+      const recorded = readRecorded();
+      recorded.contracts.ChronoAuction.address = stranger.address;
+      fs.writeFileSync(deploymentsFile, JSON.stringify(recorded));
+
+      const redeployed = await deploy();
+      expect(redeployed.contracts.ChronoAuction.address).to.not.equal(stranger.address);
+      expect(await ethers.provider.getCode(redeployed.contracts.ChronoAuction.address)).to.not.equal("0x");
+    });
+
+    it("Should hand the factory and token over to the admin", async function () {
+      const [deployer, , admin] = await ethers.getSigners();
+      writeConfig({ ...baseConfig, admin: admin.address });
+      const deployments = await deploy();
+
+      const token = await ethers.getContractAt("ParticipationToken", deployments.contracts.ParticipationToken.address);
+      const factory = await recordedFactory();
+      const DEFAULT_ADMIN_ROLE = await token.DEFAULT_ADMIN_ROLE();
+      expect(await factory.owner()).to.equal(admin.address);
+      expect(await token.hasRole(DEFAULT_ADMIN_ROLE, admin.address)).to.equal(true);
+      expect(await token.hasRole(DEFAULT_ADMIN_ROLE, deployer.address)).to.equal(false);
+      expect(await token.hasRole(await token.REGISTRAR_ROLE(), deployer.address)).to.equal(false);
+
+      // Nothing left to do on a rerun
+      const blockNumber = await ethers.provider.getBlockNumber();
+      await deploy();
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+
+      // Changes that need the owner are refused rather than half-applied
+      writeConfig({ ...baseConfig, admin: admin.address, durationLimits: { min: 60, max: 120 } });
+      await expect(deploy()).to.be.rejectedWith("AuctionFactory is owned by");
+    });
+
+    it("Should reject invalid configs", async function () {
+      writeConfig({ ...baseConfig, bidTokens: ["0x1234"] });
+      await expect(deploy()).to.be.rejectedWith("invalid bid token");
+
+      await expect(hre.run("deploy", { deployConfig: path.join(dir, "missing.json"), deployments: deploymentsFile }))
+        .to.be.rejectedWith("No deploy config for network hardhat");
+    });
+  });
+
+  describe("admin tasks", function () {
+    beforeEach(async function () {
+      await deploy();
+    });
+
+    function run(name, args = {}) {
+      return hre.run(name, { deployments: deploymentsFile, ...args });
+    }
+
+    it("Should pause and unpause auction creation", async function () {
+      const factory = await recordedFactory();
+      await run("admin:pause");
+      expect(await factory.paused()).to.equal(true);
+
+      const blockNumber = await ethers.provider.getBlockNumber();
+      await run("admin:pause");
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+
+      await run("admin:unpause");
+      expect(await factory.paused()).to.equal(false);
+    });
+
+    it("Should set duration limits", async function () {
+      const factory = await recordedFactory();
+      await run("admin:duration-limits", { min: 600, max: 7200 });
+      expect(await factory.minAuctionDuration()).to.equal(600n);
+      expect(await factory.maxAuctionDuration()).to.equal(7200n);
+
+      await expect(run("admin:duration-limits", { min: 7200, max: 600 }))
+        .to.be.rejectedWith("Duration is outside the factory's duration limits (InvalidDuration)");
+    });
+
+    it("Should add and remove bid tokens", async function () {
+      const factory = await recordedFactory();
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const bidToken = await (await MockERC20.deploy("Bid Token", "BID")).getAddress();
+
+      await run("admin:add-bid-token", { token: bidToken });
+      expect(await factory.supportedBidTokens(bidToken)).to.equal(true);
+      await run("admin:add-bid-token", { token: bidToken });
+
+      await run("admin:remove-bid-token", { token: "native" });
+      expect(await factory.supportedBidTokens(NATIVE_TOKEN)).to.equal(false);
+      await expect(run("admin:add-bid-token", { token: "not-a-token" }))
+        .to.be.rejectedWith("Invalid token address");
+    });
+
+    it("Should require a recorded factory", async function () {
+      await expect(hre.run("admin:pause", { deployments: path.join(dir, "none.json") }))
+        .to.be.rejectedWith("No AuctionFactory deployed on hardhat");
+    });
+  });
+});
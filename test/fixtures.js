@@ -0,0 +1,39 @@
+// Deployment shared by the task, SDK, indexer and keeper tests: the contracts as the
+// deploy task sets them up, and a supported ERC20 bid token held by two bidders.
+// Load it with loadFixture, so it is deployed once and restored from a snapshot after that.
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chrono-test-"));
+process.once("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+
+async function deployFixture() {
+  const { ethers } = hre;
+  const [owner, bidder1, bidder2, beneficiary] = await ethers.getSigners();
+  const configFile = path.join(dir, "config.json");
+  const deploymentsFile = path.join(dir, "deployments.json");
+  fs.writeFileSync(configFile, JSON.stringify({
+    supplyCap: "1000000",
+    bidTokens: ["native"],
+    durationLimits: { min: 3600, max: 86400 }
+  }));
+  // A fixture rerun starts from a chain without the recorded contracts
+  fs.rmSync(deploymentsFile, { force: true });
+  const deployments = await hre.run("deploy", { deployConfig: configFile, deployments: deploymentsFile, quiet: true });
+  const factory = await ethers.getContractAt("AuctionFactory", deployments.contracts.AuctionFactory.address);
+
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const bidToken = await MockERC20.deploy("Bid Token", "BID");
+  const bidTokenAddress = await bidToken.getAddress();
+  await bidToken.mint(bidder1.address, ethers.parseEther("100"));
+  await bidToken.mint(bidder2.address, ethers.parseEther("100"));
+  await factory.addSupportedBidToken(bidTokenAddress);
+
+  return {
+    deployments, deploymentsFile, factory, bidToken, bidTokenAddress, owner, bidder1, bidder2, beneficiary
+  };
+}
+
+module.exports = { deployFixture };
@@ -0,0 +1,335 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time, takeSnapshot, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ChronoAuctionClient } = require("../sdk");
+const { AuctionDatabase, AuctionIndexer, createServer } = require("../indexer");
+const { deployFixture } = require("./fixtures");
+
+const { ethers } = hre;
+
+describe("Auction Indexer", function () {
+  let dir, deployment, bidToken, bidTokenAddress, rewardToken;
+  let owner, bidder1, bidder2, beneficiary;
+  let client, db, indexer;
+
+  beforeEach(async function () {
+    let deployments;
+    ({ deployments, bidToken, bidTokenAddress, owner, bidder1, bidder2, beneficiary } = await loadFixture(deployFixture));
+    deployment = deployments.contracts.AuctionFactory;
+    rewardToken = await ethers.getContractAt("ParticipationToken", deployments.contracts.ParticipationToken.address);
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "chrono-indexer-"));
+    client = new ChronoAuctionClient(deployment.address, owner);
+    db = new AuctionDatabase(path.join(dir, "indexer.db"));
+    indexer = newIndexer(db);
+  });
+
+  afterEach(function () {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function newIndexer(database, options = {}) {
+    return new AuctionIndexer({
+      provider: ethers.provider,
+      db: database,
+      factory: deployment.address,
+      startBlock: deployment.blockNumber,
+      ...options
+    });
+  }
+
+  async function create(params = {}) {
+    const { auction } = await client.createAuction({
+      bidToken: bidTokenAddress,
+      duration: 3600,
+      beneficiary: beneficiary.address,
+      ...params
+    });
+    return auction;
+  }
+
+  function bid(bidder, auction, amount) {
+    return client.connect(bidder).placeBid(auction, ethers.parseEther(amount));
+  }
+
+  describe("Indexing", function () {
+    it("Should store auctions and their bid histories", async function () {
+      const auction = await create();
+      const first = await bid(bidder1, auction, "1");
+      await bid(bidder2, auction, "2");
+
+      const checkpoint = await indexer.sync();
+      expect(checkpoint.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+
+      const stored = db.getAuction(auction);
+      expect(stored.creator).to.equal(owner.address);
+      expect(stored.bidToken).to.equal(bidTokenAddress);
+      expect(stored.beneficiary).to.equal(beneficiary.address);
+      expect(stored.endTime - stored.startTime).to.equal(3600);
+      expect(stored.bidCount).to.equal(2);
+      expect(stored.bidderCount).to.equal(2);
+      expect(stored.highestBid).to.equal(ethers.parseEther("2").toString());
+      expect(stored.highestBidder).to.equal(bidder2.address);
+      expect(stored.settled).to.equal(false);
+
+      const bids = db.getBids({ auction });
+      expect(bids.map((b) => b.bidder)).to.deep.equal([bidder1.address, bidder2.address]);
+      expect(bids[0].transactionHash).to.equal(first.hash);
+      expect(bids[0].timestamp).to.equal((await ethers.provider.getBlock(first.blockNumber)).timestamp);
+    });
+
+    it("Should record extensions, settlements and PP earnings", async function () {
+      const auction = await create();
+      const schedule = { basis: 0, baseReward: ethers.parseEther("2"), rate: 0, capPerBidder: 0,
+        extensionBonus: ethers.parseEther("1"), winnerBonus: ethers.parseEther("5") };
+      await rewardToken.setRewardSchedule(auction, schedule);
+
+      await bid(bidder1, auction, "1");
+      await time.increase(3500);
+      await bid(bidder2, auction, "2");
+      const { endTime } = await client.getAuctionState(auction);
+      await time.increaseTo(endTime + 1n);
+      await client.settle(auction);
+      await indexer.sync();
+
+      const stored = db.getAuction(auction);
+      expect(stored.endTime).to.equal(Number(endTime));
+      expect(stored.extensions).to.have.lengthOf(1);
+      expect(stored.settled).to.equal(true);
+      expect(stored.winner).to.equal(bidder2.address);
+      expect(stored.settlement.amount).to.equal(ethers.parseEther("2").toString());
+      expect(stored.ppRewarded).to.equal(ethers.parseEther("10").toString());
+
+      expect(db.getUserStats(bidder1.address).ppEarned).to.equal(ethers.parseEther("2").toString());
+      const stats = db.getUserStats(bidder2.address);
+      expect(stats.ppEarned).to.equal(ethers.parseEther("8").toString());
+      expect(stats.auctionsWon).to.equal(1);
+      expect(stats.totalWon[bidTokenAddress]).to.equal(ethers.parseEther("2").toString());
+    });
+
+    it("Should credit the PP minted in a batch settlement to each auction", async function () {
+      const factory = await ethers.getContractAt("AuctionFactory", deployment.address);
+      const first = await create();
+      const second = await create();
+      const schedule = { basis: 0, baseReward: 0n, rate: 0, capPerBidder: 0, extensionBonus: 0n,
+        winnerBonus: ethers.parseEther("5") };
+      await rewardToken.setRewardSchedule(first, schedule);
+      await rewardToken.setRewardSchedule(second, { ...schedule, winnerBonus: ethers.parseEther("3") });
+      await bid(bidder1, first, "1");
+      await bid(bidder2, second, "1");
+      await time.increase(3601);
+      await factory.settleAuctions([first, second]);
+      await indexer.sync();
+
+      expect(db.getAuction(first).ppRewarded).to.equal(ethers.parseEther("5").toString());
+      expect(db.getAuction(second).ppRewarded).to.equal(ethers.parseEther("3").toString());
+      expect(db.getUserStats(bidder1.address).ppEarned).to.equal(ethers.parseEther("5").toString());
+    });
+
+    it("Should report how auctions ended", async function () {
+      const factory = await ethers.getContractAt("AuctionFactory", deployment.address);
+      const MockERC721 = await ethers.getContractFactory("MockERC721");
+      const nft = await MockERC721.deploy("Lot NFT", "LOT");
+      await nft.mint(owner.address, 1n);
+      await nft.approve(deployment.address, 1n);
+
+      const sold = await create();
+      const belowReserve = await create({ reservePrice: ethers.parseEther("5") });
+      const unsold = await create({ lot: { kind: 1, token: await nft.getAddress(), tokenId: 1n, amount: 1n } });
+      const cancelled = await create({ cancellableWithBids: true });
+      const running = await create({ duration: 7200 });
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const scheduled = await create({ startTime: BigInt(timestamp + 10000) });
+      await bid(bidder1, sold, "1");
+      await bid(bidder1, belowReserve, "1");
+      await bid(bidder2, cancelled, "1");
+      await factory.cancelAuction(cancelled);
+      await indexer.sync();
+      expect(db.getAuction(running).status).to.equal("Active");
+      expect(db.getAuction(scheduled).status).to.equal("Scheduled");
+      expect(db.getAuction(cancelled)).to.include({ status: "Cancelled", outcome: "Cancelled", settled: false });
+
+      await time.increase(3601);
+      await factory.settleAuctions([sold, belowReserve, unsold]);
+      const ended = await create();
+      await bid(bidder1, ended, "1");
+      await time.increase(3601);
+      await ethers.provider.send("evm_mine", []);
+      await indexer.sync();
+
+      expect(db.getAuction(sold)).to.include({ status: "Settled", outcome: "Sold", settled: true });
+      expect(db.getAuction(belowReserve)).to.include({ status: "Settled", outcome: "ReserveNotMet", settled: true });
+      expect(db.getAuction(unsold)).to.include({ status: "Settled", outcome: "NoBids", settled: true });
+      expect(db.getAuction(cancelled).status).to.equal("Cancelled");
+      expect(db.getAuction(ended)).to.include({ status: "Ended", outcome: null, settled: false });
+    });
+
+    it("Should follow buy-now purchases, beneficiary changes and the exact end time", async function () {
+      const factory = await ethers.getContractAt("AuctionFactory", deployment.address);
+      const bought = await create({ buyNowPrice: ethers.parseEther("5") });
+      const reassigned = await create();
+      const atEnd = await create();
+      await bid(bidder1, bought, "5");
+      await factory.setAuctionBeneficiary(reassigned, bidder2.address);
+      await indexer.sync();
+
+      expect(db.getAuction(bought)).to.include({ status: "Ended", boughtNow: true });
+      expect(db.getAuction(reassigned)).to.include({ status: "Active", beneficiary: bidder2.address });
+
+      const { endTime } = await client.getAuctionState(atEnd);
+      await time.increaseTo(endTime);
+      await indexer.sync();
+      expect(db.getAuction(atEnd)).to.include({ status: "Ended", boughtNow: false });
+      expect(db.getAuction(reassigned).status).to.equal("Ended");
+    });
+
+    it("Should keep per-user stats across auctions", async function () {
+      const first = await create();
+      const second = await create();
+      await bid(bidder1, first, "1");
+      await bid(bidder1, second, "3");
+      await bid(bidder2, second, "4");
+      await indexer.sync();
+
+      const stats = db.getUserStats(bidder1.address);
+      expect(stats.bidCount).to.equal(2);
+      expect(stats.auctionsBidOn).to.equal(2);
+      expect(stats.auctionsWon).to.equal(0);
+      expect(stats.bidVolume[bidTokenAddress]).to.equal(ethers.parseEther("4").toString());
+      expect(stats.ppEarned).to.equal(ethers.parseEther("2").toString());
+
+      expect(db.getAuctions({ bidder: bidder2.address }).map((a) => a.address)).to.deep.equal([second]);
+      expect(db.getAuctions().map((a) => a.address)).to.deep.equal([second, first]);
+    });
+
+    it("Should index in batches", async function () {
+      const auction = await create();
+      for (let i = 1; i <= 4; i++) await bid(i % 2 ? bidder1 : bidder2, auction, String(i));
+
+      await newIndexer(db, { batchSize: 2 }).sync();
+      expect(db.getAuction(auction).bidCount).to.equal(4);
+    });
+
+    it("Should stay behind the head by the confirmation count", async function () {
+      const auction = await create();
+      await bid(bidder1, auction, "1");
+      const head = await ethers.provider.getBlockNumber();
+
+      const checkpoint = await newIndexer(db, { confirmations: 1 }).sync();
+      expect(checkpoint.blockNumber).to.equal(head - 1);
+      expect(db.getAuction(auction).bidCount).to.equal(0);
+    });
+  });
+
+  describe("Checkpoints and Reorgs", function () {
+    it("Should resume from the checkpoint", async function () {
+      const auction = await create();
+      await bid(bidder1, auction, "1");
+      await indexer.sync();
+      db.close();
+
+      await bid(bidder2, auction, "2");
+      db = new AuctionDatabase(path.join(dir, "indexer.db"));
+      const before = db.getCheckpoint();
+      await newIndexer(db).sync();
+
+      expect(db.getCheckpoint().blockNumber).to.be.greaterThan(before.blockNumber);
+      expect(db.getBids({ auction }).map((b) => b.bidder)).to.deep.equal([bidder1.address, bidder2.address]);
+    });
+
+    it("Should roll back blocks that were reorganized away", async function () {
+      const auction = await create();
+      await bid(bidder1, auction, "1");
+      await indexer.sync();
+
+      const snapshot = await takeSnapshot();
+      await bid(bidder2, auction, "2");
+      await indexer.sync();
+      expect(db.getAuction(auction).highestBidder).to.equal(bidder2.address);
+
+      // Replace the bid's block with one holding a different bid
+      await snapshot.restore();
+      await bid(bidder1, auction, "3");
+      await indexer.sync();
+
+      const stored = db.getAuction(auction);
+      expect(stored.bidCount).to.equal(2);
+      expect(stored.highestBidder).to.equal(bidder1.address);
+      expect(stored.highestBid).to.equal(ethers.parseEther("3").toString());
+      expect(db.getUserStats(bidder2.address).bidCount).to.equal(0);
+      expect(db.getUserStats(bidder2.address).ppEarned).to.equal("0");
+      expect(db.getCheckpoint().blockHash).to.equal((await ethers.provider.getBlock("latest")).hash);
+    });
+
+    it("Should drop auctions created in reorganized blocks", async function () {
+      await indexer.sync();
+      const snapshot = await takeSnapshot();
+      const auction = await create();
+      await bid(bidder1, auction, "1");
+      await indexer.sync();
+      expect(db.getAuction(auction)).to.not.equal(null);
+
+      await snapshot.restore();
+      await ethers.provider.send("hardhat_mine", ["0x3"]);
+      await indexer.sync();
+      expect(db.getAuction(auction)).to.equal(null);
+      expect(db.getUserStats(bidder1.address).bidCount).to.equal(0);
+    });
+  });
+
+  describe("HTTP API", function () {
+    let server, baseUrl;
+
+    beforeEach(async function () {
+      server = createServer(db);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    async function get(route) {
+      const response = await fetch(`${baseUrl}${route}`);
+      return { status: response.status, body: await response.json() };
+    }
+
+    it("Should serve auctions, bids and user stats", async function () {
+      const auction = await create();
+      await bid(bidder1, auction, "1");
+      await bid(bidder2, auction, "2");
+      await indexer.sync();
+
+      const status = await get("/status");
+      expect(status.body.auctions).to.equal(1);
+      expect(status.body.checkpoint.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+
+      const list = await get(`/auctions?creator=${owner.address.toLowerCase()}`);
+      expect(list.body.map((a) => a.address)).to.deep.equal([auction]);
+
+      const detail = await get(`/auctions/${auction}`);
+      expect(detail.body.highestBid).to.equal(ethers.parseEther("2").toString());
+      expect(detail.body.settlement).to.equal(null);
+
+      const bids = await get(`/auctions/${auction}/bids?limit=1&offset=1`);
+      expect(bids.body.map((b) => b.bidder)).to.deep.equal([bidder2.address]);
+
+      const user = await get(`/users/${bidder1.address}`);
+      expect(user.body.bidCount).to.equal(1);
+      expect(user.body.ppEarned).to.equal(ethers.parseEther("1").toString());
+      expect((await get(`/users/${bidder1.address}/bids`)).body).to.have.lengthOf(1);
+    });
+
+    it("Should reject bad requests", async function () {
+      expect((await get("/auctions/0x1234")).status).to.equal(400);
+      expect((await get(`/auctions/${owner.address}`)).status).to.equal(404);
+      expect((await get("/auctions?limit=0")).status).to.equal(400);
+      expect((await get("/nowhere")).status).to.equal(404);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ChronoAuctionClient } = require("../sdk");
+const { AuctionKeeper } = require("../scripts/keeper");
+const { deployFixture } = require("./fixtures");
+
+describe("Settlement Keeper", function () {
+  let factory, bidToken, bidTokenAddress;
+  let owner, bidder, beneficiary, keeperAccount;
+  let client, keeper;
+
+  beforeEach(async function () {
+    ({ factory, bidToken, bidTokenAddress, owner, bidder1: bidder, beneficiary } = await loadFixture(deployFixture));
+    keeperAccount = (await ethers.getSigners())[4];
+    client = new ChronoAuctionClient(await factory.getAddress(), owner);
+    keeper = new AuctionKeeper({ factory: await factory.getAddress(), signer: keeperAccount });
+  });
+
+  // Creates an auction, bid on with `amount` unless it is null
+  async function create(amount = "1", duration = 3600) {
+    const { auction } = await client.createAuction({
+      bidToken: bidTokenAddress,
+      duration,
+      beneficiary: beneficiary.address
+    });
+    if (amount !== null) await client.connect(bidder).placeBid(auction, ethers.parseEther(amount));
+    return auction;
+  }
+
+  it("Should settle auctions once they end", async function () {
+    const short = await create("1", 3600);
+    const long = await create("2", 7200);
+
+    expect((await keeper.settleEnded()).settled).to.deep.equal([]);
+
+    await time.increase(3601);
+    const first = await keeper.settleEnded();
+    expect(first.settled).to.deep.equal([short]);
+    expect(first.transactions).to.have.lengthOf(1);
+    expect((await client.getAuctionState(short)).status).to.equal("Settled");
+    expect((await client.getAuctionState(long)).status).to.equal("Active");
+
+    await time.increase(3600);
+    expect((await keeper.settleEnded()).settled).to.deep.equal([long]);
+    expect(await bidToken.balanceOf(beneficiary.address)).to.equal(ethers.parseEther("3"));
+  });
+
+  it("Should leave out auctions that cannot settle", async function () {
+    const withBid = await create();
+    const withoutBids = await create(null);
+    const cancelled = await create(null);
+    await factory.cancelAuction(cancelled);
+    await time.increase(3601);
+
+    expect(await keeper.findSettleable()).to.deep.equal([withBid]);
+    const result = await keeper.settleEnded();
+    expect(result.settled).to.deep.equal([withBid]);
+    expect(await client.auction(withoutBids).settled()).to.equal(false);
+    expect(await keeper.settleEnded()).to.deep.equal({ settled: [], bounty: 0n, transactions: [] });
+  });
+
+  it("Should skip auctions that revert with errors it cannot decode", async function () {
+    const MockERC721 = await ethers.getContractFactory("MockERC721");
+    const nft = await MockERC721.deploy("Lot NFT", "LOT");
+    await nft.mint(owner.address, 1n);
+    await nft.approve(await factory.getAddress(), 1n);
+    const { auction: stuck } = await client.createAuction({
+      bidToken: bidTokenAddress,
+      duration: 3600,
+      beneficiary: beneficiary.address,
+      lot: { kind: 1, token: await nft.getAddress(), tokenId: 1n, amount: 1n }
+    });
+    await client.connect(bidder).placeBid(stuck, ethers.parseEther("1"));
+    const settleable = await create();
+    // The lot token now reverts every call without data
+    await ethers.provider.send("hardhat_setCode", [await nft.getAddress(), "0x5f5ffd"]);
+    await time.increase(3601);
+
+    expect(await keeper.findSettleable()).to.deep.equal([settleable]);
+    expect((await keeper.settleEnded()).settled).to.deep.equal([settleable]);
+    expect(await client.auction(stuck).settled()).to.equal(false);
+  });
+
+  it("Should stop rescanning auctions that are final", async function () {
+    await create();
+    await create();
+    const running = await create("1", 7200);
+    await time.increase(3601);
+
+    await keeper.settleEnded();
+    await time.increase(3600);
+    expect(await keeper.findSettleable()).to.deep.equal([running]);
+    expect(keeper.firstOpen).to.equal(2);
+
+    await keeper.settleEnded();
+    expect(await keeper.findSettleable()).to.deep.equal([]);
+    expect(keeper.firstOpen).to.equal(3);
+  });
+
+  it("Should settle in batches and collect the bounty", async function () {
+    const bounty = ethers.parseEther("0.001");
+    const auctions = [];
+    for (let i = 0; i < 5; i++) {
+      auctions.push(await create());
+      await factory.fundSettlementBounty(auctions[i], { value: bounty });
+    }
+    await time.increase(3601);
+
+    // A lowercase factory address, as typed on the command line, works as well
+    const factoryAddress = (await factory.getAddress()).toLowerCase();
+    keeper = new AuctionKeeper({ factory: factoryAddress, signer: keeperAccount, batchSize: 2 });
+    const balance = await ethers.provider.getBalance(keeperAccount.address);
+    const result = await keeper.settleEnded();
+
+    expect(result.settled).to.deep.equal(auctions);
+    expect(result.transactions).to.have.lengthOf(3);
+    expect(result.bounty).to.equal(bounty * 5n);
+    let gas = 0n;
+    for (const hash of result.transactions) {
+      const receipt = await ethers.provider.getTransactionReceipt(hash);
+      gas += receipt.gasUsed * receipt.gasPrice;
+    }
+    expect(await ethers.provider.getBalance(keeperAccount.address)).to.equal(balance + bounty * 5n - gas);
+  });
+
+  it("Should keep settling until stopped", async function () {
+    const auction = await create();
+    await time.increase(3601);
+
+    const settled = await new Promise((resolve, reject) => {
+      keeper.start(10, (result) => {
+        if (result.settled.length > 0) {
+          keeper.stop();
+          resolve(result.settled);
+        }
+      }, reject);
+    });
+    expect(settled).to.deep.equal([auction]);
+    expect(keeper.timer).to.equal(null);
+  });
+});
@@ -0,0 +1,246 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ChronoAuctionClient, AuctionError, NATIVE_TOKEN, decodeError } = require("../sdk");
+const { buildSdkFiles } = require("../tasks/sdk");
+const { buildAllowlist } = require("../scripts/allowlist");
+const { deployFixture } = require("./fixtures");
+
+const { ethers } = hre;
+
+describe("JavaScript SDK", function () {
+  let factoryAddress, bidToken, bidTokenAddress;
+  let owner, bidder1, bidder2, beneficiary;
+  let client;
+
+  // Resolves with the first event passed to a subscription
+  function nextEvent(subscribe) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("No event received")), 10000);
+      const unsubscribe = subscribe((event) => {
+        clearTimeout(timer);
+        unsubscribe().then(() => resolve(event), reject);
+      });
+    });
+  }
+
+  beforeEach(async function () {
+    let factory;
+    ({ factory, bidToken, bidTokenAddress, owner, bidder1, bidder2, beneficiary } = await loadFixture(deployFixture));
+    factoryAddress = await factory.getAddress();
+    client = new ChronoAuctionClient(factoryAddress, owner);
+  });
+
+  async function create(params = {}) {
+    const { auction } = await client.createAuction({
+      bidToken: bidTokenAddress,
+      duration: 3600,
+      beneficiary: beneficiary.address,
+      ...params
+    });
+    return auction;
+  }
+
+  describe("Generated Files", function () {
+    it("Should match the current artifacts", async function () {
+      const files = await buildSdkFiles(hre);
+      for (const [file, content] of Object.entries(files)) {
+        const current = fs.readFileSync(path.join(hre.config.paths.root, file), "utf8");
+        expect(current, `${file} is out of date, run sdk:generate`).to.equal(content);
+      }
+    });
+
+    it("Should type-check against the typings", function () {
+      this.timeout(120000);
+      const tsc = path.join(path.dirname(require.resolve("typescript/package.json")), "bin", "tsc");
+      execFileSync(process.execPath, [tsc, "-p", path.join(hre.config.paths.root, "sdk", "tsconfig.json")], {
+        timeout: 110000
+      });
+    });
+
+    it("Should export the contracts' native token sentinel", async function () {
+      const factory = await ethers.getContractAt("AuctionFactory", factoryAddress);
+      expect(await factory.NATIVE_TOKEN()).to.equal(NATIVE_TOKEN);
+    });
+  });
+
+  describe("createAuction and getAuctionState", function () {
+    it("Should create an auction with the default config", async function () {
+      const auction = await create({ reservePrice: ethers.parseEther("5") });
+
+      const state = await client.getAuctionState(auction);
+      expect(state.address).to.equal(auction);
+      expect(state.type).to.equal("English");
+      expect(state.status).to.equal("Active");
+      expect(state.creator).to.equal(owner.address);
+      expect(state.bidToken).to.equal(bidTokenAddress);
+      expect(state.beneficiary).to.equal(beneficiary.address);
+      expect(state.reservePrice).to.equal(ethers.parseEther("5"));
+      expect(state.reserveMet).to.equal(false);
+      expect(state.bidCount).to.equal(0n);
+      expect(state.endTime - state.startTime).to.equal(3600n);
+      expect(await client.auction(auction).extensionWindow()).to.equal(300n);
+    });
+
+    it("Should accept a lowercase factory address", async function () {
+      const lowercase = new ChronoAuctionClient(factoryAddress.toLowerCase(), owner);
+      const { auction } = await lowercase.createAuction({
+        bidToken: bidTokenAddress,
+        duration: 3600,
+        beneficiary: beneficiary.address
+      });
+      expect((await client.getAuctionState(auction)).creator).to.equal(owner.address);
+    });
+
+    it("Should default the beneficiary to the signer", async function () {
+      const auction = await create({ beneficiary: undefined });
+      expect((await client.getAuctionState(auction)).beneficiary).to.equal(owner.address);
+    });
+
+    it("Should report scheduled auctions", async function () {
+      const startTime = (await time.latest()) + 7200;
+      const auction = await create({ startTime });
+      const state = await client.getAuctionState(auction);
+      expect(state.status).to.equal("Scheduled");
+      expect(state.startTime).to.equal(BigInt(startTime));
+    });
+
+    it("Should need a signer to send transactions", async function () {
+      const reader = client.connect(ethers.provider);
+      await expect(reader.createAuction({ bidToken: bidTokenAddress, duration: 3600 }))
+        .to.be.rejectedWith("A signer is needed to send transactions");
+    });
+  });
+
+  describe("placeBid", function () {
+    it("Should approve the bid token before bidding", async function () {
+      const auction = await create();
+
+      await client.connect(bidder1).placeBid(auction, ethers.parseEther("1.5"));
+      expect(await bidToken.allowance(bidder1.address, auction)).to.equal(0n);
+
+      // An allowance that already covers the bid is used as is
+      await bidToken.connect(bidder2).approve(auction, ethers.parseEther("10"));
+      await client.connect(bidder2).placeBid(auction, ethers.parseEther("2"));
+      expect(await bidToken.allowance(bidder2.address, auction)).to.equal(ethers.parseEther("8"));
+
+      const state = await client.getAuctionState(auction);
+      expect(state.highestBid).to.equal(ethers.parseEther("2"));
+      expect(state.highestBidder).to.equal(bidder2.address);
+      expect(state.bidCount).to.equal(2n);
+      expect(state.uniqueBidders).to.equal(2n);
+    });
+
+    it("Should bid in ETH", async function () {
+      const auction = await create({ bidToken: NATIVE_TOKEN });
+      await client.connect(bidder1).placeBid(auction, ethers.parseEther("1"));
+      expect(await ethers.provider.getBalance(auction)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should bid with an allowlist proof or a referrer", async function () {
+      const allowlist = buildAllowlist([bidder1.address, bidder2.address]);
+      const privateAuction = await create({ allowlistRoot: allowlist.root });
+      await client.connect(bidder1).placeBid(privateAuction, ethers.parseEther("1"), {
+        proof: allowlist.getProof(bidder1.address)
+      });
+      expect((await client.getAuctionState(privateAuction)).highestBidder).to.equal(bidder1.address);
+
+      const auction = await create({ referrerFeeBps: 100n });
+      await client.connect(bidder1).placeBid(auction, ethers.parseEther("1"), { referrer: bidder2.address });
+      expect(await client.auction(auction).highestBidReferrer()).to.equal(bidder2.address);
+    });
+
+    it("Should throw decoded reverts", async function () {
+      const startTime = (await time.latest()) + 7200;
+      const auction = await create({ startTime });
+
+      let error;
+      try {
+        await client.connect(bidder1).placeBid(auction, ethers.parseEther("1"));
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(AuctionError);
+      expect(error.is("AuctionNotStarted")).to.equal(true);
+      expect(error.args.startTime).to.equal(BigInt(startTime));
+      expect(error.message).to.include("Auction has not started yet");
+
+      await expect(client.connect(bidder1).placeBid(owner.address, 1n))
+        .to.be.rejectedWith(AuctionError, "Address is not an auction created by this factory (UnknownAuction)");
+    });
+
+    it("Should decode require failures", async function () {
+      const auction = await create({ allowlistRoot: ethers.id("allowlist") });
+      const error = await client.connect(bidder1).placeBid(auction, ethers.parseEther("1")).catch((e) => e);
+      expect(error.errorName).to.equal("Error");
+      expect(error.args.reason).to.equal("Not allowlisted");
+      expect(decodeError(error)).to.equal(error);
+      expect(decodeError(new Error("not a revert"))).to.equal(null);
+    });
+  });
+
+  describe("settle", function () {
+    it("Should settle an ended auction", async function () {
+      const auction = await create();
+      await client.connect(bidder1).placeBid(auction, ethers.parseEther("3"));
+      await time.increase(3601);
+
+      await client.connect(bidder2).settle(auction);
+      const state = await client.getAuctionState(auction);
+      expect(state.status).to.equal("Settled");
+      expect(state.settled).to.equal(true);
+      expect(await bidToken.balanceOf(beneficiary.address)).to.equal(ethers.parseEther("3"));
+    });
+
+    it("Should not settle a running auction", async function () {
+      const auction = await create();
+      await expect(client.settle(auction)).to.be.rejectedWith(AuctionError, "Auction ongoing");
+    });
+  });
+
+  describe("Event Subscriptions", function () {
+    it("Should report bids", async function () {
+      const auction = await create();
+      const received = nextEvent((listener) => client.onBidPlaced(auction, listener));
+      const receipt = await client.connect(bidder1).placeBid(auction, ethers.parseEther("1"));
+
+      const event = await received;
+      expect(event.auction).to.equal(auction);
+      expect(event.bidder).to.equal(bidder1.address);
+      expect(event.amount).to.equal(ethers.parseEther("1"));
+      expect(event.log.transactionHash).to.equal(receipt.hash);
+    });
+
+    it("Should report extensions and settlement", async function () {
+      const auction = await create();
+      const extended = nextEvent((listener) => client.onAuctionExtended(auction, listener));
+      const settled = nextEvent((listener) => client.onAuctionSettled(auction, listener));
+
+      await time.increase(3500);
+      await client.connect(bidder1).placeBid(auction, ethers.parseEther("2"));
+      const { endTime } = await client.getAuctionState(auction);
+      expect((await extended).newEndTime).to.equal(endTime);
+
+      await time.increaseTo(endTime + 1n);
+      await client.settle(auction);
+      const event = await settled;
+      expect(event.winner).to.equal(bidder1.address);
+      expect(event.amount).to.equal(ethers.parseEther("2"));
+      expect(event.sellerProceeds).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should stop after unsubscribing", async function () {
+      const auction = await create();
+      const events = [];
+      const unsubscribe = client.onBidPlaced(auction, (event) => events.push(event));
+      await unsubscribe();
+
+      await client.connect(bidder1).placeBid(auction, ethers.parseEther("1"));
+      await new Promise((resolve) => setTimeout(resolve, 500));
+      expect(events).to.have.lengthOf(0);
+    });
+  });
+});